@@ -301,9 +301,115 @@ window.AdminConfig = {
         label: "Date To"
       }
     ],
-    stats: [],
+    stats: [
+      {
+        type: "date",
+        name: "dateStart",
+        label: "Date From"
+      },
+      {
+        type: "date",
+        name: "dateEnd",
+        label: "Date To"
+      },
+      {
+        type: "text",
+        name: "currency",
+        label: "Currency",
+        placeholder: "e.g. USD"
+      },
+      {
+        type: "text",
+        name: "platform",
+        label: "Platform",
+        placeholder: "Platform"
+      }
+    ],
     "site-settings": [],
-    "sales-registry": [],
+    "sales-registry": [
+      {
+        type: "text",
+        name: "customer_uid",
+        label: "Customer UID",
+        placeholder: "Customer UID"
+      },
+      {
+        type: "select",
+        name: "status",
+        label: "Status",
+        options: [
+          { value: "", label: "All Statuses" },
+          { value: "pending", label: "Pending" },
+          { value: "authorized", label: "Authorized" },
+          { value: "processing", label: "Processing" },
+          { value: "completed", label: "Completed" },
+          { value: "failed", label: "Failed" },
+          { value: "cancelled", label: "Cancelled" },
+          { value: "partially_refunded", label: "Partially Refunded" },
+          { value: "refunded", label: "Refunded" },
+          { value: "disputed", label: "Disputed" },
+          { value: "charged_back", label: "Charged Back" },
+          { value: "reversed", label: "Reversed" }
+        ]
+      },
+      {
+        type: "select",
+        name: "direction",
+        label: "Direction",
+        options: [
+          { value: "", label: "All Directions" },
+          { value: "purchase", label: "Purchase" },
+          { value: "refund", label: "Refund" },
+          { value: "chargeback", label: "Chargeback" },
+          { value: "payout", label: "Payout" },
+          { value: "adjustment", label: "Adjustment" }
+        ]
+      },
+      {
+        type: "text",
+        name: "currency",
+        label: "Currency",
+        placeholder: "USD"
+      },
+      {
+        type: "text",
+        name: "payment_method",
+        label: "Payment Method",
+        placeholder: "stripe"
+      },
+      {
+        type: "text",
+        name: "platform",
+        label: "Platform",
+        placeholder: "web"
+      },
+      {
+        type: "number",
+        name: "minAmount",
+        label: "Min Amount (minor units)"
+      },
+      {
+        type: "number",
+        name: "maxAmount",
+        label: "Max Amount (minor units)"
+      },
+      {
+        type: "text",
+        name: "meta.promo_code",
+        label: "Promo Code",
+        placeholder: "SAVE20"
+      },
+      {
+        type: "date",
+        name: "dateStart",
+        label: "Date From"
+      },
+      {
+        type: "date",
+        name: "dateEnd",
+        label: "Date To"
+      }
+    ],
     "translation-settings": [],
     "notification-settings": [],
     fetch: [],
@@ -416,9 +522,10 @@ window.AdminConfig = {
     products: {
       heading: "Stats Overview",
       list: [
-        "Total creators registered",
-        "Total fans registered",
-        "Total media uploaded (image, video, audio)"
+        "Revenue and refunds over time, per currency",
+        "Refund and chargeback rates (share of purchases)",
+        "Top owners by net allocation",
+        "Breakdown by payment method and platform"
       ]
     },
     orders: {
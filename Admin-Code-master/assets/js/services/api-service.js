@@ -48,6 +48,25 @@ function getPageApiConfig(sectionName) {
   }
 }
 
+/**
+ * Get the credential headers a section's page config sets for the current environment
+ * Reads "apiKey" (sent as X-Api-Key) or "bearerToken" (sent as Authorization: Bearer)
+ * @param {string} sectionName - Section name to get credentials for
+ * @returns {Object} Headers object, empty when no credentials are configured
+ */
+function getAuthHeaders(sectionName) {
+  // Return no headers when the page has no API config
+  if (!hasApiConfigScript()) return {};
+  // Get credentials for the current environment
+  const environmentConfig = (getPageApiConfig(sectionName) || {})[window.Env?.current || "dev"] || {};
+  // Prefer an API key when both are configured
+  if (environmentConfig.apiKey) return { "X-Api-Key": environmentConfig.apiKey };
+  // Fall back to a bearer token
+  if (environmentConfig.bearerToken) return { Authorization: `Bearer ${environmentConfig.bearerToken}` };
+  // Return no headers when nothing is configured
+  return {};
+}
+
 /**
  * Fetch with timeout and error handling
  * @param {string} url - URL to fetch from
@@ -554,6 +573,11 @@ window.ApiService = {
    * Expose fetchWithTimeout function for use in page scripts
    */
   _fetchWithTimeout: fetchWithTimeout,
+
+  /**
+   * Get credential headers for a section from its page config
+   */
+  getAuthHeaders: getAuthHeaders,
   
   /**
    * Get total count for a section from separate endpoint
@@ -22,8 +22,586 @@
       return;
     }
     // Destructure AdminShell API functions
-    const { pageContent } = window.AdminShell;
-    // Set page content to placeholder message and notes
-    pageContent.innerHTML = "<div class=card><div class=card-body>All recorded sales.</div></div>";
+    const { pageContent, renderChips } = window.AdminShell;
+    // Destructure AdminUtils spinner functions
+    const { spinner, spinnerInline, spinnerSmall, errorMessage } = window.AdminUtils;
+    // Define section name constant
+    const SECTION = "sales-registry";
+    // Define page size constant for cursor pagination
+    const PAGE_SIZE = 25;
+    // Fallback transactions API base URL when the page config has no endpoint
+    const DEFAULT_API_BASE_URL = "http://localhost:3000/api/transactions";
+    // Periods the totals card can be grouped by (matches /stats bucket values)
+    const TOTALS_PERIODS = ["day", "week", "month"];
+    // Number of most recent periods listed in the totals card
+    const TOTALS_PERIODS_SHOWN = 12;
+    // Badge colors for transaction statuses
+    const STATUS_COLORS = {
+      pending: "warning",
+      authorized: "info",
+      processing: "info",
+      completed: "success",
+      partially_refunded: "info",
+      refunded: "secondary",
+      disputed: "danger",
+      charged_back: "danger",
+      failed: "danger",
+      cancelled: "secondary",
+      reversed: "secondary"
+    };
+
+    // Cursor for the next page (null when there are no more rows)
+    let nextCursor = null;
+    // Number of rows rendered so far
+    let loadedCount = 0;
+    // Total matching rows reported by the first page
+    let totalCount = null;
+    // Period currently used by the totals card
+    let totalsPeriod = "day";
+    // Server-side sort expression ("column:direction") or null for newest first
+    let serverSort = null;
+    // Container element reference
+    let container;
+    // Notes element reference
+    let notesEl;
+
+    /**
+     * Escape a value for safe insertion into HTML
+     * @param {*} value - Value to escape
+     * @returns {string} Escaped string
+     */
+    function escapeHtml(value) {
+      // Convert null or undefined to an empty string, otherwise stringify and replace special characters
+      return String(value ?? "")
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+    }
+
+    /**
+     * Format an integer amount in minor units (cents) for display
+     * @param {number|string} amountMinorUnits - Amount in minor units of the currency
+     * @param {string} currencyCode - ISO 4217 currency code
+     * @returns {string} Formatted amount
+     */
+    function formatMinorUnits(amountMinorUnits, currencyCode) {
+      // Convert amount to a number
+      const numericAmount = Number(amountMinorUnits);
+      // Return placeholder for missing or invalid amounts
+      if (amountMinorUnits === null || amountMinorUnits === undefined || Number.isNaN(numericAmount)) return "-";
+      // Try to format with the currency's own number of decimals
+      try {
+        // Build a currency formatter for the code
+        const currencyFormatter = new Intl.NumberFormat(undefined, { style: "currency", currency: currencyCode || "USD" });
+        // Read how many decimals the currency uses (2 for USD, 0 for JPY)
+        const fractionDigits = currencyFormatter.resolvedOptions().maximumFractionDigits;
+        // Convert minor units to major units and format
+        return currencyFormatter.format(numericAmount / 10 ** fractionDigits);
+      } catch (formatError) {
+        // Fall back to the raw minor units when the currency code is unknown
+        return `${numericAmount} ${escapeHtml(currencyCode || "")}`;
+      }
+    }
+
+    /**
+     * Get the transactions API base URL for the current environment
+     * @returns {string} Base URL such as http://localhost:3000/api/transactions
+     */
+    function getApiBaseUrl() {
+      // Try to read the endpoint from the page API config
+      try {
+        // Get API config script element
+        const configScriptElement = document.getElementById("api-config");
+        // Parse page config when the element exists
+        const pageConfig = configScriptElement ? JSON.parse(configScriptElement.textContent) : {};
+        // Get current environment
+        const currentEnvironment = window.StateManager.getEnv() || "dev";
+        // Get configured endpoint for this section and environment
+        const endpointUrl = pageConfig[SECTION]?.[currentEnvironment]?.endpoint?.trim();
+        // Return endpoint without trailing slash when configured
+        if (endpointUrl) return endpointUrl.replace(/\/+$/, "");
+      } catch (configError) {
+        // Log config problem and fall back to default
+        console.warn("[SalesRegistry] Could not parse API config, using default endpoint:", configError);
+      }
+      // Return default endpoint
+      return DEFAULT_API_BASE_URL;
+    }
+
+    /**
+     * Build a query string from a parameters object, skipping empty values
+     * @param {Object} parameters - Query parameters
+     * @returns {string} Encoded query string without leading "?"
+     */
+    function buildQueryString(parameters) {
+      // Create URL search params container
+      const searchParams = new URLSearchParams();
+      // Add every non-empty parameter
+      Object.entries(parameters).forEach(([parameterName, parameterValue]) => {
+        // Skip empty values
+        if (parameterValue === null || parameterValue === undefined || parameterValue === "") return;
+        // Append parameter as string
+        searchParams.append(parameterName, String(parameterValue));
+      });
+      // Return encoded query string
+      return searchParams.toString();
+    }
+
+    /**
+     * Fetch JSON from the transactions API
+     * @param {string} url - Absolute URL to fetch
+     * @returns {Promise<Object>} Parsed JSON body
+     */
+    async function fetchJson(url) {
+      // Perform GET request with timeout handling and the configured credentials
+      const fetchResponse = await window.ApiService._fetchWithTimeout(url, {
+        method: "GET",
+        headers: window.ApiService.getAuthHeaders(SECTION)
+      });
+      // Parse and return JSON body
+      return fetchResponse.json();
+    }
+
+    /**
+     * Fetch one page of transactions matching the active filters
+     * @param {string|null} cursorValue - Cursor from the previous page, or null for the first page
+     * @returns {Promise<Object>} Page object with rows, total and nextCursor
+     */
+    function fetchTransactionsPage(cursorValue) {
+      // Build query string from filters, page size, cursor and sort
+      const queryString = buildQueryString({
+        ...window.StateManager.getFilters(SECTION),
+        limit: PAGE_SIZE,
+        cursor: cursorValue,
+        sort: serverSort
+      });
+      // Fetch the page from the query endpoint
+      return fetchJson(`${getApiBaseUrl()}/query?${queryString}`);
+    }
+
+    /**
+     * Fetch totals per period and currency for the active filters
+     * @returns {Promise<Object>} Aggregate response with groups
+     */
+    function fetchPeriodTotals() {
+      // Build query string from filters and aggregate options
+      const queryString = buildQueryString({
+        ...window.StateManager.getFilters(SECTION),
+        metrics: "count,sum,refund_sum",
+        bucket: totalsPeriod
+      });
+      // Fetch aggregates from the stats endpoint
+      return fetchJson(`${getApiBaseUrl()}/stats?${queryString}`);
+    }
+
+    // Table configuration
+    const SALES_TABLE_CONFIG = {
+      id: "sales-registry-table",
+      columns: [
+        { field: "transaction_id", label: "ID", formatter: (value) => escapeHtml(value) },
+        { field: "created_at", label: "Created", formatter: "datetime", sortable: true },
+        { field: "order_id", label: "Order", formatter: (value) => escapeHtml(value || "-") },
+        { field: "customer_uid", label: "Customer", formatter: (value) => escapeHtml(value || "-"), sortable: true },
+        { field: "direction", label: "Direction", formatter: (value) => escapeHtml(value || "-") },
+        { field: "status", label: "Status", formatter: "badge", colorMap: STATUS_COLORS, sortable: true },
+        { field: "amount", label: "Amount", formatter: (value, row) => formatMinorUnits(value, row.currency), sortable: true },
+        { field: "payment_method", label: "Method", formatter: (value) => escapeHtml(value || "-") }
+      ],
+      actions: [
+        { label: "View", className: "btn btn-sm btn-outline-primary", onClick: "handleSalesRegistryView" }
+      ]
+    };
+
+    /**
+     * Render the totals card body from aggregate groups
+     * @param {Array} aggregateGroups - Groups with bucket, currency, count, sum and refund_sum
+     * @returns {string} HTML string for the totals table
+     */
+    function renderPeriodTotals(aggregateGroups) {
+      // Return empty notice when nothing matched
+      if (!aggregateGroups.length) return '<div class="text-muted small p-3">No sales in this range.</div>';
+      // Collect distinct periods newest first
+      const recentPeriods = [...new Set(aggregateGroups.map((group) => group.bucket))].sort().reverse().slice(0, TOTALS_PERIODS_SHOWN);
+      // Accumulate overall totals per currency across every period
+      const overallTotals = {};
+      // Add each group to its currency total
+      aggregateGroups.forEach((group) => {
+        // Get or create the currency accumulator
+        const currencyTotal = overallTotals[group.currency] || { count: 0, sum: 0, refund_sum: 0 };
+        // Add count, gross and refunds
+        currencyTotal.count += group.count;
+        currencyTotal.sum += group.sum;
+        currencyTotal.refund_sum += group.refund_sum;
+        // Store accumulator back
+        overallTotals[group.currency] = currencyTotal;
+      });
+      // Build a table row for one period and currency
+      const totalsRow = (periodLabel, currencyCode, totals) => `<tr>
+          <td>${escapeHtml(periodLabel)}</td>
+          <td>${escapeHtml(currencyCode || "-")}</td>
+          <td>${totals.count}</td>
+          <td>${formatMinorUnits(totals.sum, currencyCode)}</td>
+          <td>${formatMinorUnits(totals.refund_sum, currencyCode)}</td>
+        </tr>`;
+      // Render rows for the most recent periods
+      const periodRows = aggregateGroups
+        .filter((group) => recentPeriods.includes(group.bucket))
+        .sort((leftGroup, rightGroup) => String(rightGroup.bucket).localeCompare(String(leftGroup.bucket)))
+        .map((group) => totalsRow(group.bucket || "-", group.currency, group))
+        .join("");
+      // Render the overall rows
+      const overallRows = Object.entries(overallTotals)
+        .map(([currencyCode, totals]) => totalsRow("All periods", currencyCode, totals))
+        .join("");
+      // Return the totals table
+      return `<table class="table table-sm mb-0">
+          <thead class="table-light"><tr><th>Period</th><th>Currency</th><th>Transactions</th><th>Gross</th><th>Refunded</th></tr></thead>
+          <tbody>${periodRows}</tbody>
+          <tfoot class="fw-semibold">${overallRows}</tfoot>
+        </table>`;
+    }
+
+    /**
+     * Render the totals card shell with period switcher
+     * @returns {string} HTML string for the totals card
+     */
+    function totalsCardHtml() {
+      // Build one switcher button per period
+      const periodButtons = TOTALS_PERIODS.map(
+        (periodName) =>
+          `<button type="button" class="btn btn-sm ${periodName === totalsPeriod ? "btn-primary" : "btn-outline-primary"}" data-totals-period="${periodName}">${periodName.charAt(0).toUpperCase()}${periodName.slice(1)}</button>`
+      ).join("");
+      // Return card with header and empty body
+      return `<div class="card mb-3 sales-totals-card">
+          <div class="card-header d-flex align-items-center justify-content-between">
+            <strong>Totals by period</strong>
+            <div class="btn-group" role="group">${periodButtons}</div>
+          </div>
+          <div class="card-body p-0" id="salesTotalsBody">${spinnerInline()}</div>
+        </div>`;
+    }
+
+    /**
+     * Load and render the totals card
+     */
+    async function loadPeriodTotals() {
+      // Find totals card body
+      const totalsBodyElement = document.querySelector("#salesTotalsBody");
+      // Return early when the card is not rendered
+      if (!totalsBodyElement) return;
+      // Show loading spinner in card body
+      totalsBodyElement.innerHTML = spinnerInline();
+      // Try to fetch and render totals
+      try {
+        // Fetch aggregates for the current filters and period
+        const aggregateResponse = await fetchPeriodTotals();
+        // Render totals table
+        totalsBodyElement.innerHTML = renderPeriodTotals(aggregateResponse.groups || []);
+      } catch (loadError) {
+        // Show error in the card without breaking the table
+        totalsBodyElement.innerHTML = `<div class="p-3">${errorMessage(loadError, "Failed to load totals")}</div>`;
+        // Log error to console
+        console.error("[SalesRegistry] Error loading totals:", loadError);
+      }
+    }
+
+    /**
+     * Render the drill-down details of one transaction
+     * @param {Object} transactionRecord - Transaction row from the API
+     * @param {Object|null} historyResponse - History response with events, or null when unavailable
+     * @returns {string} HTML string for the modal body
+     */
+    function renderTransactionDetails(transactionRecord, historyResponse) {
+      // Get currency of the transaction
+      const currencyCode = transactionRecord.currency;
+      // Define summary fields shown at the top
+      const summaryFields = [
+        ["Order", transactionRecord.order_id],
+        ["Customer", transactionRecord.customer_uid],
+        ["Direction", transactionRecord.direction],
+        ["Payment method", transactionRecord.payment_method],
+        ["Platform", transactionRecord.platform],
+        ["Parent transaction", transactionRecord.parent_transaction_id],
+        ["Dispute", transactionRecord.dispute_id],
+        ["Created", transactionRecord.created_at],
+        ["Updated", transactionRecord.updated_at]
+      ];
+      // Render summary definition list
+      const summaryHtml = summaryFields
+        .filter(([, fieldValue]) => fieldValue !== null && fieldValue !== undefined && fieldValue !== "")
+        .map(([fieldLabel, fieldValue]) => `<dt class="col-sm-4">${fieldLabel}</dt><dd class="col-sm-8">${escapeHtml(fieldValue)}</dd>`)
+        .join("");
+      // Render owner allocation rows
+      const allocationRows = (Array.isArray(transactionRecord.owner_allocations) ? transactionRecord.owner_allocations : [])
+        .map((allocation) => `<tr><td>${escapeHtml(allocation.owner_uuid)}</td><td>${formatMinorUnits(allocation.amount_cents, currencyCode)}</td></tr>`)
+        .join("");
+      // Render product rows
+      const productRows = (Array.isArray(transactionRecord.products) ? transactionRecord.products : [])
+        .map((product) => `<tr><td>${escapeHtml(product.sku || "-")}</td><td>${escapeHtml(product.product_id || product.name || "-")}</td><td>${escapeHtml(product.quantity ?? product.qty ?? "-")}</td></tr>`)
+        .join("");
+      // Render audit history rows
+      const historyRows = (historyResponse?.events || [])
+        .map((historyEvent) => `<tr><td>${escapeHtml(historyEvent.occurred_at)}</td><td>${escapeHtml(historyEvent.event_type)}</td><td>${escapeHtml(historyEvent.actor)}</td><td>${escapeHtml(Object.keys(historyEvent.diff || {}).join(", ") || "-")}</td></tr>`)
+        .join("");
+      // Return modal body HTML
+      return `
+        <div class="mb-3 d-flex justify-content-between align-items-center">
+          <h5 class="mb-0">Transaction #${escapeHtml(transactionRecord.transaction_id)}</h5>
+          <span class="badge text-bg-${STATUS_COLORS[transactionRecord.status] || "secondary"}">${escapeHtml(transactionRecord.status)}</span>
+        </div>
+        <div class="fs-5 mb-3">${formatMinorUnits(transactionRecord.amount, currencyCode)}
+          ${transactionRecord.refund_amount ? `<span class="text-muted small ms-2">refunded ${formatMinorUnits(transactionRecord.refund_amount, currencyCode)}</span>` : ""}
+        </div>
+        <dl class="row small mb-3">${summaryHtml}</dl>
+        <div class="mb-3"><h6>Owner allocations</h6>
+          <div class="table-responsive"><table class="table table-sm">
+            <thead><tr><th>Owner</th><th>Amount</th></tr></thead>
+            <tbody>${allocationRows || '<tr><td colspan="2" class="text-muted">No allocations</td></tr>'}</tbody>
+          </table></div>
+        </div>
+        <div class="mb-3"><h6>Products</h6>
+          <div class="table-responsive"><table class="table table-sm">
+            <thead><tr><th>SKU</th><th>Product</th><th>Qty</th></tr></thead>
+            <tbody>${productRows || '<tr><td colspan="3" class="text-muted">No products</td></tr>'}</tbody>
+          </table></div>
+        </div>
+        <div class="mb-3"><h6>History</h6>
+          <div class="table-responsive"><table class="table table-sm">
+            <thead><tr><th>When</th><th>Event</th><th>Actor</th><th>Changed</th></tr></thead>
+            <tbody>${historyRows || '<tr><td colspan="4" class="text-muted">No recorded events</td></tr>'}</tbody>
+          </table></div>
+        </div>
+        <div class="mb-3"><h6>Raw JSON</h6><pre class="code-json">${escapeHtml(JSON.stringify(transactionRecord, null, 2))}</pre></div>`;
+    }
+
+    /**
+     * Open the drill-down modal for a transaction row
+     * @param {Object} row - Table row data
+     */
+    window.handleSalesRegistryView = async (row) => {
+      // Get encoded transaction id for the URL
+      const encodedTransactionId = encodeURIComponent(row.transaction_id);
+      // Show loading spinner in the modal
+      window.ModalViewer.showHtml(spinnerInline(`Loading transaction #${escapeHtml(row.transaction_id)}…`));
+      // Try to load transaction and history
+      try {
+        // Fetch the transaction and its history in parallel (history is optional)
+        const [transactionRecord, historyResponse] = await Promise.all([
+          fetchJson(`${getApiBaseUrl()}/${encodedTransactionId}`),
+          fetchJson(`${getApiBaseUrl()}/${encodedTransactionId}/history`).catch(() => null)
+        ]);
+        // Render details in the modal
+        window.ModalViewer.showHtml(renderTransactionDetails(transactionRecord, historyResponse));
+      } catch (loadError) {
+        // Show error in the modal
+        window.ModalViewer.showHtml(errorMessage(loadError));
+        // Log error to console
+        console.error("[SalesRegistry] Error loading transaction:", loadError);
+      }
+    };
+
+    /**
+     * Render the load more button for the current cursor state
+     */
+    function renderLoadMore() {
+      // Find load more wrapper element
+      const loadMoreWrapper = pageContent.querySelector("#loadMoreWrap");
+      // Return early if wrapper is missing
+      if (!loadMoreWrapper) return;
+      // Render button, disabled when no cursor is left
+      loadMoreWrapper.innerHTML = window.Table.createLoadMoreButton({ disabled: nextCursor === null });
+      // Find load more button element
+      const loadMoreButton = loadMoreWrapper.querySelector("#loadMoreBtn");
+      // Load the next page on click
+      loadMoreButton.onclick = () => {
+        // Ignore clicks when there are no more pages
+        if (nextCursor === null) return;
+        // Load next page and append rows
+        loadChunk(true);
+      };
+    }
+
+    /**
+     * Attach chip removal handlers that drop one filter and reload
+     */
+    function attachChipRemovalHandlers() {
+      // Find chips wrapper element
+      const chipsWrapperElement = document.querySelector("#chipsWrap");
+      // Return early when there are no chips
+      if (!chipsWrapperElement) return;
+      // Attach handler to each chip close button
+      chipsWrapperElement.querySelectorAll(".filter-chip .btn-close").forEach((closeButton) => {
+        // Add click listener to close button
+        closeButton.addEventListener("click", () => {
+          // Get filter key from chip data attribute
+          const filterKey = closeButton.closest(".filter-chip")?.getAttribute("data-chip");
+          // Return early if no key found
+          if (!filterKey) return;
+          // Copy active filters without the removed key
+          const remainingFilters = { ...window.StateManager.getFilters(SECTION) };
+          // Delete filter key
+          delete remainingFilters[filterKey];
+          // Store remaining filters
+          window.StateManager.setFilters(SECTION, remainingFilters);
+          // Reset paging state
+          reset();
+          // Reload from the first page
+          loadChunk(false);
+        });
+      });
+    }
+
+    /**
+     * Load a page of transactions and render or append it
+     * @param {boolean} shouldAppend - Whether to append to the existing table or rebuild the page
+     */
+    async function loadChunk(shouldAppend = false) {
+      // Check if this is initial load (not appending)
+      if (!shouldAppend) {
+        // Set page content to loading spinner
+        pageContent.innerHTML = spinner();
+      } else {
+        // Find load more wrapper element
+        const loadMoreWrapper = document.querySelector("#loadMoreWrap");
+        // Set wrapper to small spinner if it exists
+        if (loadMoreWrapper) loadMoreWrapper.innerHTML = spinnerSmall();
+      }
+
+      // Try to load and render data
+      try {
+        // Fetch next page (first page when not appending)
+        const pageResponse = await fetchTransactionsPage(shouldAppend ? nextCursor : null);
+        // Extract rows from response
+        const pageRows = Array.isArray(pageResponse.rows) ? pageResponse.rows : [];
+        // Store cursor for the next page
+        nextCursor = pageResponse.nextCursor || null;
+
+        // Check if this is initial load
+        if (!shouldAppend) {
+          // Store total from the first page (cursor pages skip the count)
+          totalCount = typeof pageResponse.total === "number" ? pageResponse.total : null;
+          // Set loaded count to first page size
+          loadedCount = pageRows.length;
+          // Create new container element
+          container = document.createElement("div");
+          // Build page layout: chips, totals, count notice, table and load more controls
+          container.innerHTML = `
+            <div id="chipsWrap" class="filter-chips">${renderChips(SECTION)}</div>
+            ${totalsCardHtml()}
+            <div id="salesCountNotice"></div>
+            ${window.Table.create(SALES_TABLE_CONFIG, pageRows)}
+            ${window.Table.createLoadMoreControls({ disabled: nextCursor === null })}`;
+          // Replace page content with container
+          pageContent.innerHTML = "";
+          // Append container to page content
+          pageContent.appendChild(container);
+          // Initialize table handlers for the new table
+          window.Table.init();
+          // Attach chip removal handlers
+          attachChipRemovalHandlers();
+          // Load totals independently of the table
+          loadPeriodTotals();
+        } else {
+          // Find table body of the existing table
+          const tableBodyElement = document.querySelector(`#${SALES_TABLE_CONFIG.id} tbody`);
+          // Append new rows to the table body
+          if (tableBodyElement) tableBodyElement.insertAdjacentHTML("beforeend", window.Table.createRows(SALES_TABLE_CONFIG, pageRows));
+          // Increase loaded count
+          loadedCount += pageRows.length;
+        }
+
+        // Find count notice element
+        const countNoticeElement = document.querySelector("#salesCountNotice");
+        // Update count notice
+        if (countNoticeElement) {
+          countNoticeElement.innerHTML = loadedCount > 0 ? window.Table.createCountNotice(1, loadedCount, totalCount) : "";
+        }
+        // Render load more button for the new cursor
+        renderLoadMore();
+
+        // Check if notes element doesn't exist
+        if (!notesEl) {
+          // Get static notes element from page
+          notesEl = document.querySelector(".notes-below");
+        }
+        // Keep notes below the content
+        if (notesEl) pageContent.appendChild(notesEl);
+      } catch (loadError) {
+        // Check if this is initial load
+        if (!shouldAppend) {
+          // Display error in page content
+          pageContent.innerHTML = errorMessage(loadError);
+        } else {
+          // Find load more wrapper
+          const loadMoreWrapper = document.querySelector("#loadMoreWrap");
+          // Display error in wrapper if it exists
+          if (loadMoreWrapper) loadMoreWrapper.innerHTML = errorMessage(loadError, "Failed to load more");
+        }
+        // Log error to console
+        console.error("[SalesRegistry] Error loading data:", loadError);
+      }
+    }
+
+    /**
+     * Reset pagination and content state
+     */
+    function reset() {
+      // Clear cursor
+      nextCursor = null;
+      // Reset loaded count
+      loadedCount = 0;
+      // Reset total count
+      totalCount = null;
+      // Clear container reference
+      container = null;
+    }
+
+    // Switch totals period from the card header
+    document.body.addEventListener("click", (clickEvent) => {
+      // Find closest period button
+      const periodButton = clickEvent.target.closest("[data-totals-period]");
+      // Return early if not a period button
+      if (!periodButton) return;
+      // Store selected period
+      totalsPeriod = periodButton.getAttribute("data-totals-period");
+      // Update button styles
+      document.querySelectorAll("[data-totals-period]").forEach((buttonElement) => {
+        // Highlight the selected period only
+        const isSelected = buttonElement.getAttribute("data-totals-period") === totalsPeriod;
+        // Toggle primary style
+        buttonElement.classList.toggle("btn-primary", isSelected);
+        // Toggle outline style
+        buttonElement.classList.toggle("btn-outline-primary", !isSelected);
+      });
+      // Reload totals for the new period
+      loadPeriodTotals();
+    });
+
+    // Header sorting runs on the server so cursor paging keeps the same order
+    document.body.addEventListener("table:sort", (sortEvent) => {
+      // Ignore sort events from other tables
+      if (sortEvent.detail?.tableId !== SALES_TABLE_CONFIG.id) return;
+      // Store sort expression or clear it for the default order
+      serverSort = sortEvent.detail.column ? `${sortEvent.detail.column}:${sortEvent.detail.direction}` : null;
+      // Reset paging state
+      reset();
+      // Reload from the first page
+      loadChunk(false);
+    });
+
+    // Initialize page
+    // Reset state
+    reset();
+    // Load initial chunk
+    loadChunk(false);
+    // Listen for section refresh event (env-selector dispatches it after env:changed)
+    document.body.addEventListener("section:refresh", () => {
+      // Reset state
+      reset();
+      // Reload chunk
+      loadChunk(false);
+    });
   });
 })();
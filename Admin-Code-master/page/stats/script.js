@@ -22,9 +22,483 @@
       return;
     }
     // Destructure AdminShell API functions
-    const { pageContent } = window.AdminShell;
-    // Set page content to placeholder message and notes
-    pageContent.innerHTML =
-      "<div class=card><div class=card-body>No table for stats in this demo.</div></div>";
+    const { pageContent, renderChips } = window.AdminShell;
+    // Destructure AdminUtils spinner functions
+    const { spinnerInline, errorMessage } = window.AdminUtils;
+    // Define section name constant
+    const SECTION = "stats";
+    // Fallback transactions API base URL when the page config has no endpoint
+    const DEFAULT_API_BASE_URL = "http://localhost:3000/api/transactions";
+    // Periods the time charts can be bucketed by (matches /stats bucket values)
+    const CHART_PERIODS = ["day", "week", "month"];
+    // Number of owners listed in the top owners table
+    const TOP_OWNERS_LIMIT = 10;
+    // Line colors reused across charts, one per dataset
+    const CHART_COLORS = ["#0d6efd", "#dc3545", "#198754", "#fd7e14", "#6f42c1", "#20c997", "#6c757d", "#d63384"];
+
+    // Period currently used by the time charts
+    let chartPeriod = "day";
+    // Chart.js instances by canvas id, destroyed before redrawing
+    const chartInstances = {};
+    // Notes element reference
+    let notesEl;
+
+    /**
+     * Escape a value for safe insertion into HTML
+     * @param {*} value - Value to escape
+     * @returns {string} Escaped string
+     */
+    function escapeHtml(value) {
+      // Convert null or undefined to an empty string, otherwise stringify and replace special characters
+      return String(value ?? "")
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+    }
+
+    /**
+     * Get the number of decimals a currency uses (2 for USD, 0 for JPY)
+     * @param {string} currencyCode - ISO 4217 currency code
+     * @returns {number} Number of minor unit digits
+     */
+    function currencyFractionDigits(currencyCode) {
+      // Try to read the digits from Intl
+      try {
+        // Return maximum fraction digits of a currency formatter
+        return new Intl.NumberFormat(undefined, { style: "currency", currency: currencyCode }).resolvedOptions().maximumFractionDigits;
+      } catch (formatError) {
+        // Assume cents for unknown codes
+        return 2;
+      }
+    }
+
+    /**
+     * Format an integer amount in minor units (cents) for display
+     * @param {number} amountMinorUnits - Amount in minor units of the currency
+     * @param {string} currencyCode - ISO 4217 currency code
+     * @returns {string} Formatted amount
+     */
+    function formatMinorUnits(amountMinorUnits, currencyCode) {
+      // Return placeholder for missing amounts
+      if (amountMinorUnits === null || amountMinorUnits === undefined) return "-";
+      // Try to format with the currency symbol
+      try {
+        // Format major units with the currency
+        return new Intl.NumberFormat(undefined, { style: "currency", currency: currencyCode }).format(
+          amountMinorUnits / 10 ** currencyFractionDigits(currencyCode)
+        );
+      } catch (formatError) {
+        // Fall back to the raw minor units when the currency code is unknown
+        return `${amountMinorUnits} ${escapeHtml(currencyCode || "")}`;
+      }
+    }
+
+    /**
+     * Get the transactions API base URL for the current environment
+     * @returns {string} Base URL such as http://localhost:3000/api/transactions
+     */
+    function getApiBaseUrl() {
+      // Try to read the endpoint from the page API config
+      try {
+        // Get API config script element
+        const configScriptElement = document.getElementById("api-config");
+        // Parse page config when the element exists
+        const pageConfig = configScriptElement ? JSON.parse(configScriptElement.textContent) : {};
+        // Get current environment
+        const currentEnvironment = window.StateManager.getEnv() || "dev";
+        // Get configured endpoint for this section and environment
+        const endpointUrl = pageConfig[SECTION]?.[currentEnvironment]?.endpoint?.trim();
+        // Return endpoint without trailing slash when configured
+        if (endpointUrl) return endpointUrl.replace(/\/+$/, "");
+      } catch (configError) {
+        // Log config problem and fall back to default
+        console.warn("[Stats] Could not parse API config, using default endpoint:", configError);
+      }
+      // Return default endpoint
+      return DEFAULT_API_BASE_URL;
+    }
+
+    /**
+     * Fetch JSON from a stats endpoint with the active filters applied
+     * @param {string} path - Path below the transactions API, such as "/stats"
+     * @param {Object} parameters - Extra query parameters for the endpoint
+     * @returns {Promise<Object>} Parsed JSON body
+     */
+    async function fetchStats(path, parameters) {
+      // Create URL search params container
+      const searchParams = new URLSearchParams();
+      // Add filters and endpoint parameters, skipping empty values
+      Object.entries({ ...window.StateManager.getFilters(SECTION), ...parameters }).forEach(([parameterName, parameterValue]) => {
+        // Skip empty values
+        if (parameterValue === null || parameterValue === undefined || parameterValue === "") return;
+        // Append parameter as string
+        searchParams.append(parameterName, String(parameterValue));
+      });
+      // Perform GET request with timeout handling and the configured credentials
+      const fetchResponse = await window.ApiService._fetchWithTimeout(`${getApiBaseUrl()}${path}?${searchParams.toString()}`, {
+        method: "GET",
+        headers: window.ApiService.getAuthHeaders(SECTION)
+      });
+      // Parse and return JSON body
+      return fetchResponse.json();
+    }
+
+    /**
+     * Draw a Chart.js chart on a canvas, replacing any previous chart there
+     * @param {string} canvasId - Canvas element id
+     * @param {Object} chartConfig - Chart.js configuration
+     */
+    function drawChart(canvasId, chartConfig) {
+      // Destroy previous chart on this canvas
+      if (chartInstances[canvasId]) chartInstances[canvasId].destroy();
+      // Forget destroyed chart
+      delete chartInstances[canvasId];
+      // Find canvas element
+      const canvasElement = document.getElementById(canvasId);
+      // Return early when the canvas is gone (page was re-rendered)
+      if (!canvasElement) return;
+      // Create and remember the chart
+      chartInstances[canvasId] = new window.Chart(canvasElement, chartConfig);
+    }
+
+    /**
+     * Render a chart card shell with a canvas and loading spinner
+     * @param {string} canvasId - Canvas element id
+     * @param {string} title - Card title
+     * @returns {string} HTML string for the card
+     */
+    function chartCardHtml(canvasId, title) {
+      // Return card with spinner overlay and canvas
+      return `<div class="col-lg-6">
+          <div class="card h-100 stats-card">
+            <div class="card-header"><strong>${title}</strong></div>
+            <div class="card-body">
+              <div class="stats-card-status" data-status-for="${canvasId}">${spinnerInline()}</div>
+              <div class="stats-chart-wrap"><canvas id="${canvasId}"></canvas></div>
+            </div>
+          </div>
+        </div>`;
+    }
+
+    /**
+     * Show a message (or nothing) above a chart
+     * @param {string} canvasId - Canvas element id the status belongs to
+     * @param {string} statusHtml - HTML to show, empty string to clear
+     */
+    function setChartStatus(canvasId, statusHtml) {
+      // Find status element for the chart
+      const statusElement = document.querySelector(`[data-status-for="${canvasId}"]`);
+      // Update status content if it exists
+      if (statusElement) statusElement.innerHTML = statusHtml;
+    }
+
+    /**
+     * Run one chart loader, showing its own error without affecting other cards
+     * @param {string} canvasId - Canvas element id
+     * @param {Function} loaderFunction - Async function that fetches and draws the chart
+     */
+    async function loadCard(canvasId, loaderFunction) {
+      // Show loading spinner
+      setChartStatus(canvasId, spinnerInline());
+      // Try to load the card
+      try {
+        // Fetch and draw
+        await loaderFunction();
+        // Clear status when done (loaders may set an empty notice themselves)
+        const statusElement = document.querySelector(`[data-status-for="${canvasId}"]`);
+        // Remove spinner if still showing
+        if (statusElement && statusElement.querySelector(".spinner-border")) statusElement.innerHTML = "";
+      } catch (loadError) {
+        // Show error in the card
+        setChartStatus(canvasId, errorMessage(loadError, "Failed to load chart"));
+        // Log error to console
+        console.error(`[Stats] Error loading ${canvasId}:`, loadError);
+      }
+    }
+
+    /**
+     * Sorted distinct bucket labels of aggregate groups
+     * @param {Array} aggregateGroups - Groups with a bucket label
+     * @returns {Array<string>} Bucket labels, oldest first
+     */
+    function bucketLabels(aggregateGroups) {
+      // Collect, dedupe and sort labels
+      return [...new Set(aggregateGroups.map((group) => group.bucket))].filter(Boolean).sort();
+    }
+
+    /**
+     * Load the revenue over time chart: purchases and refunds per currency
+     */
+    async function loadRevenueChart() {
+      // Fetch sums per bucket, direction and currency
+      const aggregateResponse = await fetchStats("/stats", { groupBy: "direction", metrics: "sum", bucket: chartPeriod });
+      // Extract groups
+      const aggregateGroups = aggregateResponse.groups || [];
+      // Get bucket labels for the x axis
+      const labels = bucketLabels(aggregateGroups);
+      // Get currencies present in the result
+      const currencies = [...new Set(aggregateGroups.map((group) => group.currency))].filter(Boolean).sort();
+      // Build one revenue and one refund dataset per currency
+      const datasets = [];
+      // Add datasets for each currency
+      currencies.forEach((currencyCode) => {
+        // Get minor unit divisor for the currency
+        const divisor = 10 ** currencyFractionDigits(currencyCode);
+        // Add a line for each direction shown
+        [["purchase", "Revenue"], ["refund", "Refunds"]].forEach(([directionName, seriesLabel]) => {
+          // Pick a color per dataset
+          const color = CHART_COLORS[datasets.length % CHART_COLORS.length];
+          // Add dataset with one point per bucket
+          datasets.push({
+            label: `${seriesLabel} (${currencyCode})`,
+            data: labels.map((bucketLabel) => {
+              // Find the group for this bucket, direction and currency
+              const group = aggregateGroups.find((candidate) => candidate.bucket === bucketLabel && candidate.direction === directionName && candidate.currency === currencyCode);
+              // Convert to major units (zero when nothing happened)
+              return group ? group.sum / divisor : 0;
+            }),
+            borderColor: color,
+            backgroundColor: color,
+            tension: 0.2
+          });
+        });
+      });
+      // Show notice when there is no data
+      if (!labels.length) setChartStatus("statsRevenueChart", '<div class="text-muted small">No transactions in this range.</div>');
+      // Draw line chart
+      drawChart("statsRevenueChart", { type: "line", data: { labels, datasets }, options: { responsive: true, maintainAspectRatio: false } });
+    }
+
+    /**
+     * Load the refund and chargeback rate chart
+     */
+    async function loadRatesChart() {
+      // Fetch rates per bucket
+      const aggregateResponse = await fetchStats("/stats", { metrics: "refund_rate,chargeback_rate", bucket: chartPeriod });
+      // Extract groups
+      const aggregateGroups = aggregateResponse.groups || [];
+      // Get bucket labels for the x axis
+      const labels = bucketLabels(aggregateGroups);
+      // Build a percentage series for a rate metric
+      const rateSeries = (metricName) =>
+        labels.map((bucketLabel) => {
+          // Find the group for this bucket
+          const group = aggregateGroups.find((candidate) => candidate.bucket === bucketLabel);
+          // Convert ratio to percent, leaving gaps where there were no purchases
+          return group && group[metricName] !== null ? Math.round(group[metricName] * 10000) / 100 : null;
+        });
+      // Show notice when there is no data
+      if (!labels.length) setChartStatus("statsRatesChart", '<div class="text-muted small">No transactions in this range.</div>');
+      // Draw line chart with percent axis
+      drawChart("statsRatesChart", {
+        type: "line",
+        data: {
+          labels,
+          datasets: [
+            { label: "Refund rate %", data: rateSeries("refund_rate"), borderColor: CHART_COLORS[1], backgroundColor: CHART_COLORS[1], spanGaps: true },
+            { label: "Chargeback rate %", data: rateSeries("chargeback_rate"), borderColor: CHART_COLORS[4], backgroundColor: CHART_COLORS[4], spanGaps: true }
+          ]
+        },
+        options: { responsive: true, maintainAspectRatio: false, scales: { y: { beginAtZero: true, ticks: { callback: (tickValue) => `${tickValue}%` } } } }
+      });
+    }
+
+    /**
+     * Load a transaction count breakdown chart for one column
+     * @param {string} canvasId - Canvas element id
+     * @param {string} columnName - Aggregate group column (payment_method or platform)
+     */
+    async function loadBreakdownChart(canvasId, columnName) {
+      // Fetch counts grouped by the column
+      const aggregateResponse = await fetchStats("/stats", { groupBy: columnName, metrics: "count" });
+      // Sort groups by count, largest first
+      const aggregateGroups = (aggregateResponse.groups || []).slice().sort((leftGroup, rightGroup) => rightGroup.count - leftGroup.count);
+      // Show notice when there is no data
+      if (!aggregateGroups.length) setChartStatus(canvasId, '<div class="text-muted small">No transactions in this range.</div>');
+      // Draw doughnut chart of counts
+      drawChart(canvasId, {
+        type: "doughnut",
+        data: {
+          labels: aggregateGroups.map((group) => group[columnName] || "unknown"),
+          datasets: [
+            {
+              label: "Transactions",
+              data: aggregateGroups.map((group) => group.count),
+              backgroundColor: aggregateGroups.map((group, groupIndex) => CHART_COLORS[groupIndex % CHART_COLORS.length])
+            }
+          ]
+        },
+        options: { responsive: true, maintainAspectRatio: false, plugins: { legend: { position: "right" } } }
+      });
+    }
+
+    // Top owners table configuration
+    const TOP_OWNERS_TABLE_CONFIG = {
+      id: "stats-top-owners-table",
+      columns: [
+        { field: "owner_uuid", label: "Owner", formatter: (value) => escapeHtml(value) },
+        { field: "currency", label: "Currency", formatter: (value) => escapeHtml(value) },
+        { field: "purchases", label: "Purchases" },
+        { field: "earned", label: "Earned", formatter: (value, row) => formatMinorUnits(value, row.currency) },
+        { field: "refunded", label: "Refunded", formatter: (value, row) => formatMinorUnits(value, row.currency) },
+        { field: "charged_back", label: "Charged back", formatter: (value, row) => formatMinorUnits(value, row.currency) },
+        { field: "net", label: "Net", formatter: (value, row) => `<strong>${formatMinorUnits(value, row.currency)}</strong>` }
+      ]
+    };
+
+    /**
+     * Load the top owners table
+     */
+    async function loadTopOwners() {
+      // Find table wrapper
+      const ownersWrapper = document.getElementById("statsTopOwners");
+      // Return early when the page was re-rendered
+      if (!ownersWrapper) return;
+      // Show loading spinner
+      ownersWrapper.innerHTML = spinnerInline();
+      // Try to fetch and render owners
+      try {
+        // Fetch ranked owners
+        const ownersResponse = await fetchStats("/stats/owners", { limit: TOP_OWNERS_LIMIT });
+        // Extract owners
+        const rankedOwners = ownersResponse.owners || [];
+        // Render table or empty notice
+        ownersWrapper.innerHTML = rankedOwners.length
+          ? window.Table.create(TOP_OWNERS_TABLE_CONFIG, rankedOwners)
+          : '<div class="text-muted small p-3">No owner earnings in this range.</div>';
+      } catch (loadError) {
+        // Show error in the card
+        ownersWrapper.innerHTML = `<div class="p-3">${errorMessage(loadError, "Failed to load top owners")}</div>`;
+        // Log error to console
+        console.error("[Stats] Error loading top owners:", loadError);
+      }
+    }
+
+    /**
+     * Load every card of the dashboard
+     */
+    function loadTimeCharts() {
+      // Load revenue chart
+      loadCard("statsRevenueChart", loadRevenueChart);
+      // Load rates chart
+      loadCard("statsRatesChart", loadRatesChart);
+    }
+
+    /**
+     * Render the dashboard layout and load all cards
+     */
+    function render() {
+      // Destroy charts of the previous render
+      Object.keys(chartInstances).forEach((canvasId) => {
+        // Destroy chart instance
+        chartInstances[canvasId].destroy();
+        // Forget chart instance
+        delete chartInstances[canvasId];
+      });
+      // Build period switcher buttons
+      const periodButtons = CHART_PERIODS.map(
+        (periodName) =>
+          `<button type="button" class="btn btn-sm ${periodName === chartPeriod ? "btn-primary" : "btn-outline-primary"}" data-chart-period="${periodName}">${periodName.charAt(0).toUpperCase()}${periodName.slice(1)}</button>`
+      ).join("");
+      // Render page layout
+      pageContent.innerHTML = `
+        <div id="chipsWrap" class="filter-chips">${renderChips(SECTION)}</div>
+        <div class="d-flex justify-content-end mb-3">
+          <div class="btn-group" role="group" aria-label="Chart period">${periodButtons}</div>
+        </div>
+        <div class="row g-3 mb-3">
+          ${chartCardHtml("statsRevenueChart", "Revenue over time")}
+          ${chartCardHtml("statsRatesChart", "Refund and chargeback rates")}
+          ${chartCardHtml("statsPaymentMethodChart", "Transactions by payment method")}
+          ${chartCardHtml("statsPlatformChart", "Transactions by platform")}
+        </div>
+        <div class="card mb-3">
+          <div class="card-header"><strong>Top owners by net allocation</strong></div>
+          <div class="card-body p-0" id="statsTopOwners"></div>
+        </div>`;
+      // Attach chip removal handlers
+      attachChipRemovalHandlers();
+      // Check that Chart.js loaded
+      if (typeof window.Chart !== "function") {
+        // Show message in every chart card
+        document.querySelectorAll("[data-status-for]").forEach((statusElement) => {
+          // Explain that charts cannot be drawn
+          statusElement.innerHTML = errorMessage(new Error("Chart.js is not available"), "Charts could not be drawn");
+        });
+      } else {
+        // Load time based charts
+        loadTimeCharts();
+        // Load payment method breakdown
+        loadCard("statsPaymentMethodChart", () => loadBreakdownChart("statsPaymentMethodChart", "payment_method"));
+        // Load platform breakdown
+        loadCard("statsPlatformChart", () => loadBreakdownChart("statsPlatformChart", "platform"));
+      }
+      // Load top owners table
+      loadTopOwners();
+
+      // Check if notes element doesn't exist
+      if (!notesEl) {
+        // Get static notes element from page
+        notesEl = document.querySelector(".notes-below");
+      }
+      // Keep notes below the content
+      if (notesEl) pageContent.appendChild(notesEl);
+    }
+
+    /**
+     * Attach chip removal handlers that drop one filter and redraw
+     */
+    function attachChipRemovalHandlers() {
+      // Find chips wrapper element
+      const chipsWrapperElement = document.querySelector("#chipsWrap");
+      // Return early when there are no chips
+      if (!chipsWrapperElement) return;
+      // Attach handler to each chip close button
+      chipsWrapperElement.querySelectorAll(".filter-chip .btn-close").forEach((closeButton) => {
+        // Add click listener to close button
+        closeButton.addEventListener("click", () => {
+          // Get filter key from chip data attribute
+          const filterKey = closeButton.closest(".filter-chip")?.getAttribute("data-chip");
+          // Return early if no key found
+          if (!filterKey) return;
+          // Copy active filters without the removed key
+          const remainingFilters = { ...window.StateManager.getFilters(SECTION) };
+          // Delete filter key
+          delete remainingFilters[filterKey];
+          // Store remaining filters
+          window.StateManager.setFilters(SECTION, remainingFilters);
+          // Redraw dashboard
+          render();
+        });
+      });
+    }
+
+    // Switch chart period from the button group
+    document.body.addEventListener("click", (clickEvent) => {
+      // Find closest period button
+      const periodButton = clickEvent.target.closest("[data-chart-period]");
+      // Return early if not a period button
+      if (!periodButton) return;
+      // Store selected period
+      chartPeriod = periodButton.getAttribute("data-chart-period");
+      // Update button styles
+      document.querySelectorAll("[data-chart-period]").forEach((buttonElement) => {
+        // Highlight the selected period only
+        const isSelected = buttonElement.getAttribute("data-chart-period") === chartPeriod;
+        // Toggle primary style
+        buttonElement.classList.toggle("btn-primary", isSelected);
+        // Toggle outline style
+        buttonElement.classList.toggle("btn-outline-primary", !isSelected);
+      });
+      // Reload time based charts only when Chart.js is available
+      if (typeof window.Chart === "function") loadTimeCharts();
+    });
+
+    // Initialize page
+    render();
+    // Listen for section refresh event (filter panel apply, refresh button and env-selector switches)
+    document.body.addEventListener("section:refresh", render);
   });
 })();
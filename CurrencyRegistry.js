@@ -0,0 +1,95 @@
+/*
+ * Methods:
+ *    normalizeCode() — Validate a currency code against the registry and return it upper-cased.
+ *    isSupported() — Determine whether a currency code is in the registry.
+ */
+
+"use strict";
+
+/**
+ * Class CurrencyRegistry
+ *
+ * ISO 4217 currencies accepted by the registry and the exponent (number of
+ * minor-unit decimals) of each. Transaction amounts are stored as integers in
+ * the minor unit of their currency: 1050 USD is $10.50, 1050 JPY is ¥1050 and
+ * 1050 KWD is 1.050 KD.
+ */
+class CurrencyRegistry {
+  static CODE_PATTERN = /^[A-Z]{3}$/;
+
+  static CURRENCIES = Object.freeze({
+    AED: 2,
+    AUD: 2,
+    BHD: 3,
+    BRL: 2,
+    CAD: 2,
+    CHF: 2,
+    CLP: 0,
+    CNY: 2,
+    CZK: 2,
+    DKK: 2,
+    EUR: 2,
+    GBP: 2,
+    HKD: 2,
+    HUF: 2,
+    IDR: 2,
+    ILS: 2,
+    INR: 2,
+    ISK: 0,
+    JOD: 3,
+    JPY: 0,
+    KRW: 0,
+    KWD: 3,
+    MXN: 2,
+    MYR: 2,
+    NOK: 2,
+    NZD: 2,
+    OMR: 3,
+    PHP: 2,
+    PLN: 2,
+    SAR: 2,
+    SEK: 2,
+    SGD: 2,
+    THB: 2,
+    TND: 3,
+    TRY: 2,
+    TWD: 2,
+    UGX: 0,
+    USD: 2,
+    VND: 0,
+    XAF: 0,
+    XOF: 0,
+    ZAR: 2,
+  });
+
+  /**
+   * Validate a currency code against the registry.
+   *
+   * @param {string} currencyCode - Code such as "usd" or "JPY".
+   * @returns {string} The upper-cased code.
+   * @throws {TypeError} When the code is malformed or not in the registry.
+   */
+  static normalizeCode(currencyCode) {
+    const normalized =
+      typeof currencyCode === "string" ? currencyCode.trim().toUpperCase() : "";
+    if (!this.CODE_PATTERN.test(normalized)) {
+      throw new TypeError("currency must be a 3-letter ISO 4217 code");
+    }
+    if (!this.isSupported(normalized)) {
+      throw new TypeError(`currency "${normalized}" is not supported`);
+    }
+    return normalized;
+  }
+
+  /**
+   * Determine whether a currency code is in the registry.
+   *
+   * @param {string} currencyCode - Upper-case ISO 4217 code.
+   * @returns {boolean} True when the code is registered.
+   */
+  static isSupported(currencyCode) {
+    return Object.prototype.hasOwnProperty.call(this.CURRENCIES, currencyCode);
+  }
+}
+
+module.exports = CurrencyRegistry;
@@ -1,32 +1,103 @@
 /*
  * Methods:
+ *    run() — Run a callback (e.g. one request) with its own error log.
+ *    bind() — Bind a callback to the current error log.
  *    addError() — Add an error entry to the error log.
  *    hasErrors() — Check if any errors have been logged.
  *    getAllErrors() — Retrieve all logged errors.
+ *    getDroppedCount() — Count the errors left out once the log was full.
  *    clear() — Clear all logged errors.
  */
 
 "use strict";
 
+const { AsyncLocalStorage } = require("async_hooks");
+
 /**
  * Class ErrorHandler
  *
  * Handles error logging, storage, and retrieval for the application.
  *
+ * Errors are logged to the scope opened by run() — one per API request — so
+ * concurrent requests never see each other's entries and a request's log is
+ * dropped with it. Code running outside any scope shares the static `errors`
+ * array. Every log keeps at most MAX_ERRORS entries; later ones are only
+ * counted (see getDroppedCount()).
+ *
  * @link https://docs.example.com/ErrorHandler #TODO
  */
 class ErrorHandler {
   /**
-   * Static array to store error entries.
+   * Most entries one error log keeps.
+   *
+   * @type {number}
+   */
+  static MAX_ERRORS = 1000;
+
+  /**
+   * Static array to store error entries logged outside any run() scope.
    *
    * @type {Array<object>}
    */
   static errors = [];
 
+  /**
+   * Entries left out of the static array once it was full.
+   *
+   * @type {number}
+   */
+  static dropped = 0;
+
+  /**
+   * Scope of the callback currently run by run().
+   *
+   * @type {AsyncLocalStorage}
+   */
+  static _scopes = new AsyncLocalStorage();
+
+  /**
+   * Run a callback with its own, initially empty, error log.
+   *
+   * Everything the callback starts — awaited promises, timers, callbacks —
+   * logs to and reads from that scope until it completes.
+   *
+   * @version 1.0.0
+   * @since -
+   * @updated -
+   * @link https://docs.example.com/ErrorHandler#run #TODO
+   *
+   * @param {Function} callback - Function to run.
+   *
+   * @returns {*} Whatever the callback returns.
+   */
+  static run(callback) {
+    return this._scopes.run({ errors: [], dropped: 0 }, callback);
+  }
+
+  /**
+   * Bind a callback to the current error log.
+   *
+   * For callbacks that fire outside the scope they belong to, such as
+   * response events.
+   *
+   * @version 1.0.0
+   * @since -
+   * @updated -
+   * @link https://docs.example.com/ErrorHandler#bind #TODO
+   *
+   * @param {Function} callback - Function to bind.
+   *
+   * @returns {Function} The bound function.
+   */
+  static bind(callback) {
+    return AsyncLocalStorage.bind(callback);
+  }
+
   /**
    * Add an error entry to the error log.
    *
    * Creates a timestamp and stores the error message with additional data.
+   * Once the log holds MAX_ERRORS entries the error is only counted.
    *
    * @author Linden May
    * @version 1.0.0
@@ -37,14 +108,22 @@ class ErrorHandler {
    * @param {string} message - The error message to log.
    * @param {object} [data={}] - Optional additional error details.
    *
-   * @returns {void} Logs the error in the internal array.
+   * @returns {void} Logs the error in the current error log.
    */
   static addError(message, data = {}) {
+    const scope = this._scope();
+
+    // Keep the first entries: they usually name the cause
+    if (scope.errors.length >= this.MAX_ERRORS) {
+      scope.dropped += 1;
+      return;
+    }
+
     // Create a timestamp for the error
     const timestamp = new Date().toISOString();
 
     // Insert the error entry into the errors array
-    this.errors.push({ message, data, timestamp });
+    scope.errors.push({ message, data, timestamp });
   }
 
   /**
@@ -62,7 +141,7 @@ class ErrorHandler {
    */
   static hasErrors() {
     // Return true if there are any logged errors
-    return this.errors.length > 0;
+    return this._scope().errors.length > 0;
   }
 
   /**
@@ -80,13 +159,27 @@ class ErrorHandler {
    */
   static getAllErrors() {
     // Return the complete list of logged errors
-    return this.errors;
+    return this._scope().errors;
+  }
+
+  /**
+   * Count the errors left out once the log was full.
+   *
+   * @version 1.0.0
+   * @since -
+   * @updated -
+   * @link https://docs.example.com/ErrorHandler#getDroppedCount #TODO
+   *
+   * @returns {number} Errors added after MAX_ERRORS entries were logged.
+   */
+  static getDroppedCount() {
+    return this._scope().dropped;
   }
 
   /**
    * Clear all logged errors.
    *
-   * Resets the internal errors array to an empty state.
+   * Resets the current error log to an empty state.
    *
    * @author Linden May
    * @version 1.0.0
@@ -97,8 +190,16 @@ class ErrorHandler {
    * @returns {void} Empties the stored error logs.
    */
   static clear() {
+    const scope = this._scope();
+
     // Reset the errors array to an empty list
-    this.errors = [];
+    scope.errors = [];
+    scope.dropped = 0;
+  }
+
+  /** Error log of the current run() scope, or the class itself outside one. */
+  static _scope() {
+    return this._scopes.getStore() || this;
   }
 }
 
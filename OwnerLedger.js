@@ -0,0 +1,221 @@
+/*
+ * Methods:
+ *    ownerShare() — Return an owner's allocated minor units on one transaction row.
+ *    buildEntries() — Turn transaction rows into signed ledger line items with running balances.
+ *    summarize() — Total ledger line items per currency.
+ *    summarizeTotals() — Total SQL sums grouped by currency, direction and status.
+ *    toCsv() — Render ledger line items as a CSV statement.
+ */
+
+"use strict";
+
+/**
+ * Class OwnerLedger
+ *
+ * Pure bookkeeping over transaction rows; loading the rows and writing
+ * payouts is done by TransactionRegistry. An owner is credited with their
+ * owner_allocations share of captured purchases and debited with their share
+ * of refunds, chargebacks and payouts. Amounts are integer minor units and
+ * balances are kept per currency.
+ */
+class OwnerLedger {
+  /**
+   * How each direction affects an owner's balance and which statuses count.
+   * Pending and processing payouts are debited so the same funds cannot be
+   * paid out twice; failed, cancelled and reversed payouts release them.
+   */
+  static ENTRY_RULES = Object.freeze({
+    purchase: Object.freeze({
+      sign: 1,
+      bucket: "earned",
+      statuses: Object.freeze([
+        "completed",
+        "partially_refunded",
+        "refunded",
+        "disputed",
+        "charged_back",
+      ]),
+    }),
+    refund: Object.freeze({
+      sign: -1,
+      bucket: "refunded",
+      statuses: Object.freeze(["pending", "completed"]),
+    }),
+    chargeback: Object.freeze({
+      sign: -1,
+      bucket: "charged_back",
+      statuses: Object.freeze(["completed"]),
+    }),
+    payout: Object.freeze({
+      sign: -1,
+      bucket: "paid_out",
+      statuses: Object.freeze(["pending", "processing", "completed"]),
+    }),
+  });
+
+  static STATEMENT_COLUMNS = Object.freeze([
+    "created_at",
+    "transaction_id",
+    "direction",
+    "status",
+    "order_id",
+    "parent_transaction_id",
+    "currency",
+    "amount",
+    "running_balance",
+  ]);
+
+  /**
+   * Return an owner's allocated minor units on one transaction row.
+   *
+   * @param {object} row - Transaction row; owner_allocations may be a JSON string.
+   * @param {string} ownerUuid - Owner to look up.
+   * @returns {number|null} Sum of the owner's amount_cents, or null when not allocated.
+   */
+  static ownerShare(row, ownerUuid) {
+    let allocations = row?.owner_allocations;
+    if (typeof allocations === "string") {
+      try {
+        allocations = JSON.parse(allocations);
+      } catch {
+        return null;
+      }
+    }
+    if (!Array.isArray(allocations)) return null;
+
+    let share = null;
+    for (const allocation of allocations) {
+      if (!allocation || allocation.owner_uuid !== ownerUuid) continue;
+      const cents = Number(allocation.amount_cents);
+      if (!Number.isSafeInteger(cents)) continue;
+      share = (share ?? 0) + cents;
+    }
+    return share;
+  }
+
+  /**
+   * Turn transaction rows into signed ledger line items, oldest first, with a
+   * running balance per currency. Rows in other directions, in statuses that
+   * do not move money, or without an allocation for the owner are skipped.
+   *
+   * @param {Array<object>} rows - Transaction rows (created_at already normalized).
+   * @param {string} ownerUuid - Owner the ledger is for.
+   * @param {object} [openingBalances={}] - Starting balance per currency.
+   * @returns {Array<object>} Line items in STATEMENT_COLUMNS shape plus `bucket`.
+   */
+  static buildEntries(rows, ownerUuid, openingBalances = {}) {
+    const running = { ...openingBalances };
+    const entries = [];
+    const ordered = (Array.isArray(rows) ? rows : []).slice().sort(
+      (a, b) =>
+        String(a.created_at ?? "").localeCompare(String(b.created_at ?? "")) ||
+        String(a.transaction_id).localeCompare(String(b.transaction_id), undefined, {
+          numeric: true,
+        }),
+    );
+
+    for (const row of ordered) {
+      const rule = this.ENTRY_RULES[String(row.direction || "").toLowerCase()];
+      if (!rule || !rule.statuses.includes(String(row.status || "").toLowerCase())) {
+        continue;
+      }
+      const share = this.ownerShare(row, ownerUuid);
+      if (share === null) continue;
+
+      const currency = String(row.currency || "").toUpperCase();
+      const amount = rule.sign * share;
+      running[currency] = (running[currency] ?? 0) + amount;
+      entries.push({
+        created_at: row.created_at ?? null,
+        transaction_id: row.transaction_id,
+        direction: row.direction,
+        status: row.status,
+        order_id: row.order_id ?? null,
+        parent_transaction_id: row.parent_transaction_id ?? null,
+        currency,
+        amount,
+        running_balance: running[currency],
+        bucket: rule.bucket,
+      });
+    }
+    return entries;
+  }
+
+  /**
+   * Total ledger line items per currency.
+   *
+   * @param {Array<object>} entries - Output of buildEntries().
+   * @param {object} [openingBalances={}] - Starting balance per currency.
+   * @returns {object} { [currency]: { earned, refunded, charged_back, paid_out, balance } }
+   */
+  static summarize(entries, openingBalances = {}) {
+    const totals = {};
+    const ensure = (currency) => {
+      if (!totals[currency]) {
+        totals[currency] = {
+          earned: 0,
+          refunded: 0,
+          charged_back: 0,
+          paid_out: 0,
+          balance: openingBalances[currency] ?? 0,
+        };
+      }
+      return totals[currency];
+    };
+    for (const currency of Object.keys(openingBalances)) ensure(currency);
+    for (const entry of Array.isArray(entries) ? entries : []) {
+      const bucket = ensure(entry.currency);
+      bucket[entry.bucket] += Math.abs(entry.amount);
+      bucket.balance += entry.amount;
+    }
+    return totals;
+  }
+
+  /**
+   * Total SQL sums grouped by currency, direction and status, in the same
+   * shape as summarize(). Groups in other directions or in statuses that do
+   * not move money are skipped.
+   *
+   * @param {Array<object>} groups - Rows of { currency, direction, status, allocated_sum }.
+   * @param {object} [openingBalances={}] - Starting balance per currency.
+   * @returns {object} { [currency]: { earned, refunded, charged_back, paid_out, balance } }
+   */
+  static summarizeTotals(groups, openingBalances = {}) {
+    const entries = [];
+    for (const group of Array.isArray(groups) ? groups : []) {
+      const rule = this.ENTRY_RULES[String(group.direction || "").toLowerCase()];
+      if (!rule || !rule.statuses.includes(String(group.status || "").toLowerCase())) {
+        continue;
+      }
+      const cents = Number(group.allocated_sum);
+      if (!Number.isSafeInteger(cents)) continue;
+      entries.push({
+        currency: String(group.currency || "").toUpperCase(),
+        amount: rule.sign * cents,
+        bucket: rule.bucket,
+      });
+    }
+    return this.summarize(entries, openingBalances);
+  }
+
+  /**
+   * Render ledger line items as a CSV statement (header row + one row per entry).
+   *
+   * @param {Array<object>} entries - Output of buildEntries().
+   * @returns {string} CSV text terminated by a newline.
+   */
+  static toCsv(entries) {
+    const escape = (value) => {
+      if (value === null || value === undefined) return "";
+      const text = String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const lines = [this.STATEMENT_COLUMNS.join(",")];
+    for (const entry of Array.isArray(entries) ? entries : []) {
+      lines.push(this.STATEMENT_COLUMNS.map((column) => escape(entry[column])).join(","));
+    }
+    return `${lines.join("\n")}\n`;
+  }
+}
+
+module.exports = OwnerLedger;
@@ -3,7 +3,20 @@ const SafeUtils = require("./SafeUtils");
 const ErrorHandler = require("./ErrorHandler");
 const Logger = require("./Logger");
 const DateTime = require("./DateTime");
+const CurrencyRegistry = require("./CurrencyRegistry");
+const OwnerLedger = require("./OwnerLedger");
+const TransactionExport = require("./TransactionExport");
+const TransactionImport = require("./TransactionImport");
 const PostgreSQL = require("./PostgreSQL");
+const {
+  TransactionRegistryError,
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  InvalidTransitionError,
+  VersionConflictError,
+  StorageError,
+} = require("./TransactionErrors");
 
 class TransactionRegistry {
   static _db = null;
@@ -16,10 +29,131 @@ class TransactionRegistry {
     "adjustment",
   ]);
 
+  /**
+   * Allowed status transitions per direction. Keys are every status a
+   * transaction of that direction may hold; values are the statuses it may
+   * move to next. Re-sending the current status is always accepted.
+   */
+  static TRANSACTION_STATUS_LIFECYCLES = Object.freeze({
+    purchase: Object.freeze({
+      pending: Object.freeze(["authorized", "completed", "failed", "cancelled"]),
+      authorized: Object.freeze(["completed", "failed", "cancelled"]),
+      completed: Object.freeze(["partially_refunded", "refunded", "disputed"]),
+      partially_refunded: Object.freeze(["refunded", "disputed"]),
+      // Back to the pre-dispute status when won; refunds wait for the outcome
+      disputed: Object.freeze(["completed", "partially_refunded", "charged_back"]),
+      refunded: Object.freeze([]),
+      charged_back: Object.freeze([]),
+      failed: Object.freeze([]),
+      cancelled: Object.freeze([]),
+    }),
+    refund: Object.freeze({
+      pending: Object.freeze(["completed", "failed", "cancelled"]),
+      completed: Object.freeze([]),
+      failed: Object.freeze([]),
+      cancelled: Object.freeze([]),
+    }),
+    chargeback: Object.freeze({
+      pending: Object.freeze(["completed", "failed"]),
+      completed: Object.freeze(["reversed"]),
+      reversed: Object.freeze([]),
+      failed: Object.freeze([]),
+    }),
+    payout: Object.freeze({
+      pending: Object.freeze(["processing", "completed", "failed", "cancelled"]),
+      processing: Object.freeze(["completed", "failed"]),
+      completed: Object.freeze(["reversed"]),
+      reversed: Object.freeze([]),
+      failed: Object.freeze([]),
+      cancelled: Object.freeze([]),
+    }),
+    adjustment: Object.freeze({
+      pending: Object.freeze(["completed", "failed", "cancelled"]),
+      completed: Object.freeze([]),
+      failed: Object.freeze([]),
+      cancelled: Object.freeze([]),
+    }),
+  });
+
+  static TRANSACTION_STATUSES = Object.freeze(
+    Array.from(
+      new Set(
+        Object.values(this.TRANSACTION_STATUS_LIFECYCLES).flatMap((lifecycle) =>
+          Object.keys(lifecycle),
+        ),
+      ),
+    ),
+  );
+
   static MAX_LIMIT = 200;
   static MIN_LIMIT = 1;
   static DEFAULT_LIMIT = 20;
   static DEFAULT_OFFSET = 0;
+  static CURSOR_VERSION = 1;
+  static SORTABLE_COLUMNS = Object.freeze([
+    "created_at",
+    "updated_at",
+    "amount",
+    "status",
+    "customer_uid",
+  ]);
+  /**
+   * JSONB paths query() may search, keyed by filter name. Each compiles to a
+   * GIN-indexable containment: meta @> {"<key>": value} for object paths and
+   * products @> [{"<key>": value}] for "any product whose <key> is value".
+   */
+  static JSONB_SEARCH_PATHS = Object.freeze({
+    "meta.promo_code": Object.freeze({ column: "meta", key: "promo_code" }),
+    "meta.subscription_id": Object.freeze({ column: "meta", key: "subscription_id" }),
+    "products.sku": Object.freeze({ column: "products", key: "sku", element: true }),
+    "products.product_id": Object.freeze({ column: "products", key: "product_id", element: true }),
+  });
+  static JSONB_SEARCH_VALUE_MAX_LENGTH = 255;
+  static DEFAULT_SORT = Object.freeze([
+    Object.freeze({ column: "created_at", direction: "DESC" }),
+  ]);
+  static AGGREGATE_GROUP_COLUMNS = Object.freeze([
+    "status",
+    "direction",
+    "currency",
+    "payment_method",
+    "platform",
+  ]);
+  static AGGREGATE_METRICS = Object.freeze([
+    "count",
+    "sum",
+    "avg",
+    "refund_sum",
+    "refund_rate",
+    "chargeback_rate",
+  ]);
+  // Metrics in minor units; the others are counts or ratios of counts
+  static AGGREGATE_AMOUNT_METRICS = Object.freeze(["sum", "avg", "refund_sum"]);
+  static AGGREGATE_RATE_DECIMALS = 4;
+  // PostgreSQL to_char() formats that turn a local datetime into its bucket label
+  static AGGREGATE_BUCKET_FORMATS = Object.freeze({
+    day: "YYYY-MM-DD",
+    week: 'IYYY-"W"IW',
+    month: "YYYY-MM",
+  });
+  static TOP_OWNERS_DEFAULT_LIMIT = 10;
+  static TOP_OWNERS_MAX_LIMIT = 100;
+  static OWNER_STATEMENT_DEFAULT_LIMIT = 500;
+  static OWNER_STATEMENT_MAX_LIMIT = 5000;
+  // Statements page oldest first; the cursor carries created_at and transaction_id
+  static OWNER_STATEMENT_SORT = Object.freeze([
+    Object.freeze({ column: "created_at", direction: "ASC" }),
+  ]);
+  static EXPORT_FORMATS = Object.freeze(["csv", "ndjson"]);
+  static EXPORT_DEFAULT_BATCH_SIZE = 500;
+  static EXPORT_MAX_BATCH_SIZE = 5000;
+  static IMPORT_DEFAULT_BATCH_SIZE = 100;
+  static IMPORT_MAX_BATCH_SIZE = 1000;
+  static IMPORT_CONFLICT_MODES = Object.freeze(["skip", "error"]);
+  static BATCH_MODES = Object.freeze(["atomic", "best_effort"]);
+  // 500 rows x ~25 columns stays well under the 65535 bind parameter limit
+  static BATCH_MAX_ITEMS = 500;
+  static CURSOR_MAX_LENGTH = 512;
   static STACK_MAX_LENGTH = 4000;
   static CONTEXT_MAX_LENGTH = 2000;
   static FIELDS_PREVIEW_MAX_LENGTH = 1500;
@@ -27,76 +161,107 @@ class TransactionRegistry {
   static MAX_META_BLOB_LENGTH = 4096;
   static MAX_OWNER_ALLOCATIONS_BLOB_LENGTH = 8192;
   static MAX_PRODUCTS_BLOB_LENGTH = 16384;
+  static IDEMPOTENCY_KEY_PATTERN = /^[A-Za-z0-9_.:-]+$/;
+  static IDEMPOTENCY_KEY_MAX_LENGTH = 255;
+  static UNIQUE_VIOLATION_CODE = "23505";
+  /** Refund statuses that count towards (and move) the parent's refunded total. */
+  static REFUND_COUNTED_STATUSES = Object.freeze(["pending", "completed"]);
+  /**
+   * Purchase statuses only refundTransaction() and the dispute methods set,
+   * since they also write the refund / chargeback children and totals.
+   */
+  static RESERVED_UPDATE_STATUSES = Object.freeze([
+    "partially_refunded",
+    "refunded",
+    "disputed",
+    "charged_back",
+  ]);
+  static DISPUTE_EVIDENCE_WINDOW_DAYS = 7;
+  static DISPUTE_ID_PATTERN = /^[A-Za-z0-9_.:-]+$/;
+  static DISPUTE_ID_MAX_LENGTH = 255;
+  static MAX_DISPUTE_EVIDENCE_BLOB_LENGTH = 16384;
+  static OWNER_ALLOCATION_RULES = Object.freeze(["exact", "platform_fee", "percentage"]);
+  static DEFAULT_OWNER_ALLOCATION_RULE = "platform_fee";
+  static ALLOCATION_PERCENTAGE_DECIMALS = 4;
+  static DEFAULT_AUDIT_ACTOR = "system";
+  static AUDIT_FIELD_MAX_LENGTH = 255;
+  static AUDIT_DIFF_IGNORED_FIELDS = Object.freeze(["updated_at", "version"]);
+  static TRANSACTION_EVENT_TYPES = Object.freeze([
+    "created",
+    "updated",
+    "deleted",
+    "restored",
+    "purged",
+  ]);
 
-  /** CREATE transaction */
-  static async createTransaction(txn) {
-    try {
-      const cleaned = this._createTransactionSanitizeInput(txn);
-
-      const sanitizedMeta = this._createTransactionSanitizeMeta(cleaned.meta);
-      const safeMeta =
-        sanitizedMeta === null
-          ? null
-          : this._createTransactionEnsureSerializableWithLimit(
-              sanitizedMeta,
-              "meta",
-              this.MAX_META_BLOB_LENGTH,
-            );
-
-      const sanitizedOwnerAllocations =
-        this._createTransactionSanitizeOwnerAllocations(cleaned.owner_allocations);
-
-      const ownerAllocationsPayload =
-        this._createTransactionEnsureSerializableWithLimit(
-          sanitizedOwnerAllocations,
-          "owner_allocations",
-          this.MAX_OWNER_ALLOCATIONS_BLOB_LENGTH,
-        );
+  /** query() WHERE clause for each soft-delete scope. */
+  static DELETED_SCOPE_CLAUSES = Object.freeze({
+    exclude: "is_deleted = false",
+    include: "is_deleted IN (false, true)",
+    only: "is_deleted = true",
+  });
 
-      const normalizedDirection =
-        this._createTransactionNormalizeDirection(cleaned.direction);
+  static PURGE_DEFAULT_LIMIT = 500;
+  static PURGE_MAX_LIMIT = 5000;
+  // Fields kept in the "purged" event once the row itself is gone
+  static PURGE_TOMBSTONE_FIELDS = Object.freeze([
+    "order_id",
+    "direction",
+    "amount",
+    "currency",
+    "created_at",
+    "deleted_at",
+    "deleted_by",
+  ]);
 
-      const normalizedStatus =
-        this._createTransactionNormalizeStatus(cleaned.status);
+  /** Dispute statuses and the statuses each may move to next. */
+  static DISPUTE_STATUS_TRANSITIONS = Object.freeze({
+    open: Object.freeze(["under_review", "won", "lost", "accepted"]),
+    under_review: Object.freeze(["won", "lost"]),
+    won: Object.freeze([]),
+    lost: Object.freeze([]),
+    accepted: Object.freeze([]),
+  });
 
-      const ownersPayload = this._createTransactionEnsureSerializableWithLimit(
-        cleaned.owners,
-        "owners",
-      );
-      const productsPayload = this._createTransactionEnsureSerializableWithLimit(
-        cleaned.products,
-        "products",
-        this.MAX_PRODUCTS_BLOB_LENGTH,
-      );
+  static DISPUTE_OUTCOMES = Object.freeze(["won", "lost", "accepted"]);
 
-      const data = {
-        order_id: cleaned.order_id,
-        amount: cleaned.amount,
-        order_type: cleaned.order_type,
-        customer_uid: cleaned.customer_uid,
-        status: normalizedStatus,
-        direction: normalizedDirection,
-        payment_method: cleaned.payment_method,
-        currency: cleaned.currency,
-        platform: cleaned.platform,
-        ip_address: cleaned.ip_address,
-        parent_transaction_id: cleaned.parent_transaction_id,
-        meta: safeMeta ? JSON.stringify(safeMeta) : null,
-        user_agent: cleaned.user_agent,
-        refund_amount: cleaned.refund_amount,
-        refund_reason: cleaned.refund_reason,
-        dispute_id: cleaned.dispute_id,
-        write_status: cleaned.write_status,
-        owners: ownersPayload ? JSON.stringify(ownersPayload) : null,
-        owner_allocations: ownerAllocationsPayload ? JSON.stringify(ownerAllocationsPayload) : null,
-        products: productsPayload ? JSON.stringify(productsPayload) : null,
-        is_deleted: false,
-      };
+  /**
+   * CREATE transaction
+   *
+   * When an idempotency key is supplied (options.idempotencyKey or
+   * txn.idempotency_key) a replay with the same payload returns the original
+   * row flagged with idempotency_replayed=true, and a replay with a different
+   * payload throws an error with code IDEMPOTENCY_CONFLICT.
+   *
+   * The insert and its "created" transaction_events row share one DB
+   * transaction; options.actor / options.requestId are recorded on the event.
+   *
+   * owner_allocations are reconciled with the amount under
+   * options.allocationRule (or txn.allocation_rule): "exact", "platform_fee"
+   * (default) or "percentage"; the unallocated remainder is stored as
+   * platform_fee_amount.
+   *
+   * refund_amount and the RESERVED_UPDATE_STATUSES are rejected, as on
+   * update: refunds and disputes go through refundTransaction() and the
+   * dispute methods.
+   */
+  static async createTransaction(txn, options = {}) {
+    try {
+      const audit = this._normalizeAuditContext(options);
+      const {
+        cleaned,
+        data,
+        safeMeta,
+        ownersPayload,
+        ownerAllocationsPayload,
+        idempotencyKey,
+        payloadFingerprint,
+      } = this._createTransactionPrepare(txn, options);
 
       Logger.debugLog("[TransactionRegistry] createTransaction insert attempt", {
         order_id: cleaned.order_id,
         customer_uid: cleaned.customer_uid,
-        direction: normalizedDirection,
+        direction: data.direction,
         owner_allocations: Array.isArray(ownerAllocationsPayload)
           ? ownerAllocationsPayload.length
           : null,
@@ -116,10 +281,47 @@ class TransactionRegistry {
       });
 
       const db = this._getDbInstance();
-      const result = await db.insert("default", "transactions", data);
+      if (idempotencyKey) {
+        const replayed = await this._createTransactionFindReplay(
+          db,
+          idempotencyKey,
+          payloadFingerprint,
+        );
+        if (replayed) return replayed;
+      }
 
-      if (!result || !result.transaction_id) {
-        throw new Error("Transaction insert failed to return an ID");
+      let result;
+      try {
+        result = await db.transaction("default", async ({ query }) => {
+          const insertSql = this._composeInsertSql("transactions", data);
+          const insertRes = await query(insertSql.text, insertSql.values);
+          const inserted = insertRes?.rows?.[0] || null;
+          if (!inserted || !inserted.transaction_id) {
+            throw new StorageError("Transaction insert failed to return an ID");
+          }
+          await this._appendTransactionEvent(query, {
+            transactionId: inserted.transaction_id,
+            eventType: "created",
+            after: inserted,
+            audit,
+          });
+          return inserted;
+        });
+      } catch (insertErr) {
+        // A concurrent request with the same key won the insert race
+        if (
+          !idempotencyKey ||
+          String(insertErr?.code || "") !== this.UNIQUE_VIOLATION_CODE
+        ) {
+          throw insertErr;
+        }
+        const replayed = await this._createTransactionFindReplay(
+          db,
+          idempotencyKey,
+          payloadFingerprint,
+        );
+        if (!replayed) throw insertErr;
+        return replayed;
       }
 
       Logger.debugLog("[TransactionRegistry] createTransaction() success", {
@@ -141,6 +343,8 @@ class TransactionRegistry {
             customer_uid: cleaned.customer_uid,
             owners: ownersPayload,
             owner_allocations: ownerAllocationsPayload,
+            actor: audit.actor,
+            request_id: audit.request_id,
           },
         });
       } catch (writeErr) {
@@ -165,6 +369,8 @@ class TransactionRegistry {
               transaction_id: result?.transaction_id,
               customer_uid: safeCustomerUid,
               order_id: cleaned.order_id,
+              actor: audit.actor,
+              request_id: audit.request_id,
             },
           });
         } catch (writeErr) {
@@ -193,6 +399,8 @@ class TransactionRegistry {
                 transaction_id: result?.transaction_id,
                 owner_uuid: ownerUuid,
                 amount_cents: amountCents,
+                actor: audit.actor,
+                request_id: audit.request_id,
               },
             });
           } catch (writeErr) {
@@ -207,6 +415,9 @@ class TransactionRegistry {
           }
         }
       }
+      if (idempotencyKey) {
+        result.idempotency_replayed = false;
+      }
       return result;
     } catch (err) {
       Logger.debugLog("[TransactionRegistry] createTransaction raw error", {
@@ -267,273 +478,51 @@ class TransactionRegistry {
         order_id: safeOrderId,
         error: errorString,
       });
-      throw err;
+      throw this._storageError(err, { order_id: safeOrderId });
     }
   }
 
-  /** UPDATE transaction by transaction_id */
-  static async updateTransaction(transaction_id, fields) {
+  /**
+   * UPDATE transaction by transaction_id. The before/after diff is appended to
+   * transaction_events inside the same DB transaction as the UPDATE.
+   *
+   * options.expectedVersion is the `version` the caller read; when the row has
+   * been written since, the update is rejected with a VersionConflictError.
+   * refund_amount and the RESERVED_UPDATE_STATUSES are rejected: refunds and
+   * disputes go through refundTransaction() and the dispute methods.
+   */
+  static async updateTransaction(transaction_id, fields, options = {}) {
     let sanitizedTransactionId = null;
     let existingTransaction = null;
     let customerUidForLog = null;
     try {
       ({
         transaction_id: sanitizedTransactionId,
-      } = SafeUtils.sanitizeValidate({
+      } = this._sanitizeValidate("updateTransaction", {
         transaction_id: { value: String(transaction_id), type: "string", required: true },
       }));
 
-      if (!SafeUtils.isPlainObject(fields)) {
-        throw new Error("Fields must be an object");
-      }
-
-      const allowedSchema = {
-        status: { type: "string", required: false },
-        refund_amount: { type: "float", required: false },
-        refund_reason: { type: "string", required: false },
-        dispute_id: { type: "string", required: false },
-        meta: { type: "object", required: false },
-        write_status: { type: "string", required: false },
-        products: { type: "array", required: false },
-      };
-
-      const rawAllowed = {};
-      for (const key of Object.keys(allowedSchema)) {
-        if (!Object.prototype.hasOwnProperty.call(fields, key)) continue;
-        const rawValue = fields[key];
-        if (
-          SafeUtils.isPlainObject(rawValue) &&
-          rawValue.unset === true
-        ) {
-          rawAllowed[key] = null;
-          continue;
-        }
-        rawAllowed[key] = rawValue;
-      }
-
-      if (Object.keys(rawAllowed).length === 0)
-        throw new Error("No updatable fields");
-
-      const sanitizeRules = {};
-      for (const [key, value] of Object.entries(rawAllowed)) {
-        sanitizeRules[key] = {
-          value,
-          type: allowedSchema[key].type,
-          required: false,
-        };
-      }
-      const sanitizedFields = SafeUtils.sanitizeValidate(sanitizeRules);
-
-      const ensureSerializableWithLimit = (value, label, maxLength = null) => {
-        if (value === undefined) return undefined;
-        try {
-          const serialized = JSON.stringify(value);
-          if (maxLength !== null && serialized.length > maxLength) {
-            throw new TypeError(
-              `${label} exceeds maximum length of ${maxLength} characters`,
-            );
-          }
-          return value;
-        } catch (err) {
-          Logger.debugLog(
-            "[TransactionRegistry] ensureSerializableWithLimit stringify failed",
-            {
-              label,
-              error: String(err),
-            },
-          );
-          throw new TypeError(`${label} must be serializable`);
-        }
-      };
-
-      const sanitizeMetaValue = (rawValue, path) => {
-        if (rawValue === undefined) return undefined;
-        if (
-          typeof rawValue === "string" ||
-          typeof rawValue === "number" ||
-          typeof rawValue === "boolean"
-        ) {
-          return rawValue;
-        }
-
-        if (Array.isArray(rawValue)) {
-          return rawValue
-            .map((entry, index) =>
-              sanitizeMetaValue(entry, `${path}[${index}]`)
-            )
-            .filter((entry) => entry !== undefined);
-        }
-
-        if (SafeUtils.isPlainObject(rawValue)) {
-          const nested = SafeUtils.sanitizeObject(rawValue);
-          if (!nested) return null;
-          return sanitizeMetaEntries(nested, path);
-        }
-
-        if (rawValue === null) return null;
-        const sanitizedString = SafeUtils.sanitizeTextField(String(rawValue));
-        return sanitizedString === null ? null : sanitizedString;
-      };
-
-      const sanitizeMetaEntries = (metaObject, path = "meta") => {
-        const result = {};
-        for (const [rawKey, rawValue] of Object.entries(metaObject)) {
-          const key = SafeUtils.sanitizeTextField(rawKey);
-          if (!SafeUtils.hasValue(key)) continue;
-          if (!this.META_KEY_PATTERN.test(key)) {
-            throw new TypeError(
-              `${path}.${key} must match pattern ${this.META_KEY_PATTERN}`,
-            );
-          }
-          const sanitizedValue = sanitizeMetaValue(
-            rawValue,
-            `${path}.${key}`,
-          );
-          if (sanitizedValue === undefined) continue;
-          result[key] = sanitizedValue;
-        }
-        return Object.keys(result).length ? result : null;
-      };
-
-      const sanitizeMetaPayload = (metaInput) => {
-        if (!SafeUtils.hasValue(metaInput)) return null;
-        const sanitizedObject = SafeUtils.sanitizeObject(metaInput);
-        if (!sanitizedObject) return null;
-        return sanitizeMetaEntries(sanitizedObject, "meta");
-      };
-
-      const droppedKeys = Object.keys(rawAllowed).filter(
-        (key) => !(key in sanitizedFields)
+      const audit = this._normalizeAuditContext(options);
+      const expectedVersion = this._normalizeExpectedVersion(
+        options?.expectedVersion,
+        "updateTransaction",
+      );
+      const { updates, updateKeys } = this._updateTransactionPrepare(
+        sanitizedTransactionId,
+        fields,
       );
-      if (droppedKeys.length > 0) {
-        Logger.debugLog("[TransactionRegistry] updateTransaction() sanitized drop", {
-          transaction_id: sanitizedTransactionId,
-          dropped_fields: droppedKeys,
-        });
-        throw new Error(
-          `updateTransaction(): fields rejected by sanitization: ${droppedKeys.join(
-            ", ",
-          )}`,
-        );
-      }
-
-      const updates = {};
-      for (const [key, value] of Object.entries(sanitizedFields)) {
-        if (value === null) {
-          updates[key] = null;
-          continue;
-        }
-
-        if (key === "meta") {
-          const sanitizedMeta = sanitizeMetaPayload(value);
-          updates[key] =
-            sanitizedMeta === null
-              ? null
-              : ensureSerializableWithLimit(
-                  sanitizedMeta,
-                  "meta",
-                  this.MAX_META_BLOB_LENGTH,
-                );
-          continue;
-        }
-
-        if (key === "products") {
-          updates[key] = ensureSerializableWithLimit(
-            value,
-            key,
-            this.MAX_PRODUCTS_BLOB_LENGTH,
-          );
-          continue;
-        }
-
-        updates[key] = value;
-      }
-
-      const updatesPreview = (() => {
-        try {
-          const serialized = JSON.stringify(updates);
-          return (
-              SafeUtils.sanitizeTextField(
-                serialized.slice(0, this.FIELDS_PREVIEW_MAX_LENGTH),
-              ) || "{}"
-          );
-        } catch (err) {
-          Logger.debugLog("[TransactionRegistry] updateTransaction preview failed", {
-            transaction_id: sanitizedTransactionId,
-            error: String(err),
-          });
-          return "{}";
-        }
-      })();
-
-      const updateKeys = Object.keys(updates);
-      if (updateKeys.length === 0) throw new Error("No updatable fields");
-
-      Logger.debugLog("[TransactionRegistry] updateTransaction attempt", {
-        transaction_id: sanitizedTransactionId,
-        field_keys: updateKeys,
-        updates_preview: updatesPreview,
-      });
-
-      for (const col of updateKeys) {
-        if (!/^[a-z_][a-z0-9_]*$/.test(col)) {
-          throw new Error(`updateTransaction(): invalid update column "${col}"`);
-        }
-      }
 
       const db = this._getDbInstance();
       const { existing, updated, customerUid } = await db.transaction(
         "default",
-        async ({ query }) => {
-          const existingRes = await query(
-            `SELECT * FROM transactions WHERE transaction_id=$1 AND is_deleted=false FOR UPDATE`,
-            [sanitizedTransactionId],
-          );
-          const existingRow =
-            existingRes && Array.isArray(existingRes.rows)
-              ? existingRes.rows[0] || null
-              : null;
-
-          Logger.debugLog("[TransactionRegistry] updateTransaction fetched existing", {
-            transaction_id: sanitizedTransactionId,
-            found: Boolean(existingRow),
-            customer_uid: SafeUtils.sanitizeTextField(existingRow?.customer_uid),
-          });
-
-          if (!existingRow) {
-            throw new Error("Transaction not found or has been soft-deleted");
-          }
-
-          const setClause = updateKeys
-            .map((key, index) => `"${key}"=$${index + 2}`)
-            .join(", ");
-          const values = updateKeys.map((key) => {
-            const value = updates[key];
-            // Stringify JSONB columns
-            if ((key === 'meta' || key === 'products') && value !== null && typeof value === 'object') {
-              return JSON.stringify(value);
-            }
-            return value;
-          });
-
-          const updateRes = await query(
-            `UPDATE transactions SET ${setClause} WHERE transaction_id=$1 AND is_deleted=false RETURNING *`,
-            [sanitizedTransactionId, ...values],
-          );
-          const updatedRow =
-            updateRes && Array.isArray(updateRes.rows)
-              ? updateRes.rows[0] || null
-              : null;
-          if (!updatedRow) {
-            throw new Error("Transaction update failed to return a row");
-          }
-
-          return {
-            existing: existingRow,
-            updated: updatedRow,
-            customerUid: SafeUtils.sanitizeTextField(existingRow.customer_uid) || null,
-          };
-        },
+        ({ query }) =>
+          this._updateTransactionApply(
+            query,
+            sanitizedTransactionId,
+            updates,
+            audit,
+            expectedVersion,
+          ),
       );
 
       existingTransaction = existing;
@@ -579,6 +568,8 @@ class TransactionRegistry {
               transaction_id: sanitizedTransactionId,
               customer_uid: customerUidForLog,
               updates: updateKeys,
+              actor: audit.actor,
+              request_id: audit.request_id,
             },
           });
         } catch (writeErr) {
@@ -606,6 +597,8 @@ class TransactionRegistry {
               owner_uuid: ownerUuid,
               amount_cents: amountCents,
               updates: updateKeys,
+              actor: audit.actor,
+              request_id: audit.request_id,
             },
           });
         } catch (writeErr) {
@@ -636,6 +629,8 @@ class TransactionRegistry {
             updates: updateKeys,
             changed_fields: changedFields,
             customer_uid: customerUidForLog,
+            actor: audit.actor,
+            request_id: audit.request_id,
           },
         });
       } catch (writeErr) {
@@ -747,552 +742,1431 @@ class TransactionRegistry {
         transaction_id: safeTransactionRef,
         error: errorString,
       });
-      throw err;
+      throw this._storageError(err, { transaction_id: safeTransactionRef });
     }
   }
 
-  /** DELETE transaction by transaction_id */
-  static async deleteTransaction(transaction_id) {
-    let sanitizedTransactionId = null;
+  /**
+   * CREATE many transactions in one DB transaction.
+   *
+   * Every item is validated with the createTransaction() rules first. In
+   * options.mode "atomic" (default) any invalid item, idempotency conflict or
+   * insert failure rejects the whole batch and nothing is written; the error
+   * carries the per-item `results`. In "best_effort" failing items are
+   * reported and the rest are still inserted: rows go in as one multi-row
+   * INSERT, and only when that fails is each row retried under its own
+   * SAVEPOINT to isolate the bad ones.
+   *
+   * RETURNING order is not guaranteed for a multi-row INSERT, so the batch
+   * first reserves one transaction_id per row from the sequence and inserts
+   * them explicitly; returned rows are paired with their items by that id.
+   *
+   * Items whose idempotency_key is already stored with the same payload are
+   * returned as "replayed" (as in createTransaction()).
+   *
+   * Returns { mode, created, replayed, failed, results: [{ index, status,
+   * transaction?, errors? }] } in item order.
+   */
+  static async createTransactions(txns, options = {}) {
+    let mode = null;
+    const counts = { created: 0, replayed: 0, failed: 0 };
     try {
-      if (!transaction_id) {
-        throw new TypeError('deleteTransaction(): transaction_id is required');
+      mode = this._normalizeBatchMode(options?.mode, "createTransactions");
+      this._assertBatchItems(txns, "createTransactions");
+      const audit = this._normalizeAuditContext(options);
+
+      const results = txns.map((_, index) => ({ index, status: null }));
+      const prepared = [];
+      const seenKeys = new Map();
+      txns.forEach((txn, index) => {
+        const errorMark = ErrorHandler.getAllErrors().length;
+        try {
+          const item = this._createTransactionPrepare(txn, {
+            allocationRule: options?.allocationRule,
+          });
+          const key = item.idempotencyKey;
+          if (key && seenKeys.has(key)) {
+            throw this._fail(
+              ValidationError,
+              `createTransactions(): idempotency_key repeats item ${seenKeys.get(key)}`,
+              {
+                field: "idempotency_key",
+                index,
+                first_index: seenKeys.get(key),
+              },
+              { report: "createTransactions(): idempotency_key repeated in batch" },
+            );
+          }
+          if (key) seenKeys.set(key, index);
+          prepared.push({ index, ...item });
+        } catch (itemErr) {
+          results[index].status = "failed";
+          results[index].errors = this._batchItemErrors(errorMark, itemErr);
+        }
+      });
+      this._assertAtomicBatch(mode, results, "createTransactions");
+
+      Logger.debugLog("[TransactionRegistry] createTransactions attempt", {
+        mode,
+        items: txns.length,
+        valid: prepared.length,
+      });
+
+      const db = this._getDbInstance();
+      const keys = prepared.map((item) => item.idempotencyKey).filter(Boolean);
+      let toInsert = prepared;
+      if (keys.length > 0) {
+        const existingRes = await db.query(
+          "default",
+          `SELECT * FROM transactions
+           WHERE idempotency_key = ANY($1)`,
+          [keys],
+        );
+        const stored = new Map(
+          (existingRes?.rows || []).map((row) => [row.idempotency_key, row]),
+        );
+        toInsert = [];
+        for (const item of prepared) {
+          const existing = item.idempotencyKey ? stored.get(item.idempotencyKey) : null;
+          if (!existing) {
+            toInsert.push(item);
+          } else if (existing.idempotency_fingerprint === item.payloadFingerprint) {
+            results[item.index].status = "replayed";
+            results[item.index].transaction = { ...existing, idempotency_replayed: true };
+          } else {
+            const errorMark = ErrorHandler.getAllErrors().length;
+            ErrorHandler.addError(
+              "createTransactions(): idempotency key reused with a different payload",
+              {
+                field: "idempotency_key",
+                index: item.index,
+                idempotency_key: item.idempotencyKey,
+                transaction_id: existing.transaction_id,
+              },
+            );
+            results[item.index].status = "failed";
+            results[item.index].errors = this._batchItemErrors(errorMark, null);
+          }
+        }
+        this._assertAtomicBatch(mode, results, "createTransactions", "IDEMPOTENCY_CONFLICT");
       }
-      if (typeof transaction_id !== 'string') {
-        ErrorHandler.addError('deleteTransaction(): transaction_id must be a string', {
-          field: 'transaction_id',
-          type: typeof transaction_id,
-        });
-        throw new TypeError('deleteTransaction(): transaction_id must be a string');
+
+      if (toInsert.length > 0) {
+        const batchErrorMark = ErrorHandler.getAllErrors().length;
+        try {
+          await db.transaction("default", async ({ query }) => {
+            const idsRes = await query(
+              `SELECT nextval(pg_get_serial_sequence('transactions', 'transaction_id')) AS transaction_id
+               FROM generate_series(1, $1)`,
+              [toInsert.length],
+            );
+            const ids = (idsRes?.rows || []).map((row) => row.transaction_id);
+            if (ids.length !== toInsert.length || ids.some((id) => !SafeUtils.hasValue(id))) {
+              throw new StorageError("Transaction id reservation returned too few IDs");
+            }
+            toInsert.forEach((item, position) => {
+              item.data = { transaction_id: ids[position], ...item.data };
+            });
+
+            const insertItems = async (items) => {
+              const insertSql = this._composeMultiInsertSql(
+                "transactions",
+                items.map((item) => item.data),
+              );
+              const insertRes = await query(insertSql.text, insertSql.values);
+              const returned = new Map(
+                (insertRes?.rows || []).map((row) => [String(row.transaction_id), row]),
+              );
+              const rows = items.map((item) => returned.get(String(item.data.transaction_id)));
+              if (rows.some((row) => !row)) {
+                throw new StorageError("Transaction insert failed to return an ID");
+              }
+              await this._appendTransactionEvents(
+                query,
+                rows.map((row) => ({
+                  transactionId: row.transaction_id,
+                  eventType: "created",
+                  after: row,
+                  audit,
+                })),
+              );
+              items.forEach((item, position) => {
+                results[item.index].status = "created";
+                results[item.index].transaction = rows[position];
+              });
+            };
+
+            if (mode === "atomic") {
+              await insertItems(toInsert);
+              return;
+            }
+            await query("SAVEPOINT batch_insert");
+            try {
+              await insertItems(toInsert);
+              await query("RELEASE SAVEPOINT batch_insert");
+              return;
+            } catch (bulkErr) {
+              await query("ROLLBACK TO SAVEPOINT batch_insert");
+              Logger.debugLog("[TransactionRegistry] createTransactions bulk insert failed, retrying per item", {
+                error: String(bulkErr?.message || bulkErr),
+                items: toInsert.length,
+              });
+              for (const item of toInsert) {
+                results[item.index].status = null;
+                delete results[item.index].transaction;
+              }
+            }
+            for (const item of toInsert) {
+              const errorMark = ErrorHandler.getAllErrors().length;
+              await query("SAVEPOINT batch_item");
+              try {
+                await insertItems([item]);
+                await query("RELEASE SAVEPOINT batch_item");
+              } catch (itemErr) {
+                await query("ROLLBACK TO SAVEPOINT batch_item");
+                results[item.index].status = "failed";
+                results[item.index].errors = this._batchItemErrors(errorMark, itemErr);
+              }
+            }
+          });
+        } catch (insertErr) {
+          // The whole DB transaction rolled back; which row broke it is unknown
+          for (const item of toInsert) {
+            results[item.index].status = "failed";
+            results[item.index].errors = this._batchItemErrors(batchErrorMark, insertErr);
+            delete results[item.index].transaction;
+          }
+          if (mode === "atomic") this._markBatchRejected(results);
+          insertErr.results = results;
+          throw insertErr;
+        }
       }
-      ({
-        transaction_id: sanitizedTransactionId,
-      } = SafeUtils.sanitizeValidate({
-        transaction_id: { value: String(transaction_id), type: "string", required: true },
-      }));
 
-      Logger.debugLog("[TransactionRegistry] deleteTransaction attempt", {
-        transaction_id: sanitizedTransactionId,
+      for (const result of results) counts[result.status] += 1;
+      await this._safeWriteLog({
+        flag: "transaction",
+        action: "transactionsBatchCreated",
+        message: "Transactions batch created",
+        data: {
+          mode,
+          ...counts,
+          transaction_ids: results
+            .filter((result) => result.status === "created")
+            .map((result) => result.transaction.transaction_id),
+          actor: audit.actor,
+          request_id: audit.request_id,
+        },
+      });
+      Logger.debugLog("[TransactionRegistry] createTransactions() success", {
+        mode,
+        ...counts,
       });
+      return { mode, ...counts, results };
+    } catch (err) {
+      throw await this._recordOperationFailure("createTransactions", err, {
+        message: "Failed to create transactions batch",
+        action: "transactionsBatchCreated",
+        context: { mode, items: Array.isArray(txns) ? txns.length : null },
+      });
+    }
+  }
 
-      const db = this._getDbInstance();
-      const results = await db.update(
-        "default",
-        "transactions",
-        { is_deleted: true },
-        "transaction_id=$1 AND is_deleted=false",
-        [sanitizedTransactionId],
-      );
+  /**
+   * UPDATE many transactions in one DB transaction. Items are
+   * { id, fields, expectedVersion? } (transaction_id is accepted for id) and
+   * are validated and applied with the updateTransaction() rules, in order.
+   *
+   * options.mode "atomic" (default) rejects the whole batch on the first
+   * invalid item or failed update, with per-item `results` on the error;
+   * "best_effort" applies each item under its own SAVEPOINT and reports the
+   * ones that failed.
+   *
+   * Returns { mode, updated, failed, results: [{ index, transaction_id,
+   * status, transaction?, errors? }] } in item order.
+   */
+  static async updateTransactions(items, options = {}) {
+    let mode = null;
+    const counts = { updated: 0, failed: 0 };
+    try {
+      mode = this._normalizeBatchMode(options?.mode, "updateTransactions");
+      this._assertBatchItems(items, "updateTransactions");
+      const audit = this._normalizeAuditContext(options);
 
-      const rowsAffected =
-        Array.isArray(results) ? results.length : 0;
-      Logger.debugLog("[TransactionRegistry] deleteTransaction delete result", {
-        transaction_id: sanitizedTransactionId,
-        rows_affected: rowsAffected,
+      const results = items.map((item, index) => ({
+        index,
+        transaction_id: null,
+        status: null,
+      }));
+      const prepared = [];
+      items.forEach((item, index) => {
+        const errorMark = ErrorHandler.getAllErrors().length;
+        try {
+          const rawId = item?.id ?? item?.transaction_id ?? null;
+          const transactionId = SafeUtils.hasValue(rawId)
+            ? SafeUtils.sanitizeTextField(String(rawId))
+            : null;
+          if (!SafeUtils.hasValue(transactionId)) {
+            throw this._fail(
+              ValidationError,
+              "updateTransactions(): id is required",
+              {
+                field: "id",
+                index,
+              },
+              { report: "updateTransactions(): Missing transaction id" },
+            );
+          }
+          results[index].transaction_id = transactionId;
+          const expectedVersion = this._normalizeExpectedVersion(
+            item?.expectedVersion,
+            "updateTransactions",
+          );
+          const { updates } = this._updateTransactionPrepare(transactionId, item?.fields);
+          prepared.push({ index, transactionId, updates, expectedVersion });
+        } catch (itemErr) {
+          results[index].status = "failed";
+          results[index].errors = this._batchItemErrors(errorMark, itemErr);
+        }
       });
+      this._assertAtomicBatch(mode, results, "updateTransactions");
 
-      Logger.debugLog("[TransactionRegistry] deleteTransaction() success", {
-        transaction_id: sanitizedTransactionId,
+      Logger.debugLog("[TransactionRegistry] updateTransactions attempt", {
+        mode,
+        items: items.length,
+        valid: prepared.length,
       });
 
-      try {
-        await Logger.writeLog({
-          flag: "transaction",
-          action: "deleteTransaction",
-          message: "Transaction deleted",
-          data: {
-            transaction_id: sanitizedTransactionId,
-          },
-        });
-      } catch (writeErr) {
-        Logger.debugLog("[TransactionRegistry] Logger.writeLog failed", {
-          error:
-            SafeUtils.sanitizeTextField(
-              String(writeErr?.message || writeErr || ""),
-            ) || "Unknown error",
-          flag: "transaction",
-          action: "deleteTransaction",
+      if (prepared.length > 0) {
+        const db = this._getDbInstance();
+        await db.transaction("default", async ({ query }) => {
+          for (const item of prepared) {
+            const errorMark = ErrorHandler.getAllErrors().length;
+            if (mode === "best_effort") await query("SAVEPOINT batch_item");
+            try {
+              const { updated } = await this._updateTransactionApply(
+                query,
+                item.transactionId,
+                item.updates,
+                audit,
+                item.expectedVersion,
+              );
+              if (mode === "best_effort") await query("RELEASE SAVEPOINT batch_item");
+              results[item.index].status = "updated";
+              results[item.index].transaction = updated;
+            } catch (itemErr) {
+              results[item.index].status = "failed";
+              results[item.index].errors = this._batchItemErrors(errorMark, itemErr);
+              if (mode === "atomic") {
+                this._markBatchRejected(results);
+                itemErr.results = results;
+                throw itemErr;
+              }
+              await query("ROLLBACK TO SAVEPOINT batch_item");
+            }
+          }
         });
       }
-      return true;
+
+      for (const result of results) counts[result.status] += 1;
+      await this._safeWriteLog({
+        flag: "transaction",
+        action: "transactionsBatchUpdated",
+        message: "Transactions batch updated",
+        data: {
+          mode,
+          ...counts,
+          transaction_ids: results
+            .filter((result) => result.status === "updated")
+            .map((result) => result.transaction_id),
+          actor: audit.actor,
+          request_id: audit.request_id,
+        },
+      });
+      Logger.debugLog("[TransactionRegistry] updateTransactions() success", {
+        mode,
+        ...counts,
+      });
+      return { mode, ...counts, results };
     } catch (err) {
-      Logger.debugLog("[TransactionRegistry] deleteTransaction raw error", {
-        transaction_id: sanitizedTransactionId,
-        error: String(err),
-        stack: String(err?.stack || "").slice(0, this.STACK_MAX_LENGTH),
-        code: SafeUtils.sanitizeTextField(String(err?.code || "")) || null,
+      throw await this._recordOperationFailure("updateTransactions", err, {
+        message: "Failed to update transactions batch",
+        action: "transactionsBatchUpdated",
+        context: { mode, items: Array.isArray(items) ? items.length : null },
       });
-      const safeTransactionRef =
-        SafeUtils.hasValue(sanitizedTransactionId) && sanitizedTransactionId
-          ? sanitizedTransactionId
-          : SafeUtils.sanitizeTextField(transaction_id);
-      const errorString =
-        SafeUtils.sanitizeTextField(
-          String(err?.message || err || ""),
-        ) || "Unknown error";
-      const stackCandidate = SafeUtils.sanitizeTextField(err?.stack || "");
-      const stack = stackCandidate
-        ? stackCandidate.slice(0, this.STACK_MAX_LENGTH)
-        : null;
-      let contextString = "{}";
-      try {
-        contextString = JSON.stringify({ transaction_id: safeTransactionRef });
-      } catch (err) {
-        Logger.debugLog(
-          "[TransactionRegistry] deleteTransaction error context stringify failed",
-          { error: String(err) },
-        );
-        contextString = "{}";
+    }
+  }
+
+  /**
+   * REFUND a purchase by inserting a linked `refund` child transaction.
+   *
+   * Cumulative refunds may never exceed the parent amount. The parent moves to
+   * partially_refunded or refunded, and its refund_amount holds the running
+   * total of its pending and completed refunds; a refund can only be created
+   * in one of those statuses. Without explicit owner_allocations the refund is split across the
+   * parent's owner_allocations in proportion to the refunded share. A refund
+   * later moved to failed or cancelled through updateTransaction() is taken
+   * off the parent again (see _recomputeRefundedParent()).
+   */
+  static async refundTransaction(parent_transaction_id, refund = {}, options = {}) {
+    let sanitizedParentId = null;
+    let cleaned = null;
+    try {
+      ({
+        parent_transaction_id: sanitizedParentId,
+      } = this._sanitizeValidate("refundTransaction", {
+        parent_transaction_id: {
+          value: SafeUtils.hasValue(parent_transaction_id)
+            ? String(parent_transaction_id)
+            : null,
+          type: "string",
+          required: true,
+        },
+      }));
+
+      if (!SafeUtils.isPlainObject(refund)) {
+        throw new ValidationError("refundTransaction(): refund must be an object");
       }
-      const safeContext =
-        SafeUtils.sanitizeTextField(
-          contextString.slice(0, this.CONTEXT_MAX_LENGTH),
-        ) || "{}";
-      ErrorHandler.addError("Failed to delete transaction", {
-        error: errorString,
-        stack,
-        context: safeContext,
-      });
+      const audit = this._normalizeAuditContext(options);
+
       try {
-        await Logger.writeLog({
-          flag: "transaction",
-          action: "deleteTransaction",
-          message: "Critical: Failed to delete transaction",
-          data: { error: errorString, transaction_id: safeTransactionRef },
-          critical: true,
+        cleaned = SafeUtils.sanitizeValidate({
+          amount: { value: refund.amount, type: "int", required: true },
+          reason: { value: refund.reason, type: "string", required: false },
+          status: {
+            value: refund.status,
+            type: "string",
+            required: false,
+            default: "completed",
+          },
+          owner_allocations: {
+            value: refund.owner_allocations,
+            type: "array",
+            required: false,
+          },
+          meta: { value: refund.meta, type: "object", required: false },
         });
-      } catch (writeErr) {
-        Logger.debugLog("[TransactionRegistry] Logger.writeLog failed", {
-          error:
-            SafeUtils.sanitizeTextField(
-              String(writeErr?.message || writeErr || ""),
-            ) || "Unknown error",
-          flag: "transaction",
-          action: "deleteTransaction",
+      } catch (err) {
+        ErrorHandler.addError("refundTransaction(): Validation failed", {
+          error: String(err?.message || err || ""),
         });
+        throw new ValidationError(String(err?.message || err || ""), { cause: err });
       }
-      Logger.debugLog("[TransactionRegistry] deleteTransaction() failed", {
-        transaction_id: safeTransactionRef,
-        error: errorString,
+
+      const refundCents = this._parseMinorUnits(cleaned.amount);
+      if (refundCents === null || refundCents <= 0) {
+        throw this._fail(
+          ValidationError,
+          "refundTransaction(): amount must be greater than 0",
+          {
+            field: "amount",
+            value: cleaned.amount,
+          },
+          { report: "refundTransaction(): amount must be positive" },
+        );
+      }
+
+      const refundStatus = this._createTransactionNormalizeStatus(
+        cleaned.status,
+        "refund",
+      );
+      // A refund created failed or cancelled would move the parent without
+      // counting towards its refunded total
+      if (!this.REFUND_COUNTED_STATUSES.includes(refundStatus)) {
+        throw this._fail(
+          ValidationError,
+          `refundTransaction(): status must be one of ${this.REFUND_COUNTED_STATUSES.join(", ")}`,
+          {
+            field: "status",
+            value: refundStatus,
+            allowed: this.REFUND_COUNTED_STATUSES,
+          },
+          { report: "refundTransaction(): Invalid refund status" },
+        );
+      }
+      const explicitAllocations = SafeUtils.hasValue(refund.owner_allocations)
+        ? this._createTransactionSanitizeOwnerAllocations(cleaned.owner_allocations)
+        : null;
+      const sanitizedMeta = this._createTransactionSanitizeMeta(cleaned.meta);
+      const safeMeta =
+        sanitizedMeta === null
+          ? null
+          : this._createTransactionEnsureSerializableWithLimit(
+              sanitizedMeta,
+              "meta",
+              this.MAX_META_BLOB_LENGTH,
+            );
+
+      Logger.debugLog("[TransactionRegistry] refundTransaction attempt", {
+        parent_transaction_id: sanitizedParentId,
+        amount: cleaned.amount,
+        explicit_allocations: explicitAllocations
+          ? explicitAllocations.length
+          : null,
+      });
+
+      const db = this._getDbInstance();
+      const { refundRow, parentRow } = await db.transaction(
+        "default",
+        async ({ query }) => {
+          const parentRes = await query(
+            `SELECT * FROM transactions WHERE transaction_id=$1 AND is_deleted=false FOR UPDATE`,
+            [sanitizedParentId],
+          );
+          const parent =
+            parentRes && Array.isArray(parentRes.rows)
+              ? parentRes.rows[0] || null
+              : null;
+          if (!parent) {
+            throw new NotFoundError("Parent transaction not found or has been soft-deleted", {
+              field: "parent_transaction_id",
+            });
+          }
+          if (String(parent.direction || "").toLowerCase() !== "purchase") {
+            throw this._fail(
+              ValidationError,
+              "refundTransaction(): only purchase transactions can be refunded",
+              {
+                field: "parent_transaction_id",
+                transaction_id: sanitizedParentId,
+                direction: parent.direction,
+              },
+              { report: "refundTransaction(): parent is not a purchase" },
+            );
+          }
+
+          // A won dispute restores the pre-dispute status, so refunds wait for it
+          if (String(parent.status || "").toLowerCase() === "disputed") {
+            throw this._fail(
+              ConflictError,
+              "refundTransaction(): transaction has an open dispute",
+              {
+                field: "parent_transaction_id",
+                transaction_id: sanitizedParentId,
+                dispute_id: parent.dispute_id,
+              },
+              {
+                report: "refundTransaction(): parent is disputed",
+                code: "DISPUTE_OPEN",
+              },
+            );
+          }
+
+          // A partial chargeback already took its share of the parent amount
+          const parentCents = this._parseMinorUnits(parent.amount);
+          const alreadyRefundedCents = await this._sumRefundedCents(
+            query,
+            sanitizedParentId,
+          );
+          const chargedBackCents = await this._sumChargedBackCents(query, sanitizedParentId);
+          const cumulativeCents = alreadyRefundedCents + refundCents;
+          if (parentCents === null || cumulativeCents + chargedBackCents > parentCents) {
+            throw this._fail(
+              ConflictError,
+              "refundTransaction(): cumulative refunds would exceed the parent amount",
+              {
+                field: "amount",
+                transaction_id: sanitizedParentId,
+                parent_amount: parent.amount,
+                already_refunded: alreadyRefundedCents,
+                charged_back: chargedBackCents,
+                requested: cleaned.amount,
+              },
+              {
+                report: "refundTransaction(): refund exceeds parent amount",
+                code: "REFUND_EXCEEDS_AMOUNT",
+              },
+            );
+          }
+
+          const nextParentStatus =
+            cumulativeCents + chargedBackCents === parentCents ? "refunded" : "partially_refunded";
+          this._assertStatusTransition(
+            parent.direction,
+            parent.status,
+            nextParentStatus,
+            sanitizedParentId,
+          );
+
+          const parentAllocations = this._parseJsonArray(parent.owner_allocations);
+          const allocations = explicitAllocations
+            ? this._refundValidateExplicitAllocations(
+                explicitAllocations,
+                parentAllocations,
+                refundCents,
+              )
+            : this._splitAllocationsProportionally(
+                parentAllocations,
+                refundCents,
+                parentCents,
+              );
+
+          const childData = {
+            order_id: parent.order_id,
+            amount: refundCents,
+            order_type: parent.order_type,
+            customer_uid: parent.customer_uid,
+            status: refundStatus,
+            direction: "refund",
+            payment_method: parent.payment_method,
+            currency: parent.currency,
+            platform: parent.platform,
+            parent_transaction_id: sanitizedParentId,
+            meta: safeMeta ? JSON.stringify(safeMeta) : null,
+            refund_amount: refundCents,
+            refund_reason: cleaned.reason,
+            write_status: "confirmed",
+            owners: JSON.stringify(this._parseJsonArray(parent.owners)),
+            owner_allocations: JSON.stringify(allocations),
+            products: null,
+            is_deleted: false,
+          };
+          const insertSql = this._composeInsertSql("transactions", childData);
+          const insertRes = await query(insertSql.text, insertSql.values);
+          const inserted =
+            insertRes && Array.isArray(insertRes.rows)
+              ? insertRes.rows[0] || null
+              : null;
+          if (!inserted || !inserted.transaction_id) {
+            throw new StorageError("Refund insert failed to return an ID");
+          }
+
+          const parentUpdateRes = await query(
+            `UPDATE transactions SET "status"=$2, "refund_amount"=$3, "refund_reason"=$4 WHERE transaction_id=$1 AND is_deleted=false RETURNING *`,
+            [
+              sanitizedParentId,
+              nextParentStatus,
+              cumulativeCents,
+              cleaned.reason ?? parent.refund_reason ?? null,
+            ],
+          );
+          const updatedParent =
+            parentUpdateRes && Array.isArray(parentUpdateRes.rows)
+              ? parentUpdateRes.rows[0] || null
+              : null;
+          if (!updatedParent) {
+            throw new StorageError("Parent transaction update failed to return a row");
+          }
+
+          await this._appendTransactionEvent(query, {
+            transactionId: inserted.transaction_id,
+            eventType: "created",
+            after: inserted,
+            audit,
+          });
+          await this._appendTransactionEvent(query, {
+            transactionId: sanitizedParentId,
+            eventType: "updated",
+            before: parent,
+            after: updatedParent,
+            audit,
+          });
+
+          return { refundRow: inserted, parentRow: updatedParent };
+        },
+      );
+
+      Logger.debugLog("[TransactionRegistry] refundTransaction() success", {
+        parent_transaction_id: sanitizedParentId,
+        refund_transaction_id: refundRow.transaction_id,
+        parent_status: parentRow.status,
+      });
+
+      await this._safeWriteLog({
+        flag: "transaction",
+        action: "transactionRefund",
+        message: "Transaction refunded",
+        data: {
+          transaction_id: refundRow.transaction_id,
+          parent_transaction_id: sanitizedParentId,
+          amount: refundRow.amount,
+          refund_reason: cleaned.reason,
+          parent_status: parentRow.status,
+          owner_allocations: this._parseJsonArray(refundRow.owner_allocations),
+          actor: audit.actor,
+          request_id: audit.request_id,
+        },
+      });
+
+      return {
+        refund: {
+          ...refundRow,
+          owner_allocations: this._parseJsonArray(refundRow.owner_allocations),
+        },
+        parent: {
+          ...parentRow,
+          owner_allocations: this._parseJsonArray(parentRow.owner_allocations),
+        },
+      };
+    } catch (err) {
+      throw await this._recordOperationFailure("refundTransaction", err, {
+        message: "Failed to refund transaction",
+        action: "transactionRefund",
+        context: {
+          parent_transaction_id:
+            sanitizedParentId || SafeUtils.sanitizeTextField(parent_transaction_id),
+          amount: cleaned?.amount ?? null,
+        },
       });
-      throw err;
     }
   }
 
-  /** GET transaction by transaction_id */
-  static async getTransaction(transaction_id) {
+  /**
+   * OPEN a dispute against a purchase. The purchase moves to `disputed`, its
+   * dispute_id column points at the new dispute, and an evidence deadline is
+   * recorded (evidence_due_at, or now + DISPUTE_EVIDENCE_WINDOW_DAYS). The
+   * disputed amount defaults to, and may not exceed, the unrefunded amount;
+   * refundTransaction() rejects the purchase until the dispute is resolved.
+   */
+  static async openDispute(transaction_id, dispute = {}, options = {}) {
     let sanitizedTransactionId = null;
+    let cleaned = null;
     try {
-      if (!transaction_id) {
-        throw new TypeError('getTransaction(): transaction_id is required');
-      }
       ({
         transaction_id: sanitizedTransactionId,
-      } = SafeUtils.sanitizeValidate({
-        transaction_id: { value: String(transaction_id), type: "string", required: true },
+      } = this._sanitizeValidate("openDispute", {
+        transaction_id: {
+          value: SafeUtils.hasValue(transaction_id) ? String(transaction_id) : null,
+          type: "string",
+          required: true,
+        },
       }));
+      if (!SafeUtils.isPlainObject(dispute)) {
+        throw new ValidationError("openDispute(): dispute must be an object");
+      }
+      const audit = this._normalizeAuditContext(options);
 
-      const db = this._getDbInstance();
-      Logger.debugLog("[TransactionRegistry] getTransaction query attempt", {
+      try {
+        cleaned = SafeUtils.sanitizeValidate({
+          dispute_id: { value: dispute.dispute_id, type: "string", required: false },
+          reason: { value: dispute.reason, type: "string", required: true },
+          amount: { value: dispute.amount, type: "int", required: false },
+          evidence_due_at: {
+            value: dispute.evidence_due_at,
+            type: "string",
+            required: false,
+          },
+          meta: { value: dispute.meta, type: "object", required: false },
+        });
+      } catch (err) {
+        const match = String(err?.message || "").match(/Missing required parameter: (\w+)/);
+        ErrorHandler.addError(
+          match
+            ? `openDispute(): Missing required field "${match[1]}"`
+            : "openDispute(): Validation failed",
+          {
+            field: match ? match[1] : null,
+            error: String(err?.message || err || ""),
+          },
+        );
+        throw new ValidationError(String(err?.message || err || ""), {
+          field: match ? match[1] : null,
+          cause: err,
+        });
+      }
+
+      const disputeId = SafeUtils.hasValue(cleaned.dispute_id)
+        ? this._normalizeDisputeId(cleaned.dispute_id)
+        : `dsp_${crypto.randomUUID()}`;
+      const evidenceDueAt = SafeUtils.hasValue(cleaned.evidence_due_at)
+        ? this._normalizeDateTimeValue(cleaned.evidence_due_at, "evidence_due_at")
+        : DateTime.addDays(DateTime.now(), this.DISPUTE_EVIDENCE_WINDOW_DAYS);
+      if (!evidenceDueAt) {
+        throw new ValidationError("openDispute(): could not compute evidence deadline", {
+          field: "evidence_due_at",
+        });
+      }
+      const sanitizedMeta = this._createTransactionSanitizeMeta(cleaned.meta);
+      const safeMeta =
+        sanitizedMeta === null
+          ? null
+          : this._createTransactionEnsureSerializableWithLimit(
+              sanitizedMeta,
+              "meta",
+              this.MAX_META_BLOB_LENGTH,
+            );
+
+      Logger.debugLog("[TransactionRegistry] openDispute attempt", {
         transaction_id: sanitizedTransactionId,
+        dispute_id: disputeId,
+        evidence_due_at: evidenceDueAt,
       });
 
-      // Exclude soft-deleted transactions
-      const result = await db.getRow(
+      const db = this._getDbInstance();
+      const { disputeRow, transactionRow } = await db.transaction(
         "default",
-        `SELECT * FROM transactions 
-       WHERE transaction_id = $1 
-         AND is_deleted = false 
-       LIMIT 1`,
-        [sanitizedTransactionId]
+        async ({ query }) => {
+          const parent = await this._lockTransactionRow(query, sanitizedTransactionId);
+          if (String(parent.direction || "").toLowerCase() !== "purchase") {
+            throw this._fail(
+              ValidationError,
+              "openDispute(): only purchase transactions can be disputed",
+              {
+                field: "transaction_id",
+                transaction_id: sanitizedTransactionId,
+                direction: parent.direction,
+              },
+              { report: "openDispute(): only purchases can be disputed" },
+            );
+          }
+          if (String(parent.status || "").toLowerCase() === "disputed") {
+            throw this._fail(
+              ConflictError,
+              "openDispute(): transaction already has an open dispute",
+              {
+                field: "transaction_id",
+                transaction_id: sanitizedTransactionId,
+                dispute_id: parent.dispute_id,
+              },
+              {
+                report: "openDispute(): transaction already disputed",
+                code: "DISPUTE_ALREADY_OPEN",
+              },
+            );
+          }
+          this._assertStatusTransition(
+            parent.direction,
+            parent.status,
+            "disputed",
+            sanitizedTransactionId,
+          );
+
+          // Only what has not been refunded or charged back yet can be disputed
+          const parentCents = this._parseMinorUnits(parent.amount);
+          const refundedCents = await this._sumRefundedCents(
+            query,
+            sanitizedTransactionId,
+          );
+          const chargedBackCents = await this._sumChargedBackCents(
+            query,
+            sanitizedTransactionId,
+          );
+          const disputableCents = (parentCents ?? 0) - refundedCents - chargedBackCents;
+          const disputedCents = SafeUtils.hasValue(cleaned.amount)
+            ? this._parseMinorUnits(cleaned.amount)
+            : disputableCents;
+          if (
+            disputedCents === null ||
+            disputedCents <= 0 ||
+            disputedCents > disputableCents
+          ) {
+            throw this._fail(
+              ValidationError,
+              "openDispute(): amount must be greater than 0 and at most the unrefunded transaction amount",
+              {
+                field: "amount",
+                value: cleaned.amount,
+                transaction_amount: parent.amount,
+                refunded_amount: refundedCents,
+                charged_back_amount: chargedBackCents,
+              },
+              { report: "openDispute(): invalid dispute amount" },
+            );
+          }
+
+          const insertSql = this._composeInsertSql("transaction_disputes", {
+            dispute_id: disputeId,
+            transaction_id: sanitizedTransactionId,
+            status: "open",
+            reason: cleaned.reason,
+            amount: disputedCents,
+            currency: parent.currency,
+            previous_status: String(parent.status || "").toLowerCase(),
+            evidence: null,
+            evidence_due_at: evidenceDueAt,
+            meta: safeMeta ? JSON.stringify(safeMeta) : null,
+          });
+          const insertRes = await query(insertSql.text, insertSql.values);
+          const inserted = insertRes?.rows?.[0] || null;
+          if (!inserted) throw new StorageError("Dispute insert failed to return a row");
+
+          const updateRes = await query(
+            `UPDATE transactions SET "status"=$2, "dispute_id"=$3 WHERE transaction_id=$1 AND is_deleted=false RETURNING *`,
+            [sanitizedTransactionId, "disputed", disputeId],
+          );
+          const updated = updateRes?.rows?.[0] || null;
+          if (!updated) throw new StorageError("Transaction update failed to return a row");
+
+          await this._appendTransactionEvent(query, {
+            transactionId: sanitizedTransactionId,
+            eventType: "updated",
+            before: parent,
+            after: updated,
+            audit,
+          });
+
+          return { disputeRow: inserted, transactionRow: updated };
+        },
       );
 
-      const hasTransaction = result && SafeUtils.hasValue(result.transaction_id);
-      Logger.debugLog("[TransactionRegistry] getTransaction query result", {
+      Logger.debugLog("[TransactionRegistry] openDispute() success", {
         transaction_id: sanitizedTransactionId,
-        found: Boolean(hasTransaction),
-        result_id: SafeUtils.sanitizeTextField(result?.transaction_id),
+        dispute_id: disputeId,
       });
-      if (hasTransaction) {
-        Logger.debugLog("[TransactionRegistry] getTransaction() success", {
-          transaction_id: sanitizedTransactionId,
-        });
-      } else {
-        Logger.debugLog("[TransactionRegistry] getTransaction() missing", {
+      await this._safeWriteLog({
+        flag: "transaction",
+        action: "disputeOpened",
+        message: "Dispute opened",
+        data: {
           transaction_id: sanitizedTransactionId,
-          status: "not found or soft-deleted",
-        });
-      }
+          dispute_id: disputeId,
+          amount: disputeRow.amount,
+          reason: cleaned.reason,
+          evidence_due_at: disputeRow.evidence_due_at,
+          actor: audit.actor,
+          request_id: audit.request_id,
+        },
+      });
 
-      return result;
+      return { dispute: disputeRow, transaction: transactionRow };
     } catch (err) {
-      Logger.debugLog("[TransactionRegistry] getTransaction raw error", {
-        transaction_id: sanitizedTransactionId,
-        error: String(err),
-        stack: String(err?.stack || "").slice(0, this.STACK_MAX_LENGTH),
-        code: SafeUtils.sanitizeTextField(String(err?.code || "")) || null,
+      throw await this._recordOperationFailure("openDispute", err, {
+        message: "Failed to open dispute",
+        action: "disputeOpened",
+        context: {
+          transaction_id:
+            sanitizedTransactionId || SafeUtils.sanitizeTextField(transaction_id),
+          dispute_id: cleaned?.dispute_id ?? null,
+        },
       });
-      const safeTransactionRef =
-        SafeUtils.hasValue(sanitizedTransactionId) && sanitizedTransactionId
-          ? sanitizedTransactionId
-          : SafeUtils.sanitizeTextField(transaction_id);
-      const errorString =
-        SafeUtils.sanitizeTextField(
-          String(err?.message || err || ""),
-        ) || "Unknown error";
-      const stackCandidate = SafeUtils.sanitizeTextField(err?.stack || "");
-      const stack = stackCandidate
-        ? stackCandidate.slice(0, this.STACK_MAX_LENGTH)
-        : null;
-      let contextString = "{}";
-      try {
-        contextString = JSON.stringify({ transaction_id: safeTransactionRef });
-      } catch (err) {
-        Logger.debugLog(
-          "[TransactionRegistry] getTransaction error context stringify failed",
-          { error: String(err) },
+    }
+  }
+
+  /**
+   * Attach evidence to an open dispute and move it to under_review. Evidence
+   * is merged into what was already submitted and is refused once
+   * evidence_due_at has passed.
+   */
+  static async submitDisputeEvidence(dispute_id, evidence, options = {}) {
+    let sanitizedDisputeId = null;
+    try {
+      sanitizedDisputeId = this._normalizeDisputeId(dispute_id);
+      const audit = this._normalizeAuditContext(options);
+      if (!SafeUtils.isPlainObject(evidence)) {
+        throw this._fail(
+          ValidationError,
+          "submitDisputeEvidence(): evidence must be an object",
+          {
+            field: "evidence",
+            type: typeof evidence,
+          },
         );
-        contextString = "{}";
       }
-      const safeContext =
-        SafeUtils.sanitizeTextField(
-          contextString.slice(0, this.CONTEXT_MAX_LENGTH),
-        ) || "{}";
-      ErrorHandler.addError("Failed to get transaction", {
-        error: errorString,
-        stack,
-        context: safeContext,
-      });
-      try {
-        await Logger.writeLog({
-          flag: "transaction",
-          action: "getTransaction",
-          message: "Failed to get transaction",
-          data: {
-            error: errorString,
-            transaction_id: safeTransactionRef,
-          },
-        });
-      } catch (writeErr) {
-        Logger.debugLog("[TransactionRegistry] Logger.writeLog failed", {
-          error:
-            SafeUtils.sanitizeTextField(
-              String(writeErr?.message || writeErr || ""),
-            ) || "Unknown error",
-          flag: "transaction",
-          action: "getTransaction",
+      const sanitizedEvidence = this._createTransactionSanitizeMeta(evidence);
+      if (!sanitizedEvidence) {
+        throw new ValidationError("submitDisputeEvidence(): evidence must not be empty", {
+          field: "evidence",
         });
       }
-      Logger.debugLog("[TransactionRegistry] getTransaction() failed", {
-        transaction_id: safeTransactionRef,
-        error: errorString,
+
+      const db = this._getDbInstance();
+      const disputeRow = await db.transaction("default", async ({ query }) => {
+        const existing = await this._lockDisputeRow(query, sanitizedDisputeId);
+        this._assertDisputeTransition(existing.status, "under_review", sanitizedDisputeId);
+        if (
+          SafeUtils.hasValue(existing.evidence_due_at) &&
+          DateTime.isPast(this._normalizeDateTimeValue(existing.evidence_due_at))
+        ) {
+          throw this._fail(
+            ConflictError,
+            "submitDisputeEvidence(): the evidence deadline for this dispute has passed",
+            {
+              field: "evidence_due_at",
+              dispute_id: sanitizedDisputeId,
+              evidence_due_at: this._normalizeDateTimeValue(existing.evidence_due_at),
+            },
+            {
+              report: "submitDisputeEvidence(): evidence deadline passed",
+              code: "EVIDENCE_DEADLINE_PASSED",
+            },
+          );
+        }
+
+        const mergedEvidence = this._createTransactionEnsureSerializableWithLimit(
+          {
+            ...(SafeUtils.isPlainObject(existing.evidence) ? existing.evidence : {}),
+            ...sanitizedEvidence,
+          },
+          "evidence",
+          this.MAX_DISPUTE_EVIDENCE_BLOB_LENGTH,
+        );
+        const updateRes = await query(
+          `UPDATE transaction_disputes SET "status"=$2, "evidence"=$3 WHERE dispute_id=$1 RETURNING *`,
+          [sanitizedDisputeId, "under_review", JSON.stringify(mergedEvidence)],
+        );
+        const updated = updateRes?.rows?.[0] || null;
+        if (!updated) throw new StorageError("Dispute update failed to return a row");
+        return updated;
+      });
+
+      await this._safeWriteLog({
+        flag: "transaction",
+        action: "disputeEvidenceSubmitted",
+        message: "Dispute evidence submitted",
+        data: {
+          dispute_id: sanitizedDisputeId,
+          transaction_id: disputeRow.transaction_id,
+          evidence_keys: Object.keys(sanitizedEvidence),
+          actor: audit.actor,
+          request_id: audit.request_id,
+        },
+      });
+      return disputeRow;
+    } catch (err) {
+      throw await this._recordOperationFailure("submitDisputeEvidence", err, {
+        message: "Failed to submit dispute evidence",
+        action: "disputeEvidenceSubmitted",
+        context: {
+          dispute_id: sanitizedDisputeId || SafeUtils.sanitizeTextField(dispute_id),
+        },
       });
-      throw err;
     }
   }
 
-  /** QUERY transactions with a flexible filter set and pagination. */
-  static async query(filters = {}, pagination = {}) {
-    const normalizedFilters = SafeUtils.isPlainObject(filters)
-      ? filters
-      : {};
-    const paginationOptions = this._resolvePaginationOptions(pagination);
-    const safeLimit = paginationOptions.limit;
-    const safeOffset = paginationOptions.offset;
+  /**
+   * RESOLVE a dispute as won, lost or accepted. A won dispute returns the
+   * purchase to the status it had before the dispute; a lost or accepted one
+   * inserts the `chargeback` child transaction and moves the purchase to
+   * charged_back, unless the dispute covered only part of what was left of
+   * it: then the purchase also returns to its pre-dispute status, so the
+   * remainder can still be refunded or disputed.
+   */
+  static async resolveDispute(dispute_id, resolution = {}, options = {}) {
+    let sanitizedDisputeId = null;
+    let outcome = null;
+    try {
+      sanitizedDisputeId = this._normalizeDisputeId(dispute_id);
+      const audit = this._normalizeAuditContext(options);
+      const input = SafeUtils.isPlainObject(resolution)
+        ? resolution
+        : { outcome: resolution };
+      const sanitizedOutcome = SafeUtils.sanitizeTextField(input.outcome);
+      outcome =
+        typeof sanitizedOutcome === "string"
+          ? sanitizedOutcome.trim().toLowerCase()
+          : null;
+      if (!this.DISPUTE_OUTCOMES.includes(outcome)) {
+        throw this._fail(
+          ValidationError,
+          `resolveDispute(): outcome must be one of ${this.DISPUTE_OUTCOMES.join(", ")}`,
+          {
+            field: "outcome",
+            value: outcome,
+            allowed: this.DISPUTE_OUTCOMES,
+          },
+          { report: "resolveDispute(): invalid outcome" },
+        );
+      }
+      const note = SafeUtils.hasValue(input.note)
+        ? SafeUtils.sanitizeTextField(input.note)
+        : null;
 
-    let safeDateStartInput = null;
-    let safeDateEndInput = null;
-    let startWindow = null;
-    let endWindow = null;
+      const db = this._getDbInstance();
+      const { disputeRow, transactionRow, chargebackRow } = await db.transaction(
+        "default",
+        async ({ query }) => {
+          const existing = await this._lockDisputeRow(query, sanitizedDisputeId);
+          this._assertDisputeTransition(existing.status, outcome, sanitizedDisputeId);
+          const parent = await this._lockTransactionRow(query, existing.transaction_id);
 
-    if (SafeUtils.hasValue(normalizedFilters.dateStart)) {
-      safeDateStartInput = SafeUtils.sanitizeTextField(
-        normalizedFilters.dateStart,
+          let chargeback = null;
+          let nextParentStatus = existing.previous_status || "completed";
+          if (outcome !== "won") {
+            const chargebackCents = this._parseMinorUnits(existing.amount);
+            const remainingCents =
+              (this._parseMinorUnits(parent.amount) ?? 0) -
+              (await this._sumRefundedCents(query, parent.transaction_id)) -
+              (await this._sumChargedBackCents(query, parent.transaction_id)) -
+              chargebackCents;
+            if (remainingCents <= 0) nextParentStatus = "charged_back";
+            const insertSql = this._composeInsertSql("transactions", {
+              order_id: parent.order_id,
+              amount: chargebackCents,
+              order_type: parent.order_type,
+              customer_uid: parent.customer_uid,
+              status: "completed",
+              direction: "chargeback",
+              payment_method: parent.payment_method,
+              currency: parent.currency,
+              platform: parent.platform,
+              parent_transaction_id: parent.transaction_id,
+              dispute_id: sanitizedDisputeId,
+              write_status: "confirmed",
+              owners: JSON.stringify(this._parseJsonArray(parent.owners)),
+              owner_allocations: JSON.stringify(
+                this._splitAllocationsProportionally(
+                  this._parseJsonArray(parent.owner_allocations),
+                  chargebackCents,
+                  this._parseMinorUnits(parent.amount),
+                ),
+              ),
+              is_deleted: false,
+            });
+            const insertRes = await query(insertSql.text, insertSql.values);
+            chargeback = insertRes?.rows?.[0] || null;
+            if (!chargeback || !chargeback.transaction_id) {
+              throw new StorageError("Chargeback insert failed to return an ID");
+            }
+          }
+
+          this._assertStatusTransition(
+            parent.direction,
+            parent.status,
+            nextParentStatus,
+            parent.transaction_id,
+          );
+          const parentRes = await query(
+            `UPDATE transactions SET "status"=$2 WHERE transaction_id=$1 AND is_deleted=false RETURNING *`,
+            [parent.transaction_id, nextParentStatus],
+          );
+          const updatedParent = parentRes?.rows?.[0] || null;
+          if (!updatedParent) throw new StorageError("Transaction update failed to return a row");
+
+          if (chargeback) {
+            await this._appendTransactionEvent(query, {
+              transactionId: chargeback.transaction_id,
+              eventType: "created",
+              after: chargeback,
+              audit,
+            });
+          }
+          await this._appendTransactionEvent(query, {
+            transactionId: parent.transaction_id,
+            eventType: "updated",
+            before: parent,
+            after: updatedParent,
+            audit,
+          });
+
+          const disputeRes = await query(
+            `UPDATE transaction_disputes SET "status"=$2, "resolved_at"=$3, "resolution_note"=$4, "chargeback_transaction_id"=$5 WHERE dispute_id=$1 RETURNING *`,
+            [
+              sanitizedDisputeId,
+              outcome,
+              DateTime.now(),
+              note,
+              chargeback ? chargeback.transaction_id : null,
+            ],
+          );
+          const updatedDispute = disputeRes?.rows?.[0] || null;
+          if (!updatedDispute) throw new StorageError("Dispute update failed to return a row");
+
+          return {
+            disputeRow: updatedDispute,
+            transactionRow: updatedParent,
+            chargebackRow: chargeback,
+          };
+        },
       );
-      if (
-        !DateTime.isValidDate(safeDateStartInput, "yyyy-MM-dd")
-      ) {
-        ErrorHandler.addError("query(): Invalid dateStart format", {
-          field: "dateStart",
-          value: safeDateStartInput,
-        });
-        throw new Error("Invalid dateStart");
-      }
-      startWindow = DateTime.getStartOfDay(safeDateStartInput);
-      if (startWindow === false) {
-        ErrorHandler.addError("query(): Invalid dateStart window", {
-          field: "dateStart",
-        });
-        throw new Error("Invalid dateStart window");
-      }
+
+      Logger.debugLog("[TransactionRegistry] resolveDispute() success", {
+        dispute_id: sanitizedDisputeId,
+        outcome,
+        chargeback_transaction_id: chargebackRow?.transaction_id ?? null,
+      });
+      await this._safeWriteLog({
+        flag: "transaction",
+        action: "disputeResolved",
+        message: "Dispute resolved",
+        data: {
+          dispute_id: sanitizedDisputeId,
+          transaction_id: transactionRow.transaction_id,
+          outcome,
+          transaction_status: transactionRow.status,
+          chargeback_transaction_id: chargebackRow?.transaction_id ?? null,
+          actor: audit.actor,
+          request_id: audit.request_id,
+        },
+      });
+
+      return {
+        dispute: disputeRow,
+        transaction: transactionRow,
+        chargeback: chargebackRow
+          ? {
+              ...chargebackRow,
+              owner_allocations: this._parseJsonArray(chargebackRow.owner_allocations),
+            }
+          : null,
+      };
+    } catch (err) {
+      throw await this._recordOperationFailure("resolveDispute", err, {
+        message: "Failed to resolve dispute",
+        action: "disputeResolved",
+        context: {
+          dispute_id: sanitizedDisputeId || SafeUtils.sanitizeTextField(dispute_id),
+          outcome,
+        },
+      });
     }
-    if (SafeUtils.hasValue(normalizedFilters.dateEnd)) {
-      safeDateEndInput = SafeUtils.sanitizeTextField(normalizedFilters.dateEnd);
-      if (!DateTime.isValidDate(safeDateEndInput, "yyyy-MM-dd")) {
-        ErrorHandler.addError("query(): Invalid dateEnd format", {
-          field: "dateEnd",
-          value: safeDateEndInput,
-        });
-        throw new Error("Invalid dateEnd");
-      }
-      endWindow = DateTime.getEndOfDay(safeDateEndInput);
-      if (endWindow === false) {
-        ErrorHandler.addError("query(): Invalid dateEnd window", {
-          field: "dateEnd",
-        });
-        throw new Error("Invalid dateEnd window");
-      }
+  }
+
+  /** GET dispute by dispute_id */
+  static async getDispute(dispute_id) {
+    let sanitizedDisputeId = null;
+    try {
+      sanitizedDisputeId = this._normalizeDisputeId(dispute_id);
+      const db = this._getDbInstance();
+      const row = await db.getRow(
+        "default",
+        `SELECT * FROM transaction_disputes
+       WHERE dispute_id = $1
+       LIMIT 1`,
+        [sanitizedDisputeId],
+      );
+      Logger.debugLog("[TransactionRegistry] getDispute() result", {
+        dispute_id: sanitizedDisputeId,
+        found: Boolean(row),
+      });
+      return row || null;
+    } catch (err) {
+      throw await this._recordOperationFailure("getDispute", err, {
+        message: "Failed to get dispute",
+        action: "getDispute",
+        context: {
+          dispute_id: sanitizedDisputeId || SafeUtils.sanitizeTextField(dispute_id),
+        },
+        critical: false,
+      });
     }
-    if (startWindow && endWindow) {
-      const deltaSeconds = DateTime.diffInSeconds(startWindow, endWindow);
-      if (deltaSeconds === false) {
-        ErrorHandler.addError("query(): Invalid date range", {
-          field: "dateRange",
-        });
-        throw new Error("Invalid date range");
-      }
-      if (deltaSeconds < 0) {
-        ErrorHandler.addError("query(): dateStart must be <= dateEnd", {
-          field: "dateRange",
-          dateStart: safeDateStartInput,
-          dateEnd: safeDateEndInput,
-        });
-        throw new Error("dateStart must be <= dateEnd");
+  }
+
+  /**
+   * QUERY the dispute queue. Filters: status (string or array),
+   * transactionId, dueBefore (yyyy-MM-dd, inclusive) and overdue (unresolved
+   * disputes whose evidence deadline has passed). Rows are ordered by the
+   * nearest evidence deadline first.
+   */
+  static async queryDisputes(filters = {}, pagination = {}) {
+    const normalizedFilters = SafeUtils.isPlainObject(filters) ? filters : {};
+    const { limit: safeLimit, offset: safeOffset } =
+      this._resolvePaginationOptions(pagination);
+    const whereClauses = [];
+    const params = [];
+
+    const statusCandidates = Array.isArray(normalizedFilters.status)
+      ? normalizedFilters.status
+      : SafeUtils.hasValue(normalizedFilters.status)
+        ? String(normalizedFilters.status).split(",")
+        : [];
+    const statuses = Array.from(
+      new Set(
+        statusCandidates
+          .map((status) => SafeUtils.sanitizeTextField(status))
+          .filter(SafeUtils.hasValue)
+          .map((status) => status.trim().toLowerCase()),
+      ),
+    );
+    for (const status of statuses) {
+      if (!Object.prototype.hasOwnProperty.call(this.DISPUTE_STATUS_TRANSITIONS, status)) {
+        throw this._fail(
+          ValidationError,
+          `queryDisputes(): unknown dispute status "${status}"`,
+          {
+            field: "status",
+            value: status,
+            allowed: Object.keys(this.DISPUTE_STATUS_TRANSITIONS),
+          },
+          { report: "queryDisputes(): unknown dispute status" },
+        );
       }
     }
+    if (statuses.length > 0) {
+      const placeholders = statuses.map((status) => {
+        params.push(status);
+        return `$${params.length}`;
+      });
+      whereClauses.push(`status IN (${placeholders.join(", ")})`);
+    }
 
     const transactionIdCandidate =
       normalizedFilters.transactionId ?? normalizedFilters.transaction_id;
-    let sanitizedTransactionId = null;
-      if (SafeUtils.hasValue(transactionIdCandidate)) {
-        const sanitized = SafeUtils.sanitizeTextField(transactionIdCandidate);
-        const normalized =
-          typeof sanitized === "string" ? sanitized.trim() : sanitized;
-        if (!SafeUtils.hasValue(normalized))
-          throw new Error("query(): Missing transactionId");
-        
-        // Detect SQL injection attempts
-        if (normalized.includes(';') || normalized.includes('--') || normalized.includes('DROP')) {
-          ErrorHandler.addError("query(): Invalid transaction_id - potential SQL injection", {
-            field: "transaction_id",
-            value: normalized.substring(0, 50),
-          });
-          throw new Error("query(): Invalid transaction_id format");
-        }
-        
-        sanitizedTransactionId = normalized;
-      }
-
-    const customerCandidate =
-      normalizedFilters.customer_uid ??
-      normalizedFilters.customerUid ??
-      normalizedFilters.customerId;
-    let sanitizedCustomerId = null;
-      if (SafeUtils.hasValue(customerCandidate)) {
-        const sanitized = SafeUtils.sanitizeTextField(customerCandidate);
-        const normalized =
-          typeof sanitized === "string" ? sanitized.trim() : sanitized;
-        if (!SafeUtils.hasValue(normalized))
-          throw new Error("query(): Missing customerId");
-        sanitizedCustomerId = normalized;
-      }
-
-    const orderTypeCandidate =
-      normalizedFilters.order_type ?? normalizedFilters.orderType;
-    const safeOrderType = (() => {
-      if (!SafeUtils.hasValue(orderTypeCandidate)) return null;
-      const sanitized = SafeUtils.sanitizeTextField(orderTypeCandidate);
-      const normalized =
-        typeof sanitized === "string" ? sanitized.trim() : sanitized;
-      return SafeUtils.hasValue(normalized) ? normalized : null;
-    })();
-
-    const normalizedStatus = SafeUtils.hasValue(normalizedFilters.status)
-      ? this._normalizeTransactionStatus(normalizedFilters.status)
-      : null;
-
-    const ownerCandidates = [];
-    const ownerFields = [
-      normalizedFilters.ownerId,
-      normalizedFilters.owner_uuid,
-      normalizedFilters.owner,
-    ];
-    for (const candidate of ownerFields) {
-      if (SafeUtils.hasValue(candidate)) ownerCandidates.push(candidate);
-    }
-    
-    // Validate ownerIds - must be array if provided
-    if (SafeUtils.hasValue(normalizedFilters.ownerIds)) {
-      if (!Array.isArray(normalizedFilters.ownerIds)) {
-        ErrorHandler.addError("query(): ownerIds must be an array", {
-          field: "ownerIds",
-          type: typeof normalizedFilters.ownerIds,
+    if (SafeUtils.hasValue(transactionIdCandidate)) {
+      const sanitized = SafeUtils.sanitizeTextField(String(transactionIdCandidate));
+      if (!SafeUtils.hasValue(sanitized)) {
+        throw new ValidationError("queryDisputes(): invalid transactionId", {
+          field: "transactionId",
         });
-        throw new Error("query(): ownerIds must be an array");
       }
-      // Validate ownerIds array is serializable before using it
-      try {
-        JSON.stringify(normalizedFilters.ownerIds);
-      } catch (err) {
-        ErrorHandler.addError("query(): OwnerIds not serializable", {
-          field: "ownerIds",
-          error: String(err?.message || err || ""),
-        });
-        throw new Error("query(): OwnerIds must be serializable");
+      params.push(sanitized.trim());
+      whereClauses.push(`transaction_id = $${params.length}`);
+    }
+
+    if (SafeUtils.hasValue(normalizedFilters.dueBefore)) {
+      const dueBeforeInput = SafeUtils.sanitizeTextField(normalizedFilters.dueBefore);
+      if (!DateTime.isValidDate(dueBeforeInput, "yyyy-MM-dd")) {
+        throw this._fail(
+          ValidationError,
+          "queryDisputes(): Invalid dueBefore",
+          {
+            field: "dueBefore",
+            value: dueBeforeInput,
+          },
+          { report: "queryDisputes(): Invalid dueBefore format" },
+        );
       }
-      ownerCandidates.push(...normalizedFilters.ownerIds);
+      params.push(DateTime.getEndOfDay(dueBeforeInput));
+      whereClauses.push(`evidence_due_at <= $${params.length}`);
     }
-    if (Array.isArray(normalizedFilters.owner_ids)) {
-      ownerCandidates.push(...normalizedFilters.owner_ids);
+
+    if (SafeUtils.sanitizeBoolean(normalizedFilters.overdue) === true) {
+      params.push(DateTime.now());
+      whereClauses.push(
+        `status IN ('open', 'under_review') AND evidence_due_at < $${params.length}`,
+      );
     }
 
-    const sanitizedOwnerIds = Array.from(
-      new Set(
-        ownerCandidates
-          .map((owner) => SafeUtils.sanitizeTextField(owner))
-          .filter(SafeUtils.hasValue)
-          .map(String),
-      ),
-    );
-    const hasOwners = sanitizedOwnerIds.length > 0;
+    const whereSql = whereClauses.length
+      ? `WHERE ${whereClauses.join("\n          AND ")}`
+      : "";
     const logContext = {
+      statuses,
+      transaction_id: transactionIdCandidate ?? null,
+      due_before: normalizedFilters.dueBefore ?? null,
+      overdue: SafeUtils.sanitizeBoolean(normalizedFilters.overdue) === true,
       limit: safeLimit,
       offset: safeOffset,
-      transactionId: sanitizedTransactionId,
-      customerId: sanitizedCustomerId,
-      ownerIds: hasOwners ? sanitizedOwnerIds : null,
-      orderType: safeOrderType,
-      status: normalizedStatus,
-      dateStart: safeDateStartInput,
-      dateEnd: safeDateEndInput,
     };
 
     try {
-      const whereClauses = ["is_deleted = false"];
-      const params = [];
-      if (sanitizedTransactionId) {
-        params.push(sanitizedTransactionId);
-        whereClauses.push(`transaction_id = $${params.length}`);
-      }
-      if (sanitizedCustomerId) {
-        params.push(sanitizedCustomerId);
-        whereClauses.push(`customer_uid = $${params.length}`);
-      }
-      if (hasOwners) {
-        let ownersParam = null;
-        try {
-          ownersParam = JSON.stringify(sanitizedOwnerIds);
-        } catch (err) {
-          Logger.debugLog("[TransactionRegistry] query owners filter stringify failed", {
-            error: String(err),
-            owner_count: sanitizedOwnerIds.length,
-          });
-          throw new Error("Invalid ownerIds filter");
-        }
-        params.push(ownersParam);
-        whereClauses.push(`owners @> $${params.length}`);
-      }
-      if (SafeUtils.hasValue(safeOrderType)) {
-        params.push(safeOrderType);
-        whereClauses.push(`order_type = $${params.length}`);
-      }
-      if (normalizedStatus) {
-        params.push(normalizedStatus);
-        whereClauses.push(`status = $${params.length}`);
-      }
-      if (startWindow) {
-        params.push(startWindow);
-        whereClauses.push(`created_at >= $${params.length}`);
-      }
-      if (endWindow) {
-        params.push(endWindow);
-        whereClauses.push(`created_at <= $${params.length}`);
-      }
-
-      const baseParams = [...params];
-      const countSql = this._composeCountSql(whereClauses);
-      const countSqlSnippet = SafeUtils.sanitizeTextField(
-        countSql.replace(/\s+/g, " ").trim().slice(0, 200),
+      const db = this._getDbInstance();
+      const countRow = await db.getRow(
+        "default",
+        `SELECT COUNT(*) as total FROM transaction_disputes ${whereSql}`,
+        params,
       );
-      const sanitizedBaseParams = baseParams
-        .map((param) =>
-          SafeUtils.sanitizeTextField(
-            String(param === null || param === undefined ? "" : param),
-          ),
-        )
-        .filter(SafeUtils.hasValue)
-        .slice(0, 10);
-      Logger.debugLog("[TransactionRegistry] query count sql", {
-        count_sql: countSqlSnippet,
-        filter_summary: {
-          transaction_id: sanitizedTransactionId,
-          customer_id: sanitizedCustomerId,
-          owner_count: sanitizedOwnerIds.length,
-          order_type: safeOrderType,
-          status: normalizedStatus,
-        },
-        param_count: baseParams.length,
-        params_preview: sanitizedBaseParams,
+      const total = countRow ? parseInt(countRow.total, 10) || 0 : 0;
+      const result = await db.query(
+        "default",
+        `
+        SELECT *
+        FROM transaction_disputes
+        ${whereSql}
+        ORDER BY evidence_due_at ASC NULLS LAST, dispute_id ASC
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2};
+      `,
+        [...params, safeLimit, safeOffset],
+      );
+      const rows = Array.isArray(result?.rows) ? result.rows : [];
+      Logger.debugLog("[TransactionRegistry] queryDisputes() success", {
+        ...logContext,
+        rows: rows.length,
+        total,
       });
-      const db = this._getDbInstance();
-      const countRow = await db.getRow("default", countSql, baseParams);
-      const totalMatches = countRow ? parseInt(countRow.total, 10) || 0 : 0;
-      Logger.debugLog("[TransactionRegistry] query count result", {
-        total_matches: totalMatches,
+      return { rows, total };
+    } catch (err) {
+      throw await this._recordOperationFailure("queryDisputes", err, {
+        message: "Failed to query disputes",
+        action: "queryDisputes",
+        context: logContext,
+        critical: false,
       });
+    }
+  }
 
-      const dataSql = this._composePaginatedSelectSql(
-        whereClauses,
-        baseParams.length,
-      );
-      const paginatedParams = [...baseParams, safeLimit, safeOffset];
-      const sanitizedPaginatedParams = paginatedParams
-        .map((param) =>
-          SafeUtils.sanitizeTextField(
-            String(param === null || param === undefined ? "" : param),
-          ),
-        )
-        .filter(SafeUtils.hasValue)
-        .slice(0, 12);
-      const dataSqlSnippet = SafeUtils.sanitizeTextField(
-        dataSql.replace(/\s+/g, " ").trim().slice(0, 200),
-      );
-      Logger.debugLog("[TransactionRegistry] query data sql", {
-        data_sql: dataSqlSnippet,
-        limit: safeLimit,
-        offset: safeOffset,
-        params_count: paginatedParams.length,
-        params_preview: sanitizedPaginatedParams,
+  /** DELETE (soft) transaction by transaction_id, recording a "deleted" event */
+  static async deleteTransaction(transaction_id, options = {}) {
+    let sanitizedTransactionId = null;
+    try {
+      if (!transaction_id) {
+        throw new ValidationError("deleteTransaction(): transaction_id is required", {
+          field: "transaction_id",
+        });
+      }
+      if (typeof transaction_id !== 'string') {
+        throw this._fail(
+          ValidationError,
+          'deleteTransaction(): transaction_id must be a string',
+          {
+            field: 'transaction_id',
+            type: typeof transaction_id,
+          },
+        );
+      }
+      ({
+        transaction_id: sanitizedTransactionId,
+      } = this._sanitizeValidate("deleteTransaction", {
+        transaction_id: { value: String(transaction_id), type: "string", required: true },
+      }));
+      const audit = this._normalizeAuditContext(options);
+
+      Logger.debugLog("[TransactionRegistry] deleteTransaction attempt", {
+        transaction_id: sanitizedTransactionId,
       });
 
-      const result = await db.query("default", dataSql, paginatedParams);
-      const rows = Array.isArray(result?.rows) ? result.rows : [];
-      Logger.debugLog("[TransactionRegistry] query raw result", {
-        rows: rows.length,
-        rowCount: result?.rowCount ?? null,
-        total_matches: totalMatches,
+      const db = this._getDbInstance();
+      const rowsAffected = await db.transaction("default", async ({ query }) => {
+        const existingRes = await query(
+          `SELECT * FROM transactions WHERE transaction_id=$1 AND is_deleted=false FOR UPDATE`,
+          [sanitizedTransactionId],
+        );
+        const existingRow =
+          existingRes && Array.isArray(existingRes.rows)
+            ? existingRes.rows[0] || null
+            : null;
+        // Already deleted or unknown: nothing to record
+        if (!existingRow) return 0;
+
+        const deleteRes = await query(
+          `UPDATE transactions SET "is_deleted"=$2, "deleted_at"=$3, "deleted_by"=$4 WHERE transaction_id=$1 AND is_deleted=false RETURNING *`,
+          [sanitizedTransactionId, true, DateTime.now(), audit.actor],
+        );
+        const deletedRow =
+          deleteRes && Array.isArray(deleteRes.rows)
+            ? deleteRes.rows[0] || null
+            : null;
+        if (!deletedRow) return 0;
+
+        await this._appendTransactionEvent(query, {
+          transactionId: sanitizedTransactionId,
+          eventType: "deleted",
+          before: existingRow,
+          after: deletedRow,
+          audit,
+        });
+        return 1;
       });
-      if (rows.length > 0) {
-        Logger.debugLog("[TransactionRegistry] query() success", {
-          rows: rows.length,
-          total: totalMatches,
-          limit: safeLimit,
-          offset: safeOffset,
+      Logger.debugLog("[TransactionRegistry] deleteTransaction delete result", {
+        transaction_id: sanitizedTransactionId,
+        rows_affected: rowsAffected,
+      });
+
+      Logger.debugLog("[TransactionRegistry] deleteTransaction() success", {
+        transaction_id: sanitizedTransactionId,
+      });
+
+      try {
+        await Logger.writeLog({
+          flag: "transaction",
+          action: "deleteTransaction",
+          message: "Transaction deleted",
+          data: {
+            transaction_id: sanitizedTransactionId,
+            actor: audit.actor,
+            request_id: audit.request_id,
+          },
         });
-      } else {
-        Logger.debugLog("[TransactionRegistry] query transactions returned no rows", {
-          ...logContext,
-          limit: safeLimit,
+      } catch (writeErr) {
+        Logger.debugLog("[TransactionRegistry] Logger.writeLog failed", {
+          error:
+            SafeUtils.sanitizeTextField(
+              String(writeErr?.message || writeErr || ""),
+            ) || "Unknown error",
+          flag: "transaction",
+          action: "deleteTransaction",
         });
       }
-
-      return { rows, total: totalMatches };
+      return true;
     } catch (err) {
-      Logger.debugLog("[TransactionRegistry] query raw error", {
+      Logger.debugLog("[TransactionRegistry] deleteTransaction raw error", {
+        transaction_id: sanitizedTransactionId,
         error: String(err),
         stack: String(err?.stack || "").slice(0, this.STACK_MAX_LENGTH),
         code: SafeUtils.sanitizeTextField(String(err?.code || "")) || null,
       });
+      const safeTransactionRef =
+        SafeUtils.hasValue(sanitizedTransactionId) && sanitizedTransactionId
+          ? sanitizedTransactionId
+          : SafeUtils.sanitizeTextField(transaction_id);
       const errorString =
         SafeUtils.sanitizeTextField(
           String(err?.message || err || ""),
@@ -1303,18 +2177,19 @@ class TransactionRegistry {
         : null;
       let contextString = "{}";
       try {
-        contextString = JSON.stringify(logContext || {});
+        contextString = JSON.stringify({ transaction_id: safeTransactionRef });
       } catch (err) {
-        Logger.debugLog("[TransactionRegistry] query error context stringify failed", {
-          error: String(err),
-        });
+        Logger.debugLog(
+          "[TransactionRegistry] deleteTransaction error context stringify failed",
+          { error: String(err) },
+        );
         contextString = "{}";
       }
       const safeContext =
         SafeUtils.sanitizeTextField(
           contextString.slice(0, this.CONTEXT_MAX_LENGTH),
         ) || "{}";
-      ErrorHandler.addError("Failed to query transactions", {
+      ErrorHandler.addError("Failed to delete transaction", {
         error: errorString,
         stack,
         context: safeContext,
@@ -1322,12 +2197,10 @@ class TransactionRegistry {
       try {
         await Logger.writeLog({
           flag: "transaction",
-          action: "query",
-          message: "Failed to query transactions",
-          data: {
-            error: errorString,
-            ...logContext,
-          },
+          action: "deleteTransaction",
+          message: "Critical: Failed to delete transaction",
+          data: { error: errorString, transaction_id: safeTransactionRef },
+          critical: true,
         });
       } catch (writeErr) {
         Logger.debugLog("[TransactionRegistry] Logger.writeLog failed", {
@@ -1336,439 +2209,4484 @@ class TransactionRegistry {
               String(writeErr?.message || writeErr || ""),
             ) || "Unknown error",
           flag: "transaction",
-          action: "query",
+          action: "deleteTransaction",
         });
       }
-      Logger.debugLog("[TransactionRegistry] query() failed", {
+      Logger.debugLog("[TransactionRegistry] deleteTransaction() failed", {
+        transaction_id: safeTransactionRef,
         error: errorString,
-        ...logContext,
       });
-      return { rows: [], total: 0 };
+      throw this._storageError(err, { transaction_id: safeTransactionRef });
     }
   }
 
-  /** GET ALL count of transactions */
-  static async getAllCount() {
+  /**
+   * RESTORE a soft-deleted transaction, clearing deleted_at / deleted_by and
+   * recording a "restored" event. Returns the restored row, or null when no
+   * deleted transaction has that id.
+   */
+  static async restoreTransaction(transaction_id, options = {}) {
+    let sanitizedTransactionId = null;
     try {
-      const whereClauses = ["is_deleted = false"];
-      const sql = this._composeCountSql(whereClauses);
-      const sqlSnippet = SafeUtils.sanitizeTextField(
-        sql.replace(/\s+/g, " ").trim().slice(0, 200),
-      );
-      Logger.debugLog("[TransactionRegistry] getAllCount query", {
-        sql: sqlSnippet,
-        params: [],
+      ({
+        transaction_id: sanitizedTransactionId,
+      } = this._sanitizeValidate("restoreTransaction", {
+        transaction_id: { value: transaction_id, type: "string", required: true },
+      }));
+      const audit = this._normalizeAuditContext(options);
+      Logger.debugLog("[TransactionRegistry] restoreTransaction attempt", {
+        transaction_id: sanitizedTransactionId,
       });
+
       const db = this._getDbInstance();
-      const result = await db.getRow("default", sql, []);
+      const restored = await db.transaction("default", async ({ query }) => {
+        const existingRes = await query(
+          `SELECT * FROM transactions WHERE transaction_id=$1 AND is_deleted=true FOR UPDATE`,
+          [sanitizedTransactionId],
+        );
+        const existingRow = existingRes?.rows?.[0] || null;
+        if (!existingRow) return null;
 
-      const count = result ? parseInt(result.total) : 0;
-      Logger.debugLog("[TransactionRegistry] getAllCount() success", {
-        count,
-      });
-      return count;
-    } catch (err) {
-      Logger.debugLog("[TransactionRegistry] getAllCount raw error", {
-        error: String(err),
-        stack: String(err?.stack || "").slice(0, this.STACK_MAX_LENGTH),
-        code: SafeUtils.sanitizeTextField(String(err?.code || "")) || null,
+        const restoreRes = await query(
+          `UPDATE transactions SET "is_deleted"=$2, "deleted_at"=$3, "deleted_by"=$4 WHERE transaction_id=$1 AND is_deleted=true RETURNING *`,
+          [sanitizedTransactionId, false, null, null],
+        );
+        const restoredRow = restoreRes?.rows?.[0] || null;
+        if (!restoredRow) return null;
+
+        await this._appendTransactionEvent(query, {
+          transactionId: sanitizedTransactionId,
+          eventType: "restored",
+          before: existingRow,
+          after: restoredRow,
+          audit,
+        });
+        return restoredRow;
       });
-      const errorString =
-        SafeUtils.sanitizeTextField(
-          String(err?.message || err || ""),
-        ) || "Unknown error";
-      const stackCandidate = SafeUtils.sanitizeTextField(err?.stack || "");
-      const stack = stackCandidate
-        ? stackCandidate.slice(0, this.STACK_MAX_LENGTH)
-        : null;
-      let contextString = "{}";
-      try {
-        contextString = JSON.stringify({ operation: "getAllCount" });
-      } catch (err) {
-        Logger.debugLog("[TransactionRegistry] getAllCount error context stringify failed", {
-          error: String(err),
+
+      if (restored) {
+        await this._safeWriteLog({
+          flag: "transaction",
+          action: "restoreTransaction",
+          message: "Transaction restored",
+          data: {
+            transaction_id: sanitizedTransactionId,
+            actor: audit.actor,
+            request_id: audit.request_id,
+          },
         });
-        contextString = "{}";
       }
-      const safeContext =
-        SafeUtils.sanitizeTextField(
-          contextString.slice(0, this.CONTEXT_MAX_LENGTH),
-        ) || "{}";
-      ErrorHandler.addError("Failed to get all transactions count", {
-        error: errorString,
-        stack,
-        context: safeContext,
+      Logger.debugLog("[TransactionRegistry] restoreTransaction() success", {
+        transaction_id: sanitizedTransactionId,
+        restored: Boolean(restored),
       });
-      Logger.debugLog("[TransactionRegistry] getAllCount() failed", {
-        error: errorString,
+      return restored;
+    } catch (err) {
+      throw await this._recordOperationFailure("restoreTransaction", err, {
+        message: "Failed to restore transaction",
+        action: "restoreTransaction",
+        context: {
+          transaction_id:
+            sanitizedTransactionId || SafeUtils.sanitizeTextField(String(transaction_id ?? "")),
+        },
       });
-      return 0;
     }
   }
 
-  /** GET ALL count of transactions by status */
-  static async getAllCountByStatus(status) {
-    let normalizedStatus = null;
+  /**
+   * Place or lift a legal hold. Held transactions, deleted or not, are never
+   * removed by purgeDeletedTransactions(). Recorded as an "updated" event;
+   * returns the row, or null when the transaction does not exist.
+   */
+  static async setLegalHold(transaction_id, hold, options = {}) {
+    let sanitizedTransactionId = null;
     try {
-      normalizedStatus = this._normalizeTransactionStatus(status);
+      ({
+        transaction_id: sanitizedTransactionId,
+      } = this._sanitizeValidate("setLegalHold", {
+        transaction_id: { value: transaction_id, type: "string", required: true },
+      }));
+      const legalHold = SafeUtils.sanitizeBoolean(hold);
+      if (legalHold === null) {
+        throw this._fail(
+          ValidationError,
+          "setLegalHold(): hold must be a boolean",
+          {
+            field: "hold",
+            value: SafeUtils.sanitizeTextField(String(hold)),
+          },
+        );
+      }
+      const audit = this._normalizeAuditContext(options);
 
-      const whereClauses = ["status = $1", "is_deleted = false"];
-      const sql = this._composeCountSql(whereClauses);
-      const params = [normalizedStatus];
-      const sqlSnippet = SafeUtils.sanitizeTextField(
-        sql.replace(/\s+/g, " ").trim().slice(0, 200),
-      );
-      const logContext = { status: normalizedStatus };
-      Logger.debugLog("[TransactionRegistry] getAllCountByStatus query", {
-        sql: sqlSnippet,
-        params: params.map((param) => SafeUtils.sanitizeTextField(String(param))),
-        ...logContext,
-      });
       const db = this._getDbInstance();
-      const result = await db.getRow("default", sql, params);
+      const updated = await db.transaction("default", async ({ query }) => {
+        // Deleted rows are included: holds matter most for rows awaiting purge
+        const existingRes = await query(
+          `SELECT * FROM transactions WHERE transaction_id=$1 AND is_deleted IN (false, true) FOR UPDATE`,
+          [sanitizedTransactionId],
+        );
+        const existingRow = existingRes?.rows?.[0] || null;
+        if (!existingRow) return null;
+        if (Boolean(existingRow.legal_hold) === legalHold) return existingRow;
 
-      const count = result ? parseInt(result.total) : 0;
-      Logger.debugLog("[TransactionRegistry] getAllCountByStatus() success", {
-        status: normalizedStatus,
-        count,
+        const updateRes = await query(
+          `UPDATE transactions SET "legal_hold"=$2 WHERE transaction_id=$1 AND is_deleted IN (false, true) RETURNING *`,
+          [sanitizedTransactionId, legalHold],
+        );
+        const updatedRow = updateRes?.rows?.[0] || null;
+        if (!updatedRow) throw new StorageError("Legal hold update failed to return a row");
+        await this._appendTransactionEvent(query, {
+          transactionId: sanitizedTransactionId,
+          eventType: "updated",
+          before: existingRow,
+          after: updatedRow,
+          audit,
+        });
+        return updatedRow;
       });
-      return count;
+
+      if (updated) {
+        await this._safeWriteLog({
+          flag: "transaction",
+          action: "setLegalHold",
+          message: legalHold ? "Legal hold placed" : "Legal hold lifted",
+          data: {
+            transaction_id: sanitizedTransactionId,
+            legal_hold: legalHold,
+            actor: audit.actor,
+            request_id: audit.request_id,
+          },
+        });
+      }
+      return updated;
     } catch (err) {
-      Logger.debugLog("[TransactionRegistry] getAllCountByStatus raw error", {
-        status: normalizedStatus,
-        error: String(err),
-        stack: String(err?.stack || "").slice(0, this.STACK_MAX_LENGTH),
-        code: SafeUtils.sanitizeTextField(String(err?.code || "")) || null,
+      throw await this._recordOperationFailure("setLegalHold", err, {
+        message: "Failed to set legal hold",
+        action: "setLegalHold",
+        context: {
+          transaction_id:
+            sanitizedTransactionId || SafeUtils.sanitizeTextField(String(transaction_id ?? "")),
+        },
       });
-      const errorString =
-        SafeUtils.sanitizeTextField(
-          String(err?.message || err || ""),
-        ) || "Unknown error";
-      const stackCandidate = SafeUtils.sanitizeTextField(err?.stack || "");
-      const stack = stackCandidate
-        ? stackCandidate.slice(0, this.STACK_MAX_LENGTH)
-        : null;
-      let contextString = "{}";
-      try {
-        contextString = JSON.stringify({
-          status: normalizedStatus || status,
-        });
-      } catch (err) {
-        Logger.debugLog(
-          "[TransactionRegistry] getAllCountByStatus error context stringify failed",
-          { error: String(err) },
+    }
+  }
+
+  /**
+   * PURGE soft-deleted transactions whose deleted_at is before
+   * options.olderThan, at most options.limit (default 500) per call, oldest
+   * deletions first. Rows under legal hold or referenced by a dispute are
+   * kept, and so is a parent while any of its refunds or chargebacks still
+   * exists, deleted or not; it is purged by a later run once they are gone.
+   * Each purged row leaves a "purged" tombstone event in
+   * transaction_events (PURGE_TOMBSTONE_FIELDS only) written in the same DB
+   * transaction as the DELETE, and the run is audited through Logger.writeLog.
+   *
+   * Returns { olderThan, purged, held, transaction_ids }, where held counts
+   * the expired rows kept by a legal hold.
+   */
+  static async purgeDeletedTransactions(options = {}) {
+    let olderThan = null;
+    try {
+      const input = SafeUtils.isPlainObject(options) ? options : {};
+      if (!SafeUtils.hasValue(input.olderThan)) {
+        throw this._fail(
+          ValidationError,
+          "purgeDeletedTransactions(): olderThan is required",
+          {
+            field: "olderThan",
+          },
         );
-        contextString = "{}";
       }
-      const safeContext =
-        SafeUtils.sanitizeTextField(
-          contextString.slice(0, this.CONTEXT_MAX_LENGTH),
-        ) || "{}";
-      ErrorHandler.addError("Failed to get transactions count by status", {
-        error: errorString,
-        stack,
-        context: safeContext,
+      olderThan = this._normalizeDateTimeValue(input.olderThan, "olderThan");
+      let limit = this.PURGE_DEFAULT_LIMIT;
+      if (SafeUtils.hasValue(input.limit)) {
+        limit = SafeUtils.sanitizeInteger(input.limit);
+        if (limit === null || limit < 1 || limit > this.PURGE_MAX_LIMIT) {
+          throw this._fail(
+            ValidationError,
+            `purgeDeletedTransactions(): limit must be an integer between 1 and ${this.PURGE_MAX_LIMIT}`,
+            {
+              field: "limit",
+              value: SafeUtils.sanitizeTextField(String(input.limit)),
+            },
+            { report: "purgeDeletedTransactions(): Invalid limit" },
+          );
+        }
+      }
+      const audit = this._normalizeAuditContext(input);
+      Logger.debugLog("[TransactionRegistry] purgeDeletedTransactions start", {
+        older_than: olderThan,
+        limit,
       });
-      Logger.debugLog("[TransactionRegistry] getAllCountByStatus() failed", {
-        status: normalizedStatus || status,
-        error: errorString,
+
+      const db = this._getDbInstance();
+      const { purgedIds, held } = await db.transaction("default", async ({ query }) => {
+        const candidatesRes = await query(
+          `SELECT * FROM transactions t
+           WHERE t.is_deleted = true
+             AND t.deleted_at < $1
+             AND t.legal_hold = false
+             AND NOT EXISTS (
+               SELECT 1 FROM transaction_disputes d
+               WHERE d.transaction_id = t.transaction_id
+                  OR d.chargeback_transaction_id = t.transaction_id
+             )
+             AND NOT EXISTS (
+               SELECT 1 FROM transactions c
+               WHERE c.parent_transaction_id = t.transaction_id
+             )
+           ORDER BY t.deleted_at ASC, t.transaction_id ASC
+           LIMIT $2
+           FOR UPDATE SKIP LOCKED`,
+          [olderThan, limit],
+        );
+        const candidates = Array.isArray(candidatesRes?.rows) ? candidatesRes.rows : [];
+        const ids = [];
+        if (candidates.length > 0) {
+          const deleteRes = await query(
+            `DELETE FROM transactions
+             WHERE transaction_id = ANY($1) AND is_deleted = true AND legal_hold = false
+             RETURNING transaction_id`,
+            [candidates.map((row) => row.transaction_id)],
+          );
+          const deleted = new Set(
+            (deleteRes?.rows || []).map((row) => String(row.transaction_id)),
+          );
+          for (const row of candidates) {
+            if (!deleted.has(String(row.transaction_id))) continue;
+            const tombstone = Object.fromEntries(
+              this.PURGE_TOMBSTONE_FIELDS.map((field) => [field, row[field] ?? null]),
+            );
+            await this._appendTransactionEvent(query, {
+              transactionId: row.transaction_id,
+              eventType: "purged",
+              before: tombstone,
+              after: null,
+              audit,
+            });
+            ids.push(row.transaction_id);
+          }
+        }
+        const heldRes = await query(
+          `SELECT COUNT(*) AS held FROM transactions
+           WHERE is_deleted = true AND deleted_at < $1 AND legal_hold = true`,
+          [olderThan],
+        );
+        return {
+          purgedIds: ids,
+          held: SafeUtils.sanitizeInteger(heldRes?.rows?.[0]?.held) ?? 0,
+        };
+      });
+
+      await this._safeWriteLog({
+        flag: "transaction",
+        action: "transactionsPurged",
+        message: "Deleted transactions purged",
+        data: {
+          older_than: olderThan,
+          purged: purgedIds.length,
+          held,
+          transaction_ids: purgedIds,
+          actor: audit.actor,
+          request_id: audit.request_id,
+        },
+      });
+      Logger.debugLog("[TransactionRegistry] purgeDeletedTransactions() success", {
+        older_than: olderThan,
+        purged: purgedIds.length,
+        held,
+      });
+      return { olderThan, purged: purgedIds.length, held, transaction_ids: purgedIds };
+    } catch (err) {
+      throw await this._recordOperationFailure("purgeDeletedTransactions", err, {
+        message: "Failed to purge deleted transactions",
+        action: "transactionsPurged",
+        context: { older_than: olderThan },
       });
-      return 0;
     }
   }
 
-  /** Close all database connections (for cleanup) */
-  static async closeConnections() {
-    if (!this._db) return;
+  /**
+   * GET transaction by transaction_id. With options.scope (see query()) a
+   * transaction outside the caller's scope is reported as missing.
+   */
+  static async getTransaction(transaction_id, options = {}) {
+    let sanitizedTransactionId = null;
     try {
-      await this._db.closeAllConnections();
-      Logger.debugLog("[TransactionRegistry] closeConnections() success", {
-        status: "closed",
+      if (!transaction_id) {
+        throw new ValidationError("getTransaction(): transaction_id is required", {
+          field: "transaction_id",
+        });
+      }
+      ({
+        transaction_id: sanitizedTransactionId,
+      } = this._sanitizeValidate("getTransaction", {
+        transaction_id: { value: String(transaction_id), type: "string", required: true },
+      }));
+      const scope = this._normalizeRowScope(options?.scope, "getTransaction");
+
+      const db = this._getDbInstance();
+      Logger.debugLog("[TransactionRegistry] getTransaction query attempt", {
+        transaction_id: sanitizedTransactionId,
+        scope,
+      });
+
+      // Exclude soft-deleted transactions
+      const whereClauses = ["transaction_id = $1", "is_deleted = false"];
+      const params = [sanitizedTransactionId];
+      this._appendRowScopeClause(scope, whereClauses, params);
+      const result = await db.getRow(
+        "default",
+        `SELECT * FROM transactions
+       WHERE ${this._compileWhereConditions(whereClauses)}
+       LIMIT 1`,
+        params,
+      );
+
+      const hasTransaction = result && SafeUtils.hasValue(result.transaction_id);
+      Logger.debugLog("[TransactionRegistry] getTransaction query result", {
+        transaction_id: sanitizedTransactionId,
+        found: Boolean(hasTransaction),
+        result_id: SafeUtils.sanitizeTextField(result?.transaction_id),
       });
+      if (hasTransaction) {
+        Logger.debugLog("[TransactionRegistry] getTransaction() success", {
+          transaction_id: sanitizedTransactionId,
+        });
+      } else {
+        Logger.debugLog("[TransactionRegistry] getTransaction() missing", {
+          transaction_id: sanitizedTransactionId,
+          status: "not found or soft-deleted",
+        });
+      }
+
+      return result;
     } catch (err) {
-      Logger.debugLog("[TransactionRegistry] closeConnections() failed", {
-        error: SafeUtils.sanitizeTextField(String(err?.message)),
+      Logger.debugLog("[TransactionRegistry] getTransaction raw error", {
+        transaction_id: sanitizedTransactionId,
+        error: String(err),
+        stack: String(err?.stack || "").slice(0, this.STACK_MAX_LENGTH),
+        code: SafeUtils.sanitizeTextField(String(err?.code || "")) || null,
       });
-    } finally {
-      this._db = null;
+      const safeTransactionRef =
+        SafeUtils.hasValue(sanitizedTransactionId) && sanitizedTransactionId
+          ? sanitizedTransactionId
+          : SafeUtils.sanitizeTextField(transaction_id);
+      const errorString =
+        SafeUtils.sanitizeTextField(
+          String(err?.message || err || ""),
+        ) || "Unknown error";
+      const stackCandidate = SafeUtils.sanitizeTextField(err?.stack || "");
+      const stack = stackCandidate
+        ? stackCandidate.slice(0, this.STACK_MAX_LENGTH)
+        : null;
+      let contextString = "{}";
+      try {
+        contextString = JSON.stringify({ transaction_id: safeTransactionRef });
+      } catch (err) {
+        Logger.debugLog(
+          "[TransactionRegistry] getTransaction error context stringify failed",
+          { error: String(err) },
+        );
+        contextString = "{}";
+      }
+      const safeContext =
+        SafeUtils.sanitizeTextField(
+          contextString.slice(0, this.CONTEXT_MAX_LENGTH),
+        ) || "{}";
+      ErrorHandler.addError("Failed to get transaction", {
+        error: errorString,
+        stack,
+        context: safeContext,
+      });
+      try {
+        await Logger.writeLog({
+          flag: "transaction",
+          action: "getTransaction",
+          message: "Failed to get transaction",
+          data: {
+            error: errorString,
+            transaction_id: safeTransactionRef,
+          },
+        });
+      } catch (writeErr) {
+        Logger.debugLog("[TransactionRegistry] Logger.writeLog failed", {
+          error:
+            SafeUtils.sanitizeTextField(
+              String(writeErr?.message || writeErr || ""),
+            ) || "Unknown error",
+          flag: "transaction",
+          action: "getTransaction",
+        });
+      }
+      Logger.debugLog("[TransactionRegistry] getTransaction() failed", {
+        transaction_id: safeTransactionRef,
+        error: errorString,
+      });
+      throw this._storageError(err, { transaction_id: safeTransactionRef });
     }
   }
 
-  static _getDbInstance() {
-    if (this._db) return this._db;
-
-    this._db = new PostgreSQL({
-      queryLogger: ({ name, text, durationMs, error }) => {
-        const normalizedText =
-          typeof text === "string" ? text.replace(/\s+/g, " ").trim() : "";
-        const queryHash =
-          normalizedText.length > 0
-            ? crypto
-                .createHash("sha256")
-                .update(normalizedText)
-                .digest("hex")
-                .slice(0, 12)
-            : null;
-        Logger.debugLog("[TransactionRegistry DB] query", {
-          name,
-          durationMs,
-          ok: !error,
-          queryHash,
-          queryLength: normalizedText.length,
+  /**
+   * GET the audit timeline of a transaction from transaction_events, oldest
+   * first. `state` is the row rebuilt by replaying each event's diff, so with
+   * options.asOf ("yyyy-MM-dd HH:mm:ss") it is the transaction as it stood at
+   * that moment. Soft-deleted transactions keep their history.
+   */
+  static async getTransactionHistory(transaction_id, options = {}) {
+    let sanitizedTransactionId = null;
+    try {
+      if (!transaction_id) {
+        throw new ValidationError("getTransactionHistory(): transaction_id is required", {
+          field: "transaction_id",
         });
-      },
-      defaultQueryTimeoutMs: 15000,
-    });
+      }
+      ({
+        transaction_id: sanitizedTransactionId,
+      } = this._sanitizeValidate("getTransactionHistory", {
+        transaction_id: { value: String(transaction_id), type: "string", required: true },
+      }));
+      const asOf = SafeUtils.hasValue(options?.asOf)
+        ? this._normalizeDateTimeValue(options.asOf, "asOf")
+        : null;
 
-    return this._db;
+      const params = [sanitizedTransactionId];
+      if (asOf) params.push(asOf);
+      const db = this._getDbInstance();
+      const result = await db.query(
+        "default",
+        `SELECT * FROM transaction_events
+       WHERE transaction_id = $1${asOf ? "\n         AND occurred_at <= $2" : ""}
+       ORDER BY occurred_at ASC, event_id ASC`,
+        params,
+      );
+      const events = Array.isArray(result?.rows) ? result.rows : [];
+
+      let state = null;
+      for (const event of events) {
+        // Only the tombstone outlives a purge
+        if (event.event_type === "purged") {
+          state = null;
+          continue;
+        }
+        const diff = SafeUtils.isPlainObject(event.diff) ? event.diff : {};
+        state = { ...(state || {}) };
+        for (const [field, change] of Object.entries(diff)) {
+          state[field] = change ? change.after : null;
+        }
+      }
+
+      Logger.debugLog("[TransactionRegistry] getTransactionHistory() success", {
+        transaction_id: sanitizedTransactionId,
+        as_of: asOf,
+        events: events.length,
+      });
+      return { transaction_id: sanitizedTransactionId, events, state };
+    } catch (err) {
+      throw await this._recordOperationFailure("getTransactionHistory", err, {
+        message: "Failed to get transaction history",
+        action: "getTransactionHistory",
+        context: {
+          transaction_id:
+            sanitizedTransactionId || SafeUtils.sanitizeTextField(transaction_id),
+        },
+        critical: false,
+      });
+    }
   }
 
-  static _createTransactionSanitizeInput(txn) {
-    let cleaned;
+  /**
+   * GET an owner's ledger balance per currency, computed from the purchases,
+   * refunds, chargebacks and payouts allocated to them (OwnerLedger.ENTRY_RULES).
+   * With options.asOf only transactions created up to that moment count;
+   * their statuses are read as they are now.
+   */
+  static async getOwnerBalance(ownerUuid, options = {}) {
+    let sanitizedOwnerUuid = null;
     try {
-      cleaned = SafeUtils.sanitizeValidate({
-        order_id: { value: txn?.order_id, type: "string", required: true },
-        amount: { value: txn?.amount, type: "float", required: true },
-        order_type: { value: txn?.order_type, type: "string", required: true },
-        customer_uid: { value: txn?.customer_uid, type: "string", required: true },
-        status: { value: txn?.status, type: "string", required: true },
-        direction: {
-          value:
-            txn?.direction ?? txn?.transaction_kind ?? txn?.transactionKind ?? null,
-          type: "string",
-          required: true,
-        },
-        payment_method: { value: txn?.payment_method, type: "string", required: true },
-        currency: { value: txn?.currency, type: "string", required: true },
-        platform: { value: txn?.platform, type: "string", required: true },
-        ip_address: { value: txn?.ip_address, type: "string", required: false },
-        parent_transaction_id: {
-          value: txn?.parent_transaction_id,
-          type: "string",
-          required: false,
-        },
-        meta: { value: txn?.meta, type: "object", required: false },
-        user_agent: { value: txn?.user_agent, type: "string", required: false },
-        refund_amount: { value: txn?.refund_amount, type: "float", required: false },
-        refund_reason: { value: txn?.refund_reason, type: "string", required: false },
-        dispute_id: { value: txn?.dispute_id, type: "string", required: false },
-        write_status: {
-          value: txn?.write_status,
-          type: "string",
-          required: false,
-          default: "confirmed",
-        },
-        owners: { value: txn?.owners, type: "array", required: false },
-        owner_allocations: { value: txn?.owner_allocations, type: "array", required: false },
-        products: { value: txn?.products, type: "array", required: false },
+      sanitizedOwnerUuid = this._normalizeOwnerUuid(ownerUuid, "getOwnerBalance");
+      const asOf = SafeUtils.hasValue(options?.asOf)
+        ? this._normalizeDateTimeValue(options.asOf, "asOf")
+        : null;
+
+      const db = this._getDbInstance();
+      const balances = await this._loadOwnerBalances(
+        (sql, params) => db.query("default", sql, params),
+        sanitizedOwnerUuid,
+        { to: asOf },
+      );
+
+      Logger.debugLog("[TransactionRegistry] getOwnerBalance() success", {
+        owner_uuid: sanitizedOwnerUuid,
+        as_of: asOf,
+        currencies: Object.keys(balances).length,
       });
+      return {
+        owner_uuid: sanitizedOwnerUuid,
+        as_of: asOf || DateTime.now(),
+        balances,
+      };
     } catch (err) {
-      // Extract field name from error message for ErrorHandler
-      const match = String(err?.message || "").match(/Missing required parameter: (\w+)/);
-      const fieldName = match ? match[1] : null;
-      if (fieldName) {
-        ErrorHandler.addError(`createTransaction(): Missing required field "${fieldName}"`, {
-          field: fieldName,
-          error: String(err?.message || err || ""),
-        });
-      } else {
-        ErrorHandler.addError(`createTransaction(): Validation failed`, {
-          error: String(err?.message || err || ""),
-        });
-      }
-      throw err;
+      throw await this._recordOperationFailure("getOwnerBalance", err, {
+        message: "Failed to get owner balance",
+        action: "getOwnerBalance",
+        context: {
+          owner_uuid: sanitizedOwnerUuid || SafeUtils.sanitizeTextField(ownerUuid),
+        },
+        critical: false,
+      });
     }
+  }
 
-    const requiredTextFields = [
-      "order_id",
-      "order_type",
-      "customer_uid",
-      "status",
-      "direction",
-      "payment_method",
-      "currency",
-      "platform",
-    ];
-    for (const field of requiredTextFields) {
-      if (!SafeUtils.hasValue(cleaned[field])) {
-        ErrorHandler.addError(`createTransaction(): Missing required field "${field}"`, {
-          field,
-        });
-        throw new TypeError(`createTransaction(): "${field}" is required`);
+  /**
+   * GET an owner's line-item statement for [options.from, options.to].
+   * Entries before `from` are folded into opening_balances; every entry
+   * carries the running balance of its currency. Entries come in pages of
+   * options.limit, oldest first: pass the previous page's next_cursor as
+   * options.cursor (null on the last page). opening_balances and
+   * closing_balances always cover the whole period. Render with OwnerLedger.toCsv().
+   */
+  static async getOwnerStatement(ownerUuid, options = {}) {
+    let sanitizedOwnerUuid = null;
+    try {
+      sanitizedOwnerUuid = this._normalizeOwnerUuid(ownerUuid, "getOwnerStatement");
+      const from = SafeUtils.hasValue(options?.from)
+        ? this._normalizeDateTimeValue(options.from, "from")
+        : null;
+      const to = SafeUtils.hasValue(options?.to)
+        ? this._normalizeDateTimeValue(options.to, "to")
+        : null;
+      if (from && to && from > to) {
+        throw this._fail(
+          ValidationError,
+          "getOwnerStatement(): from must not be after to",
+          {
+            field: "from",
+            from,
+            to,
+          },
+          { report: "getOwnerStatement(): from is after to" },
+        );
+      }
+
+      let limit = this.OWNER_STATEMENT_DEFAULT_LIMIT;
+      if (SafeUtils.hasValue(options?.limit)) {
+        limit = SafeUtils.sanitizeInteger(options.limit);
+        if (limit === null || limit < 1 || limit > this.OWNER_STATEMENT_MAX_LIMIT) {
+          throw this._fail(
+            ValidationError,
+            `getOwnerStatement(): limit must be an integer between 1 and ${this.OWNER_STATEMENT_MAX_LIMIT}`,
+            {
+              field: "limit",
+              value: SafeUtils.sanitizeTextField(String(options.limit)),
+            },
+            { report: "getOwnerStatement(): Invalid limit" },
+          );
+        }
+      }
+      const cursorValues = SafeUtils.hasValue(options?.cursor)
+        ? this._decodeQueryCursor(options.cursor, this.OWNER_STATEMENT_SORT, "getOwnerStatement")
+            .values
+        : null;
+
+      const db = this._getDbInstance();
+      const runQuery = (sql, params) => db.query("default", sql, params);
+      const balanceOf = (totals) =>
+        Object.fromEntries(
+          Object.entries(totals).map(([currency, bucket]) => [currency, bucket.balance]),
+        );
+      const openingBalances = from
+        ? balanceOf(await this._loadOwnerBalances(runQuery, sanitizedOwnerUuid, { before: from }))
+        : {};
+      const closingBalances = await this._loadOwnerBalances(
+        runQuery,
+        sanitizedOwnerUuid,
+        { from, to },
+        openingBalances,
+      );
+      // A later page continues from the balance after the previous page's last entry
+      const pageOpeningBalances = cursorValues
+        ? balanceOf(
+            await this._loadOwnerBalances(runQuery, sanitizedOwnerUuid, {
+              to,
+              through: cursorValues,
+            }),
+          )
+        : openingBalances;
+
+      const fetchedRows = await this._loadOwnerLedgerRows(
+        runQuery,
+        sanitizedOwnerUuid,
+        { from, to, after: cursorValues },
+        limit + 1,
+      );
+      const hasMore = fetchedRows.length > limit;
+      const pageRows = hasMore ? fetchedRows.slice(0, limit) : fetchedRows;
+      const nextCursor = hasMore
+        ? this._encodeQueryCursor(pageRows[pageRows.length - 1], this.OWNER_STATEMENT_SORT)
+        : null;
+      const entries = OwnerLedger.buildEntries(
+        pageRows.map(({ cursor_created_at, ...row }) => row),
+        sanitizedOwnerUuid,
+        pageOpeningBalances,
+      );
+
+      Logger.debugLog("[TransactionRegistry] getOwnerStatement() success", {
+        owner_uuid: sanitizedOwnerUuid,
+        from,
+        to,
+        entries: entries.length,
+        has_more: hasMore,
+      });
+      return {
+        owner_uuid: sanitizedOwnerUuid,
+        from,
+        to: to || DateTime.now(),
+        opening_balances: openingBalances,
+        closing_balances: closingBalances,
+        entries,
+        next_cursor: nextCursor,
+      };
+    } catch (err) {
+      throw await this._recordOperationFailure("getOwnerStatement", err, {
+        message: "Failed to get owner statement",
+        action: "getOwnerStatement",
+        context: {
+          owner_uuid: sanitizedOwnerUuid || SafeUtils.sanitizeTextField(ownerUuid),
+        },
+        critical: false,
+      });
+    }
+  }
+
+  /**
+   * CREATE a `payout` transaction settling an owner's balance in one
+   * currency. payout.amount defaults to the whole available balance and may
+   * not exceed it (code PAYOUT_EXCEEDS_BALANCE). Payouts for the same owner
+   * are serialized with an advisory lock so the balance cannot be spent twice.
+   */
+  static async createPayout(ownerUuid, payout = {}, options = {}) {
+    let sanitizedOwnerUuid = null;
+    let cleaned = null;
+    try {
+      sanitizedOwnerUuid = this._normalizeOwnerUuid(ownerUuid, "createPayout");
+      if (!SafeUtils.isPlainObject(payout)) {
+        throw new ValidationError("createPayout(): payout must be an object");
+      }
+      const audit = this._normalizeAuditContext(options);
+
+      try {
+        cleaned = SafeUtils.sanitizeValidate({
+          amount: { value: payout.amount, type: "int", required: false },
+          currency: { value: payout.currency, type: "string", required: true },
+          payment_method: { value: payout.payment_method, type: "string", required: false },
+          order_id: { value: payout.order_id, type: "string", required: false },
+          status: {
+            value: payout.status,
+            type: "string",
+            required: false,
+            default: "pending",
+          },
+          meta: { value: payout.meta, type: "object", required: false },
+        });
+      } catch (err) {
+        ErrorHandler.addError("createPayout(): Validation failed", {
+          error: String(err?.message || err || ""),
+        });
+        throw new ValidationError(String(err?.message || err || ""), { cause: err });
+      }
+
+      let currency;
+      try {
+        currency = CurrencyRegistry.normalizeCode(cleaned.currency);
+      } catch (err) {
+        throw this._fail(
+          ValidationError,
+          `createPayout(): ${err.message}`,
+          {
+            field: "currency",
+            value: cleaned.currency,
+          },
+          { report: "createPayout(): Invalid currency" },
+        );
+      }
+      if (SafeUtils.hasValue(cleaned.amount) && cleaned.amount <= 0) {
+        throw this._fail(
+          ValidationError,
+          "createPayout(): amount must be greater than 0",
+          {
+            field: "amount",
+            value: cleaned.amount,
+          },
+          { report: "createPayout(): amount must be positive" },
+        );
+      }
+      const payoutStatus = this._createTransactionNormalizeStatus(cleaned.status, "payout");
+      const sanitizedMeta = this._createTransactionSanitizeMeta(cleaned.meta);
+      const safeMeta =
+        sanitizedMeta === null
+          ? null
+          : this._createTransactionEnsureSerializableWithLimit(
+              sanitizedMeta,
+              "meta",
+              this.MAX_META_BLOB_LENGTH,
+            );
+
+      Logger.debugLog("[TransactionRegistry] createPayout attempt", {
+        owner_uuid: sanitizedOwnerUuid,
+        currency,
+        amount: cleaned.amount ?? null,
+      });
+
+      const db = this._getDbInstance();
+      const { payoutRow, availableCents } = await db.transaction(
+        "default",
+        async ({ query }) => {
+          await query(`SELECT pg_advisory_xact_lock(hashtext($1))`, [
+            `owner_payout:${sanitizedOwnerUuid}`,
+          ]);
+          const balances = await this._loadOwnerBalances(query, sanitizedOwnerUuid);
+          const available = balances[currency]?.balance ?? 0;
+          const payoutCents = SafeUtils.hasValue(cleaned.amount) ? cleaned.amount : available;
+          if (payoutCents <= 0 || payoutCents > available) {
+            throw this._fail(
+              ConflictError,
+              `createPayout(): payout of ${payoutCents} exceeds available balance ${available} ${currency}`,
+              {
+                field: "amount",
+                owner_uuid: sanitizedOwnerUuid,
+                currency,
+                available,
+                requested: payoutCents,
+              },
+              {
+                report: "createPayout(): payout exceeds owner balance",
+                code: "PAYOUT_EXCEEDS_BALANCE",
+              },
+            );
+          }
+
+          const insertSql = this._composeInsertSql("transactions", {
+            order_id: cleaned.order_id ?? null,
+            amount: payoutCents,
+            order_type: "payout",
+            customer_uid: null,
+            status: payoutStatus,
+            direction: "payout",
+            payment_method: cleaned.payment_method ?? null,
+            currency,
+            platform: null,
+            meta: safeMeta ? JSON.stringify(safeMeta) : null,
+            write_status: "confirmed",
+            owners: JSON.stringify([sanitizedOwnerUuid]),
+            owner_allocations: JSON.stringify([
+              { owner_uuid: sanitizedOwnerUuid, amount_cents: payoutCents },
+            ]),
+            platform_fee_amount: 0,
+            products: null,
+            is_deleted: false,
+          });
+          const insertRes = await query(insertSql.text, insertSql.values);
+          const inserted = insertRes?.rows?.[0] || null;
+          if (!inserted || !inserted.transaction_id) {
+            throw new StorageError("Payout insert failed to return an ID");
+          }
+          await this._appendTransactionEvent(query, {
+            transactionId: inserted.transaction_id,
+            eventType: "created",
+            after: inserted,
+            audit,
+          });
+          return { payoutRow: inserted, availableCents: available };
+        },
+      );
+
+      Logger.debugLog("[TransactionRegistry] createPayout() success", {
+        owner_uuid: sanitizedOwnerUuid,
+        transaction_id: payoutRow.transaction_id,
+        amount: payoutRow.amount,
+      });
+      await this._safeWriteLog({
+        flag: "transaction",
+        action: "ownerPayout",
+        message: "Owner payout created",
+        data: {
+          transaction_id: payoutRow.transaction_id,
+          owner_uuid: sanitizedOwnerUuid,
+          amount: payoutRow.amount,
+          currency,
+          status: payoutRow.status,
+          available_before: availableCents,
+          actor: audit.actor,
+          request_id: audit.request_id,
+        },
+      });
+
+      return {
+        payout: {
+          ...payoutRow,
+          owner_allocations: this._parseJsonArray(payoutRow.owner_allocations),
+        },
+        balance: {
+          currency,
+          available_before: availableCents,
+          available_after: availableCents - this._parseMinorUnits(payoutRow.amount),
+        },
+      };
+    } catch (err) {
+      throw await this._recordOperationFailure("createPayout", err, {
+        message: "Failed to create payout",
+        action: "ownerPayout",
+        context: {
+          owner_uuid: sanitizedOwnerUuid || SafeUtils.sanitizeTextField(ownerUuid),
+          amount: cleaned?.amount ?? null,
+          currency: cleaned?.currency ?? null,
+        },
+      });
+    }
+  }
+
+  /**
+   * QUERY transactions with a flexible filter set and pagination.
+   *
+   * Rows come newest first unless pagination.sort lists other
+   * SORTABLE_COLUMNS ("amount:desc,created_at" or [{ column, direction }]);
+   * transaction_id always breaks ties. Pass pagination.cursor (the
+   * nextCursor of the previous page, issued for the same sort) for keyset
+   * paging instead of OFFSET; nextCursor is null on the last page. The
+   * COUNT(*) runs only when pagination.includeTotal is true, which is the
+   * default for offset paging; otherwise total is null.
+   *
+   * options.scope ({ owner_uuid } or { customer_uid }) confines the rows to
+   * the caller's own on top of whatever the filters ask for; scoped callers
+   * cannot ask for soft-deleted rows (includeDeleted / onlyDeleted).
+   *
+   * A failed query is recorded and answered with an empty page; with
+   * options.strict it throws instead (a StorageError when the database
+   * failed), so "no results" can be told apart from "database down".
+   */
+  static async query(filters = {}, pagination = {}, options = {}) {
+    const normalizedFilters = SafeUtils.isPlainObject(filters)
+      ? filters
+      : {};
+    const paginationOptions = this._resolvePaginationOptions(pagination);
+    const safeLimit = paginationOptions.limit;
+    const safeCursor = paginationOptions.cursor;
+    const safeSort = paginationOptions.sort;
+    const safeOffset = safeCursor ? this.DEFAULT_OFFSET : paginationOptions.offset;
+    const includeTotal = paginationOptions.includeTotal;
+
+    const scope = this._normalizeRowScope(options?.scope, "query");
+    if (scope) {
+      for (const flag of ["includeDeleted", "onlyDeleted"]) {
+        if (SafeUtils.sanitizeBoolean(normalizedFilters[flag]) !== true) continue;
+        throw this._fail(
+          ValidationError,
+          `query(): ${flag} is not available to scoped callers`,
+          { field: flag, scope },
+          { report: "query(): Deleted rows requested with a scope" },
+        );
+      }
+    }
+    const strict = options?.strict === true;
+    const { whereClauses, params, summary } =
+      this._compileQueryFilters(normalizedFilters);
+    this._appendRowScopeClause(scope, whereClauses, params);
+    const logContext = {
+      limit: safeLimit,
+      offset: safeOffset,
+      cursor: safeCursor ? true : false,
+      sort: this._sortSignature(safeSort),
+      ...summary,
+      scope,
+    };
+
+    try {
+      const baseParams = [...params];
+      const db = this._getDbInstance();
+      let totalMatches = null;
+      if (includeTotal) {
+        const countSql = this._composeCountSql(whereClauses);
+        const countSqlSnippet = SafeUtils.sanitizeTextField(
+          countSql.replace(/\s+/g, " ").trim().slice(0, 200),
+        );
+        const sanitizedBaseParams = baseParams
+          .map((param) =>
+            SafeUtils.sanitizeTextField(
+              String(param === null || param === undefined ? "" : param),
+            ),
+          )
+          .filter(SafeUtils.hasValue)
+          .slice(0, 10);
+        Logger.debugLog("[TransactionRegistry] query count sql", {
+          count_sql: countSqlSnippet,
+          filter_summary: summary,
+          param_count: baseParams.length,
+          params_preview: sanitizedBaseParams,
+        });
+        const countRow = await db.getRow("default", countSql, baseParams);
+        totalMatches = countRow ? parseInt(countRow.total, 10) || 0 : 0;
+        Logger.debugLog("[TransactionRegistry] query count result", {
+          total_matches: totalMatches,
+        });
+      }
+
+      // The keyset bound only narrows the page, never the count
+      const pageParams = [...baseParams];
+      const keysetSql = safeCursor
+        ? this._composeKeysetSql(safeSort, safeCursor.values, pageParams)
+        : null;
+      const dataSql = this._composePaginatedSelectSql(
+        whereClauses,
+        pageParams.length,
+        { sort: safeSort, keysetSql },
+      );
+      // One extra row tells whether another page follows
+      const paginatedParams = safeCursor
+        ? [...pageParams, safeLimit + 1]
+        : [...pageParams, safeLimit + 1, safeOffset];
+      const sanitizedPaginatedParams = paginatedParams
+        .map((param) =>
+          SafeUtils.sanitizeTextField(
+            String(param === null || param === undefined ? "" : param),
+          ),
+        )
+        .filter(SafeUtils.hasValue)
+        .slice(0, 12);
+      const dataSqlSnippet = SafeUtils.sanitizeTextField(
+        dataSql.replace(/\s+/g, " ").trim().slice(0, 200),
+      );
+      Logger.debugLog("[TransactionRegistry] query data sql", {
+        data_sql: dataSqlSnippet,
+        limit: safeLimit,
+        offset: safeOffset,
+        keyset: Boolean(safeCursor),
+        params_count: paginatedParams.length,
+        params_preview: sanitizedPaginatedParams,
+      });
+
+      const result = await db.query("default", dataSql, paginatedParams);
+      const fetchedRows = Array.isArray(result?.rows) ? result.rows : [];
+      const hasMore = fetchedRows.length > safeLimit;
+      const pageRows = hasMore ? fetchedRows.slice(0, safeLimit) : fetchedRows;
+      const nextCursor =
+        hasMore && pageRows.length > 0
+          ? this._encodeQueryCursor(pageRows[pageRows.length - 1], safeSort)
+          : null;
+      const rows = pageRows.map(
+        ({ cursor_created_at, cursor_updated_at, ...row }) => row,
+      );
+      Logger.debugLog("[TransactionRegistry] query raw result", {
+        rows: rows.length,
+        rowCount: result?.rowCount ?? null,
+        total_matches: totalMatches,
+        has_more: hasMore,
+      });
+      if (rows.length > 0) {
+        Logger.debugLog("[TransactionRegistry] query() success", {
+          rows: rows.length,
+          total: totalMatches,
+          limit: safeLimit,
+          offset: safeOffset,
+        });
+      } else {
+        Logger.debugLog("[TransactionRegistry] query transactions returned no rows", {
+          ...logContext,
+          limit: safeLimit,
+        });
+      }
+
+      return { rows, total: totalMatches, nextCursor };
+    } catch (err) {
+      Logger.debugLog("[TransactionRegistry] query raw error", {
+        error: String(err),
+        stack: String(err?.stack || "").slice(0, this.STACK_MAX_LENGTH),
+        code: SafeUtils.sanitizeTextField(String(err?.code || "")) || null,
+      });
+      const errorString =
+        SafeUtils.sanitizeTextField(
+          String(err?.message || err || ""),
+        ) || "Unknown error";
+      const stackCandidate = SafeUtils.sanitizeTextField(err?.stack || "");
+      const stack = stackCandidate
+        ? stackCandidate.slice(0, this.STACK_MAX_LENGTH)
+        : null;
+      let contextString = "{}";
+      try {
+        contextString = JSON.stringify(logContext || {});
+      } catch (err) {
+        Logger.debugLog("[TransactionRegistry] query error context stringify failed", {
+          error: String(err),
+        });
+        contextString = "{}";
+      }
+      const safeContext =
+        SafeUtils.sanitizeTextField(
+          contextString.slice(0, this.CONTEXT_MAX_LENGTH),
+        ) || "{}";
+      ErrorHandler.addError("Failed to query transactions", {
+        error: errorString,
+        stack,
+        context: safeContext,
+      });
+      try {
+        await Logger.writeLog({
+          flag: "transaction",
+          action: "query",
+          message: "Failed to query transactions",
+          data: {
+            error: errorString,
+            ...logContext,
+          },
+        });
+      } catch (writeErr) {
+        Logger.debugLog("[TransactionRegistry] Logger.writeLog failed", {
+          error:
+            SafeUtils.sanitizeTextField(
+              String(writeErr?.message || writeErr || ""),
+            ) || "Unknown error",
+          flag: "transaction",
+          action: "query",
+        });
+      }
+      Logger.debugLog("[TransactionRegistry] query() failed", {
+        error: errorString,
+        ...logContext,
+      });
+      if (strict) throw this._storageError(err, logContext);
+      return { rows: [], total: 0, nextCursor: null };
+    }
+  }
+
+  /**
+   * GET ALL count of transactions. Failures are recorded and counted as 0
+   * unless options.strict is set, in which case they are thrown.
+   */
+  static async getAllCount(options = {}) {
+    try {
+      const whereClauses = ["is_deleted = false"];
+      const sql = this._composeCountSql(whereClauses);
+      const sqlSnippet = SafeUtils.sanitizeTextField(
+        sql.replace(/\s+/g, " ").trim().slice(0, 200),
+      );
+      Logger.debugLog("[TransactionRegistry] getAllCount query", {
+        sql: sqlSnippet,
+        params: [],
+      });
+      const db = this._getDbInstance();
+      const result = await db.getRow("default", sql, []);
+
+      const count = result ? parseInt(result.total) : 0;
+      Logger.debugLog("[TransactionRegistry] getAllCount() success", {
+        count,
+      });
+      return count;
+    } catch (err) {
+      Logger.debugLog("[TransactionRegistry] getAllCount raw error", {
+        error: String(err),
+        stack: String(err?.stack || "").slice(0, this.STACK_MAX_LENGTH),
+        code: SafeUtils.sanitizeTextField(String(err?.code || "")) || null,
+      });
+      const errorString =
+        SafeUtils.sanitizeTextField(
+          String(err?.message || err || ""),
+        ) || "Unknown error";
+      const stackCandidate = SafeUtils.sanitizeTextField(err?.stack || "");
+      const stack = stackCandidate
+        ? stackCandidate.slice(0, this.STACK_MAX_LENGTH)
+        : null;
+      let contextString = "{}";
+      try {
+        contextString = JSON.stringify({ operation: "getAllCount" });
+      } catch (err) {
+        Logger.debugLog("[TransactionRegistry] getAllCount error context stringify failed", {
+          error: String(err),
+        });
+        contextString = "{}";
+      }
+      const safeContext =
+        SafeUtils.sanitizeTextField(
+          contextString.slice(0, this.CONTEXT_MAX_LENGTH),
+        ) || "{}";
+      ErrorHandler.addError("Failed to get all transactions count", {
+        error: errorString,
+        stack,
+        context: safeContext,
+      });
+      Logger.debugLog("[TransactionRegistry] getAllCount() failed", {
+        error: errorString,
+      });
+      if (options?.strict === true) {
+        throw this._storageError(err, { operation: "getAllCount" });
+      }
+      return 0;
+    }
+  }
+
+  /**
+   * GET ALL count of transactions by status. Failures, an invalid status
+   * included, are recorded and counted as 0 unless options.strict is set, in
+   * which case they are thrown.
+   */
+  static async getAllCountByStatus(status, options = {}) {
+    let normalizedStatus = null;
+    try {
+      normalizedStatus = this._normalizeTransactionStatus(status);
+
+      const whereClauses = ["status = $1", "is_deleted = false"];
+      const sql = this._composeCountSql(whereClauses);
+      const params = [normalizedStatus];
+      const sqlSnippet = SafeUtils.sanitizeTextField(
+        sql.replace(/\s+/g, " ").trim().slice(0, 200),
+      );
+      const logContext = { status: normalizedStatus };
+      Logger.debugLog("[TransactionRegistry] getAllCountByStatus query", {
+        sql: sqlSnippet,
+        params: params.map((param) => SafeUtils.sanitizeTextField(String(param))),
+        ...logContext,
+      });
+      const db = this._getDbInstance();
+      const result = await db.getRow("default", sql, params);
+
+      const count = result ? parseInt(result.total) : 0;
+      Logger.debugLog("[TransactionRegistry] getAllCountByStatus() success", {
+        status: normalizedStatus,
+        count,
+      });
+      return count;
+    } catch (err) {
+      Logger.debugLog("[TransactionRegistry] getAllCountByStatus raw error", {
+        status: normalizedStatus,
+        error: String(err),
+        stack: String(err?.stack || "").slice(0, this.STACK_MAX_LENGTH),
+        code: SafeUtils.sanitizeTextField(String(err?.code || "")) || null,
+      });
+      const errorString =
+        SafeUtils.sanitizeTextField(
+          String(err?.message || err || ""),
+        ) || "Unknown error";
+      const stackCandidate = SafeUtils.sanitizeTextField(err?.stack || "");
+      const stack = stackCandidate
+        ? stackCandidate.slice(0, this.STACK_MAX_LENGTH)
+        : null;
+      let contextString = "{}";
+      try {
+        contextString = JSON.stringify({
+          status: normalizedStatus || status,
+        });
+      } catch (err) {
+        Logger.debugLog(
+          "[TransactionRegistry] getAllCountByStatus error context stringify failed",
+          { error: String(err) },
+        );
+        contextString = "{}";
+      }
+      const safeContext =
+        SafeUtils.sanitizeTextField(
+          contextString.slice(0, this.CONTEXT_MAX_LENGTH),
+        ) || "{}";
+      ErrorHandler.addError("Failed to get transactions count by status", {
+        error: errorString,
+        stack,
+        context: safeContext,
+      });
+      Logger.debugLog("[TransactionRegistry] getAllCountByStatus() failed", {
+        status: normalizedStatus || status,
+        error: errorString,
+      });
+      if (options?.strict === true) {
+        throw this._storageError(err, { status: normalizedStatus || status });
+      }
+      return 0;
+    }
+  }
+
+  /**
+   * AGGREGATE transactions matching query()-style filters.
+   *
+   * options.groupBy lists AGGREGATE_GROUP_COLUMNS, options.metrics lists
+   * AGGREGATE_METRICS (default count) and options.bucket ("day", "week" or
+   * "month") adds a time bucket computed in options.timezone (default
+   * DateTime zone). sum, avg and refund_sum are minor units and never mix
+   * currencies: currency is grouped on unless filters.currency pins one.
+   * sum and avg cover the purchase rows in each group, so refunds,
+   * chargebacks and payouts never add to sales; refund_sum totals the
+   * refund rows. avg is rounded to the nearest minor unit (null without
+   * purchases). refund_rate and chargeback_rate divide the
+   * refund / chargeback row count by the purchase row count (null without
+   * purchases).
+   */
+  static async aggregate(options = {}) {
+    let spec = null;
+    let summary = {};
+    try {
+      spec = this._normalizeAggregateOptions(options);
+      const compiled = this._compileQueryFilters(spec.filters);
+      summary = compiled.summary;
+
+      const params = [...compiled.params];
+      const sql = this._composeAggregateSql(compiled.whereClauses, spec.groupColumns, params, {
+        bucket: spec.bucket,
+        timezone: spec.timezone,
+      });
+      Logger.debugLog("[TransactionRegistry] aggregate query", {
+        sql: SafeUtils.sanitizeTextField(sql.replace(/\s+/g, " ").trim().slice(0, 200)),
+        group_by: spec.groupColumns,
+        bucket: spec.bucket,
+        timezone: spec.timezone,
+        ...summary,
+      });
+      const db = this._getDbInstance();
+      const result = await db.query("default", sql, params);
+      const rows = Array.isArray(result?.rows) ? result.rows : [];
+      const groups = this._rollupAggregateRows(rows, spec);
+
+      Logger.debugLog("[TransactionRegistry] aggregate() success", {
+        groups: groups.length,
+      });
+      return {
+        groupBy: spec.groupColumns,
+        metrics: spec.metrics,
+        bucket: spec.bucket,
+        timezone: spec.timezone,
+        groups,
+      };
+    } catch (err) {
+      throw await this._recordOperationFailure("aggregate", err, {
+        message: "Failed to aggregate transactions",
+        action: "aggregate",
+        context: {
+          group_by: spec?.groupColumns ?? null,
+          metrics: spec?.metrics ?? null,
+          bucket: spec?.bucket ?? null,
+          timezone: spec?.timezone ?? null,
+          ...summary,
+        },
+        critical: false,
+      });
+    }
+  }
+
+  /**
+   * RANK owners by what they earned on transactions matching query()-style
+   * filters. Each owner's owner_allocations share is credited for purchases
+   * and debited for refunds and chargebacks, using the same status rules as
+   * OwnerLedger (payouts are not earnings and are left out). One entry per
+   * owner and currency, highest net first, at most options.limit entries.
+   */
+  static async topOwners(options = {}) {
+    let limit = null;
+    let summary = {};
+    try {
+      const input = SafeUtils.isPlainObject(options) ? options : {};
+      const filters = SafeUtils.isPlainObject(input.filters) ? input.filters : {};
+      limit = this.TOP_OWNERS_DEFAULT_LIMIT;
+      if (SafeUtils.hasValue(input.limit)) {
+        limit = SafeUtils.sanitizeInteger(input.limit);
+        if (limit === null || limit < 1 || limit > this.TOP_OWNERS_MAX_LIMIT) {
+          throw this._fail(
+            ValidationError,
+            `topOwners(): limit must be an integer between 1 and ${this.TOP_OWNERS_MAX_LIMIT}`,
+            {
+              field: "limit",
+              value: SafeUtils.sanitizeTextField(String(input.limit)),
+            },
+            { report: "topOwners(): Invalid limit" },
+          );
+        }
+      }
+
+      const compiled = this._compileQueryFilters(filters);
+      summary = compiled.summary;
+      const directions = Object.keys(OwnerLedger.ENTRY_RULES).filter(
+        (direction) => OwnerLedger.ENTRY_RULES[direction].bucket !== "paid_out",
+      );
+      const params = [...compiled.params];
+      const placeholders = directions.map((direction) => {
+        params.push(direction);
+        return `$${params.length}`;
+      });
+      const whereSql = this._compileWhereConditions([
+        ...compiled.whereClauses,
+        `direction IN (${placeholders.join(", ")})`,
+      ]);
+      const sql = `
+        SELECT allocation->>'owner_uuid' AS owner_uuid, currency, direction, status,
+          COUNT(*) AS row_count,
+          COALESCE(SUM((allocation->>'amount_cents')::bigint), 0) AS allocated_sum
+        FROM transactions
+        CROSS JOIN LATERAL jsonb_array_elements(COALESCE(owner_allocations, '[]'::jsonb)) AS allocation
+        WHERE ${whereSql}
+        GROUP BY owner_uuid, currency, direction, status;
+      `;
+      Logger.debugLog("[TransactionRegistry] topOwners query", {
+        limit,
+        ...summary,
+      });
+      const db = this._getDbInstance();
+      const result = await db.query("default", sql, params);
+      const rows = Array.isArray(result?.rows) ? result.rows : [];
+
+      const owners = new Map();
+      for (const row of rows) {
+        const rule = OwnerLedger.ENTRY_RULES[String(row.direction || "").toLowerCase()];
+        if (!rule || !rule.statuses.includes(String(row.status || "").toLowerCase())) {
+          continue;
+        }
+        const ownerUuid = SafeUtils.sanitizeTextField(row.owner_uuid);
+        if (!SafeUtils.hasValue(ownerUuid)) continue;
+        const currency = String(row.currency || "").toUpperCase();
+        const key = JSON.stringify([ownerUuid, currency]);
+        let owner = owners.get(key);
+        if (!owner) {
+          owner = {
+            owner_uuid: ownerUuid,
+            currency,
+            purchases: 0,
+            earned: 0,
+            refunded: 0,
+            charged_back: 0,
+            net: 0,
+          };
+          owners.set(key, owner);
+        }
+        const cents = this._parseMinorUnits(row.allocated_sum) || 0;
+        if (rule.bucket === "earned") {
+          owner.purchases += this._parseMinorUnits(row.row_count) || 0;
+        }
+        owner[rule.bucket] += cents;
+        owner.net += rule.sign * cents;
+      }
+      const ranked = [...owners.values()]
+        .sort(
+          (a, b) =>
+            b.net - a.net ||
+            a.owner_uuid.localeCompare(b.owner_uuid) ||
+            a.currency.localeCompare(b.currency),
+        )
+        .slice(0, limit);
+
+      Logger.debugLog("[TransactionRegistry] topOwners() success", {
+        owners: owners.size,
+        returned: ranked.length,
+      });
+      return { limit, owners: ranked };
+    } catch (err) {
+      throw await this._recordOperationFailure("topOwners", err, {
+        message: "Failed to rank owners",
+        action: "topOwners",
+        context: { limit, ...summary },
+        critical: false,
+      });
+    }
+  }
+
+  /**
+   * EXPORT every transaction matching query()-style filters, oldest first.
+   *
+   * Rows are read through a server-side cursor (DECLARE / FETCH inside one
+   * database transaction) options.batchSize at a time, so memory stays flat
+   * however many rows match. Each batch is formatted (options.format "csv" or
+   * "ndjson", options.columns per TransactionExport.parseColumns()) and
+   * handed to `await options.write(chunk)`; a slow writer holds the cursor
+   * open, which counts against the connection's idle-in-transaction timeout.
+   * The export is audited through Logger.writeLog with its filters, row count
+   * and options.actor / options.requestId.
+   */
+  static async exportTransactions(filters = {}, options = {}) {
+    let format = null;
+    let columns = null;
+    let summary = {};
+    let rowCount = 0;
+    try {
+      const input = SafeUtils.isPlainObject(options) ? options : {};
+      format = SafeUtils.hasValue(input.format)
+        ? String(input.format).trim().toLowerCase()
+        : "csv";
+      if (!this.EXPORT_FORMATS.includes(format)) {
+        throw this._fail(
+          ValidationError,
+          "exportTransactions(): format must be one of csv, ndjson",
+          {
+            field: "format",
+            value: SafeUtils.sanitizeTextField(String(input.format)),
+            allowed: this.EXPORT_FORMATS,
+          },
+          { report: "exportTransactions(): Invalid format" },
+        );
+      }
+      try {
+        columns = TransactionExport.parseColumns(input.columns);
+      } catch (columnErr) {
+        throw this._fail(
+          ValidationError,
+          `exportTransactions(): ${columnErr.message}`,
+          {
+            field: "columns",
+            error: columnErr.message,
+          },
+          { report: "exportTransactions(): Invalid columns" },
+        );
+      }
+      let batchSize = this.EXPORT_DEFAULT_BATCH_SIZE;
+      if (SafeUtils.hasValue(input.batchSize)) {
+        batchSize = SafeUtils.sanitizeInteger(input.batchSize);
+        if (batchSize === null || batchSize < 1 || batchSize > this.EXPORT_MAX_BATCH_SIZE) {
+          throw this._fail(
+            ValidationError,
+            `exportTransactions(): batchSize must be an integer between 1 and ${this.EXPORT_MAX_BATCH_SIZE}`,
+            {
+              field: "batchSize",
+              value: SafeUtils.sanitizeTextField(String(input.batchSize)),
+            },
+            { report: "exportTransactions(): Invalid batchSize" },
+          );
+        }
+      }
+      if (typeof input.write !== "function") {
+        throw this._fail(
+          ValidationError,
+          "exportTransactions(): write must be a function",
+          {
+            field: "write",
+          },
+          { report: "exportTransactions(): write is required" },
+        );
+      }
+      const audit = this._normalizeAuditContext(input);
+
+      const normalizedFilters = SafeUtils.isPlainObject(filters) ? filters : {};
+      const compiled = this._compileQueryFilters(normalizedFilters);
+      summary = compiled.summary;
+      const whereSql = this._compileWhereConditions(compiled.whereClauses);
+      Logger.debugLog("[TransactionRegistry] exportTransactions start", {
+        format,
+        columns: columns.map((column) => column.name),
+        batch_size: batchSize,
+        ...summary,
+      });
+
+      const db = this._getDbInstance();
+      await db.transaction("default", async ({ query }) => {
+        await query(
+          `DECLARE transactions_export NO SCROLL CURSOR FOR
+           SELECT * FROM transactions
+           WHERE ${whereSql}
+           ORDER BY created_at ASC, transaction_id ASC`,
+          compiled.params,
+        );
+        if (format === "csv") await input.write(TransactionExport.csvHeader(columns));
+        for (;;) {
+          const batch = await query(`FETCH FORWARD ${batchSize} FROM transactions_export`);
+          const rows = Array.isArray(batch?.rows) ? batch.rows : [];
+          if (rows.length === 0) break;
+          let chunk = "";
+          for (const row of rows) {
+            const exportRow = {
+              ...row,
+              created_at: this._normalizeDateTimeValue(row.created_at) ?? row.created_at ?? null,
+              updated_at: this._normalizeDateTimeValue(row.updated_at) ?? row.updated_at ?? null,
+              amount: this._parseMinorUnits(row.amount),
+              refund_amount: this._parseMinorUnits(row.refund_amount),
+              platform_fee_amount: this._parseMinorUnits(row.platform_fee_amount),
+            };
+            chunk +=
+              format === "csv"
+                ? TransactionExport.toCsvLine(exportRow, columns)
+                : TransactionExport.toNdjsonLine(exportRow, columns);
+          }
+          await input.write(chunk);
+          rowCount += rows.length;
+          if (rows.length < batchSize) break;
+        }
+        await query("CLOSE transactions_export");
+      });
+
+      const columnNames = columns.map((column) => column.name);
+      await this._safeWriteLog({
+        flag: "transaction",
+        action: "transactionsExported",
+        message: "Transactions exported",
+        data: {
+          format,
+          columns: columnNames,
+          row_count: rowCount,
+          filters: summary,
+          actor: audit.actor,
+          request_id: audit.request_id,
+        },
+      });
+      Logger.debugLog("[TransactionRegistry] exportTransactions() success", {
+        format,
+        row_count: rowCount,
+      });
+      return { format, columns: columnNames, rowCount };
+    } catch (err) {
+      throw await this._recordOperationFailure("exportTransactions", err, {
+        message: "Failed to export transactions",
+        action: "transactionsExported",
+        context: {
+          format,
+          row_count: rowCount,
+          ...summary,
+        },
+        critical: false,
+      });
+    }
+  }
+
+  /**
+   * IMPORT transactions from a CSV or NDJSON stream (TransactionImport
+   * columns; options.format defaults to "csv").
+   *
+   * Every record is validated with the createTransaction() rules, and valid
+   * rows are inserted options.batchSize at a time, each batch (rows plus their
+   * "created" transaction_events) in one DB transaction; a batch that fails
+   * marks all of its rows failed. Rows whose idempotency_key is already stored,
+   * or repeated earlier in the file, are skipped (options.onConflict "skip",
+   * the default) or failed ("error"). With options.dryRun nothing is written.
+   *
+   * Returns counts plus one report entry per record: status "accepted",
+   * "skipped" or "failed", the new transaction_id, and the ErrorHandler
+   * messages raised for a failed row.
+   */
+  static async importTransactions(stream, options = {}) {
+    let format = null;
+    let dryRun = false;
+    const report = { accepted: 0, skipped: 0, failed: 0 };
+    try {
+      const input = SafeUtils.isPlainObject(options) ? options : {};
+      format = SafeUtils.hasValue(input.format)
+        ? String(input.format).trim().toLowerCase()
+        : "csv";
+      if (!this.EXPORT_FORMATS.includes(format)) {
+        throw this._fail(
+          ValidationError,
+          "importTransactions(): format must be one of csv, ndjson",
+          {
+            field: "format",
+            value: SafeUtils.sanitizeTextField(String(input.format)),
+            allowed: this.EXPORT_FORMATS,
+          },
+          { report: "importTransactions(): Invalid format" },
+        );
+      }
+      let batchSize = this.IMPORT_DEFAULT_BATCH_SIZE;
+      if (SafeUtils.hasValue(input.batchSize)) {
+        batchSize = SafeUtils.sanitizeInteger(input.batchSize);
+        if (batchSize === null || batchSize < 1 || batchSize > this.IMPORT_MAX_BATCH_SIZE) {
+          throw this._fail(
+            ValidationError,
+            `importTransactions(): batchSize must be an integer between 1 and ${this.IMPORT_MAX_BATCH_SIZE}`,
+            {
+              field: "batchSize",
+              value: SafeUtils.sanitizeTextField(String(input.batchSize)),
+            },
+            { report: "importTransactions(): Invalid batchSize" },
+          );
+        }
+      }
+      const onConflict = SafeUtils.hasValue(input.onConflict)
+        ? String(input.onConflict).trim().toLowerCase()
+        : "skip";
+      if (!this.IMPORT_CONFLICT_MODES.includes(onConflict)) {
+        throw this._fail(
+          ValidationError,
+          "importTransactions(): onConflict must be one of skip, error",
+          {
+            field: "onConflict",
+            value: SafeUtils.sanitizeTextField(String(input.onConflict)),
+            allowed: this.IMPORT_CONFLICT_MODES,
+          },
+          { report: "importTransactions(): Invalid onConflict" },
+        );
+      }
+      dryRun = input.dryRun === true || input.dryRun === "true";
+      const audit = this._normalizeAuditContext(input);
+      Logger.debugLog("[TransactionRegistry] importTransactions start", {
+        format,
+        batch_size: batchSize,
+        on_conflict: onConflict,
+        dry_run: dryRun,
+      });
+
+      const db = this._getDbInstance();
+      const lines = [];
+      const seenKeys = new Map();
+      let pending = [];
+
+      const fail = (entry, errors) => {
+        entry.status = "failed";
+        entry.errors = errors;
+        report.failed += 1;
+      };
+      const conflict = (entry, message, context) => {
+        if (onConflict === "skip") {
+          entry.status = "skipped";
+          entry.reason = message;
+          report.skipped += 1;
+          return;
+        }
+        ErrorHandler.addError(`importTransactions(): ${message}`, {
+          field: "idempotency_key",
+          line: entry.line,
+          ...context,
+        });
+        fail(entry, [{ message: `importTransactions(): ${message}`, field: "idempotency_key" }]);
+      };
+
+      const flush = async () => {
+        if (pending.length === 0) return;
+        const batch = pending;
+        pending = [];
+        const keys = batch.map((row) => row.data.idempotency_key).filter(Boolean);
+        const stored = new Map();
+        if (keys.length > 0) {
+          const existing = await db.query(
+            "default",
+            `SELECT transaction_id, idempotency_key FROM transactions
+             WHERE idempotency_key = ANY($1)`,
+            [keys],
+          );
+          for (const row of existing?.rows || []) {
+            stored.set(row.idempotency_key, row.transaction_id);
+          }
+        }
+        const rows = [];
+        for (const row of batch) {
+          const key = row.data.idempotency_key;
+          if (key && stored.has(key)) {
+            conflict(row.entry, "idempotency_key is already used", {
+              idempotency_key: key,
+              transaction_id: stored.get(key),
+            });
+          } else {
+            rows.push(row);
+          }
+        }
+        if (rows.length === 0) return;
+        if (dryRun) {
+          for (const row of rows) {
+            row.entry.status = "accepted";
+            report.accepted += 1;
+          }
+          return;
+        }
+        try {
+          const inserted = await db.transaction("default", async ({ query }) => {
+            const ids = [];
+            for (const row of rows) {
+              const insertSql = this._composeInsertSql("transactions", row.data);
+              const insertRes = await query(insertSql.text, insertSql.values);
+              const created = insertRes?.rows?.[0] || null;
+              if (!created || !created.transaction_id) {
+                throw new StorageError("Transaction insert failed to return an ID");
+              }
+              await this._appendTransactionEvent(query, {
+                transactionId: created.transaction_id,
+                eventType: "created",
+                after: created,
+                audit,
+              });
+              ids.push(created.transaction_id);
+            }
+            return ids;
+          });
+          rows.forEach((row, index) => {
+            row.entry.status = "accepted";
+            row.entry.transaction_id = inserted[index];
+            report.accepted += 1;
+          });
+        } catch (batchErr) {
+          const error =
+            SafeUtils.sanitizeTextField(String(batchErr?.message || batchErr || "")) ||
+            "Unknown error";
+          ErrorHandler.addError("importTransactions(): Batch insert failed", {
+            error,
+            code: SafeUtils.sanitizeTextField(String(batchErr?.code || "")) || null,
+            lines: rows.map((row) => row.entry.line),
+          });
+          for (const row of rows) {
+            fail(row.entry, [{ message: `importTransactions(): Batch insert failed: ${error}`, field: null }]);
+          }
+        }
+      };
+
+      for await (const record of this._readImportRecords(stream, format)) {
+        const entry = { line: record.line, status: null };
+        lines.push(entry);
+        if (record.error) {
+          const message = `importTransactions(): line ${record.line}: ${record.error}`;
+          ErrorHandler.addError(message, { line: record.line });
+          fail(entry, [{ message, field: null }]);
+          continue;
+        }
+
+        const errorMark = ErrorHandler.getAllErrors().length;
+        let prepared;
+        try {
+          prepared = this._createTransactionPrepare(record.transaction);
+        } catch (validationErr) {
+          fail(entry, this._batchItemErrors(errorMark, validationErr));
+          continue;
+        }
+        entry.order_id = prepared.data.order_id;
+
+        const key = prepared.idempotencyKey;
+        if (key && seenKeys.has(key)) {
+          conflict(entry, `idempotency_key repeats line ${seenKeys.get(key)}`, {
+            idempotency_key: key,
+          });
+          continue;
+        }
+        if (key) seenKeys.set(key, entry.line);
+        pending.push({ entry, data: prepared.data });
+        if (pending.length >= batchSize) await flush();
+      }
+      await flush();
+
+      await this._safeWriteLog({
+        flag: "transaction",
+        action: "transactionsImported",
+        message: dryRun ? "Transactions import validated" : "Transactions imported",
+        data: {
+          format,
+          dry_run: dryRun,
+          on_conflict: onConflict,
+          ...report,
+          actor: audit.actor,
+          request_id: audit.request_id,
+        },
+      });
+      Logger.debugLog("[TransactionRegistry] importTransactions() success", {
+        format,
+        dry_run: dryRun,
+        ...report,
+      });
+      return { format, dryRun, onConflict, ...report, lines };
+    } catch (err) {
+      throw await this._recordOperationFailure("importTransactions", err, {
+        message: "Failed to import transactions",
+        action: "transactionsImported",
+        context: { format, dry_run: dryRun, ...report },
+        critical: false,
+      });
+    }
+  }
+
+  /**
+   * TransactionImport.readRecords() with its parse failures (an unreadable
+   * source, header or oversized record) rethrown as ValidationErrors.
+   */
+  static async *_readImportRecords(stream, format) {
+    try {
+      yield* TransactionImport.readRecords(stream, format);
+    } catch (err) {
+      if (!(err instanceof TypeError || err instanceof RangeError)) throw err;
+      throw this._fail(
+        ValidationError,
+        `importTransactions(): ${err.message}`,
+        { field: "stream", error: err.message },
+        { report: "importTransactions(): Unreadable import" },
+      );
+    }
+  }
+
+  /** Close all database connections (for cleanup) */
+  static async closeConnections() {
+    if (!this._db) return;
+    try {
+      await this._db.closeAllConnections();
+      Logger.debugLog("[TransactionRegistry] closeConnections() success", {
+        status: "closed",
+      });
+    } catch (err) {
+      Logger.debugLog("[TransactionRegistry] closeConnections() failed", {
+        error: SafeUtils.sanitizeTextField(String(err?.message)),
+      });
+    } finally {
+      this._db = null;
+    }
+  }
+
+  /**
+   * Logger.writeLog wrapper for audit entries that must never fail the
+   * operation that produced them.
+   */
+  static async _safeWriteLog(entry) {
+    try {
+      await Logger.writeLog(entry);
+    } catch (writeErr) {
+      Logger.debugLog("[TransactionRegistry] Logger.writeLog failed", {
+        error:
+          SafeUtils.sanitizeTextField(
+            String(writeErr?.message || writeErr || ""),
+          ) || "Unknown error",
+        flag: entry?.flag,
+        action: entry?.action,
+      });
+    }
+  }
+
+  /**
+   * Shared failure reporting for registry operations: debug log, ErrorHandler
+   * entry with a truncated stack and context, and a (critical) writeLog entry.
+   * Returns the error for the caller to rethrow (see _storageError()).
+   */
+  static async _recordOperationFailure(
+    method,
+    err,
+    { message, action, context = {}, critical = true },
+  ) {
+    Logger.debugLog(`[TransactionRegistry] ${method} raw error`, {
+      ...context,
+      error: String(err),
+      stack: String(err?.stack || "").slice(0, this.STACK_MAX_LENGTH),
+      code: SafeUtils.sanitizeTextField(String(err?.code || "")) || null,
+    });
+    const errorString =
+      SafeUtils.sanitizeTextField(
+        String(err?.message || err || ""),
+      ) || "Unknown error";
+    const stackCandidate = SafeUtils.sanitizeTextField(err?.stack || "");
+    const stack = stackCandidate
+      ? stackCandidate.slice(0, this.STACK_MAX_LENGTH)
+      : null;
+    let contextString = "{}";
+    try {
+      contextString = JSON.stringify(context || {});
+    } catch (stringifyErr) {
+      Logger.debugLog(
+        `[TransactionRegistry] ${method} error context stringify failed`,
+        { error: String(stringifyErr) },
+      );
+      contextString = "{}";
+    }
+    const safeContext =
+      SafeUtils.sanitizeTextField(
+        contextString.slice(0, this.CONTEXT_MAX_LENGTH),
+      ) || "{}";
+    ErrorHandler.addError(message, {
+      error: errorString,
+      stack,
+      context: safeContext,
+    });
+    const entry = {
+      flag: "transaction",
+      action,
+      message: critical ? `Critical: ${message}` : message,
+      data: {
+        error: errorString,
+        ...context,
+      },
+    };
+    if (critical) entry.critical = true;
+    await this._safeWriteLog(entry);
+    Logger.debugLog(`[TransactionRegistry] ${method}() failed`, {
+      ...context,
+      error: errorString,
+    });
+    return this._storageError(err, { method, ...context });
+  }
+
+  /**
+   * Record an ErrorHandler entry for a rejected input and build the typed
+   * error to throw. `report` is the ErrorHandler message when it differs from
+   * the thrown one; `code` overrides the class default.
+   */
+  static _fail(ErrorClass, message, context = {}, { report = message, code } = {}) {
+    ErrorHandler.addError(report, context);
+    return new ErrorClass(message, {
+      code,
+      field: context.field ?? null,
+      context,
+    });
+  }
+
+  /**
+   * SafeUtils.sanitizeValidate() with its input failures (a missing or
+   * unsanitizable parameter) rethrown as a ValidationError on that field;
+   * schema mistakes are left as they are.
+   */
+  static _sanitizeValidate(method, schema) {
+    try {
+      return SafeUtils.sanitizeValidate(schema);
+    } catch (err) {
+      const message = String(err?.message || err || "");
+      const field = (message.match(/Missing required parameter: (\w+)/) ||
+        message.match(/"(\w+)" failed sanitization/) ||
+        [])[1];
+      if (!field) throw err;
+      throw this._fail(
+        ValidationError,
+        message,
+        { field, error: message },
+        { report: `${method}(): Invalid ${field}` },
+      );
+    }
+  }
+
+  /**
+   * Error a public method rethrows once its failure is recorded: registry
+   * errors as they are, a unique violation as a ConflictError, other
+   * database / connection failures as a StorageError (keeping the driver
+   * error as `cause`), anything else unchanged.
+   */
+  static _storageError(err, context = null) {
+    if (err instanceof TransactionRegistryError) return err;
+    if (!StorageError.isStorageFailure(err)) return err;
+    if (err.code === this.UNIQUE_VIOLATION_CODE) {
+      return new ConflictError(String(err.message), { context, cause: err });
+    }
+    return StorageError.from(err, context);
+  }
+
+  static _getDbInstance() {
+    if (this._db) return this._db;
+
+    this._db = new PostgreSQL({
+      queryLogger: ({ name, text, durationMs, error }) => {
+        const normalizedText =
+          typeof text === "string" ? text.replace(/\s+/g, " ").trim() : "";
+        const queryHash =
+          normalizedText.length > 0
+            ? crypto
+                .createHash("sha256")
+                .update(normalizedText)
+                .digest("hex")
+                .slice(0, 12)
+            : null;
+        Logger.debugLog("[TransactionRegistry DB] query", {
+          name,
+          durationMs,
+          ok: !error,
+          queryHash,
+          queryLength: normalizedText.length,
+        });
+      },
+      defaultQueryTimeoutMs: 15000,
+    });
+
+    return this._db;
+  }
+
+  /** Batch mode option: "atomic" (default) or "best_effort". */
+  static _normalizeBatchMode(rawMode, method) {
+    const mode = SafeUtils.hasValue(rawMode)
+      ? String(rawMode).trim().toLowerCase().replace(/-/g, "_")
+      : "atomic";
+    if (!this.BATCH_MODES.includes(mode)) {
+      throw this._fail(
+        ValidationError,
+        `${method}(): mode must be one of ${this.BATCH_MODES.join(", ")}`,
+        {
+          field: "mode",
+          value: SafeUtils.sanitizeTextField(String(rawMode)),
+          allowed: this.BATCH_MODES,
+        },
+        { report: `${method}(): Invalid mode` },
+      );
+    }
+    return mode;
+  }
+
+  static _assertBatchItems(items, method) {
+    if (!Array.isArray(items) || items.length === 0 || items.length > this.BATCH_MAX_ITEMS) {
+      throw this._fail(
+        ValidationError,
+        `${method}(): items must be an array of 1 to ${this.BATCH_MAX_ITEMS} entries`,
+        {
+          field: "items",
+          count: Array.isArray(items) ? items.length : null,
+          max: this.BATCH_MAX_ITEMS,
+        },
+        { report: `${method}(): Invalid items` },
+      );
+    }
+  }
+
+  /**
+   * ErrorHandler messages raised since errorMark for one batch / import item,
+   * or the thrown error itself when it raised none.
+   */
+  static _batchItemErrors(errorMark, err) {
+    const raised = ErrorHandler.getAllErrors()
+      .slice(errorMark)
+      .map((error) => ({ message: error.message, field: error.data?.field ?? null }));
+    if (raised.length > 0 || !err) return raised;
+    return [{ message: String(err?.message || err), field: null }];
+  }
+
+  /** In atomic mode a failed item rejects the batch before anything is written. */
+  static _assertAtomicBatch(mode, results, method, code = "BATCH_INVALID") {
+    if (mode !== "atomic") return;
+    const failed = results.filter((result) => result.status === "failed").length;
+    if (failed === 0) return;
+    this._markBatchRejected(results);
+    const err = new ValidationError(
+      `${method}(): ${failed} of ${results.length} items failed; nothing was written`,
+      { code, context: { failed, items: results.length } },
+    );
+    err.results = results;
+    throw err;
+  }
+
+  /** Mark every item of a rejected atomic batch that did not fail itself. */
+  static _markBatchRejected(results) {
+    for (const result of results) {
+      if (result.status === "failed") continue;
+      result.status = "not_applied";
+      delete result.transaction;
+    }
+  }
+
+  /**
+   * Validate updateTransaction() fields into the column updates to apply.
+   * Throws (after recording ErrorHandler entries where the rule has a field)
+   * when the fields are invalid; shared by updateTransaction() and
+   * updateTransactions().
+   */
+  static _updateTransactionPrepare(transactionId, fields) {
+    if (!SafeUtils.isPlainObject(fields)) {
+      throw new ValidationError("Fields must be an object", { field: "fields" });
+    }
+
+    // The running refund total belongs to refundTransaction()
+    if (Object.prototype.hasOwnProperty.call(fields, "refund_amount")) {
+      throw this._fail(
+        ValidationError,
+        "updateTransaction(): refund_amount is set by refundTransaction()",
+        { field: "refund_amount", transaction_id: transactionId },
+        { report: "updateTransaction(): refund_amount is not updatable" },
+      );
+    }
+
+    const allowedSchema = {
+      status: { type: "string", required: false },
+      refund_reason: { type: "string", required: false },
+      dispute_id: { type: "string", required: false },
+      meta: { type: "object", required: false },
+      write_status: { type: "string", required: false },
+      products: { type: "array", required: false },
+    };
+
+    const rawAllowed = {};
+    for (const key of Object.keys(allowedSchema)) {
+      if (!Object.prototype.hasOwnProperty.call(fields, key)) continue;
+      const rawValue = fields[key];
+      if (
+        SafeUtils.isPlainObject(rawValue) &&
+        rawValue.unset === true
+      ) {
+        rawAllowed[key] = null;
+        continue;
+      }
+      rawAllowed[key] = rawValue;
+    }
+
+    if (Object.keys(rawAllowed).length === 0)
+      throw new ValidationError("No updatable fields", { field: "fields" });
+
+    const sanitizeRules = {};
+    for (const [key, value] of Object.entries(rawAllowed)) {
+      sanitizeRules[key] = {
+        value,
+        type: allowedSchema[key].type,
+        required: false,
+      };
+    }
+    const sanitizedFields = this._sanitizeValidate("updateTransaction", sanitizeRules);
+
+    const ensureSerializableWithLimit = (value, label, maxLength = null) => {
+      if (value === undefined) return undefined;
+      try {
+        const serialized = JSON.stringify(value);
+        if (maxLength !== null && serialized.length > maxLength) {
+          throw new ValidationError(
+            `${label} exceeds maximum length of ${maxLength} characters`,
+            { field: label },
+          );
+        }
+        return value;
+      } catch (err) {
+        Logger.debugLog(
+          "[TransactionRegistry] ensureSerializableWithLimit stringify failed",
+          {
+            label,
+            error: String(err),
+          },
+        );
+        throw new ValidationError(`${label} must be serializable`, { field: label });
+      }
+    };
+
+    const sanitizeMetaValue = (rawValue, path) => {
+      if (rawValue === undefined) return undefined;
+      if (
+        typeof rawValue === "string" ||
+        typeof rawValue === "number" ||
+        typeof rawValue === "boolean"
+      ) {
+        return rawValue;
+      }
+
+      if (Array.isArray(rawValue)) {
+        return rawValue
+          .map((entry, index) =>
+            sanitizeMetaValue(entry, `${path}[${index}]`)
+          )
+          .filter((entry) => entry !== undefined);
+      }
+
+      if (SafeUtils.isPlainObject(rawValue)) {
+        const nested = SafeUtils.sanitizeObject(rawValue);
+        if (!nested) return null;
+        return sanitizeMetaEntries(nested, path);
+      }
+
+      if (rawValue === null) return null;
+      const sanitizedString = SafeUtils.sanitizeTextField(String(rawValue));
+      return sanitizedString === null ? null : sanitizedString;
+    };
+
+    const sanitizeMetaEntries = (metaObject, path = "meta") => {
+      const result = {};
+      for (const [rawKey, rawValue] of Object.entries(metaObject)) {
+        const key = SafeUtils.sanitizeTextField(rawKey);
+        if (!SafeUtils.hasValue(key)) continue;
+        if (!this.META_KEY_PATTERN.test(key)) {
+          throw new ValidationError(
+            `${path}.${key} must match pattern ${this.META_KEY_PATTERN}`,
+            { field: `${path}.${key}` },
+          );
+        }
+        const sanitizedValue = sanitizeMetaValue(
+          rawValue,
+          `${path}.${key}`,
+        );
+        if (sanitizedValue === undefined) continue;
+        result[key] = sanitizedValue;
+      }
+      return Object.keys(result).length ? result : null;
+    };
+
+    const sanitizeMetaPayload = (metaInput) => {
+      if (!SafeUtils.hasValue(metaInput)) return null;
+      const sanitizedObject = SafeUtils.sanitizeObject(metaInput);
+      if (!sanitizedObject) return null;
+      return sanitizeMetaEntries(sanitizedObject, "meta");
+    };
+
+    const droppedKeys = Object.keys(rawAllowed).filter(
+      (key) => !(key in sanitizedFields)
+    );
+    if (droppedKeys.length > 0) {
+      Logger.debugLog("[TransactionRegistry] updateTransaction() sanitized drop", {
+        transaction_id: transactionId,
+        dropped_fields: droppedKeys,
+      });
+      throw new ValidationError(
+        `updateTransaction(): fields rejected by sanitization: ${droppedKeys.join(
+          ", ",
+        )}`,
+        { field: droppedKeys[0], context: { dropped_fields: droppedKeys } },
+      );
+    }
+
+    const updates = {};
+    for (const [key, value] of Object.entries(sanitizedFields)) {
+      if (value === null) {
+        updates[key] = null;
+        continue;
+      }
+
+      if (key === "meta") {
+        const sanitizedMeta = sanitizeMetaPayload(value);
+        updates[key] =
+          sanitizedMeta === null
+            ? null
+            : ensureSerializableWithLimit(
+                sanitizedMeta,
+                "meta",
+                this.MAX_META_BLOB_LENGTH,
+              );
+        continue;
+      }
+
+      if (key === "status") {
+        updates[key] = this._normalizeTransactionStatus(value);
+        if (this.RESERVED_UPDATE_STATUSES.includes(updates[key])) {
+          throw this._fail(
+            ValidationError,
+            `updateTransaction(): status "${updates[key]}" is set by refundTransaction() and the dispute methods`,
+            {
+              field: "status",
+              value: updates[key],
+              transaction_id: transactionId,
+            },
+            { report: "updateTransaction(): Reserved status" },
+          );
+        }
+        continue;
+      }
+
+      if (key === "products") {
+        updates[key] = ensureSerializableWithLimit(
+          value,
+          key,
+          this.MAX_PRODUCTS_BLOB_LENGTH,
+        );
+        continue;
+      }
+
+      updates[key] = value;
+    }
+
+    const updatesPreview = (() => {
+      try {
+        const serialized = JSON.stringify(updates);
+        return (
+            SafeUtils.sanitizeTextField(
+              serialized.slice(0, this.FIELDS_PREVIEW_MAX_LENGTH),
+            ) || "{}"
+        );
+      } catch (err) {
+        Logger.debugLog("[TransactionRegistry] updateTransaction preview failed", {
+          transaction_id: transactionId,
+          error: String(err),
+        });
+        return "{}";
+      }
+    })();
+
+    const updateKeys = Object.keys(updates);
+    if (updateKeys.length === 0) {
+      throw new ValidationError("No updatable fields", { field: "fields" });
+    }
+    if (updateKeys.includes("status") && updates.status === null) {
+      throw this._fail(
+        ValidationError,
+        "updateTransaction(): status cannot be unset",
+        {
+          field: "status",
+          transaction_id: transactionId,
+        },
+      );
+    }
+
+    Logger.debugLog("[TransactionRegistry] updateTransaction attempt", {
+      transaction_id: transactionId,
+      field_keys: updateKeys,
+      updates_preview: updatesPreview,
+    });
+
+    for (const col of updateKeys) {
+      if (!/^[a-z_][a-z0-9_]*$/.test(col)) {
+        throw new Error(`updateTransaction(): invalid update column "${col}"`);
+      }
+    }
+
+    return { updates, updateKeys };
+  }
+
+  /**
+   * Validate an expectedVersion option: null when absent, otherwise a
+   * positive integer row version.
+   */
+  static _normalizeExpectedVersion(value, method) {
+    if (!SafeUtils.hasValue(value)) return null;
+    const version = SafeUtils.sanitizeInteger(value);
+    if (version === null || version < 1) {
+      throw this._fail(
+        ValidationError,
+        `${method}(): expectedVersion must be a positive integer`,
+        {
+          field: "expectedVersion",
+          value: SafeUtils.sanitizeTextField(String(value)),
+        },
+        { report: `${method}(): Invalid expectedVersion` },
+      );
+    }
+    return version;
+  }
+
+  /**
+   * Apply prepared updates to one row inside the caller's DB transaction:
+   * lock it, check the expected version and the status transition, UPDATE and append the "updated" transaction_events row.
+   * The version column is bumped by the transactions BEFORE UPDATE trigger.
+   */
+  static async _updateTransactionApply(
+    query,
+    transactionId,
+    updates,
+    audit,
+    expectedVersion = null,
+  ) {
+    const updateKeys = Object.keys(updates);
+    const existingRes = await query(
+      `SELECT * FROM transactions WHERE transaction_id=$1 AND is_deleted=false FOR UPDATE`,
+      [transactionId],
+    );
+    const existingRow =
+      existingRes && Array.isArray(existingRes.rows)
+        ? existingRes.rows[0] || null
+        : null;
+
+    Logger.debugLog("[TransactionRegistry] updateTransaction fetched existing", {
+      transaction_id: transactionId,
+      found: Boolean(existingRow),
+      customer_uid: SafeUtils.sanitizeTextField(existingRow?.customer_uid),
+    });
+
+    if (!existingRow) {
+      throw new NotFoundError("Transaction not found or has been soft-deleted", {
+        field: "transaction_id",
+      });
+    }
+
+    // The row is locked, so its version cannot move before the UPDATE below
+    if (expectedVersion !== null) {
+      const currentVersion = SafeUtils.sanitizeInteger(existingRow.version);
+      if (currentVersion !== expectedVersion) {
+        ErrorHandler.addError("updateTransaction(): stale expectedVersion", {
+          field: "version",
+          transaction_id: transactionId,
+          expected: expectedVersion,
+          actual: currentVersion,
+        });
+        throw new VersionConflictError(
+          `updateTransaction(): transaction ${transactionId} is at version ${currentVersion}, not ${expectedVersion}`,
+          { transactionId, expected: expectedVersion, actual: currentVersion },
+        );
+      }
+    }
+
+    // Checked against the locked row so concurrent updates serialize here
+    if (updateKeys.includes("status")) {
+      this._assertStatusTransition(
+        existingRow.direction,
+        existingRow.status,
+        updates.status,
+        transactionId,
+      );
+    }
+
+    const setClause = updateKeys
+      .map((key, index) => `"${key}"=$${index + 2}`)
+      .join(", ");
+    const values = updateKeys.map((key) => {
+      const value = updates[key];
+      // Stringify JSONB columns
+      if ((key === 'meta' || key === 'products') && value !== null && typeof value === 'object') {
+        return JSON.stringify(value);
+      }
+      return value;
+    });
+
+    const updateRes = await query(
+      `UPDATE transactions SET ${setClause} WHERE transaction_id=$1 AND is_deleted=false RETURNING *`,
+      [transactionId, ...values],
+    );
+    const updatedRow =
+      updateRes && Array.isArray(updateRes.rows)
+        ? updateRes.rows[0] || null
+        : null;
+    if (!updatedRow) {
+      throw new StorageError("Transaction update failed to return a row");
+    }
+
+    await this._appendTransactionEvent(query, {
+      transactionId,
+      eventType: "updated",
+      before: existingRow,
+      after: updatedRow,
+      audit,
+    });
+
+    // A refund leaving the counted statuses (e.g. pending -> failed) no longer
+    // counts towards its purchase
+    if (
+      updateKeys.includes("status") &&
+      String(existingRow.direction || "").toLowerCase() === "refund" &&
+      SafeUtils.hasValue(existingRow.parent_transaction_id)
+    ) {
+      await this._recomputeRefundedParent(query, existingRow.parent_transaction_id, audit);
+    }
+
+    return {
+      existing: existingRow,
+      updated: updatedRow,
+      customerUid: SafeUtils.sanitizeTextField(existingRow.customer_uid) || null,
+    };
+  }
+
+  /**
+   * Validate and normalize one createTransaction() input into the row to
+   * insert. Throws (after recording ErrorHandler entries) when the input is
+   * invalid; shared by createTransaction() and importTransactions().
+   */
+  static _createTransactionPrepare(txn, options = {}) {
+    const cleaned = this._createTransactionSanitizeInput(txn);
+
+    const sanitizedMeta = this._createTransactionSanitizeMeta(cleaned.meta);
+    const safeMeta =
+      sanitizedMeta === null
+        ? null
+        : this._createTransactionEnsureSerializableWithLimit(
+            sanitizedMeta,
+            "meta",
+            this.MAX_META_BLOB_LENGTH,
+          );
+
+    const allocationRule = this._createTransactionNormalizeAllocationRule(
+      options?.allocationRule ?? txn?.allocation_rule ?? null,
+    );
+    const sanitizedOwnerAllocations =
+      this._createTransactionSanitizeOwnerAllocations(
+        cleaned.owner_allocations,
+        allocationRule,
+      );
+
+    this._createTransactionEnsureSerializableWithLimit(
+      sanitizedOwnerAllocations,
+      "owner_allocations",
+      this.MAX_OWNER_ALLOCATIONS_BLOB_LENGTH,
+    );
+
+    const reconciled = this._createTransactionReconcileOwnerAllocations(
+      sanitizedOwnerAllocations,
+      { amount: cleaned.amount, owners: cleaned.owners, rule: allocationRule },
+    );
+    const ownerAllocationsPayload =
+      this._createTransactionEnsureSerializableWithLimit(
+        reconciled.allocations,
+        "owner_allocations",
+        this.MAX_OWNER_ALLOCATIONS_BLOB_LENGTH,
+      );
+
+    const normalizedCurrency = this._createTransactionNormalizeCurrency(
+      cleaned.currency,
+    );
+
+    const normalizedDirection =
+      this._createTransactionNormalizeDirection(cleaned.direction);
+
+    const normalizedStatus = this._createTransactionNormalizeStatus(
+      cleaned.status,
+      normalizedDirection,
+    );
+    if (this.RESERVED_UPDATE_STATUSES.includes(normalizedStatus)) {
+      throw this._fail(
+        ValidationError,
+        `createTransaction(): status "${normalizedStatus}" is set by refundTransaction() and the dispute methods`,
+        { field: "status", value: normalizedStatus },
+        { report: "createTransaction(): Reserved status" },
+      );
+    }
+
+    const ownersPayload = this._createTransactionEnsureSerializableWithLimit(
+      reconciled.owners,
+      "owners",
+    );
+    const productsPayload = this._createTransactionEnsureSerializableWithLimit(
+      cleaned.products,
+      "products",
+      this.MAX_PRODUCTS_BLOB_LENGTH,
+    );
+
+    const data = {
+      order_id: cleaned.order_id,
+      amount: cleaned.amount,
+      order_type: cleaned.order_type,
+      customer_uid: cleaned.customer_uid,
+      status: normalizedStatus,
+      direction: normalizedDirection,
+      payment_method: cleaned.payment_method,
+      currency: normalizedCurrency,
+      platform: cleaned.platform,
+      ip_address: cleaned.ip_address,
+      parent_transaction_id: cleaned.parent_transaction_id,
+      meta: safeMeta ? JSON.stringify(safeMeta) : null,
+      user_agent: cleaned.user_agent,
+      refund_reason: cleaned.refund_reason,
+      dispute_id: cleaned.dispute_id,
+      write_status: cleaned.write_status,
+      owners: ownersPayload ? JSON.stringify(ownersPayload) : null,
+      owner_allocations: ownerAllocationsPayload ? JSON.stringify(ownerAllocationsPayload) : null,
+      platform_fee_amount: reconciled.platform_fee_amount,
+      products: productsPayload ? JSON.stringify(productsPayload) : null,
+      is_deleted: false,
+    };
+
+    const idempotencyKey = this._createTransactionNormalizeIdempotencyKey(
+      options?.idempotencyKey ?? txn?.idempotency_key ?? null,
+    );
+    const payloadFingerprint = idempotencyKey
+      ? this._createTransactionComputeFingerprint({
+          ...data,
+          meta: safeMeta ?? null,
+          owners: ownersPayload ?? null,
+          owner_allocations: ownerAllocationsPayload ?? null,
+          products: productsPayload ?? null,
+        })
+      : null;
+    if (idempotencyKey) {
+      data.idempotency_key = idempotencyKey;
+      data.idempotency_fingerprint = payloadFingerprint;
+    }
+
+    return {
+      cleaned,
+      data,
+      safeMeta,
+      ownersPayload,
+      ownerAllocationsPayload,
+      productsPayload,
+      idempotencyKey,
+      payloadFingerprint,
+    };
+  }
+
+  static _createTransactionSanitizeInput(txn) {
+    // The running refund total belongs to refundTransaction()
+    if (SafeUtils.hasValue(txn?.refund_amount)) {
+      throw this._fail(
+        ValidationError,
+        "createTransaction(): refund_amount is set by refundTransaction()",
+        { field: "refund_amount", value: txn.refund_amount },
+        { report: "createTransaction(): refund_amount is not accepted" },
+      );
+    }
+
+    let cleaned;
+    try {
+      cleaned = SafeUtils.sanitizeValidate({
+        order_id: { value: txn?.order_id, type: "string", required: true },
+        amount: { value: txn?.amount, type: "int", required: true },
+        order_type: { value: txn?.order_type, type: "string", required: true },
+        customer_uid: { value: txn?.customer_uid, type: "string", required: true },
+        status: { value: txn?.status, type: "string", required: true },
+        direction: {
+          value:
+            txn?.direction ?? txn?.transaction_kind ?? txn?.transactionKind ?? null,
+          type: "string",
+          required: true,
+        },
+        payment_method: { value: txn?.payment_method, type: "string", required: true },
+        currency: { value: txn?.currency, type: "string", required: true },
+        platform: { value: txn?.platform, type: "string", required: true },
+        ip_address: { value: txn?.ip_address, type: "string", required: false },
+        parent_transaction_id: {
+          value: txn?.parent_transaction_id,
+          type: "string",
+          required: false,
+        },
+        meta: { value: txn?.meta, type: "object", required: false },
+        user_agent: { value: txn?.user_agent, type: "string", required: false },
+        refund_reason: { value: txn?.refund_reason, type: "string", required: false },
+        dispute_id: { value: txn?.dispute_id, type: "string", required: false },
+        write_status: {
+          value: txn?.write_status,
+          type: "string",
+          required: false,
+          default: "confirmed",
+        },
+        owners: { value: txn?.owners, type: "array", required: false },
+        owner_allocations: { value: txn?.owner_allocations, type: "array", required: false },
+        products: { value: txn?.products, type: "array", required: false },
+      });
+    } catch (err) {
+      // Extract field name from error message for ErrorHandler
+      const match = String(err?.message || "").match(/Missing required parameter: (\w+)/);
+      const fieldName = match ? match[1] : null;
+      const invalidMatch = String(err?.message || "").match(/"(\w+)" failed sanitization/);
+      if (fieldName) {
+        ErrorHandler.addError(`createTransaction(): Missing required field "${fieldName}"`, {
+          field: fieldName,
+          error: String(err?.message || err || ""),
+        });
+      } else if (invalidMatch && invalidMatch[1] === "amount") {
+        ErrorHandler.addError(
+          `createTransaction(): ${invalidMatch[1]} must be an integer in minor units`,
+          {
+            field: invalidMatch[1],
+            error: String(err?.message || err || ""),
+          },
+        );
+      } else {
+        ErrorHandler.addError(`createTransaction(): Validation failed`, {
+          error: String(err?.message || err || ""),
+        });
+      }
+      throw new ValidationError(String(err?.message || err || ""), {
+        field: fieldName || invalidMatch?.[1] || null,
+        cause: err,
+      });
+    }
+
+    const requiredTextFields = [
+      "order_id",
+      "order_type",
+      "customer_uid",
+      "status",
+      "direction",
+      "payment_method",
+      "currency",
+      "platform",
+    ];
+    for (const field of requiredTextFields) {
+      if (!SafeUtils.hasValue(cleaned[field])) {
+        throw this._fail(
+          ValidationError,
+          `createTransaction(): "${field}" is required`,
+          {
+            field,
+          },
+          { report: `createTransaction(): Missing required field "${field}"` },
+        );
+      }
+    }
+
+    if (cleaned.amount !== null && cleaned.amount < 0) {
+      throw this._fail(
+        ValidationError,
+        "createTransaction(): amount must not be negative",
+        {
+          field: "amount",
+          value: cleaned.amount,
+        },
+      );
+    }
+
+    return cleaned;
+  }
+
+  static _createTransactionNormalizeCurrency(currencyValue) {
+    try {
+      return CurrencyRegistry.normalizeCode(currencyValue);
+    } catch (err) {
+      throw this._fail(
+        ValidationError,
+        `createTransaction(): ${err.message}`,
+        {
+          field: "currency",
+          value: currencyValue,
+          error: String(err?.message || err || ""),
+        },
+        { report: "createTransaction(): Invalid currency" },
+      );
+    }
+  }
+
+  static _createTransactionEnsureSerializableWithLimit(
+    value,
+    label,
+    maxLength = null,
+  ) {
+    if (value === undefined) return undefined;
+    try {
+      const serialized = JSON.stringify(value);
+      if (maxLength !== null && serialized.length > maxLength) {
+        // Extract field name (e.g., "meta", "owner_allocations", "products")
+        const fieldMatch = label.match(/^(\w+)/);
+        const fieldName = fieldMatch ? fieldMatch[1] : null;
+        if (fieldName) {
+          ErrorHandler.addError(`createTransaction(): ${label} exceeds maximum length`, {
+            field: fieldName,
+            maxLength,
+            actualLength: serialized.length,
+          });
+        }
+        throw new ValidationError(
+          `${label} exceeds maximum length of ${maxLength} characters`,
+          { field: fieldName },
+        );
+      }
+      return value;
+    } catch (err) {
+      Logger.debugLog(
+        "[TransactionRegistry] createTransaction serialization check failed",
+        {
+          label,
+          error: String(err),
+        },
+      );
+      // Don't add ErrorHandler if already added above for size limit
+      if (!String(err?.message || "").includes("exceeds maximum length")) {
+        const fieldMatch = label.match(/^(\w+)/);
+        const fieldName = fieldMatch ? fieldMatch[1] : null;
+        if (fieldName) {
+          ErrorHandler.addError(`createTransaction(): ${label} serialization failed`, {
+            field: fieldName,
+            error: String(err?.message || err || ""),
+          });
+        }
+      }
+      throw new ValidationError(`${label} must be serializable`, {
+        field: label.match(/^(\w+)/)?.[1] ?? null,
+        cause: err,
+      });
+    }
+  }
+
+  static _createTransactionSanitizeMeta(metaInput) {
+    if (!SafeUtils.hasValue(metaInput)) return null;
+    const sanitizedObject = SafeUtils.sanitizeObject(metaInput);
+    if (!sanitizedObject) return null;
+    return this._createTransactionSanitizeMetaEntries(sanitizedObject, "meta");
+  }
+
+  static _createTransactionSanitizeMetaEntries(metaObject, path) {
+    const result = {};
+    for (const [rawKey, rawValue] of Object.entries(metaObject)) {
+      const key = SafeUtils.sanitizeTextField(rawKey);
+      if (!SafeUtils.hasValue(key)) continue;
+
+      if (!this.META_KEY_PATTERN.test(key)) {
+        throw this._fail(
+          ValidationError,
+          `${path}.${key} must match pattern ${this.META_KEY_PATTERN}`,
+          {
+            field: "meta",
+            key,
+            pattern: String(this.META_KEY_PATTERN),
+          },
+          { report: `createTransaction(): Invalid meta key pattern` },
+        );
+      }
+
+      const sanitizedValue = this._createTransactionSanitizeMetaValue(
+        rawValue,
+        `${path}.${key}`,
+      );
+      if (sanitizedValue === undefined) continue;
+      result[key] = sanitizedValue;
+    }
+
+    return Object.keys(result).length ? result : null;
+  }
+
+  static _createTransactionSanitizeMetaValue(rawValue, path) {
+    if (rawValue === undefined) return undefined;
+
+    if (
+      typeof rawValue === "string" ||
+      typeof rawValue === "number" ||
+      typeof rawValue === "boolean"
+    ) {
+      return rawValue;
+    }
+
+    if (Array.isArray(rawValue)) {
+      return rawValue
+        .map((entry, index) =>
+          this._createTransactionSanitizeMetaValue(entry, `${path}[${index}]`),
+        )
+        .filter((entry) => entry !== undefined);
+    }
+
+    if (SafeUtils.isPlainObject(rawValue)) {
+      const nested = SafeUtils.sanitizeObject(rawValue);
+      if (!nested) return null;
+      return this._createTransactionSanitizeMetaEntries(nested, path);
+    }
+
+    if (rawValue === null) return null;
+
+    const sanitizedString = SafeUtils.sanitizeTextField(String(rawValue));
+    return sanitizedString === null ? null : sanitizedString;
+  }
+
+  /**
+   * Shape-check owner_allocations entries. Every malformed entry is reported
+   * to ErrorHandler with its field path before a single error is thrown.
+   */
+  static _createTransactionSanitizeOwnerAllocations(
+    ownerAllocations,
+    rule = this.DEFAULT_OWNER_ALLOCATION_RULE,
+  ) {
+    if (!ownerAllocations) {
+      return [];
+    }
+    if (!Array.isArray(ownerAllocations)) {
+      throw this._fail(
+        ValidationError,
+        "createTransaction(): owner_allocations must be an array",
+        { field: "owner_allocations", value: ownerAllocations },
+        { report: "createTransaction(): Invalid owner_allocations" },
+      );
+    }
+
+    const violations = [];
+    const report = (field, message, value) => {
+      violations.push({ field, message });
+      ErrorHandler.addError(`createTransaction(): ${message}`, { field, rule, value });
+    };
+
+    const sanitized = ownerAllocations.map((allocation, index) => {
+      const field = `owner_allocations[${index}]`;
+      if (!SafeUtils.isPlainObject(allocation)) {
+        report(field, `${field} must be an object`, allocation);
+        return null;
+      }
+      const ownerUuid = SafeUtils.sanitizeTextField(allocation.owner_uuid);
+      if (rule === "percentage") {
+        const percentage = SafeUtils.hasValue(allocation.percentage)
+          ? String(allocation.percentage).trim()
+          : null;
+        if (!SafeUtils.hasValue(ownerUuid) || percentage === null) {
+          report(field, `${field} must include owner_uuid and percentage`, allocation);
+          return null;
+        }
+        return { owner_uuid: ownerUuid, percentage };
+      }
+      const amountCents = SafeUtils.sanitizeInteger(allocation.amount_cents);
+      if (!SafeUtils.hasValue(ownerUuid) || amountCents === null) {
+        report(field, `${field} must include owner_uuid and amount_cents`, allocation);
+        return null;
+      }
+      return { owner_uuid: ownerUuid, amount_cents: amountCents };
+    });
+
+    if (violations.length > 0) {
+      const error = new ValidationError(
+        `createTransaction(): owner_allocations are malformed (${violations
+          .map((violation) => violation.message)
+          .join("; ")})`,
+        { field: violations[0].field, context: { violations } },
+      );
+      error.errors = violations;
+      throw error;
+    }
+    return sanitized;
+  }
+
+  static _createTransactionNormalizeAllocationRule(ruleValue) {
+    if (!SafeUtils.hasValue(ruleValue)) return this.DEFAULT_OWNER_ALLOCATION_RULE;
+    const sanitized = SafeUtils.sanitizeTextField(String(ruleValue));
+    const normalized = typeof sanitized === "string" ? sanitized.trim().toLowerCase() : "";
+    if (!this.OWNER_ALLOCATION_RULES.includes(normalized)) {
+      throw this._fail(
+        ValidationError,
+        `createTransaction(): allocation_rule must be one of ${this.OWNER_ALLOCATION_RULES.join(", ")}`,
+        {
+          field: "allocation_rule",
+          value: ruleValue,
+          allowed: this.OWNER_ALLOCATION_RULES,
+        },
+        { report: "createTransaction(): Invalid allocation rule" },
+      );
+    }
+    return normalized;
+  }
+
+  /**
+   * Reconcile owner_allocations with the transaction amount under `rule`:
+   *   exact        — amount_cents must add up to the amount.
+   *   platform_fee — amount_cents may add up to less; the remainder is the fee.
+   *   percentage   — entries carry `percentage` (up to 4 decimals, total <= 100)
+   *                  and amount_cents is derived by largest remainder, ties
+   *                  going to the earlier entry; the remainder is the fee.
+   * Every owner_uuid must be listed in `owners`; when owners is omitted it
+   * defaults to the allocation owners. All violations are reported to
+   * ErrorHandler with their field path before a single error is thrown.
+   */
+  static _createTransactionReconcileOwnerAllocations(allocations, { amount, owners, rule }) {
+    const entries = Array.isArray(allocations) ? allocations : [];
+    const ownerList = Array.isArray(owners) && owners.length > 0 ? owners : null;
+    if (entries.length === 0) {
+      return { allocations: entries, owners: ownerList, platform_fee_amount: null };
+    }
+
+    const violations = [];
+    const report = (field, message, extra = {}) => {
+      violations.push({ field, message });
+      ErrorHandler.addError(`createTransaction(): ${message}`, {
+        field,
+        rule,
+        ...extra,
+      });
+    };
+
+    const knownOwners = ownerList ? new Set(ownerList.map((owner) => String(owner))) : null;
+    const seenOwners = new Set();
+    entries.forEach((allocation, index) => {
+      const path = `owner_allocations[${index}].owner_uuid`;
+      if (seenOwners.has(allocation.owner_uuid)) {
+        report(path, `owner_allocations repeat owner_uuid "${allocation.owner_uuid}"`);
+      }
+      seenOwners.add(allocation.owner_uuid);
+      if (knownOwners && !knownOwners.has(allocation.owner_uuid)) {
+        report(path, `owner_allocations owner_uuid "${allocation.owner_uuid}" is not listed in owners`);
+      }
+    });
+
+    let resolved = entries;
+    if (rule === "percentage") {
+      const scale = 10n ** BigInt(this.ALLOCATION_PERCENTAGE_DECIMALS);
+      const weights = entries.map((allocation, index) => {
+        const match = allocation.percentage.match(
+          new RegExp(`^(\\d+)(?:\\.(\\d{1,${this.ALLOCATION_PERCENTAGE_DECIMALS}}))?$`),
+        );
+        if (!match) {
+          report(
+            `owner_allocations[${index}].percentage`,
+            `owner_allocations percentage must be a non-negative number with at most ${this.ALLOCATION_PERCENTAGE_DECIMALS} decimals`,
+            { value: allocation.percentage },
+          );
+          return 0n;
+        }
+        const [, whole, fraction = ""] = match;
+        return BigInt(whole) * scale + BigInt(fraction.padEnd(this.ALLOCATION_PERCENTAGE_DECIMALS, "0"));
+      });
+      const totalWeight = weights.reduce((sum, weight) => sum + weight, 0n);
+      if (totalWeight > 100n * scale) {
+        report("owner_allocations", "owner_allocations percentages exceed 100", {
+          total_percentage: totalWeight.toString(),
+        });
+      }
+      if (violations.length === 0) {
+        const split = this._splitAllocationsProportionally(
+          entries.map((allocation, index) => ({
+            owner_uuid: allocation.owner_uuid,
+            amount_cents: weights[index].toString(),
+          })),
+          amount,
+          (100n * scale).toString(),
+        );
+        resolved = split.map((allocation, index) => ({
+          ...allocation,
+          percentage: entries[index].percentage,
+        }));
+      }
+    } else {
+      entries.forEach((allocation, index) => {
+        if (allocation.amount_cents < 0) {
+          report(
+            `owner_allocations[${index}].amount_cents`,
+            "owner_allocations amount_cents must not be negative",
+            { value: allocation.amount_cents },
+          );
+        }
+      });
+    }
+
+    const allocatedTotal = resolved.reduce(
+      (sum, allocation) => sum + BigInt(allocation.amount_cents ?? 0),
+      0n,
+    );
+    const amountTotal = BigInt(amount);
+    if (rule === "exact" && allocatedTotal !== amountTotal) {
+      report("owner_allocations", `owner_allocations do not match amount: total ${allocatedTotal} must equal amount ${amount}`, {
+        allocated: allocatedTotal.toString(),
+        amount,
+      });
+    } else if (allocatedTotal > amountTotal) {
+      report("owner_allocations", `owner_allocations exceed amount: total ${allocatedTotal} exceeds amount ${amount}`, {
+        allocated: allocatedTotal.toString(),
+        amount,
+      });
+    }
+
+    if (violations.length > 0) {
+      const error = new ValidationError(
+        `createTransaction(): owner_allocations do not reconcile (${violations
+          .map((violation) => `${violation.field}: ${violation.message}`)
+          .join("; ")})`,
+        { code: "ALLOCATION_MISMATCH", field: violations[0].field, context: { violations } },
+      );
+      error.errors = violations;
+      throw error;
+    }
+
+    return {
+      allocations: resolved,
+      owners: ownerList || Array.from(seenOwners),
+      platform_fee_amount: Number(amountTotal - allocatedTotal),
+    };
+  }
+
+  static _createTransactionNormalizeDirection(directionValue) {
+    const sanitizedDirection = SafeUtils.sanitizeTextField(directionValue);
+    if (!SafeUtils.hasValue(sanitizedDirection)) {
+      throw this._fail(
+        ValidationError,
+        "createTransaction(): Missing direction",
+        {
+          field: "direction",
+        },
+      );
+    }
+    const normalized = sanitizedDirection.trim().toLowerCase();
+    if (!this.TRANSACTION_DIRECTIONS.includes(normalized)) {
+      throw this._fail(
+        ValidationError,
+        `createTransaction(): invalid direction (expected one of ${this.TRANSACTION_DIRECTIONS.join(
+            ", ",
+          )})`,
+        {
+          field: "direction",
+          value: sanitizedDirection,
+          allowed: this.TRANSACTION_DIRECTIONS,
+        },
+        { report: `createTransaction(): invalid direction` },
+      );
+    }
+    return normalized;
+  }
+
+  static _createTransactionNormalizeStatus(statusValue, direction) {
+    const sanitizedStatus = SafeUtils.sanitizeTextField(statusValue);
+    if (!SafeUtils.hasValue(sanitizedStatus)) {
+      throw new ValidationError("createTransaction(): Missing status", { field: "status" });
+    }
+    const normalized = sanitizedStatus.trim().toLowerCase();
+    const lifecycle = this.TRANSACTION_STATUS_LIFECYCLES[direction] || {};
+    const allowed = Object.keys(lifecycle);
+    if (!allowed.includes(normalized)) {
+      throw this._fail(
+        ValidationError,
+        `createTransaction(): invalid status "${normalized}" for direction "${direction}" (expected one of ${allowed.join(
+            ", ",
+          )})`,
+        {
+          field: "status",
+          value: normalized,
+          direction,
+          allowed,
+        },
+        { report: "createTransaction(): invalid status for direction" },
+      );
+    }
+    return normalized;
+  }
+
+  static _assertStatusTransition(direction, fromStatus, toStatus, transactionId = null) {
+    const normalizedDirection = SafeUtils.hasValue(direction)
+      ? String(direction).trim().toLowerCase()
+      : null;
+    const normalizedFrom = SafeUtils.hasValue(fromStatus)
+      ? String(fromStatus).trim().toLowerCase()
+      : null;
+    const lifecycle = normalizedDirection
+      ? this.TRANSACTION_STATUS_LIFECYCLES[normalizedDirection]
+      : null;
+    const allowed =
+      lifecycle && normalizedFrom && Array.isArray(lifecycle[normalizedFrom])
+        ? lifecycle[normalizedFrom]
+        : [];
+
+    Logger.debugLog("[TransactionRegistry] _assertStatusTransition", {
+      transaction_id: transactionId,
+      direction: normalizedDirection,
+      from: normalizedFrom,
+      to: toStatus,
+      allowed,
+    });
+
+    if (lifecycle && normalizedFrom && lifecycle[normalizedFrom]) {
+      if (normalizedFrom === toStatus || allowed.includes(toStatus)) return;
+    }
+
+    ErrorHandler.addError("updateTransaction(): invalid status transition", {
+      field: "status",
+      transaction_id: transactionId,
+      direction: normalizedDirection,
+      from: normalizedFrom,
+      to: toStatus,
+      allowed,
+    });
+    throw new InvalidTransitionError(
+      `updateTransaction(): cannot move ${normalizedDirection || "unknown"} transaction from "${
+        normalizedFrom || "unknown"
+      }" to "${toStatus}"`,
+      {
+        direction: normalizedDirection,
+        from: normalizedFrom,
+        to: toStatus,
+        allowed,
+      },
+    );
+  }
+
+  static _createTransactionNormalizeIdempotencyKey(keyValue) {
+    if (!SafeUtils.hasValue(keyValue)) return null;
+    const sanitizedKey = SafeUtils.sanitizeTextField(String(keyValue));
+    const normalized =
+      typeof sanitizedKey === "string" ? sanitizedKey.trim() : "";
+    if (
+      !normalized ||
+      normalized.length > this.IDEMPOTENCY_KEY_MAX_LENGTH ||
+      !this.IDEMPOTENCY_KEY_PATTERN.test(normalized)
+    ) {
+      throw this._fail(
+        ValidationError,
+        `createTransaction(): idempotency key must match ${this.IDEMPOTENCY_KEY_PATTERN} and be at most ${this.IDEMPOTENCY_KEY_MAX_LENGTH} characters`,
+        {
+          field: "idempotency_key",
+          maxLength: this.IDEMPOTENCY_KEY_MAX_LENGTH,
+          pattern: String(this.IDEMPOTENCY_KEY_PATTERN),
+        },
+        { report: "createTransaction(): invalid idempotency key" },
+      );
+    }
+    return normalized;
+  }
+
+  static _createTransactionComputeFingerprint(payload) {
+    const stableStringify = (value) => {
+      if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(",")}]`;
+      }
+      if (value && typeof value === "object") {
+        const entries = Object.keys(value)
+          .sort()
+          .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+        return `{${entries.join(",")}}`;
+      }
+      return JSON.stringify(value === undefined ? null : value);
+    };
+    return crypto
+      .createHash("sha256")
+      .update(stableStringify(payload))
+      .digest("hex");
+  }
+
+  static async _createTransactionFindReplay(db, idempotencyKey, fingerprint) {
+    const existing = await db.getRow(
+      "default",
+      `SELECT * FROM transactions
+       WHERE idempotency_key = $1
+       LIMIT 1`,
+      [idempotencyKey],
+    );
+    if (!existing || !SafeUtils.hasValue(existing.transaction_id)) return null;
+
+    if (existing.idempotency_fingerprint !== fingerprint) {
+      throw this._fail(
+        ConflictError,
+        "createTransaction(): idempotency key was already used with a different payload",
+        {
+          field: "idempotency_key",
+          idempotency_key: idempotencyKey,
+          transaction_id: existing.transaction_id,
+        },
+        {
+          report: "createTransaction(): idempotency key reused with a different payload",
+          code: "IDEMPOTENCY_CONFLICT",
+        },
+      );
+    }
+
+    Logger.debugLog("[TransactionRegistry] createTransaction idempotent replay", {
+      transaction_id: existing.transaction_id,
+      idempotency_key: idempotencyKey,
+    });
+    return { ...existing, idempotency_replayed: true };
+  }
+
+  /**
+   * Amounts are integer minor units of the row's currency (see
+   * CurrencyRegistry). Accepts numbers or the integer strings pg returns for
+   * BIGINT/SUM() and never rounds: anything fractional yields null.
+   */
+  static _parseMinorUnits(amount) {
+    return SafeUtils.sanitizeInteger(amount);
+  }
+
+  static _parseJsonArray(raw) {
+    if (Array.isArray(raw)) return raw;
+    if (typeof raw === "string") {
+      try {
+        const parsed = JSON.parse(raw);
+        return Array.isArray(parsed) ? parsed : [];
+      } catch (err) {
+        Logger.debugLog("[TransactionRegistry] _parseJsonArray failed", {
+          error: String(err),
+        });
+        return [];
+      }
+    }
+    return [];
+  }
+
+  /**
+   * Split `portionCents` of a `totalCents` transaction across its owner
+   * allocations. Each owner gets its proportional share rounded down, and the
+   * leftover cents go to the largest remainders (ties by list order) so the
+   * result is deterministic and sums exactly.
+   */
+  static _splitAllocationsProportionally(allocations, portionCents, totalCents) {
+    const entries = (Array.isArray(allocations) ? allocations : [])
+      .map((allocation) => ({
+        owner_uuid: SafeUtils.sanitizeTextField(allocation?.owner_uuid),
+        amount_cents: SafeUtils.sanitizeInteger(allocation?.amount_cents),
+      }))
+      .filter(
+        (allocation) =>
+          SafeUtils.hasValue(allocation.owner_uuid) &&
+          allocation.amount_cents !== null,
+      );
+    if (entries.length === 0 || !totalCents) return [];
+
+    const portion = BigInt(portionCents);
+    const total = BigInt(totalCents);
+    const allocatedTotal = entries.reduce(
+      (sum, entry) => sum + BigInt(entry.amount_cents),
+      0n,
+    );
+    const target = (allocatedTotal * portion) / total;
+
+    const shares = entries.map((entry, index) => {
+      const numerator = BigInt(entry.amount_cents) * portion;
+      return {
+        index,
+        owner_uuid: entry.owner_uuid,
+        amount: numerator / total,
+        remainder: numerator % total,
+      };
+    });
+    let leftover = target - shares.reduce((sum, share) => sum + share.amount, 0n);
+    const byRemainder = [...shares].sort((a, b) => {
+      if (a.remainder === b.remainder) return a.index - b.index;
+      return a.remainder > b.remainder ? -1 : 1;
+    });
+    for (const share of byRemainder) {
+      if (leftover <= 0n) break;
+      share.amount += 1n;
+      leftover -= 1n;
+    }
+
+    return shares.map((share) => ({
+      owner_uuid: share.owner_uuid,
+      amount_cents: Number(share.amount),
+    }));
+  }
+
+  static _refundValidateExplicitAllocations(allocations, parentAllocations, refundCents) {
+    const parentOwners = new Set(
+      parentAllocations
+        .map((allocation) => SafeUtils.sanitizeTextField(allocation?.owner_uuid))
+        .filter(SafeUtils.hasValue),
+    );
+    let total = 0;
+    allocations.forEach((allocation, index) => {
+      if (!parentOwners.has(allocation.owner_uuid)) {
+        throw this._fail(
+          ValidationError,
+          `refundTransaction(): owner_allocations[${index}].owner_uuid is not an owner of the parent transaction`,
+          {
+            field: `owner_allocations[${index}].owner_uuid`,
+            owner_uuid: allocation.owner_uuid,
+          },
+          { report: "refundTransaction(): unknown owner in owner_allocations" },
+        );
+      }
+      if (allocation.amount_cents < 0) {
+        throw this._fail(
+          ValidationError,
+          `refundTransaction(): owner_allocations[${index}].amount_cents must not be negative`,
+          {
+            field: `owner_allocations[${index}].amount_cents`,
+          },
+          { report: "refundTransaction(): negative owner allocation" },
+        );
+      }
+      total += allocation.amount_cents;
+    });
+    if (total > refundCents) {
+      throw this._fail(
+        ValidationError,
+        "refundTransaction(): owner_allocations exceed the refund amount",
+        {
+          field: "owner_allocations",
+          allocated_cents: total,
+          refund_cents: refundCents,
+        },
+        { report: "refundTransaction(): owner_allocations exceed refund amount" },
+      );
+    }
+    return allocations;
+  }
+
+  static _composeInsertSql(table, data) {
+    const columns = Object.keys(data);
+    for (const col of columns) {
+      if (!/^[a-z_][a-z0-9_]*$/.test(col)) {
+        throw new Error(`_composeInsertSql(): invalid column "${col}"`);
+      }
+    }
+    if (!/^[a-z_][a-z0-9_]*$/.test(table)) {
+      throw new Error(`_composeInsertSql(): invalid table "${table}"`);
+    }
+    const values = columns.map((col) => {
+      const value = data[col];
+      if (value !== null && typeof value === "object") {
+        return JSON.stringify(value);
+      }
+      return value === undefined ? null : value;
+    });
+    const columnList = columns.map((col) => `"${col}"`).join(", ");
+    const placeholders = columns.map((_, index) => `$${index + 1}`).join(", ");
+    return {
+      text: `INSERT INTO ${table} (${columnList}) VALUES (${placeholders}) RETURNING *`,
+      values,
+    };
+  }
+
+  /**
+   * Multi-row variant of _composeInsertSql(): one INSERT whose column list is
+   * the union of the rows' keys; a row without a column inserts DEFAULT.
+   * Callers keep rows x columns under PostgreSQL's 65535 parameter limit.
+   */
+  static _composeMultiInsertSql(table, rows) {
+    if (!/^[a-z_][a-z0-9_]*$/.test(table)) {
+      throw new Error(`_composeMultiInsertSql(): invalid table "${table}"`);
+    }
+    const columns = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+    for (const col of columns) {
+      if (!/^[a-z_][a-z0-9_]*$/.test(col)) {
+        throw new Error(`_composeMultiInsertSql(): invalid column "${col}"`);
+      }
+    }
+    const values = [];
+    const tuples = rows.map((row) => {
+      const placeholders = columns.map((col) => {
+        if (!Object.hasOwn(row, col)) return "DEFAULT";
+        const value = row[col];
+        values.push(
+          value !== null && typeof value === "object"
+            ? JSON.stringify(value)
+            : value === undefined
+              ? null
+              : value,
+        );
+        return `$${values.length}`;
+      });
+      return `(${placeholders.join(", ")})`;
+    });
+    const columnList = columns.map((col) => `"${col}"`).join(", ");
+    return {
+      text: `INSERT INTO ${table} (${columnList}) VALUES ${tuples.join(", ")} RETURNING *`,
+      values,
+    };
+  }
+
+  /**
+   * Resolve who performed a mutation and which request carried it. Actor
+   * falls back to DEFAULT_AUDIT_ACTOR so background jobs are still attributed.
+   */
+  static _normalizeAuditContext(options = {}) {
+    const source = SafeUtils.isPlainObject(options) ? options : {};
+    const normalize = (value, field) => {
+      if (!SafeUtils.hasValue(value)) return null;
+      const sanitized = SafeUtils.sanitizeTextField(String(value));
+      const trimmed = typeof sanitized === "string" ? sanitized.trim() : "";
+      if (!trimmed) return null;
+      if (trimmed.length > this.AUDIT_FIELD_MAX_LENGTH) {
+        throw this._fail(
+          ValidationError,
+          `${field} must be at most ${this.AUDIT_FIELD_MAX_LENGTH} characters`,
+          {
+            field,
+            maxLength: this.AUDIT_FIELD_MAX_LENGTH,
+          },
+          { report: `Invalid ${field}` },
+        );
+      }
+      return trimmed;
+    };
+    return {
+      actor: normalize(source.actor, "actor") || this.DEFAULT_AUDIT_ACTOR,
+      request_id: normalize(source.requestId ?? source.request_id, "request_id"),
+    };
+  }
+
+  /**
+   * Field-level diff between two transaction rows as
+   * { field: { before, after } }. A null `before` (creation) lists every
+   * populated column of `after`; a null `after` lists what was removed.
+   */
+  static _diffTransactionRows(before, after) {
+    const beforeRow = SafeUtils.isPlainObject(before) ? before : {};
+    const afterRow = SafeUtils.isPlainObject(after) ? after : {};
+    const normalize = (value) => {
+      if (value === undefined || value === null) return null;
+      if (value instanceof Date) return value.toISOString();
+      if (typeof value === "string") {
+        const trimmed = value.trim();
+        if (trimmed.startsWith("{") || trimmed.startsWith("[")) {
+          try {
+            return JSON.parse(trimmed);
+          } catch (err) {
+            return value;
+          }
+        }
+      }
+      return value;
+    };
+    const diff = {};
+    const fields = new Set([...Object.keys(beforeRow), ...Object.keys(afterRow)]);
+    for (const field of fields) {
+      if (this.AUDIT_DIFF_IGNORED_FIELDS.includes(field)) continue;
+      const beforeValue = normalize(beforeRow[field]);
+      const afterValue = normalize(afterRow[field]);
+      if (JSON.stringify(beforeValue) === JSON.stringify(afterValue)) continue;
+      diff[field] = { before: beforeValue, after: afterValue };
+    }
+    return diff;
+  }
+
+  /**
+   * Append one row to transaction_events using the caller's transactional
+   * `query` so the event commits or rolls back with the mutation itself.
+   */
+  static async _appendTransactionEvent(query, event) {
+    const insertSql = this._composeInsertSql(
+      "transaction_events",
+      this._composeTransactionEventRow(event),
+    );
+    const res = await query(insertSql.text, insertSql.values);
+    const stored = res?.rows?.[0] || null;
+    if (!stored) throw new StorageError("Transaction event insert failed to return a row");
+    return stored;
+  }
+
+  /** Multi-row _appendTransactionEvent(): one INSERT for all `events`. */
+  static async _appendTransactionEvents(query, events) {
+    const insertSql = this._composeMultiInsertSql(
+      "transaction_events",
+      events.map((event) => this._composeTransactionEventRow(event)),
+    );
+    const res = await query(insertSql.text, insertSql.values);
+    const stored = Array.isArray(res?.rows) ? res.rows : [];
+    if (stored.length !== events.length) {
+      throw new StorageError("Transaction event insert failed to return a row");
+    }
+    return stored;
+  }
+
+  static _composeTransactionEventRow({
+    transactionId,
+    eventType,
+    before = null,
+    after = null,
+    audit = {},
+  }) {
+    if (!this.TRANSACTION_EVENT_TYPES.includes(eventType)) {
+      throw new Error(`_appendTransactionEvent(): invalid event type "${eventType}"`);
+    }
+    return {
+      transaction_id: transactionId,
+      event_type: eventType,
+      actor: audit.actor || this.DEFAULT_AUDIT_ACTOR,
+      request_id: audit.request_id || null,
+      diff: this._diffTransactionRows(before, after),
+      occurred_at: DateTime.now(),
+    };
+  }
+
+  static _normalizeDisputeId(disputeIdValue) {
+    const sanitized = SafeUtils.hasValue(disputeIdValue)
+      ? SafeUtils.sanitizeTextField(String(disputeIdValue))
+      : null;
+    const normalized = typeof sanitized === "string" ? sanitized.trim() : "";
+    if (
+      !normalized ||
+      normalized.length > this.DISPUTE_ID_MAX_LENGTH ||
+      !this.DISPUTE_ID_PATTERN.test(normalized)
+    ) {
+      throw this._fail(
+        ValidationError,
+        `dispute_id must match ${this.DISPUTE_ID_PATTERN} and be at most ${this.DISPUTE_ID_MAX_LENGTH} characters`,
+        {
+          field: "dispute_id",
+          pattern: String(this.DISPUTE_ID_PATTERN),
+        },
+        { report: "Invalid dispute_id" },
+      );
+    }
+    return normalized;
+  }
+
+  /**
+   * Normalize a Date or a parseable date string into the
+   * "yyyy-MM-dd HH:mm:ss" form (default timezone) used for stored timestamps.
+   */
+  static _normalizeDateTimeValue(value, field = null) {
+    let timestamp = false;
+    if (value instanceof Date) {
+      timestamp = Number.isNaN(value.getTime())
+        ? false
+        : Math.floor(value.getTime() / 1000);
+    } else if (typeof value === "string" && value.trim()) {
+      timestamp = DateTime.parseDateToTimestamp(value.trim());
+    }
+    if (timestamp === false) {
+      if (field) {
+        throw this._fail(
+          ValidationError,
+          `${field} must be a valid date`,
+          { field, value: String(value) },
+          { report: `Invalid ${field}` },
+        );
+      }
+      return null;
+    }
+    return DateTime.fromUnixTimestamp(timestamp);
+  }
+
+  static _normalizeOwnerUuid(ownerUuid, method) {
+    const sanitized = SafeUtils.hasValue(ownerUuid)
+      ? SafeUtils.sanitizeTextField(String(ownerUuid))
+      : null;
+    const trimmed = typeof sanitized === "string" ? sanitized.trim() : "";
+    if (!trimmed) {
+      throw this._fail(
+        ValidationError,
+        `${method}(): owner_uuid is required`,
+        {
+          field: "owner_uuid",
+        },
+      );
+    }
+    return trimmed;
+  }
+
+  /**
+   * WHERE conditions selecting the live transactions that move an owner's
+   * balance (OwnerLedger.ENTRY_RULES directions and statuses). Optional
+   * bounds: `from` / `to` (created_at >= / <=), `before` (created_at <) and
+   * the OWNER_STATEMENT_SORT cursor values `after` (rows past that position)
+   * and `through` (rows up to and including it).
+   */
+  static _composeOwnerLedgerConditions(ownerUuid, bounds = {}) {
+    const params = [JSON.stringify([{ owner_uuid: ownerUuid }])];
+    const bind = (value) => {
+      params.push(value);
+      return `$${params.length}`;
+    };
+    const moving = Object.entries(OwnerLedger.ENTRY_RULES).map(
+      ([direction, rule]) =>
+        `(direction = '${direction}' AND status IN (${rule.statuses
+          .map((status) => `'${status}'`)
+          .join(", ")}))`,
+    );
+    const conditions = [
+      "is_deleted = false",
+      "owner_allocations @> $1::jsonb",
+      `(${moving.join(" OR ")})`,
+    ];
+    if (bounds.from) conditions.push(`created_at >= ${bind(bounds.from)}`);
+    if (bounds.to) conditions.push(`created_at <= ${bind(bounds.to)}`);
+    if (bounds.before) conditions.push(`created_at < ${bind(bounds.before)}`);
+    if (bounds.after) {
+      conditions.push(this._composeKeysetSql(this.OWNER_STATEMENT_SORT, bounds.after, params));
+    }
+    if (bounds.through) {
+      conditions.push(
+        `NOT ${this._composeKeysetSql(this.OWNER_STATEMENT_SORT, bounds.through, params)}`,
+      );
+    }
+    return { conditions, params };
+  }
+
+  /**
+   * Sum an owner's allocated shares in the database, grouped by currency,
+   * direction and status, and total them with OwnerLedger.summarizeTotals().
+   * `runQuery(sql, params)` is either db.query or the query function of an
+   * open DB transaction; `bounds` as in _composeOwnerLedgerConditions().
+   */
+  static async _loadOwnerBalances(runQuery, ownerUuid, bounds = {}, openingBalances = {}) {
+    const { conditions, params } = this._composeOwnerLedgerConditions(ownerUuid, bounds);
+    params.push(ownerUuid);
+    conditions.push(`allocation->>'owner_uuid' = $${params.length}`);
+    const result = await runQuery(
+      `SELECT currency, direction, status,
+         COALESCE(SUM((allocation->>'amount_cents')::bigint), 0) AS allocated_sum
+       FROM transactions
+       CROSS JOIN LATERAL jsonb_array_elements(owner_allocations) AS allocation
+       WHERE ${conditions.join("\n         AND ")}
+       GROUP BY currency, direction, status`,
+      params,
+    );
+    const groups = Array.isArray(result?.rows) ? result.rows : [];
+    return OwnerLedger.summarizeTotals(groups, openingBalances);
+  }
+
+  /**
+   * Load at most `limit` of an owner's ledger rows in OWNER_STATEMENT_SORT
+   * order, with created_at normalized so the ledger can order and compare
+   * it and its exact text kept as cursor_created_at for the next cursor.
+   */
+  static async _loadOwnerLedgerRows(runQuery, ownerUuid, bounds, limit) {
+    const { conditions, params } = this._composeOwnerLedgerConditions(ownerUuid, bounds);
+    params.push(limit);
+    const result = await runQuery(
+      `SELECT *, created_at::text AS cursor_created_at FROM transactions
+       WHERE ${conditions.join("\n         AND ")}
+       ORDER BY created_at ASC, transaction_id ASC
+       LIMIT $${params.length}`,
+      params,
+    );
+    const rows = Array.isArray(result?.rows) ? result.rows : [];
+    return rows.map((row) => ({
+      ...row,
+      created_at: this._normalizeDateTimeValue(row.created_at) ?? row.created_at,
+    }));
+  }
+
+  static async _lockTransactionRow(query, transactionId) {
+    const res = await query(
+      `SELECT * FROM transactions WHERE transaction_id=$1 AND is_deleted=false FOR UPDATE`,
+      [transactionId],
+    );
+    const row = res && Array.isArray(res.rows) ? res.rows[0] || null : null;
+    if (!row) {
+      throw new NotFoundError("Transaction not found or has been soft-deleted", {
+        field: "transaction_id",
+      });
+    }
+    return row;
+  }
+
+  /**
+   * Recompute a purchase's refund_amount and refund status from its counted
+   * refunds, on the locked parent row, after one of them changed status.
+   * The status is derived rather than moved through the lifecycle, so a
+   * purchase whose only refund failed returns to completed. A disputed
+   * purchase keeps its status; its open dispute restores the derived one.
+   */
+  static async _recomputeRefundedParent(query, parentId, audit) {
+    const parentRes = await query(
+      `SELECT * FROM transactions WHERE transaction_id=$1 AND is_deleted=false FOR UPDATE`,
+      [parentId],
+    );
+    const parent = parentRes?.rows?.[0] || null;
+    if (!parent || String(parent.direction || "").toLowerCase() !== "purchase") return null;
+
+    const parentCents = this._parseMinorUnits(parent.amount) ?? 0;
+    const refundedCents = await this._sumRefundedCents(query, parentId);
+    const chargedBackCents = await this._sumChargedBackCents(query, parentId);
+    const derivedStatus =
+      refundedCents === 0
+        ? "completed"
+        : refundedCents + chargedBackCents >= parentCents
+          ? "refunded"
+          : "partially_refunded";
+    const currentStatus = String(parent.status || "").toLowerCase();
+    const nextStatus = ["completed", "partially_refunded", "refunded"].includes(currentStatus)
+      ? derivedStatus
+      : parent.status;
+    if (currentStatus === "disputed" && SafeUtils.hasValue(parent.dispute_id)) {
+      await query(
+        `UPDATE transaction_disputes SET "previous_status"=$2 WHERE dispute_id=$1 RETURNING *`,
+        [parent.dispute_id, derivedStatus],
+      );
+    }
+    if (
+      nextStatus === parent.status &&
+      refundedCents === (this._parseMinorUnits(parent.refund_amount) ?? 0)
+    ) {
+      return parent;
+    }
+
+    const updateRes = await query(
+      `UPDATE transactions SET "status"=$2, "refund_amount"=$3 WHERE transaction_id=$1 AND is_deleted=false RETURNING *`,
+      [parentId, nextStatus, refundedCents],
+    );
+    const updatedParent = updateRes?.rows?.[0] || null;
+    if (!updatedParent) {
+      throw new StorageError("Parent transaction update failed to return a row");
+    }
+    await this._appendTransactionEvent(query, {
+      transactionId: parentId,
+      eventType: "updated",
+      before: parent,
+      after: updatedParent,
+      audit,
+    });
+    return updatedParent;
+  }
+
+  /** Pending and completed refunds of a purchase, in minor units. */
+  static async _sumRefundedCents(query, transactionId) {
+    const res = await query(
+      `SELECT COALESCE(SUM(amount), 0) AS refunded_total
+       FROM transactions
+       WHERE parent_transaction_id=$1
+         AND direction='refund'
+         AND is_deleted=false
+         AND status IN ('pending', 'completed')`,
+      [transactionId],
+    );
+    const total =
+      res && Array.isArray(res.rows) && res.rows[0] ? res.rows[0].refunded_total : 0;
+    return this._parseMinorUnits(total) || 0;
+  }
+
+  /** Pending and completed chargebacks of a purchase, in minor units. */
+  static async _sumChargedBackCents(query, transactionId) {
+    const res = await query(
+      `SELECT COALESCE(SUM(amount), 0) AS charged_back_total
+       FROM transactions
+       WHERE parent_transaction_id=$1
+         AND direction='chargeback'
+         AND is_deleted=false
+         AND status IN ('pending', 'completed')`,
+      [transactionId],
+    );
+    const total =
+      res && Array.isArray(res.rows) && res.rows[0] ? res.rows[0].charged_back_total : 0;
+    return this._parseMinorUnits(total) || 0;
+  }
+
+  static async _lockDisputeRow(query, disputeId) {
+    const res = await query(
+      `SELECT * FROM transaction_disputes WHERE dispute_id=$1 FOR UPDATE`,
+      [disputeId],
+    );
+    const row = res && Array.isArray(res.rows) ? res.rows[0] || null : null;
+    if (!row) {
+      throw new NotFoundError("Dispute not found", { field: "dispute_id" });
+    }
+    return row;
+  }
+
+  static _assertDisputeTransition(fromStatus, toStatus, disputeId = null) {
+    const normalizedFrom = SafeUtils.hasValue(fromStatus)
+      ? String(fromStatus).trim().toLowerCase()
+      : null;
+    const allowed = normalizedFrom
+      ? this.DISPUTE_STATUS_TRANSITIONS[normalizedFrom] || []
+      : [];
+    // Evidence can be topped up while a dispute is under review
+    if (normalizedFrom === toStatus && toStatus === "under_review") return;
+    if (allowed.includes(toStatus)) return;
+
+    ErrorHandler.addError("Invalid dispute status transition", {
+      field: "status",
+      dispute_id: disputeId,
+      from: normalizedFrom,
+      to: toStatus,
+      allowed,
+    });
+    throw new InvalidTransitionError(
+      `Cannot move dispute from "${normalizedFrom || "unknown"}" to "${toStatus}"`,
+      { direction: "dispute", from: normalizedFrom, to: toStatus, allowed },
+    );
+  }
+
+  /**
+   * Validate the query() filter set and compile it into allow-listed WHERE
+   * clauses (see _compileWhereConditions) with positional params. Invalid
+   * values are reported to ErrorHandler with their field and throw.
+   */
+  static _compileQueryFilters(normalizedFilters) {
+    let safeDateStartInput = null;
+    let safeDateEndInput = null;
+    let startWindow = null;
+    let endWindow = null;
+
+    if (SafeUtils.hasValue(normalizedFilters.dateStart)) {
+      safeDateStartInput = SafeUtils.sanitizeTextField(
+        normalizedFilters.dateStart,
+      );
+      if (
+        !DateTime.isValidDate(safeDateStartInput, "yyyy-MM-dd")
+      ) {
+        throw this._fail(
+          ValidationError,
+          "Invalid dateStart",
+          {
+            field: "dateStart",
+            value: safeDateStartInput,
+          },
+          { report: "query(): Invalid dateStart format" },
+        );
+      }
+      startWindow = DateTime.getStartOfDay(safeDateStartInput);
+      if (startWindow === false) {
+        throw this._fail(
+          ValidationError,
+          "Invalid dateStart window",
+          {
+            field: "dateStart",
+          },
+          { report: "query(): Invalid dateStart window" },
+        );
+      }
+    }
+    if (SafeUtils.hasValue(normalizedFilters.dateEnd)) {
+      safeDateEndInput = SafeUtils.sanitizeTextField(normalizedFilters.dateEnd);
+      if (!DateTime.isValidDate(safeDateEndInput, "yyyy-MM-dd")) {
+        throw this._fail(
+          ValidationError,
+          "Invalid dateEnd",
+          {
+            field: "dateEnd",
+            value: safeDateEndInput,
+          },
+          { report: "query(): Invalid dateEnd format" },
+        );
+      }
+      endWindow = DateTime.getEndOfDay(safeDateEndInput);
+      if (endWindow === false) {
+        throw this._fail(
+          ValidationError,
+          "Invalid dateEnd window",
+          {
+            field: "dateEnd",
+          },
+          { report: "query(): Invalid dateEnd window" },
+        );
+      }
+    }
+    if (startWindow && endWindow) {
+      const deltaSeconds = DateTime.diffInSeconds(startWindow, endWindow);
+      if (deltaSeconds === false) {
+        throw this._fail(
+          ValidationError,
+          "Invalid date range",
+          {
+            field: "dateRange",
+          },
+          { report: "query(): Invalid date range" },
+        );
+      }
+      if (deltaSeconds < 0) {
+        throw this._fail(
+          ValidationError,
+          "dateStart must be <= dateEnd",
+          {
+            field: "dateRange",
+            dateStart: safeDateStartInput,
+            dateEnd: safeDateEndInput,
+          },
+          { report: "query(): dateStart must be <= dateEnd" },
+        );
+      }
+    }
+
+    const transactionIdCandidate =
+      normalizedFilters.transactionId ?? normalizedFilters.transaction_id;
+    let sanitizedTransactionId = null;
+      if (SafeUtils.hasValue(transactionIdCandidate)) {
+        const sanitized = SafeUtils.sanitizeTextField(transactionIdCandidate);
+        const normalized =
+          typeof sanitized === "string" ? sanitized.trim() : sanitized;
+        if (!SafeUtils.hasValue(normalized))
+          throw new ValidationError("query(): Missing transactionId", {
+            field: "transactionId",
+          });
+        
+        // Detect SQL injection attempts
+        if (normalized.includes(';') || normalized.includes('--') || normalized.includes('DROP')) {
+          throw this._fail(
+            ValidationError,
+            "query(): Invalid transaction_id format",
+            {
+              field: "transaction_id",
+              value: normalized.substring(0, 50),
+            },
+            { report: "query(): Invalid transaction_id - potential SQL injection" },
+          );
+        }
+        
+        sanitizedTransactionId = normalized;
+      }
+
+    const customerCandidate =
+      normalizedFilters.customer_uid ??
+      normalizedFilters.customerUid ??
+      normalizedFilters.customerId;
+    let sanitizedCustomerId = null;
+      if (SafeUtils.hasValue(customerCandidate)) {
+        const sanitized = SafeUtils.sanitizeTextField(customerCandidate);
+        const normalized =
+          typeof sanitized === "string" ? sanitized.trim() : sanitized;
+        if (!SafeUtils.hasValue(normalized))
+          throw new ValidationError("query(): Missing customerId", {
+            field: "customerId",
+          });
+        sanitizedCustomerId = normalized;
+      }
+
+    const orderTypeCandidate =
+      normalizedFilters.order_type ?? normalizedFilters.orderType;
+    const safeOrderType = (() => {
+      if (!SafeUtils.hasValue(orderTypeCandidate)) return null;
+      const sanitized = SafeUtils.sanitizeTextField(orderTypeCandidate);
+      const normalized =
+        typeof sanitized === "string" ? sanitized.trim() : sanitized;
+      return SafeUtils.hasValue(normalized) ? normalized : null;
+    })();
+
+    // status accepts one value, an array or a comma-separated list
+    const statusCandidates = Array.isArray(normalizedFilters.status)
+      ? normalizedFilters.status
+      : SafeUtils.hasValue(normalizedFilters.status)
+        ? String(normalizedFilters.status).split(",")
+        : [];
+    const normalizedStatuses = Array.from(
+      new Set(statusCandidates.map((status) => this._normalizeTransactionStatus(status))),
+    );
+
+    const ownerCandidates = [];
+    const ownerFields = [
+      normalizedFilters.ownerId,
+      normalizedFilters.owner_uuid,
+      normalizedFilters.owner,
+    ];
+    for (const candidate of ownerFields) {
+      if (SafeUtils.hasValue(candidate)) ownerCandidates.push(candidate);
+    }
+    
+    // Validate ownerIds - must be array if provided
+    if (SafeUtils.hasValue(normalizedFilters.ownerIds)) {
+      if (!Array.isArray(normalizedFilters.ownerIds)) {
+        throw this._fail(
+          ValidationError,
+          "query(): ownerIds must be an array",
+          {
+            field: "ownerIds",
+            type: typeof normalizedFilters.ownerIds,
+          },
+        );
+      }
+      // Validate ownerIds array is serializable before using it
+      try {
+        JSON.stringify(normalizedFilters.ownerIds);
+      } catch (err) {
+        throw this._fail(
+          ValidationError,
+          "query(): OwnerIds must be serializable",
+          {
+            field: "ownerIds",
+            error: String(err?.message || err || ""),
+          },
+          { report: "query(): OwnerIds not serializable" },
+        );
+      }
+      ownerCandidates.push(...normalizedFilters.ownerIds);
+    }
+    if (Array.isArray(normalizedFilters.owner_ids)) {
+      ownerCandidates.push(...normalizedFilters.owner_ids);
+    }
+
+    const sanitizedOwnerIds = Array.from(
+      new Set(
+        ownerCandidates
+          .map((owner) => SafeUtils.sanitizeTextField(owner))
+          .filter(SafeUtils.hasValue)
+          .map(String),
+      ),
+    );
+    const hasOwners = sanitizedOwnerIds.length > 0;
+
+    const normalizeTextFilter = (value) => {
+      if (!SafeUtils.hasValue(value)) return null;
+      const sanitized = SafeUtils.sanitizeTextField(String(value));
+      const normalized =
+        typeof sanitized === "string" ? sanitized.trim() : sanitized;
+      return SafeUtils.hasValue(normalized) ? normalized : null;
+    };
+
+    const directionCandidate = normalizeTextFilter(normalizedFilters.direction);
+    let safeDirection = null;
+    if (directionCandidate !== null) {
+      safeDirection = directionCandidate.toLowerCase();
+      if (!this.TRANSACTION_DIRECTIONS.includes(safeDirection)) {
+        throw this._fail(
+          ValidationError,
+          "query(): Invalid direction",
+          {
+            field: "direction",
+            value: safeDirection,
+            allowed: this.TRANSACTION_DIRECTIONS,
+          },
+        );
+      }
+    }
+
+    let safeCurrency = null;
+    if (SafeUtils.hasValue(normalizedFilters.currency)) {
+      try {
+        safeCurrency = CurrencyRegistry.normalizeCode(String(normalizedFilters.currency));
+      } catch (err) {
+        throw this._fail(
+          ValidationError,
+          `query(): ${err.message}`,
+          {
+            field: "currency",
+            value: SafeUtils.sanitizeTextField(String(normalizedFilters.currency)),
+          },
+          { report: "query(): Invalid currency" },
+        );
       }
     }
 
-    return cleaned;
-  }
+    const safePaymentMethod = normalizeTextFilter(
+      normalizedFilters.payment_method ?? normalizedFilters.paymentMethod,
+    );
+    const safePlatform = normalizeTextFilter(normalizedFilters.platform);
+    const safeParentTransactionId = normalizeTextFilter(
+      normalizedFilters.parent_transaction_id ?? normalizedFilters.parentTransactionId,
+    );
+    const disputeIdCandidate =
+      normalizedFilters.dispute_id ?? normalizedFilters.disputeId;
+    const safeDisputeId = SafeUtils.hasValue(disputeIdCandidate)
+      ? this._normalizeDisputeId(disputeIdCandidate)
+      : null;
 
-  static _createTransactionEnsureSerializableWithLimit(
-    value,
-    label,
-    maxLength = null,
-  ) {
-    if (value === undefined) return undefined;
-    try {
-      const serialized = JSON.stringify(value);
-      if (maxLength !== null && serialized.length > maxLength) {
-        // Extract field name (e.g., "meta", "owner_allocations", "products")
-        const fieldMatch = label.match(/^(\w+)/);
-        const fieldName = fieldMatch ? fieldMatch[1] : null;
-        if (fieldName) {
-          ErrorHandler.addError(`createTransaction(): ${label} exceeds maximum length`, {
-            field: fieldName,
-            maxLength,
-            actualLength: serialized.length,
-          });
-        }
-        throw new TypeError(
-          `${label} exceeds maximum length of ${maxLength} characters`,
+    const normalizeAmountBound = (value, field) => {
+      if (!SafeUtils.hasValue(value)) return null;
+      const parsed = SafeUtils.sanitizeInteger(value);
+      if (parsed === null || parsed < 0) {
+        throw this._fail(
+          ValidationError,
+          `query(): ${field} must be a non-negative integer in minor units`,
+          {
+            field,
+            value: SafeUtils.sanitizeTextField(String(value)),
+          },
+          { report: `query(): Invalid ${field}` },
         );
       }
-      return value;
-    } catch (err) {
-      Logger.debugLog(
-        "[TransactionRegistry] createTransaction serialization check failed",
+      return parsed;
+    };
+    const safeMinAmount = normalizeAmountBound(normalizedFilters.minAmount, "minAmount");
+    const safeMaxAmount = normalizeAmountBound(normalizedFilters.maxAmount, "maxAmount");
+    if (safeMinAmount !== null && safeMaxAmount !== null && safeMinAmount > safeMaxAmount) {
+      throw this._fail(
+        ValidationError,
+        "minAmount must be <= maxAmount",
         {
-          label,
-          error: String(err),
+          field: "amountRange",
+          minAmount: safeMinAmount,
+          maxAmount: safeMaxAmount,
         },
+        { report: "query(): minAmount must be <= maxAmount" },
       );
-      // Don't add ErrorHandler if already added above for size limit
-      if (!String(err?.message || "").includes("exceeds maximum length")) {
-        const fieldMatch = label.match(/^(\w+)/);
-        const fieldName = fieldMatch ? fieldMatch[1] : null;
-        if (fieldName) {
-          ErrorHandler.addError(`createTransaction(): ${label} serialization failed`, {
-            field: fieldName,
-            error: String(err?.message || err || ""),
-          });
-        }
-      }
-      throw new TypeError(`${label} must be serializable`);
     }
-  }
 
-  static _createTransactionSanitizeMeta(metaInput) {
-    if (!SafeUtils.hasValue(metaInput)) return null;
-    const sanitizedObject = SafeUtils.sanitizeObject(metaInput);
-    if (!sanitizedObject) return null;
-    return this._createTransactionSanitizeMetaEntries(sanitizedObject, "meta");
-  }
+    // Exact bounds, unlike dateStart/dateEnd which widen to whole days
+    const createdFrom = SafeUtils.hasValue(normalizedFilters.createdFrom)
+      ? this._normalizeDateTimeValue(normalizedFilters.createdFrom, "createdFrom")
+      : null;
+    const createdTo = SafeUtils.hasValue(normalizedFilters.createdTo)
+      ? this._normalizeDateTimeValue(normalizedFilters.createdTo, "createdTo")
+      : null;
+    if (createdFrom && createdTo && createdFrom > createdTo) {
+      throw this._fail(
+        ValidationError,
+        "createdFrom must be <= createdTo",
+        {
+          field: "dateRange",
+          createdFrom,
+          createdTo,
+        },
+        { report: "query(): createdFrom must be <= createdTo" },
+      );
+    }
 
-  static _createTransactionSanitizeMetaEntries(metaObject, path) {
-    const result = {};
-    for (const [rawKey, rawValue] of Object.entries(metaObject)) {
-      const key = SafeUtils.sanitizeTextField(rawKey);
-      if (!SafeUtils.hasValue(key)) continue;
+    const jsonbSearches = this._compileJsonbSearchFilters(normalizedFilters);
 
-      if (!this.META_KEY_PATTERN.test(key)) {
-        ErrorHandler.addError(`createTransaction(): Invalid meta key pattern`, {
-          field: "meta",
-          key,
-          pattern: String(this.META_KEY_PATTERN),
-        });
-        throw new TypeError(
-          `${path}.${key} must match pattern ${this.META_KEY_PATTERN}`,
+    // Soft-deleted rows are hidden unless includeDeleted / onlyDeleted ask for them
+    const deletedFlags = {};
+    for (const flag of ["includeDeleted", "onlyDeleted"]) {
+      if (!SafeUtils.hasValue(normalizedFilters[flag])) continue;
+      deletedFlags[flag] = SafeUtils.sanitizeBoolean(normalizedFilters[flag]);
+      if (deletedFlags[flag] === null) {
+        throw this._fail(
+          ValidationError,
+          `${flag} must be a boolean`,
+          {
+            field: flag,
+            value: SafeUtils.sanitizeTextField(String(normalizedFilters[flag])),
+          },
+          { report: `query(): Invalid ${flag}` },
         );
       }
+    }
+    const deletedScope = deletedFlags.onlyDeleted
+      ? "only"
+      : deletedFlags.includeDeleted
+        ? "include"
+        : null;
 
-      const sanitizedValue = this._createTransactionSanitizeMetaValue(
-        rawValue,
-        `${path}.${key}`,
-      );
-      if (sanitizedValue === undefined) continue;
-      result[key] = sanitizedValue;
+    const whereClauses = [this.DELETED_SCOPE_CLAUSES[deletedScope ?? "exclude"]];
+    const params = [];
+    if (sanitizedTransactionId) {
+      params.push(sanitizedTransactionId);
+      whereClauses.push(`transaction_id = $${params.length}`);
+    }
+    if (sanitizedCustomerId) {
+      params.push(sanitizedCustomerId);
+      whereClauses.push(`customer_uid = $${params.length}`);
+    }
+    if (hasOwners) {
+      let ownersParam = null;
+      try {
+        ownersParam = JSON.stringify(sanitizedOwnerIds);
+      } catch (err) {
+        Logger.debugLog("[TransactionRegistry] query owners filter stringify failed", {
+          error: String(err),
+          owner_count: sanitizedOwnerIds.length,
+        });
+        throw new ValidationError("Invalid ownerIds filter", { field: "ownerIds", cause: err });
+      }
+      params.push(ownersParam);
+      whereClauses.push(`owners @> $${params.length}`);
+    }
+    if (SafeUtils.hasValue(safeOrderType)) {
+      params.push(safeOrderType);
+      whereClauses.push(`order_type = $${params.length}`);
+    }
+    if (normalizedStatuses.length === 1) {
+      params.push(normalizedStatuses[0]);
+      whereClauses.push(`status = $${params.length}`);
+    } else if (normalizedStatuses.length > 1) {
+      const placeholders = normalizedStatuses.map((status) => {
+        params.push(status);
+        return `$${params.length}`;
+      });
+      whereClauses.push(`status IN (${placeholders.join(", ")})`);
+    }
+    if (startWindow) {
+      params.push(startWindow);
+      whereClauses.push(`created_at >= $${params.length}`);
+    }
+    if (endWindow) {
+      params.push(endWindow);
+      whereClauses.push(`created_at <= $${params.length}`);
     }
 
-    return Object.keys(result).length ? result : null;
+    const equalityFilters = [
+      ["direction", safeDirection],
+      ["currency", safeCurrency],
+      ["payment_method", safePaymentMethod],
+      ["platform", safePlatform],
+      ["parent_transaction_id", safeParentTransactionId],
+      ["dispute_id", safeDisputeId],
+    ];
+    for (const [column, value] of equalityFilters) {
+      if (value === null) continue;
+      params.push(value);
+      whereClauses.push(`${column} = $${params.length}`);
+    }
+    if (safeMinAmount !== null) {
+      params.push(safeMinAmount);
+      whereClauses.push(`amount >= $${params.length}`);
+    }
+    if (safeMaxAmount !== null) {
+      params.push(safeMaxAmount);
+      whereClauses.push(`amount <= $${params.length}`);
+    }
+    if (createdFrom) {
+      params.push(createdFrom);
+      whereClauses.push(`created_at >= $${params.length}`);
+    }
+    if (createdTo) {
+      params.push(createdTo);
+      whereClauses.push(`created_at <= $${params.length}`);
+    }
+    for (const search of jsonbSearches) {
+      params.push(search.containment);
+      whereClauses.push(`${search.column} @> $${params.length}`);
+    }
+
+    return {
+      whereClauses,
+      params,
+      summary: {
+        transactionId: sanitizedTransactionId,
+        customerId: sanitizedCustomerId,
+        ownerIds: hasOwners ? sanitizedOwnerIds : null,
+        orderType: safeOrderType,
+        status: normalizedStatuses.length > 0 ? normalizedStatuses : null,
+        direction: safeDirection,
+        currency: safeCurrency,
+        paymentMethod: safePaymentMethod,
+        platform: safePlatform,
+        parentTransactionId: safeParentTransactionId,
+        disputeId: safeDisputeId,
+        minAmount: safeMinAmount,
+        maxAmount: safeMaxAmount,
+        dateStart: safeDateStartInput,
+        dateEnd: safeDateEndInput,
+        createdFrom,
+        createdTo,
+        deleted: deletedScope,
+        jsonbSearch:
+          jsonbSearches.length > 0
+            ? Object.fromEntries(jsonbSearches.map(({ path, value }) => [path, value]))
+            : null,
+      },
+    };
   }
 
-  static _createTransactionSanitizeMetaValue(rawValue, path) {
-    if (rawValue === undefined) return undefined;
+  /**
+   * Collect JSONB_SEARCH_PATHS filters, given either as dotted keys
+   * ({ "meta.promo_code": "SAVE20" }) or nested ({ meta: { promo_code: "SAVE20" } }).
+   * Values are matched as exact strings; unknown meta/products keys are rejected.
+   */
+  static _compileJsonbSearchFilters(normalizedFilters) {
+    const requested = new Map();
+    for (const [key, value] of Object.entries(normalizedFilters)) {
+      if (key.includes(".")) {
+        requested.set(key, value);
+      } else if ((key === "meta" || key === "products") && SafeUtils.isPlainObject(value)) {
+        for (const [nestedKey, nestedValue] of Object.entries(value)) {
+          requested.set(`${key}.${nestedKey}`, nestedValue);
+        }
+      }
+    }
 
-    if (
-      typeof rawValue === "string" ||
-      typeof rawValue === "number" ||
-      typeof rawValue === "boolean"
-    ) {
-      return rawValue;
+    const searches = [];
+    for (const [path, rawValue] of requested) {
+      const spec = this.JSONB_SEARCH_PATHS[path];
+      if (!spec) {
+        throw this._fail(
+          ValidationError,
+          `query(): "${SafeUtils.sanitizeTextField(path)}" is not a searchable path`,
+          {
+            field: path,
+            allowed: Object.keys(this.JSONB_SEARCH_PATHS),
+          },
+          { report: "query(): JSONB path is not searchable" },
+        );
+      }
+      if (rawValue === null || rawValue === undefined || rawValue === "") continue;
+      const sanitized =
+        typeof rawValue === "string" || typeof rawValue === "number"
+          ? SafeUtils.sanitizeTextField(String(rawValue))
+          : null;
+      const value = typeof sanitized === "string" ? sanitized.trim() : "";
+      if (!value || value.length > this.JSONB_SEARCH_VALUE_MAX_LENGTH) {
+        throw this._fail(
+          ValidationError,
+          `query(): ${path} must be a string of at most ${this.JSONB_SEARCH_VALUE_MAX_LENGTH} characters`,
+          {
+            field: path,
+            maxLength: this.JSONB_SEARCH_VALUE_MAX_LENGTH,
+          },
+          { report: "query(): Invalid JSONB search value" },
+        );
+      }
+      const fragment = { [spec.key]: value };
+      searches.push({
+        path,
+        value,
+        column: spec.column,
+        containment: JSON.stringify(spec.element ? [fragment] : fragment),
+      });
     }
+    return searches;
+  }
 
-    if (Array.isArray(rawValue)) {
-      return rawValue
-        .map((entry, index) =>
-          this._createTransactionSanitizeMetaValue(entry, `${path}[${index}]`),
-        )
-        .filter((entry) => entry !== undefined);
+  static _normalizeAggregateOptions(options) {
+    const input = SafeUtils.isPlainObject(options) ? options : {};
+    const filters = SafeUtils.isPlainObject(input.filters) ? input.filters : {};
+    const groupBy = this._normalizeAggregateList(
+      input.groupBy,
+      this.AGGREGATE_GROUP_COLUMNS,
+      "groupBy",
+    );
+    const requestedMetrics = this._normalizeAggregateList(
+      input.metrics,
+      this.AGGREGATE_METRICS,
+      "metrics",
+    );
+    const metrics = requestedMetrics.length > 0 ? requestedMetrics : ["count"];
+
+    let bucket = null;
+    if (SafeUtils.hasValue(input.bucket)) {
+      bucket = String(input.bucket).trim().toLowerCase();
+      if (!Object.hasOwn(this.AGGREGATE_BUCKET_FORMATS, bucket)) {
+        throw this._fail(
+          ValidationError,
+          "aggregate(): bucket must be one of day, week, month",
+          {
+            field: "bucket",
+            value: SafeUtils.sanitizeTextField(String(input.bucket)),
+            allowed: Object.keys(this.AGGREGATE_BUCKET_FORMATS),
+          },
+          { report: "aggregate(): Invalid bucket" },
+        );
+      }
     }
 
-    if (SafeUtils.isPlainObject(rawValue)) {
-      const nested = SafeUtils.sanitizeObject(rawValue);
-      if (!nested) return null;
-      return this._createTransactionSanitizeMetaEntries(nested, path);
+    let timezone = DateTime.getDefaultTimeZone();
+    if (SafeUtils.hasValue(input.timezone)) {
+      const candidate =
+        typeof input.timezone === "string" ? input.timezone.trim() : "";
+      if (!candidate || DateTime.resolveTimeZone(candidate) !== candidate) {
+        throw this._fail(
+          ValidationError,
+          "aggregate(): timezone must be a valid IANA zone",
+          {
+            field: "timezone",
+            value: SafeUtils.sanitizeTextField(String(input.timezone)),
+          },
+          { report: "aggregate(): Invalid timezone" },
+        );
+      }
+      timezone = candidate;
     }
 
-    if (rawValue === null) return null;
+    const groupColumns = [...groupBy];
+    const needsCurrency = metrics.some((metric) =>
+      this.AGGREGATE_AMOUNT_METRICS.includes(metric),
+    );
+    if (
+      needsCurrency &&
+      !groupColumns.includes("currency") &&
+      !SafeUtils.hasValue(filters.currency)
+    ) {
+      groupColumns.push("currency");
+    }
 
-    const sanitizedString = SafeUtils.sanitizeTextField(String(rawValue));
-    return sanitizedString === null ? null : sanitizedString;
+    return { filters, groupColumns, metrics, bucket, timezone };
   }
 
-  static _createTransactionSanitizeOwnerAllocations(ownerAllocations) {
-    if (!ownerAllocations) {
-      return [];
-    }
-    if (!Array.isArray(ownerAllocations)) {
-      throw new TypeError("createTransaction(): owner_allocations must be an array");
+  /** Accepts an array or a comma list; values must be in `allowed`. */
+  static _normalizeAggregateList(raw, allowed, field) {
+    if (!SafeUtils.hasValue(raw)) return [];
+    const items = Array.isArray(raw)
+      ? raw
+      : typeof raw === "string"
+        ? raw.split(",")
+        : null;
+    if (!items) {
+      throw this._fail(
+        ValidationError,
+        `aggregate(): ${field} must be an array or a comma-separated list`,
+        { field },
+        { report: `aggregate(): Invalid ${field}` },
+      );
     }
-
-    return ownerAllocations.map((allocation, index) => {
-      if (!SafeUtils.isPlainObject(allocation)) {
-        throw new TypeError(
-          `createTransaction(): owner_allocations[${index}] must be an object`,
-        );
-      }
-      const ownerUuid = SafeUtils.sanitizeTextField(allocation.owner_uuid);
-      const amountCents = SafeUtils.sanitizeInteger(allocation.amount_cents);
-      if (!SafeUtils.hasValue(ownerUuid) || amountCents === null) {
-        throw new TypeError(
-          `createTransaction(): owner_allocations[${index}] must include owner_uuid and amount_cents`,
+    const values = [];
+    for (const item of items) {
+      const value = typeof item === "string" ? item.trim().toLowerCase() : "";
+      if (!value && typeof item === "string") continue;
+      if (!allowed.includes(value)) {
+        throw this._fail(
+          ValidationError,
+          `aggregate(): ${field} does not support "${SafeUtils.sanitizeTextField(String(item))}"`,
+          {
+            field,
+            value: SafeUtils.sanitizeTextField(String(item)),
+            allowed,
+          },
+          { report: `aggregate(): Invalid ${field}` },
         );
       }
-      return { owner_uuid: ownerUuid, amount_cents: amountCents };
-    });
+      if (!values.includes(value)) values.push(value);
+    }
+    return values;
   }
 
-  static _createTransactionNormalizeDirection(directionValue) {
-    const sanitizedDirection = SafeUtils.sanitizeTextField(directionValue);
-    if (!SafeUtils.hasValue(sanitizedDirection)) {
-      ErrorHandler.addError("createTransaction(): Missing direction", {
-        field: "direction",
-      });
-      throw new TypeError("createTransaction(): Missing direction");
+  /**
+   * One row per group and, with a bucket, per local bucket label: created_at
+   * is stored in the default DateTime zone, so it is read as that zone and
+   * moved to `timezone` before to_char(). The zones are pushed onto `params`.
+   */
+  static _composeAggregateSql(
+    whereClauses,
+    groupColumns,
+    params,
+    { bucket = null, timezone = null } = {},
+  ) {
+    for (const column of groupColumns) {
+      if (!this.AGGREGATE_GROUP_COLUMNS.includes(column)) {
+        throw new TypeError(`composeAggregateSql(): cannot group by "${column}"`);
+      }
     }
-    const normalized = sanitizedDirection.trim().toLowerCase();
-    if (!this.TRANSACTION_DIRECTIONS.includes(normalized)) {
-      ErrorHandler.addError(`createTransaction(): invalid direction`, {
-        field: "direction",
-        value: sanitizedDirection,
-        allowed: this.TRANSACTION_DIRECTIONS,
-      });
-      throw new TypeError(
-        `createTransaction(): invalid direction (expected one of ${this.TRANSACTION_DIRECTIONS.join(
-          ", ",
-        )})`,
+    const whereSql = this._compileWhereConditions(whereClauses);
+    const selectColumns = [...groupColumns];
+    const groupKeys = [...groupColumns];
+    if (bucket) {
+      params.push(DateTime.getDefaultTimeZone());
+      const sourceZone = `$${params.length}`;
+      params.push(timezone || DateTime.getDefaultTimeZone());
+      const targetZone = `$${params.length}`;
+      selectColumns.push(
+        `to_char((created_at AT TIME ZONE ${sourceZone}) AT TIME ZONE ${targetZone}, '${this.AGGREGATE_BUCKET_FORMATS[bucket]}') AS bucket`,
       );
+      groupKeys.push("bucket");
     }
-    return normalized;
+    selectColumns.push(
+      "COUNT(*) AS row_count",
+      "COUNT(CASE WHEN direction = 'purchase' THEN amount END) AS purchase_amount_count",
+      "COALESCE(SUM(CASE WHEN direction = 'purchase' THEN amount ELSE 0 END), 0) AS purchase_sum",
+      "COALESCE(SUM(CASE WHEN direction = 'refund' THEN amount ELSE 0 END), 0) AS refund_sum",
+      "SUM(CASE WHEN direction = 'purchase' THEN 1 ELSE 0 END) AS purchase_count",
+      "SUM(CASE WHEN direction = 'refund' THEN 1 ELSE 0 END) AS refund_count",
+      "SUM(CASE WHEN direction = 'chargeback' THEN 1 ELSE 0 END) AS chargeback_count",
+    );
+    return `
+        SELECT ${selectColumns.join(", ")}
+        FROM transactions
+        WHERE ${whereSql}${groupKeys.length > 0 ? `\n        GROUP BY ${groupKeys.join(", ")}` : ""};
+      `;
   }
 
-  static _createTransactionNormalizeStatus(statusValue) {
-    const sanitizedStatus = SafeUtils.sanitizeTextField(statusValue);
-    if (!SafeUtils.hasValue(sanitizedStatus)) {
-      throw new TypeError("createTransaction(): Missing status");
-    }
-    return sanitizedStatus.trim().toLowerCase();
+  static _rollupAggregateRows(rows, { groupColumns, metrics, bucket }) {
+    const groups = rows.map((row) => ({
+      keys: [
+        bucket ? (row.bucket ?? null) : null,
+        ...groupColumns.map((column) => row[column] ?? null),
+      ],
+      count: this._parseMinorUnits(row.row_count) || 0,
+      amountCount: this._parseMinorUnits(row.purchase_amount_count) || 0,
+      sum: this._parseMinorUnits(row.purchase_sum) || 0,
+      refundSum: this._parseMinorUnits(row.refund_sum) || 0,
+      purchaseCount: this._parseMinorUnits(row.purchase_count) || 0,
+      refundCount: this._parseMinorUnits(row.refund_count) || 0,
+      chargebackCount: this._parseMinorUnits(row.chargeback_count) || 0,
+    }));
+    const rateScale = 10 ** this.AGGREGATE_RATE_DECIMALS;
+    const rateOf = (part, whole) =>
+      whole > 0 ? Math.round((part / whole) * rateScale) / rateScale : null;
+
+    const compareKeys = (a, b) => {
+      for (let i = 0; i < a.length; i += 1) {
+        if (a[i] === b[i]) continue;
+        if (a[i] === null) return 1;
+        if (b[i] === null) return -1;
+        return String(a[i]) < String(b[i]) ? -1 : 1;
+      }
+      return 0;
+    };
+    return groups
+      .sort((a, b) => compareKeys(a.keys, b.keys))
+      .map(({
+        keys,
+        count,
+        amountCount,
+        sum,
+        refundSum,
+        purchaseCount,
+        refundCount,
+        chargebackCount,
+      }) => {
+        const entry = bucket ? { bucket: keys[0] } : {};
+        groupColumns.forEach((column, i) => {
+          entry[column] = keys[i + 1];
+        });
+        const values = {
+          count,
+          sum,
+          avg: amountCount > 0 ? Math.round(sum / amountCount) : null,
+          refund_sum: refundSum,
+          refund_rate: rateOf(refundCount, purchaseCount),
+          chargeback_rate: rateOf(chargebackCount, purchaseCount),
+        };
+        for (const metric of metrics) entry[metric] = values[metric];
+        return entry;
+      });
   }
 
   static _resolvePaginationOptions(pagination = {}) {
@@ -1786,13 +6704,195 @@ class TransactionRegistry {
       offsetCandidate === null
         ? this.DEFAULT_OFFSET
         : Math.max(this.DEFAULT_OFFSET, offsetCandidate);
+    const sort = this._normalizeSortSpec(options.sort);
+    const cursor = SafeUtils.hasValue(options.cursor)
+      ? this._decodeQueryCursor(options.cursor, sort)
+      : null;
+    const includeTotal = SafeUtils.hasValue(options.includeTotal)
+      ? options.includeTotal === true || options.includeTotal === "true"
+      : cursor === null;
     Logger.debugLog("[TransactionRegistry] resolvePaginationOptions", {
       raw_limit: options.limit,
       raw_offset: options.offset,
       effective_limit: limit,
       effective_offset: offset,
+      cursor: cursor !== null,
+      include_total: includeTotal,
+      sort: this._sortSignature(sort),
+    });
+    return { limit, offset, cursor, includeTotal, sort };
+  }
+
+  /**
+   * Normalize a sort specification into [{ column, direction }]. Accepts
+   * "amount:desc,created_at", "-amount,created_at", an array of those
+   * strings, or an array of { column, direction }. Columns must be in
+   * SORTABLE_COLUMNS and appear once; direction defaults to ASC.
+   */
+  static _normalizeSortSpec(sortValue) {
+    if (!SafeUtils.hasValue(sortValue)) return this.DEFAULT_SORT;
+    const invalid = (message, value) => {
+      ErrorHandler.addError(`query(): ${message}`, {
+        field: "sort",
+        value: SafeUtils.sanitizeTextField(String(value ?? "")),
+        allowed: this.SORTABLE_COLUMNS,
+      });
+      return new ValidationError(`query(): ${message}`, { field: "sort" });
+    };
+    const items = Array.isArray(sortValue)
+      ? sortValue
+      : typeof sortValue === "string"
+        ? sortValue.split(",")
+        : null;
+    if (!items || items.length === 0 || items.length > this.SORTABLE_COLUMNS.length) {
+      throw invalid(
+        `sort must list between 1 and ${this.SORTABLE_COLUMNS.length} columns`,
+        sortValue,
+      );
+    }
+
+    const seen = new Set();
+    return items.map((item) => {
+      let column;
+      let direction;
+      if (SafeUtils.isPlainObject(item)) {
+        column = item.column;
+        direction = item.direction;
+      } else if (typeof item === "string") {
+        const trimmed = item.trim();
+        const descending = trimmed.startsWith("-");
+        [column, direction] = (descending ? trimmed.slice(1) : trimmed).split(":");
+        if (descending) direction = direction ?? "DESC";
+      }
+      const normalizedColumn = typeof column === "string" ? column.trim().toLowerCase() : "";
+      const normalizedDirection = SafeUtils.hasValue(direction)
+        ? String(direction).trim().toUpperCase()
+        : "ASC";
+      if (!this.SORTABLE_COLUMNS.includes(normalizedColumn)) {
+        throw invalid(`cannot sort by "${normalizedColumn}"`, column);
+      }
+      if (normalizedDirection !== "ASC" && normalizedDirection !== "DESC") {
+        throw invalid("sort direction must be ASC or DESC", direction);
+      }
+      if (seen.has(normalizedColumn)) {
+        throw invalid(`sort lists "${normalizedColumn}" more than once`, column);
+      }
+      seen.add(normalizedColumn);
+      return { column: normalizedColumn, direction: normalizedDirection };
+    });
+  }
+
+  static _sortSignature(sort) {
+    return sort
+      .map(({ column, direction }) => `${column}:${direction.toLowerCase()}`)
+      .join(",");
+  }
+
+  /** Sort keys plus the transaction_id tiebreaker, which follows the first key's direction. */
+  static _sortKeysWithTiebreaker(sort) {
+    return [...sort, { column: "transaction_id", direction: sort[0].direction }];
+  }
+
+  /**
+   * Keyset predicate selecting rows strictly after `values` in `sort`
+   * order (NULLS LAST in both directions):
+   *   (k1 after v1) OR (k1 = v1 AND k2 after v2) OR ...
+   * Non-null values are pushed onto `params`; columns come only from
+   * SORTABLE_COLUMNS and transaction_id.
+   */
+  static _composeKeysetSql(sort, values, params) {
+    const keys = this._sortKeysWithTiebreaker(sort);
+    const placeholders = values.map((value) => {
+      if (value === null) return null;
+      params.push(value);
+      return `$${params.length}`;
+    });
+    const disjuncts = [];
+    keys.forEach((key, index) => {
+      // Nothing sorts after NULL in its own column; only later keys can break the tie
+      if (placeholders[index] === null) return;
+      const operator = key.direction === "DESC" ? "<" : ">";
+      const equalities = keys
+        .slice(0, index)
+        .map((previous, previousIndex) =>
+          placeholders[previousIndex] === null
+            ? `${previous.column} IS NULL`
+            : `${previous.column} = ${placeholders[previousIndex]}`,
+        );
+      const after =
+        key.column === "transaction_id"
+          ? `${key.column} ${operator} ${placeholders[index]}`
+          : `(${key.column} ${operator} ${placeholders[index]} OR ${key.column} IS NULL)`;
+      disjuncts.push(`(${[...equalities, after].join(" AND ")})`);
+    });
+    return `(${disjuncts.join(" OR ")})`;
+  }
+
+  /**
+   * Opaque query() cursor: base64url JSON of the sort signature and the last
+   * row's sort key values. Timestamps use their exact text (cursor_created_at
+   * / cursor_updated_at, selected by the page query) rather than the parsed
+   * Date, which loses microseconds.
+   */
+  static _encodeQueryCursor(row, sort = this.DEFAULT_SORT) {
+    const keyValue = (column) => {
+      const value = row[`cursor_${column}`] ?? row[column];
+      if (value === null || value === undefined) return null;
+      return value instanceof Date ? value.toISOString() : String(value);
+    };
+    return Buffer.from(
+      JSON.stringify({
+        v: this.CURSOR_VERSION,
+        s: this._sortSignature(sort),
+        k: this._sortKeysWithTiebreaker(sort).map(({ column }) => keyValue(column)),
+      }),
+    ).toString("base64url");
+  }
+
+  static _decodeQueryCursor(cursorValue, sort = this.DEFAULT_SORT, method = "query") {
+    const invalid = (reason) => {
+      ErrorHandler.addError(`${method}(): Invalid cursor`, {
+        field: "cursor",
+        reason,
+      });
+      return new ValidationError(`${method}(): Invalid cursor`, { field: "cursor" });
+    };
+    if (typeof cursorValue !== "string" || cursorValue.length > this.CURSOR_MAX_LENGTH) {
+      throw invalid("cursor must be a string");
+    }
+    let payload = null;
+    try {
+      payload = JSON.parse(Buffer.from(cursorValue, "base64url").toString("utf8"));
+    } catch {
+      throw invalid("cursor is not decodable");
+    }
+    const keys = this._sortKeysWithTiebreaker(sort);
+    const values = payload?.k;
+    if (
+      payload?.v !== this.CURSOR_VERSION ||
+      !Array.isArray(values) ||
+      values.length !== keys.length ||
+      !values.every((value) => value === null || typeof value === "string")
+    ) {
+      throw invalid("cursor payload is malformed");
+    }
+    if ((payload.s ?? this._sortSignature(this.DEFAULT_SORT)) !== this._sortSignature(sort)) {
+      throw invalid("cursor was issued for a different sort");
+    }
+    const malformed = keys.some(({ column }, index) => {
+      const value = values[index];
+      if (column === "transaction_id") return !value;
+      if (value === null) return false;
+      if (column === "created_at" || column === "updated_at") {
+        return DateTime.parseDateToTimestamp(value) === false;
+      }
+      if (column === "amount") return SafeUtils.sanitizeInteger(value) === null;
+      return false;
     });
-    return { limit, offset };
+    if (malformed) {
+      throw invalid("cursor payload is malformed");
+    }
+    return { values };
   }
 
   static _normalizeTransactionStatus(statusValue) {
@@ -1803,15 +6903,67 @@ class TransactionRegistry {
     });
     const sanitizedStatus = SafeUtils.sanitizeTextField(statusValue);
     if (!SafeUtils.hasValue(sanitizedStatus)) {
-      throw new TypeError("_normalizeTransactionStatus(): Missing status");
+      throw new ValidationError("_normalizeTransactionStatus(): Missing status", {
+        field: "status",
+      });
     }
     const normalizedStatus = sanitizedStatus.trim().toLowerCase();
+    if (!this.TRANSACTION_STATUSES.includes(normalizedStatus)) {
+      throw this._fail(
+        ValidationError,
+        `_normalizeTransactionStatus(): unknown status "${normalizedStatus}"`,
+        {
+          field: "status",
+          value: normalizedStatus,
+          allowed: this.TRANSACTION_STATUSES,
+        },
+        { report: "_normalizeTransactionStatus(): unknown status" },
+      );
+    }
     Logger.debugLog("[TransactionRegistry] _normalizeTransactionStatus result", {
       normalized: normalizedStatus,
     });
     return normalizedStatus;
   }
 
+  /**
+   * Validate a row-level scope: null when absent, otherwise exactly one of
+   * { owner_uuid } or { customer_uid } with a non-empty id.
+   */
+  static _normalizeRowScope(scope, method) {
+    if (scope === null || scope === undefined) return null;
+    const keys = SafeUtils.isPlainObject(scope) ? Object.keys(scope) : [];
+    const key = keys.length === 1 ? keys[0] : null;
+    const id =
+      (key === "owner_uuid" || key === "customer_uid") && typeof scope[key] === "string"
+        ? SafeUtils.sanitizeTextField(scope[key].trim())
+        : null;
+    if (!SafeUtils.hasValue(id) || id.length > this.AUDIT_FIELD_MAX_LENGTH) {
+      throw this._fail(
+        ValidationError,
+        `${method}(): scope must be { owner_uuid } or { customer_uid }`,
+        {
+          field: "scope",
+          keys,
+        },
+        { report: `${method}(): Invalid scope` },
+      );
+    }
+    return { [key]: id };
+  }
+
+  /** Force a normalized row-level scope into compiled WHERE clauses. */
+  static _appendRowScopeClause(scope, whereClauses, params) {
+    if (!scope) return;
+    if (scope.owner_uuid) {
+      params.push(JSON.stringify([scope.owner_uuid]));
+      whereClauses.push(`owners @> $${params.length}`);
+    } else {
+      params.push(scope.customer_uid);
+      whereClauses.push(`customer_uid = $${params.length}`);
+    }
+  }
+
   static _compileWhereConditions(whereClauses) {
     Logger.debugLog("[TransactionRegistry] _compileWhereConditions start", {
       provided_clause_count: Array.isArray(whereClauses)
@@ -1859,11 +7011,25 @@ class TransactionRegistry {
 
       const allowedClausePatterns = [
         /^is_deleted = false$/,
+        /^is_deleted = true$/,
+        /^is_deleted IN \(false, true\)$/,
         /^transaction_id = \$\d+$/,
         /^customer_uid = \$\d+$/,
         /^owners @> \$\d+$/,
+        /^meta @> \$\d+$/,
+        /^products @> \$\d+$/,
         /^order_type = \$\d+$/,
         /^status = \$\d+$/,
+        /^status IN \(\$\d+(?:, \$\d+)*\)$/,
+        /^direction = \$\d+$/,
+        /^direction IN \(\$\d+(?:, \$\d+)*\)$/,
+        /^currency = \$\d+$/,
+        /^payment_method = \$\d+$/,
+        /^platform = \$\d+$/,
+        /^parent_transaction_id = \$\d+$/,
+        /^dispute_id = \$\d+$/,
+        /^amount >= \$\d+$/,
+        /^amount <= \$\d+$/,
         /^created_at >= \$\d+$/,
         /^created_at <= \$\d+$/,
       ];
@@ -1890,10 +7056,15 @@ class TransactionRegistry {
     return normalizedClauses.join("\n          AND ");
   }
 
-  static _composePaginatedSelectSql(whereClauses, existingParamCount) {
+  static _composePaginatedSelectSql(
+    whereClauses,
+    existingParamCount,
+    { sort = this.DEFAULT_SORT, keysetSql = null } = {},
+  ) {
     Logger.debugLog("[TransactionRegistry] composePaginatedSelectSql start", {
       where_clause_count: Array.isArray(whereClauses) ? whereClauses.length : 0,
       existing_params: existingParamCount,
+      keyset: Boolean(keysetSql),
     });
     if (
       typeof existingParamCount !== "number" ||
@@ -1905,21 +7076,33 @@ class TransactionRegistry {
       );
     }
     const whereSql = this._compileWhereConditions(whereClauses);
+    const orderBySql = this._sortKeysWithTiebreaker(sort)
+      .map(({ column, direction }) => {
+        if (column !== "transaction_id" && !this.SORTABLE_COLUMNS.includes(column)) {
+          throw new TypeError(`composePaginatedSelectSql(): cannot sort by "${column}"`);
+        }
+        const safeDirection = direction === "DESC" ? "DESC" : "ASC";
+        return column === "transaction_id"
+          ? `${column} ${safeDirection}`
+          : `${column} ${safeDirection} NULLS LAST`;
+      })
+      .join(", ");
     const limitIndex = existingParamCount + 1;
     const offsetIndex = existingParamCount + 2;
     const normalizedWhereSql =
       SafeUtils.sanitizeTextField(whereSql.replace(/\s+/g, " ").trim()) || "";
     Logger.debugLog("[TransactionRegistry] composePaginatedSelectSql built", {
       where_sql: normalizedWhereSql,
+      order_by: orderBySql,
       limit_index: limitIndex,
       offset_index: offsetIndex,
     });
     return `
-        SELECT *
+        SELECT *, created_at::text AS cursor_created_at, updated_at::text AS cursor_updated_at
         FROM transactions
-        WHERE ${whereSql}
-        ORDER BY created_at DESC
-        LIMIT $${limitIndex} OFFSET $${offsetIndex};
+        WHERE ${whereSql}${keysetSql ? `\n          AND ${keysetSql}` : ""}
+        ORDER BY ${orderBySql}
+        LIMIT $${limitIndex}${keysetSql ? "" : ` OFFSET $${offsetIndex}`};
       `;
   }
 
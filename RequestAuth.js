@@ -0,0 +1,364 @@
+/*
+ * Methods:
+ *    fromEnv() — Build the authenticators configured in the environment.
+ *    parseApiKeys() — Parse an "id:role:key" list of API keys.
+ *    apiKeyAuthenticator() — Authenticate X-Api-Key / "Authorization: ApiKey" credentials.
+ *    jwtAuthenticator() — Authenticate "Authorization: Bearer" HMAC-signed JWTs.
+ *    anonymousAuthenticator() — Treat every request as one fixed principal (local development only).
+ *    verifyJwt() — Verify an HMAC-signed JWT and return its claims.
+ *    can() — Check whether a principal's role grants a permission.
+ *    middleware() — Express middleware resolving req.principal.
+ *    requirePermission() — Express middleware rejecting principals without a permission.
+ *    requireUnscoped() — Express middleware rejecting principals confined to their own rows.
+ */
+
+"use strict";
+
+const crypto = require("crypto");
+const RequestValidation = require("./RequestValidation");
+
+/**
+ * Class RequestAuth
+ *
+ * Authentication and role-based authorization for the REST API. An
+ * authenticator is a function `(req) => principal | null`: it returns null
+ * when the request carries none of its credentials, a principal
+ * `{ id, role, method, scope }` when they are valid, and throws (code
+ * "UNAUTHENTICATED") when they are present but invalid. middleware() tries
+ * the authenticators in order, so other schemes can be plugged in beside the
+ * API key and JWT ones.
+ *
+ * `scope` is null for staff and services. Merchant-portal and customer
+ * tokens carry an `owner_uuid` or `customer_uid` claim, which becomes the
+ * principal's scope ({ owner_uuid } / { customer_uid }) and confines it to
+ * its own transactions (TransactionRegistry query() / getTransaction()
+ * options.scope).
+ */
+class RequestAuth {
+  /** Roles from least to most privileged. */
+  static ROLES = Object.freeze(["viewer", "operator", "admin"]);
+
+  /**
+   * Operations each role may perform; routes name the one they need.
+   * "status" only moves a transaction along its lifecycle; creating,
+   * editing, refunding and disputing need "create" / "update".
+   */
+  static ROLE_PERMISSIONS = Object.freeze({
+    viewer: Object.freeze(["read", "query"]),
+    operator: Object.freeze(["read", "query", "status"]),
+    admin: Object.freeze([
+      "read",
+      "query",
+      "status",
+      "create",
+      "update",
+      "delete",
+      "export",
+      "import",
+      "retention",
+      "payout",
+    ]),
+  });
+
+  /** JWT "alg" values accepted, with their HMAC digest. */
+  static JWT_ALGORITHMS = Object.freeze({
+    HS256: "sha256",
+    HS384: "sha384",
+    HS512: "sha512",
+  });
+
+  static JWT_CLOCK_SKEW_SECONDS = 30;
+  static PRINCIPAL_ID_MAX_LENGTH = 255;
+  static SCOPE_CLAIMS = Object.freeze(["owner_uuid", "customer_uid"]);
+  static LOCAL_ENVIRONMENTS = Object.freeze(["local", "dev", "development", "test"]);
+
+  /**
+   * Build the authenticators configured in the environment: API_KEYS
+   * ("id:role:key" entries separated by commas), JWT_SECRET with optional
+   * JWT_ISSUER / JWT_AUDIENCE, and AUTH_DISABLED=1, which only applies in a
+   * local NODE_ENV and authenticates everyone as an admin named by X-Actor-Id.
+   *
+   * @param {object} [env=process.env] - Environment to read.
+   * @returns {Array<Function>} Authenticators; empty when nothing is configured.
+   * @throws {TypeError} On a malformed API_KEYS entry.
+   */
+  static fromEnv(env = process.env) {
+    const nodeEnv = String(env.NODE_ENV || "").toLowerCase();
+    if (env.AUTH_DISABLED === "1" && this.LOCAL_ENVIRONMENTS.includes(nodeEnv)) {
+      return [this.anonymousAuthenticator("admin")];
+    }
+    const authenticators = [];
+    if (env.API_KEYS) {
+      authenticators.push(this.apiKeyAuthenticator(this.parseApiKeys(env.API_KEYS)));
+    }
+    if (env.JWT_SECRET) {
+      authenticators.push(
+        this.jwtAuthenticator({
+          secret: env.JWT_SECRET,
+          issuer: env.JWT_ISSUER || null,
+          audience: env.JWT_AUDIENCE || null,
+        }),
+      );
+    }
+    return authenticators;
+  }
+
+  /**
+   * Parse an "id:role:key" list (comma separated); the key is everything
+   * after the second colon.
+   *
+   * @param {string} text - Configured API keys.
+   * @returns {Array<{id: string, role: string, key: string}>} Parsed keys.
+   * @throws {TypeError} On an entry without an id, a known role or a key.
+   */
+  static parseApiKeys(text) {
+    return String(text)
+      .split(",")
+      .map((entry) => entry.trim())
+      .filter(Boolean)
+      .map((entry, index) => {
+        const [id, role, ...rest] = entry.split(":");
+        const key = rest.join(":");
+        if (!id || !key || !this.ROLES.includes(role)) {
+          throw new TypeError(
+            `API_KEYS entry ${index + 1} must be "id:role:key" with role one of ${this.ROLES.join(", ")}`,
+          );
+        }
+        return { id, role, key };
+      });
+  }
+
+  /**
+   * Authenticate the X-Api-Key header or "Authorization: ApiKey <key>".
+   * Keys are compared as SHA-256 digests in constant time.
+   *
+   * @param {Array<{id: string, role: string, key: string}>} keys - Accepted keys.
+   * @returns {Function} Authenticator.
+   */
+  static apiKeyAuthenticator(keys) {
+    const entries = keys.map(({ id, role, key }) => ({ id, role, digest: this._digest(key) }));
+    return (req) => {
+      const authorization = req.get("Authorization") || "";
+      const scheme = authorization.match(/^ApiKey\s+(.+)$/i);
+      const presented = req.get("X-Api-Key") || (scheme ? scheme[1].trim() : null);
+      if (!presented) return null;
+      const digest = this._digest(presented);
+      const match = entries.find((entry) => crypto.timingSafeEqual(entry.digest, digest));
+      if (!match) throw this._unauthenticated("Invalid API key");
+      return { id: match.id, role: match.role, method: "api_key", scope: null };
+    };
+  }
+
+  /**
+   * Authenticate "Authorization: Bearer <jwt>". The token's `sub` is the
+   * principal id, its `role` claim (or the highest role in `roles`) its role
+   * and an `owner_uuid` or `customer_uid` claim its scope.
+   *
+   * @param {object} options - Verification options, see verifyJwt().
+   * @returns {Function} Authenticator.
+   */
+  static jwtAuthenticator(options) {
+    return (req) => {
+      const authorization = req.get("Authorization") || "";
+      const scheme = authorization.match(/^Bearer\s+(.+)$/i);
+      if (!scheme) return null;
+      const claims = this.verifyJwt(scheme[1].trim(), options);
+      const roles = Array.isArray(claims.roles) ? claims.roles : [claims.role];
+      const role = [...this.ROLES].reverse().find((candidate) => roles.includes(candidate));
+      if (!role) throw this._unauthenticated("Token carries no known role");
+      return {
+        id: this._principalId(claims.sub),
+        role,
+        method: "jwt",
+        scope: this._scopeFromClaims(claims),
+      };
+    };
+  }
+
+  /**
+   * Authenticate every request as one role, named by X-Actor-Id. Only for
+   * local development; see fromEnv().
+   *
+   * @param {string} role - Role granted to every request.
+   * @returns {Function} Authenticator.
+   */
+  static anonymousAuthenticator(role) {
+    return (req) => ({
+      id: this._principalId(req.get("X-Actor-Id") || "anonymous"),
+      role,
+      method: "none",
+      scope: null,
+    });
+  }
+
+  /**
+   * Verify a compact HMAC-signed JWT: the "alg" must be one of
+   * JWT_ALGORITHMS, the signature must match, "exp" must be present and in
+   * the future and "nbf" (when present) in the past, within the clock skew.
+   *
+   * @param {string} token - Compact JWT.
+   * @param {object} options - Verification options.
+   * @param {string} options.secret - Shared HMAC secret.
+   * @param {string|null} [options.issuer] - Required "iss".
+   * @param {string|null} [options.audience] - Required entry of "aud".
+   * @param {number} [options.now] - Current time in seconds (tests).
+   * @returns {object} Verified claims.
+   * @throws {Error} With code "UNAUTHENTICATED" when the token is not valid.
+   */
+  static verifyJwt(token, { secret, issuer = null, audience = null, now } = {}) {
+    const parts = String(token).split(".");
+    if (parts.length !== 3) throw this._unauthenticated("Malformed token");
+    const [encodedHeader, encodedPayload, encodedSignature] = parts;
+    const header = this._decodeJwtPart(encodedHeader);
+    const hash = Object.hasOwn(this.JWT_ALGORITHMS, header.alg)
+      ? this.JWT_ALGORITHMS[header.alg]
+      : null;
+    if (!hash) throw this._unauthenticated("Unsupported token algorithm");
+
+    const expected = crypto
+      .createHmac(hash, secret)
+      .update(`${encodedHeader}.${encodedPayload}`)
+      .digest();
+    const signature = Buffer.from(encodedSignature, "base64url");
+    if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+      throw this._unauthenticated("Invalid token signature");
+    }
+
+    const claims = this._decodeJwtPart(encodedPayload);
+    const current = now ?? Math.floor(Date.now() / 1000);
+    if (typeof claims.exp !== "number") throw this._unauthenticated("Token has no expiry");
+    if (claims.exp + this.JWT_CLOCK_SKEW_SECONDS <= current) {
+      throw this._unauthenticated("Token has expired");
+    }
+    if (typeof claims.nbf === "number" && claims.nbf - this.JWT_CLOCK_SKEW_SECONDS > current) {
+      throw this._unauthenticated("Token is not valid yet");
+    }
+    if (issuer && claims.iss !== issuer) throw this._unauthenticated("Unexpected token issuer");
+    if (audience) {
+      const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+      if (!audiences.includes(audience)) throw this._unauthenticated("Unexpected token audience");
+    }
+    return claims;
+  }
+
+  /**
+   * Whether the principal's role grants a permission.
+   *
+   * @param {{role: string}|null} principal - Authenticated principal.
+   * @param {string} permission - Permission from ROLE_PERMISSIONS.
+   * @returns {boolean} True when allowed.
+   */
+  static can(principal, permission) {
+    const granted = principal ? this.ROLE_PERMISSIONS[principal.role] : null;
+    return Array.isArray(granted) && granted.includes(permission);
+  }
+
+  /**
+   * Express middleware: resolve req.principal with the first authenticator
+   * that recognises the request's credentials, or answer 401 with the
+   * RequestValidation error envelope.
+   *
+   * @param {Array<Function>} authenticators - Authenticators to try in order.
+   * @returns {Function} Express middleware.
+   */
+  static middleware(authenticators) {
+    return (req, res, next) => {
+      try {
+        for (const authenticate of authenticators) {
+          const principal = authenticate(req);
+          if (principal) {
+            req.principal = principal;
+            return next();
+          }
+        }
+        throw this._unauthenticated("Authentication required");
+      } catch (err) {
+        if (err.code !== "UNAUTHENTICATED") return next(err);
+        res.set("WWW-Authenticate", 'Bearer realm="transactions"');
+        return RequestValidation.sendError(req, res, null, {
+          status: 401,
+          code: err.code,
+          message: err.message,
+        });
+      }
+    };
+  }
+
+  /**
+   * Express middleware: answer 403 unless req.principal holds every listed
+   * permission.
+   *
+   * @param {...string} permissions - Required permissions.
+   * @returns {Function} Express middleware.
+   */
+  static requirePermission(...permissions) {
+    return (req, res, next) => {
+      const missing = permissions.filter((permission) => !this.can(req.principal, permission));
+      if (missing.length === 0) return next();
+      return RequestValidation.sendError(req, res, null, {
+        status: 403,
+        code: "FORBIDDEN",
+        message: `Role "${req.principal?.role ?? "none"}" may not ${missing.join(", ")}`,
+      });
+    };
+  }
+
+  /**
+   * Express middleware: answer 403 for scoped principals on routes that do
+   * not confine their results to the caller's rows.
+   *
+   * @returns {Function} Express middleware.
+   */
+  static requireUnscoped() {
+    return (req, res, next) => {
+      if (!req.principal?.scope) return next();
+      return RequestValidation.sendError(req, res, null, {
+        status: 403,
+        code: "FORBIDDEN",
+        message: "This operation is not available to scoped callers",
+      });
+    };
+  }
+
+  static _scopeFromClaims(claims) {
+    const present = this.SCOPE_CLAIMS.filter((claim) => claims[claim] !== undefined);
+    if (present.length === 0) return null;
+    const value = claims[present[0]];
+    if (present.length > 1 || typeof value !== "string" || !value.trim()) {
+      throw this._unauthenticated("Token must scope to one owner_uuid or customer_uid");
+    }
+    return { [present[0]]: value.trim() };
+  }
+
+  static _digest(value) {
+    return crypto.createHash("sha256").update(String(value)).digest();
+  }
+
+  static _decodeJwtPart(part) {
+    try {
+      const decoded = JSON.parse(Buffer.from(part, "base64url").toString("utf8"));
+      if (decoded && typeof decoded === "object" && !Array.isArray(decoded)) return decoded;
+    } catch {
+      // Reported below as a malformed token
+    }
+    throw this._unauthenticated("Malformed token");
+  }
+
+  static _principalId(value) {
+    const id = typeof value === "string" ? value.trim() : "";
+    if (!id || id.length > this.PRINCIPAL_ID_MAX_LENGTH) {
+      throw this._unauthenticated(
+        `Principal id must be 1 to ${this.PRINCIPAL_ID_MAX_LENGTH} characters`,
+      );
+    }
+    return id;
+  }
+
+  static _unauthenticated(message) {
+    const err = new Error(message);
+    err.code = "UNAUTHENTICATED";
+    return err;
+  }
+}
+
+module.exports = RequestAuth;
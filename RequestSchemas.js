@@ -0,0 +1,295 @@
+/*
+ * Schemas (one per route, checked by RequestValidation.middleware()):
+ *    createTransaction — POST /api/transactions
+ *    queryTransactions — GET /api/transactions/query
+ *    countTransactions / countByStatus — GET /api/transactions/count[/by-status]
+ *    aggregate / topOwners — GET /api/transactions/stats[/owners]
+ *    exportTransactions / importTransactions — GET export, POST import
+ *    batchTransactions / purgeTransactions — POST batch, POST purge
+ *    transactionHistory / getTransaction / updateTransaction / deleteTransaction — /api/transactions/:id
+ *    updateTransactionStatus / restoreTransaction / setLegalHold / refundTransaction / openDispute — /api/transactions/:id/...
+ *    queryDisputes / getDispute / submitDisputeEvidence / resolveDispute — /api/disputes
+ *    ownerBalance / ownerStatement / createPayout — /api/owners/:uuid/...
+ */
+
+"use strict";
+
+const TransactionRegistry = require("./PaymentTransactionsRegistryStore");
+
+// Business rules (status lifecycles, currencies, date formats, batch modes)
+// stay in TransactionRegistry, which reports them with their field; these
+// schemas pin down the shape and types of what each route accepts.
+
+const TEXT = Object.freeze({ type: "string", maxLength: 255 });
+const REQUIRED_TEXT = Object.freeze({ type: "string", minLength: 1, maxLength: 255 });
+const BOOLEAN = Object.freeze({ type: "boolean" });
+const OBJECT = Object.freeze({ type: "object" });
+const ARRAY = Object.freeze({ type: "array" });
+const MINOR_UNITS = Object.freeze({ type: "integer", minimum: 0 });
+
+const params = (...names) =>
+  Object.freeze({
+    type: "object",
+    properties: Object.fromEntries(names.map((name) => [name, REQUIRED_TEXT])),
+    required: names,
+  });
+
+const TRANSACTION_PARAMS = params("id");
+const DISPUTE_PARAMS = params("disputeId");
+const OWNER_PARAMS = params("uuid");
+
+const closedQuery = (properties, required = []) =>
+  Object.freeze({ type: "object", properties, required, additionalProperties: false });
+
+/** query() filters; "meta.*" / "products.*" keys are JSONB searches. */
+const QUERY_FILTER_PROPERTIES = Object.freeze({
+  transactionId: TEXT,
+  transaction_id: TEXT,
+  customer_uid: TEXT,
+  customerUid: TEXT,
+  customerId: TEXT,
+  order_type: TEXT,
+  orderType: TEXT,
+  status: { type: ["string", "array"], items: TEXT },
+  ownerId: TEXT,
+  owner_uuid: TEXT,
+  owner: TEXT,
+  ownerIds: { type: "array", items: TEXT, maxItems: 100 },
+  owner_ids: { type: "array", items: TEXT, maxItems: 100 },
+  direction: TEXT,
+  currency: TEXT,
+  payment_method: TEXT,
+  paymentMethod: TEXT,
+  platform: TEXT,
+  parent_transaction_id: TEXT,
+  parentTransactionId: TEXT,
+  dispute_id: TEXT,
+  disputeId: TEXT,
+  minAmount: MINOR_UNITS,
+  maxAmount: MINOR_UNITS,
+  dateStart: TEXT,
+  dateEnd: TEXT,
+  createdFrom: TEXT,
+  createdTo: TEXT,
+  includeDeleted: BOOLEAN,
+  onlyDeleted: BOOLEAN,
+});
+
+const filterQuery = (properties = {}) =>
+  Object.freeze({
+    type: "object",
+    properties: { ...QUERY_FILTER_PROPERTIES, ...properties },
+    patternProperties: { "^(meta|products)\\.[A-Za-z0-9_.]+$": TEXT },
+    additionalProperties: false,
+  });
+
+module.exports = Object.freeze({
+  createTransaction: {
+    body: {
+      type: "object",
+      properties: {
+        order_id: REQUIRED_TEXT,
+        amount: MINOR_UNITS,
+        order_type: REQUIRED_TEXT,
+        customer_uid: REQUIRED_TEXT,
+        status: REQUIRED_TEXT,
+        direction: TEXT,
+        payment_method: REQUIRED_TEXT,
+        currency: REQUIRED_TEXT,
+        platform: REQUIRED_TEXT,
+        meta: OBJECT,
+        owners: ARRAY,
+        owner_allocations: { type: "array", items: OBJECT },
+        products: ARRAY,
+      },
+      required: [
+        "order_id",
+        "amount",
+        "order_type",
+        "customer_uid",
+        "status",
+        "payment_method",
+        "currency",
+        "platform",
+      ],
+    },
+  },
+  queryTransactions: {
+    query: filterQuery({
+      limit: { type: "integer", minimum: 0 },
+      offset: { type: "integer", minimum: 0 },
+      cursor: { type: "string", maxLength: 2048 },
+      includeTotal: BOOLEAN,
+      sort: { type: ["string", "array"], items: TEXT },
+    }),
+  },
+  countTransactions: {
+    query: closedQuery({}),
+  },
+  countByStatus: {
+    query: closedQuery({ status: REQUIRED_TEXT }, ["status"]),
+  },
+  aggregate: {
+    query: filterQuery({ groupBy: TEXT, metrics: TEXT, bucket: TEXT, timezone: TEXT }),
+  },
+  topOwners: {
+    query: filterQuery({
+      limit: { type: "integer", minimum: 1, maximum: TransactionRegistry.TOP_OWNERS_MAX_LIMIT },
+    }),
+  },
+  exportTransactions: {
+    query: filterQuery({
+      format: TEXT,
+      columns: { type: "string", maxLength: 2048 },
+      batchSize: { type: "integer", minimum: 1, maximum: TransactionRegistry.EXPORT_MAX_BATCH_SIZE },
+    }),
+  },
+  importTransactions: {
+    query: closedQuery({
+      format: TEXT,
+      dryRun: BOOLEAN,
+      batchSize: { type: "integer", minimum: 1, maximum: TransactionRegistry.IMPORT_MAX_BATCH_SIZE },
+      onConflict: TEXT,
+    }),
+  },
+  // Items are validated one by one by the store so best_effort batches can
+  // report each failure instead of rejecting the whole request
+  batchTransactions: {
+    body: {
+      type: "object",
+      properties: {
+        mode: TEXT,
+        create: { type: "array", maxItems: TransactionRegistry.BATCH_MAX_ITEMS },
+        update: { type: "array", maxItems: TransactionRegistry.BATCH_MAX_ITEMS },
+      },
+      additionalProperties: false,
+    },
+  },
+  purgeTransactions: {
+    body: {
+      type: "object",
+      properties: {
+        olderThan: REQUIRED_TEXT,
+        limit: { type: "integer", minimum: 1, maximum: TransactionRegistry.PURGE_MAX_LIMIT },
+      },
+      required: ["olderThan"],
+      additionalProperties: false,
+    },
+  },
+  transactionHistory: {
+    params: TRANSACTION_PARAMS,
+    query: closedQuery({ asOf: TEXT }),
+  },
+  getTransaction: {
+    params: TRANSACTION_PARAMS,
+    query: closedQuery({}),
+  },
+  updateTransaction: {
+    params: TRANSACTION_PARAMS,
+    body: {
+      type: "object",
+      properties: {
+        amount: MINOR_UNITS,
+        meta: OBJECT,
+        owners: ARRAY,
+        owner_allocations: { type: "array", items: OBJECT },
+        products: ARRAY,
+      },
+    },
+  },
+  updateTransactionStatus: {
+    params: TRANSACTION_PARAMS,
+    body: {
+      type: "object",
+      properties: { status: REQUIRED_TEXT },
+      required: ["status"],
+      additionalProperties: false,
+    },
+  },
+  deleteTransaction: {
+    params: TRANSACTION_PARAMS,
+  },
+  restoreTransaction: {
+    params: TRANSACTION_PARAMS,
+  },
+  setLegalHold: {
+    params: TRANSACTION_PARAMS,
+    body: {
+      type: "object",
+      properties: { hold: BOOLEAN },
+      required: ["hold"],
+      additionalProperties: false,
+    },
+  },
+  refundTransaction: {
+    params: TRANSACTION_PARAMS,
+    body: {
+      type: "object",
+      properties: {
+        amount: MINOR_UNITS,
+        reason: TEXT,
+        owner_allocations: { type: "array", items: OBJECT },
+        meta: OBJECT,
+      },
+    },
+  },
+  openDispute: {
+    params: TRANSACTION_PARAMS,
+    body: {
+      type: "object",
+      properties: {
+        amount: MINOR_UNITS,
+        reason: TEXT,
+        dispute_id: TEXT,
+        evidence_due_at: TEXT,
+        meta: OBJECT,
+      },
+    },
+  },
+  queryDisputes: {
+    query: closedQuery({
+      status: TEXT,
+      transactionId: TEXT,
+      dueBefore: TEXT,
+      overdue: BOOLEAN,
+      limit: { type: "integer", minimum: 1, maximum: TransactionRegistry.MAX_LIMIT },
+      offset: { type: "integer", minimum: 0 },
+    }),
+  },
+  getDispute: {
+    params: DISPUTE_PARAMS,
+  },
+  submitDisputeEvidence: {
+    params: DISPUTE_PARAMS,
+    body: OBJECT,
+  },
+  resolveDispute: {
+    params: DISPUTE_PARAMS,
+    body: {
+      type: "object",
+      properties: { outcome: REQUIRED_TEXT },
+    },
+  },
+  ownerBalance: {
+    params: OWNER_PARAMS,
+    query: closedQuery({ asOf: TEXT }),
+  },
+  ownerStatement: {
+    params: OWNER_PARAMS,
+    query: closedQuery({
+      from: TEXT,
+      to: TEXT,
+      limit: { type: "integer", minimum: 1, maximum: TransactionRegistry.OWNER_STATEMENT_MAX_LIMIT },
+      cursor: { type: "string", maxLength: 2048 },
+      format: { type: "string", enum: ["json", "csv"] },
+    }),
+  },
+  createPayout: {
+    params: OWNER_PARAMS,
+    body: {
+      type: "object",
+      properties: { currency: REQUIRED_TEXT, amount: { type: "integer", minimum: 1 }, meta: OBJECT },
+      required: ["currency"],
+    },
+  },
+});
@@ -0,0 +1,459 @@
+/*
+ * Methods:
+ *    validate() — Check (and for query strings, coerce) a value against a request schema.
+ *    middleware() — Express middleware validating a route's params, query and body.
+ *    invalid() — Record a request validation failure and build the error to throw.
+ *    collectErrors() — Express middleware giving each request its own ErrorHandler log and log entry.
+ *    logRequest() — Write the structured log entry of a finished request.
+ *    errorDetails() — ErrorHandler entries raised while handling the current request.
+ *    describeError() — Map an error to its HTTP status and machine-readable code.
+ *    sendError() — Answer with the API error envelope.
+ *    errorMiddleware() — Express error handler answering with the envelope.
+ *    notFound() — Express middleware answering unknown routes with the envelope.
+ */
+
+"use strict";
+
+const ErrorHandler = require("./ErrorHandler");
+const Logger = require("./Logger");
+const SafeUtils = require("./SafeUtils");
+const {
+  TransactionRegistryError,
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  InvalidTransitionError,
+  VersionConflictError,
+  StorageError,
+} = require("./TransactionErrors");
+
+/**
+ * Class RequestValidation
+ *
+ * Declarative request validation and the error envelope of the REST API.
+ *
+ * Route schemas (see RequestSchemas.js) are a subset of JSON Schema: type
+ * (one name or a list of "string", "integer", "number", "boolean", "array",
+ * "object"), enum, minimum, maximum, minLength, maxLength, pattern, items,
+ * minItems, maxItems, properties, required, patternProperties and
+ * additionalProperties. Query strings and route params arrive as text, so
+ * they are coerced first: integers and booleans are parsed, a single value
+ * becomes a one-item array, "name[]" keys fold into "name" and empty values
+ * count as absent. JSON bodies are checked as sent.
+ *
+ * Every error answer has the same shape:
+ * `{ error, code, details: [{ message, field }], request_id }`, where details
+ * are the ErrorHandler entries raised while handling the request; each
+ * request collects its own (see collectErrors()). Registry
+ * errors map by class (ValidationError 400, NotFoundError 404, ConflictError
+ * 409, VersionConflictError 412) and keep their code; StorageError, other
+ * database failures and any untyped error map to 5xx and keep their message
+ * out of the response.
+ */
+class RequestValidation {
+  /** Request parts validated by middleware(), and whether they arrive as text. */
+  static REQUEST_SOURCES = Object.freeze({ params: true, query: true, body: false });
+
+  static MAX_DETAILS = 20;
+
+  /**
+   * Check a value against a schema.
+   *
+   * @param {*} value - Value to check.
+   * @param {object} schema - Request schema.
+   * @param {object} [options={}] - Options.
+   * @param {boolean} [options.coerce=false] - Coerce query-string text to the schema types.
+   * @param {string} [options.path=""] - Field path of value, used in issues.
+   * @param {string} [options.label="value"] - Name of the value itself in messages.
+   * @returns {{value: *, issues: Array<{field: string|null, message: string}>}} The
+   *   (coerced) value and every problem found.
+   */
+  static validate(value, schema, { coerce = false, path = "", label = "value" } = {}) {
+    const issues = [];
+    const checked = this._validateNode(value, schema, { coerce, path, label, issues });
+    return { value: checked, issues };
+  }
+
+  /**
+   * Express middleware: validate req.params, req.query and req.body against
+   * a route's schemas and store the results on req.validated. Failures are
+   * passed on as a VALIDATION_FAILED error (400) with one ErrorHandler entry
+   * per problem.
+   *
+   * @param {{params?: object, query?: object, body?: object}} schemas - Schema per request part.
+   * @returns {Function} Express middleware.
+   */
+  static middleware(schemas) {
+    return (req, res, next) => {
+      const validated = {};
+      const issues = [];
+      for (const [source, coerce] of Object.entries(this.REQUEST_SOURCES)) {
+        if (!schemas[source]) {
+          validated[source] = req[source];
+          continue;
+        }
+        // Express leaves req.body undefined when nothing was sent; check it as {}
+        const input = source === "body" ? (req.body ?? {}) : { ...(req[source] || {}) };
+        const result = this.validate(input, schemas[source], { coerce, label: source });
+        validated[source] = result.value;
+        issues.push(...result.issues.map((issue) => ({ ...issue, in: source })));
+      }
+      if (issues.length > 0) {
+        return next(this.invalid(issues));
+      }
+      req.validated = validated;
+      return next();
+    };
+  }
+
+  /**
+   * Record request validation problems with ErrorHandler and build the
+   * VALIDATION_FAILED error describing them.
+   *
+   * @param {Array<{field: string|null, message: string, in?: string}>|string} issues - Problems,
+   *   or a single message.
+   * @param {string|null} [field=null] - Field of a single message.
+   * @returns {ValidationError} Error with code "VALIDATION_FAILED" and `issues`.
+   */
+  static invalid(issues, field = null) {
+    const list = typeof issues === "string" ? [{ field, message: issues }] : issues;
+    for (const issue of list) {
+      ErrorHandler.addError(issue.message, {
+        field: issue.field ?? null,
+        ...(issue.in ? { in: issue.in } : {}),
+      });
+    }
+    const more = list.length > 1 ? ` (and ${list.length - 1} more)` : "";
+    const err = new ValidationError(`Request validation failed: ${list[0]?.message ?? "invalid input"}${more}`, {
+      field: list[0]?.field ?? null,
+      context: { issues: list },
+    });
+    err.issues = list;
+    return err;
+  }
+
+  /**
+   * Express middleware: run the rest of the request in its own ErrorHandler
+   * scope (see ErrorHandler.run()), so the envelope's details and the
+   * request's log entry hold only the entries it raised, and write that log
+   * entry once the response is done.
+   *
+   * @returns {Function} Express middleware.
+   */
+  static collectErrors() {
+    return (req, res, next) => {
+      const startedAt = Date.now();
+      ErrorHandler.run(() => {
+        // 'close' fires outside the request's scope; bind it back
+        res.once("close", ErrorHandler.bind(() => this.logRequest(req, res, startedAt)));
+        next();
+      });
+    };
+  }
+
+  /**
+   * Write the structured log entry of a finished request through
+   * Logger.writeLog (flag "request"), with the ErrorHandler entries it raised.
+   * A failed write is reported through Logger.debugLog and never reaches
+   * the response.
+   *
+   * @param {object} req - Express request.
+   * @param {object} res - Express response.
+   * @param {number} startedAt - Date.now() when the request arrived.
+   * @returns {Promise<object>} The entry written.
+   */
+  static async logRequest(req, res, startedAt) {
+    const errors = ErrorHandler.getAllErrors();
+    const entry = {
+      request_id: req.requestId ?? null,
+      method: req.method,
+      path: req.originalUrl || req.url,
+      status: res.statusCode,
+      duration_ms: Date.now() - startedAt,
+      completed: res.writableFinished !== false,
+    };
+    if (errors.length > 0) {
+      entry.errors = errors;
+      entry.errors_dropped = ErrorHandler.getDroppedCount();
+    }
+    try {
+      JSON.stringify(entry);
+    } catch {
+      // Entry data that cannot be serialized (cycles, BigInt) is reduced to message and field
+      entry.errors = this.errorDetails();
+    }
+    try {
+      await Logger.writeLog({
+        flag: "request",
+        action: "requestCompleted",
+        message: `${entry.method} ${entry.path} ${entry.status}`,
+        level: entry.status >= 500 ? "error" : "info",
+        data: entry,
+      });
+    } catch (writeErr) {
+      Logger.debugLog("[RequestValidation] Logger.writeLog failed", {
+        error: String(writeErr?.message || writeErr || ""),
+        request_id: entry.request_id,
+      });
+    }
+    return entry;
+  }
+
+  /**
+   * ErrorHandler entries raised while handling the current request, as
+   * `{ message, field }`.
+   *
+   * @returns {Array<{message: string, field: string|null}>} Entries, oldest first.
+   */
+  static errorDetails() {
+    return ErrorHandler.getAllErrors()
+      .slice(0, this.MAX_DETAILS)
+      .map((entry) => ({ message: entry.message, field: entry.data?.field ?? null }));
+  }
+
+  /**
+   * Map an error to its HTTP status, code and any extra envelope fields.
+   *
+   * @param {Error} err - Error raised while handling a request.
+   * @returns {{status: number, code: string, message: string, extra: object}} Description.
+   */
+  static describeError(err) {
+    const message = String(err?.message || err || "Unknown error");
+    const describe = (status, code, extra = {}) => ({ status, code, message, extra });
+
+    if (err instanceof VersionConflictError) {
+      return describe(412, err.code, { expected: err.expected, actual: err.actual });
+    }
+    if (err instanceof InvalidTransitionError) {
+      return describe(409, err.code, { from: err.from, to: err.to, allowed: err.allowed });
+    }
+    if (err instanceof StorageError) return this._describeStorageError(err);
+    if (err instanceof TransactionRegistryError) {
+      const status = err instanceof NotFoundError ? 404 : err instanceof ConflictError ? 409 : 400;
+      return describe(status, err.code);
+    }
+    // Errors that did not come through TransactionRegistry are mapped by their shape
+    if (err?.code === "23505") return describe(409, "CONFLICT");
+    // body-parser errors (malformed JSON, oversized bodies) carry their own 4xx status
+    if (err?.expose === true && Number.isInteger(err.status) && err.status >= 400 && err.status < 500) {
+      const code = err.type === "entity.parse.failed" ? "MALFORMED_BODY"
+        : err.type === "entity.too.large" ? "PAYLOAD_TOO_LARGE"
+          : "INVALID_REQUEST";
+      return describe(err.status, code);
+    }
+    if (StorageError.isStorageFailure(err)) return this._describeStorageError(err);
+    // Input checks throw ValidationError; anything untyped is an internal failure
+    return { status: 500, code: "INTERNAL_ERROR", message: "Internal server error", extra: {} };
+  }
+
+  /**
+   * Answer with the error envelope `{ error, code, details, request_id, ...extra }`.
+   *
+   * @param {object} req - Express request.
+   * @param {object} res - Express response.
+   * @param {Error} err - Error to report.
+   * @param {object} [overrides={}] - Status, code, message or extra fields to use instead.
+   * @returns {object} The response.
+   */
+  static sendError(req, res, err, overrides = {}) {
+    const described = this.describeError(err);
+    const { status = described.status, code = described.code, message = described.message, ...extra } = overrides;
+    const body = {
+      error: message,
+      code,
+      details: this.errorDetails(),
+      request_id: req?.requestId ?? null,
+      ...described.extra,
+      ...(Array.isArray(err?.results) ? { results: err.results } : {}),
+      ...extra,
+    };
+    return res.status(status).json(body);
+  }
+
+  /**
+   * Express error handler: log the error and answer with the envelope. 5xx
+   * errors are logged with their stack; responses already under way are cut.
+   *
+   * @returns {Function} Express error middleware.
+   */
+  static errorMiddleware() {
+    // Express recognises error handlers by their four parameters
+    return (err, req, res, next) => {
+      const { status, code } = this.describeError(err);
+      const label = `[${req.method} ${req.originalUrl || req.url}]`;
+      if (status >= 500) {
+        console.error(`${label} ${code}:`, err);
+      } else {
+        console.error(`${label} ${code}:`, err?.message || err);
+      }
+      if (res.headersSent) {
+        res.destroy(err instanceof Error ? err : undefined);
+        return;
+      }
+      this.sendError(req, res, err);
+    };
+  }
+
+  /**
+   * Express middleware: answer 404 NOT_FOUND for routes that do not exist.
+   *
+   * @returns {Function} Express middleware.
+   */
+  static notFound() {
+    return (req, res) =>
+      this.sendError(req, res, null, {
+        status: 404,
+        code: "NOT_FOUND",
+        message: `No route for ${req.method} ${req.baseUrl}${req.path}`,
+      });
+  }
+
+  static _validateNode(value, schema, context) {
+    const { coerce, path, issues } = context;
+    const field = path || null;
+    const name = path || context.label;
+    const types = Array.isArray(schema.type) ? schema.type : schema.type ? [schema.type] : [];
+    let current = coerce ? this._coerce(value, types) : value;
+
+    if (current === undefined) return undefined;
+    if (types.length > 0 && !types.some((type) => this._isType(current, type))) {
+      issues.push({ field, message: `${name} must be ${this._describeTypes(types)}` });
+      return current;
+    }
+    if (Array.isArray(schema.enum) && !schema.enum.includes(current)) {
+      issues.push({ field, message: `${name} must be one of ${schema.enum.join(", ")}` });
+      return current;
+    }
+    if (typeof current === "number") {
+      if (schema.minimum !== undefined && current < schema.minimum) {
+        issues.push({ field, message: `${name} must be >= ${schema.minimum}` });
+      }
+      if (schema.maximum !== undefined && current > schema.maximum) {
+        issues.push({ field, message: `${name} must be <= ${schema.maximum}` });
+      }
+    }
+    if (typeof current === "string") {
+      if (schema.minLength !== undefined && current.length < schema.minLength) {
+        issues.push({ field, message: `${name} must be at least ${schema.minLength} characters` });
+      }
+      if (schema.maxLength !== undefined && current.length > schema.maxLength) {
+        issues.push({ field, message: `${name} must be at most ${schema.maxLength} characters` });
+      }
+      if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(current)) {
+        issues.push({ field, message: `${name} has an invalid format` });
+      }
+    }
+    if (Array.isArray(current)) {
+      if (schema.minItems !== undefined && current.length < schema.minItems) {
+        issues.push({ field, message: `${name} must have at least ${schema.minItems} items` });
+      }
+      if (schema.maxItems !== undefined && current.length > schema.maxItems) {
+        issues.push({ field, message: `${name} must have at most ${schema.maxItems} items` });
+      }
+      if (schema.items) {
+        current = current.map((item, index) =>
+          this._validateNode(item, schema.items, { ...context, path: `${name}[${index}]` }),
+        );
+      }
+    }
+    if (SafeUtils.isPlainObject(current) && (schema.properties || schema.patternProperties || schema.required
+      || schema.additionalProperties !== undefined)) {
+      current = this._validateObject(current, schema, context);
+    }
+    return current;
+  }
+
+  static _validateObject(object, schema, context) {
+    const { coerce, path, issues } = context;
+    const properties = schema.properties || {};
+    const patterns = Object.entries(schema.patternProperties || {}).map(([pattern, propertySchema]) => [
+      new RegExp(pattern),
+      propertySchema,
+    ]);
+    const childPath = (key) => (path ? `${path}.${key}` : key);
+
+    // ?ownerIds[]=a&ownerIds[]=b arrives as "ownerIds[]"; fold it into "ownerIds"
+    const input = {};
+    for (const [key, raw] of Object.entries(object)) {
+      const folded = coerce && key.endsWith("[]") && properties[key.slice(0, -2)] ? key.slice(0, -2) : key;
+      if (input[folded] === undefined) {
+        input[folded] = raw;
+      } else {
+        input[folded] = [].concat(input[folded], raw);
+      }
+    }
+
+    const output = {};
+    for (const [key, raw] of Object.entries(input)) {
+      let propertySchema = properties[key];
+      if (!propertySchema) {
+        propertySchema = patterns.find(([pattern]) => pattern.test(key))?.[1];
+      }
+      if (!propertySchema) {
+        if (schema.additionalProperties === false) {
+          issues.push({ field: childPath(key), message: `${childPath(key)} is not an allowed field` });
+          continue;
+        }
+        propertySchema = SafeUtils.isPlainObject(schema.additionalProperties) ? schema.additionalProperties : {};
+      }
+      const checked = this._validateNode(raw, propertySchema, { ...context, path: childPath(key) });
+      if (checked !== undefined) output[key] = checked;
+    }
+    for (const key of schema.required || []) {
+      if (output[key] === undefined || output[key] === null) {
+        issues.push({ field: childPath(key), message: `${childPath(key)} is required` });
+      }
+    }
+    return output;
+  }
+
+  static _coerce(value, types) {
+    if (value === "" || value === null) return undefined;
+    // A repeated scalar parameter (?limit=1&limit=2) stays an array and fails its type check
+    if (typeof value !== "string") return value;
+    if (types.includes("string")) return value;
+    if (types.includes("integer") || types.includes("number")) {
+      const parsed = types.includes("integer") ? SafeUtils.sanitizeInteger(value) : Number(value.trim());
+      if (parsed !== null && Number.isFinite(parsed) && value.trim() !== "") return parsed;
+    }
+    if (types.includes("boolean")) {
+      const parsed = SafeUtils.sanitizeBoolean(value);
+      if (parsed !== null) return parsed;
+    }
+    if (types.includes("array")) return [value];
+    return value;
+  }
+
+  static _isType(value, type) {
+    switch (type) {
+      case "string":
+        return typeof value === "string";
+      case "integer":
+        return Number.isSafeInteger(value);
+      case "number":
+        return typeof value === "number" && Number.isFinite(value);
+      case "boolean":
+        return typeof value === "boolean";
+      case "array":
+        return Array.isArray(value);
+      case "object":
+        return SafeUtils.isPlainObject(value);
+      default:
+        return false;
+    }
+  }
+
+  static _describeTypes(types) {
+    const names = types.map((type) => (type === "integer" || type === "array" || type === "object" ? `an ${type}` : `a ${type}`));
+    return names.length > 1 ? `${names.slice(0, -1).join(", ")} or ${names[names.length - 1]}` : names[0];
+  }
+
+  static _describeStorageError(err) {
+    if (StorageError.isUnavailable(err)) {
+      return { status: 503, code: "STORAGE_UNAVAILABLE", message: "Storage temporarily unavailable", extra: {} };
+    }
+    return { status: 500, code: "STORAGE_ERROR", message: "Storage operation failed", extra: {} };
+  }
+}
+
+module.exports = RequestValidation;
@@ -0,0 +1,233 @@
+/*
+ * Classes:
+ *    TransactionRegistryError — Base of every error TransactionRegistry raises on purpose.
+ *    ValidationError — Input that TransactionRegistry rejects.
+ *    NotFoundError — A transaction or dispute that does not exist (or is soft-deleted).
+ *    ConflictError — A request that clashes with the stored state.
+ *    InvalidTransitionError — A status change that the direction's lifecycle does not allow.
+ *    VersionConflictError — A write based on a stale read of the row version.
+ *    StorageError — The database failed or could not be reached.
+ */
+
+"use strict";
+
+/**
+ * Class TransactionRegistryError
+ *
+ * Base class of the registry's errors. `code` is stable and machine-readable,
+ * `field` names the offending input (null when no single field is to blame)
+ * and `context` is the data recorded with ErrorHandler for the failure.
+ */
+class TransactionRegistryError extends Error {
+  static DEFAULT_CODE = "TRANSACTION_REGISTRY_ERROR";
+
+  /**
+   * @param {string} message - Human-readable description of the failure.
+   * @param {object} [details={}] - Error details.
+   * @param {string} [details.code] - Code overriding the class default.
+   * @param {string|null} [details.field] - Offending input field.
+   * @param {object|null} [details.context] - ErrorHandler data recorded for the failure.
+   * @param {*} [details.cause] - Underlying error.
+   */
+  constructor(message, { code, field = null, context = null, cause } = {}) {
+    super(message, cause === undefined ? undefined : { cause });
+    this.name = "TransactionRegistryError";
+    this.code = code || new.target.DEFAULT_CODE;
+    this.field = field;
+    this.context = context;
+  }
+}
+
+/**
+ * Class ValidationError
+ *
+ * Raised when a method argument is missing, malformed or out of range.
+ */
+class ValidationError extends TransactionRegistryError {
+  static DEFAULT_CODE = "VALIDATION_FAILED";
+
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = "ValidationError";
+  }
+}
+
+/**
+ * Class NotFoundError
+ *
+ * Raised when an operation targets a transaction or dispute that does not
+ * exist or has been soft-deleted.
+ */
+class NotFoundError extends TransactionRegistryError {
+  static DEFAULT_CODE = "NOT_FOUND";
+
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = "NotFoundError";
+  }
+}
+
+/**
+ * Class ConflictError
+ *
+ * Raised when a valid request cannot be applied to the row as it is stored,
+ * e.g. a reused idempotency key or a refund beyond the amount left. `code`
+ * names the specific conflict.
+ */
+class ConflictError extends TransactionRegistryError {
+  static DEFAULT_CODE = "CONFLICT";
+
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = "ConflictError";
+  }
+}
+
+/**
+ * Class InvalidTransitionError
+ *
+ * Raised when a transaction is asked to move between two statuses that are
+ * not connected in TransactionRegistry.TRANSACTION_STATUS_LIFECYCLES.
+ */
+class InvalidTransitionError extends ConflictError {
+  static DEFAULT_CODE = "INVALID_STATUS_TRANSITION";
+
+  /**
+   * @param {string} message - Human-readable description of the rejection.
+   * @param {object} [details={}] - Transition context.
+   * @param {string|null} [details.direction] - Direction of the transaction.
+   * @param {string|null} [details.from] - Current status.
+   * @param {string|null} [details.to] - Requested status.
+   * @param {Array<string>} [details.allowed] - Statuses reachable from `from`.
+   */
+  constructor(message, { direction = null, from = null, to = null, allowed = [] } = {}) {
+    const allowedStatuses = Array.isArray(allowed) ? allowed.slice() : [];
+    super(message, {
+      field: "status",
+      context: { field: "status", direction, from, to, allowed: allowedStatuses },
+    });
+    this.name = "InvalidTransitionError";
+    this.direction = direction;
+    this.from = from;
+    this.to = to;
+    this.allowed = allowedStatuses;
+  }
+}
+
+/**
+ * Class VersionConflictError
+ *
+ * Raised when an update names the row version it was based on and the locked
+ * row has moved on since, i.e. someone else wrote to it in between.
+ */
+class VersionConflictError extends ConflictError {
+  static DEFAULT_CODE = "VERSION_CONFLICT";
+
+  /**
+   * @param {string} message - Human-readable description of the rejection.
+   * @param {object} [details={}] - Version context.
+   * @param {string|null} [details.transactionId] - Transaction that was written.
+   * @param {number|null} [details.expected] - Version the caller read.
+   * @param {number|null} [details.actual] - Current version of the row.
+   */
+  constructor(message, { transactionId = null, expected = null, actual = null } = {}) {
+    super(message, {
+      field: "version",
+      context: { field: "version", transaction_id: transactionId, expected, actual },
+    });
+    this.name = "VersionConflictError";
+    this.transactionId = transactionId;
+    this.expected = expected;
+    this.actual = actual;
+  }
+}
+
+/**
+ * Class StorageError
+ *
+ * Raised when the database fails, returns nothing where a row was written,
+ * or cannot be reached. The driver error is kept as `cause`; `code` is
+ * "STORAGE_UNAVAILABLE" when retrying later may help (connection, overload,
+ * shutdown, serialization failures) and "STORAGE_ERROR" otherwise.
+ */
+class StorageError extends TransactionRegistryError {
+  static DEFAULT_CODE = "STORAGE_ERROR";
+
+  /** SQLSTATE classes meaning the database is unreachable, overloaded or shutting down. */
+  static UNAVAILABLE_SQLSTATE_CLASSES = Object.freeze(["08", "40", "53", "57"]);
+
+  /** Node socket errors raised when the database cannot be reached. */
+  static UNAVAILABLE_SYSTEM_CODES = Object.freeze([
+    "ECONNREFUSED",
+    "ECONNRESET",
+    "ETIMEDOUT",
+    "EHOSTUNREACH",
+    "ENOTFOUND",
+    "EAI_AGAIN",
+    "EPIPE",
+  ]);
+
+  static UNAVAILABLE_MESSAGE_PATTERN =
+    /Connection timeout after|Connection terminated|timeout exceeded when trying to connect/i;
+
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = "StorageError";
+  }
+
+  /**
+   * Wrap a driver error, keeping its message.
+   *
+   * @param {*} err - Error raised by the database layer.
+   * @param {object|null} [context=null] - ErrorHandler data recorded for the failure.
+   * @returns {StorageError} The wrapped error.
+   */
+  static from(err, context = null) {
+    return new StorageError(String(err?.message || err || "Storage operation failed"), {
+      code: this.isUnavailable(err) ? "STORAGE_UNAVAILABLE" : "STORAGE_ERROR",
+      context,
+      cause: err,
+    });
+  }
+
+  /**
+   * Whether an error comes from the database or the connection to it: a pg
+   * DatabaseError (five character SQLSTATE plus severity) or an
+   * unavailability error.
+   *
+   * @param {*} err - Error to check.
+   * @returns {boolean} True for storage failures.
+   */
+  static isStorageFailure(err) {
+    if (err instanceof StorageError) return true;
+    const code = typeof err?.code === "string" ? err.code : "";
+    return (/^[0-9A-Z]{5}$/.test(code) && err.severity !== undefined) || this.isUnavailable(err);
+  }
+
+  /**
+   * Whether a storage failure is transient: the database cannot be reached,
+   * is overloaded or shutting down, or aborted the transaction.
+   *
+   * @param {*} err - Error to check.
+   * @returns {boolean} True when retrying later may succeed.
+   */
+  static isUnavailable(err) {
+    if (err instanceof StorageError) return err.code === "STORAGE_UNAVAILABLE";
+    const code = typeof err?.code === "string" ? err.code : "";
+    if (this.UNAVAILABLE_SYSTEM_CODES.includes(code)) return true;
+    if (/^[0-9A-Z]{5}$/.test(code) && this.UNAVAILABLE_SQLSTATE_CLASSES.includes(code.slice(0, 2))) {
+      return true;
+    }
+    return this.UNAVAILABLE_MESSAGE_PATTERN.test(String(err?.message || ""));
+  }
+}
+
+module.exports = {
+  TransactionRegistryError,
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  InvalidTransitionError,
+  VersionConflictError,
+  StorageError,
+};
@@ -0,0 +1,214 @@
+/*
+ * Methods:
+ *    parseColumns() — Validate export column specs and return them parsed.
+ *    cellValue() — Read one export column from a transaction row.
+ *    csvHeader() — Render the CSV header line for a column list.
+ *    toCsvLine() — Render one transaction row as a CSV line.
+ *    toNdjsonLine() — Render one transaction row as an NDJSON line.
+ */
+
+"use strict";
+
+/**
+ * Class TransactionExport
+ *
+ * Pure formatting of transaction rows for exports; streaming the rows from
+ * the database is done by TransactionRegistry.exportTransactions(). A column
+ * is either a plain transactions column ("amount") or a path into a JSONB
+ * column: "meta.promo_code" reads one meta key, "products.sku" collects the
+ * key from every product, and a bare JSONB column exports the whole value.
+ */
+class TransactionExport {
+  static SCALAR_COLUMNS = Object.freeze([
+    "transaction_id",
+    "order_id",
+    "created_at",
+    "updated_at",
+    "direction",
+    "status",
+    "order_type",
+    "customer_uid",
+    "amount",
+    "refund_amount",
+    "refund_reason",
+    "platform_fee_amount",
+    "currency",
+    "payment_method",
+    "platform",
+    "parent_transaction_id",
+    "dispute_id",
+    "write_status",
+  ]);
+
+  /** JSONB columns and whether they hold a list (paths then collect per element). */
+  static JSONB_COLUMNS = Object.freeze({
+    meta: Object.freeze({ list: false }),
+    products: Object.freeze({ list: true }),
+    owners: Object.freeze({ list: true }),
+    owner_allocations: Object.freeze({ list: true }),
+  });
+
+  static DEFAULT_COLUMNS = Object.freeze([
+    "transaction_id",
+    "order_id",
+    "created_at",
+    "updated_at",
+    "direction",
+    "status",
+    "order_type",
+    "customer_uid",
+    "amount",
+    "refund_amount",
+    "currency",
+    "payment_method",
+    "platform",
+    "parent_transaction_id",
+    "dispute_id",
+    "owners",
+    "owner_allocations.owner_uuid",
+    "owner_allocations.amount_cents",
+    "products.sku",
+    "meta.promo_code",
+    "meta.subscription_id",
+  ]);
+
+  static MAX_COLUMNS = 64;
+  static KEY_PATTERN = /^[a-zA-Z0-9_-]+$/;
+  // Joins multi-valued cells in CSV; NDJSON keeps them as arrays
+  static LIST_SEPARATOR = "|";
+
+  /**
+   * Validate export column specs and return them parsed.
+   *
+   * @param {Array<string>|string} [raw] - Column specs as an array or comma list; DEFAULT_COLUMNS when empty.
+   * @returns {Array<{name: string, column: string, key: string|null}>} Parsed columns in request order.
+   * @throws {TypeError} On an unknown column, a bad JSONB key or too many columns.
+   */
+  static parseColumns(raw) {
+    const specs =
+      raw === null || raw === undefined || raw === ""
+        ? [...this.DEFAULT_COLUMNS]
+        : Array.isArray(raw)
+          ? raw
+          : typeof raw === "string"
+            ? raw.split(",")
+            : null;
+    if (!specs) {
+      throw new TypeError("columns must be an array or a comma-separated list");
+    }
+
+    const parsed = [];
+    for (const spec of specs) {
+      const name = typeof spec === "string" ? spec.trim() : "";
+      if (!name) continue;
+      if (parsed.some((entry) => entry.name === name)) continue;
+      const dot = name.indexOf(".");
+      const column = dot === -1 ? name : name.slice(0, dot);
+      const key = dot === -1 ? null : name.slice(dot + 1);
+      const isJsonb = Object.hasOwn(this.JSONB_COLUMNS, column);
+      if (!isJsonb && !this.SCALAR_COLUMNS.includes(column)) {
+        throw new TypeError(`unsupported export column "${name}"`);
+      }
+      if (key !== null && (!isJsonb || !this.KEY_PATTERN.test(key))) {
+        throw new TypeError(`unsupported export column "${name}"`);
+      }
+      parsed.push({ name, column, key });
+    }
+    if (parsed.length === 0) {
+      throw new TypeError("columns must list at least one column");
+    }
+    if (parsed.length > this.MAX_COLUMNS) {
+      throw new TypeError(`columns must list at most ${this.MAX_COLUMNS} columns`);
+    }
+    return parsed;
+  }
+
+  /**
+   * Read one export column from a transaction row.
+   *
+   * @param {object} row - Transaction row; JSONB columns may be JSON strings.
+   * @param {{column: string, key: string|null}} column - Parsed column.
+   * @returns {*} Scalar value, array for list paths, or null when missing.
+   */
+  static cellValue(row, { column, key }) {
+    let value = row?.[column];
+    if (!Object.hasOwn(this.JSONB_COLUMNS, column)) return value ?? null;
+    if (typeof value === "string") {
+      try {
+        value = JSON.parse(value);
+      } catch {
+        return null;
+      }
+    }
+    if (value === null || value === undefined) return null;
+    if (key === null) return value;
+    if (this.JSONB_COLUMNS[column].list) {
+      return Array.isArray(value)
+        ? value
+            .map((element) => element?.[key])
+            .filter((element) => element !== null && element !== undefined)
+        : null;
+    }
+    return typeof value === "object" && !Array.isArray(value) ? value[key] ?? null : null;
+  }
+
+  /**
+   * Render the CSV header line for a column list.
+   *
+   * @param {Array<{name: string}>} columns - Parsed columns.
+   * @returns {string} Header line terminated by a newline.
+   */
+  static csvHeader(columns) {
+    return `${columns.map((column) => this._csvEscape(column.name)).join(",")}\n`;
+  }
+
+  /**
+   * Render one transaction row as a CSV line. Lists of scalars are joined
+   * with LIST_SEPARATOR, other objects are written as JSON.
+   *
+   * @param {object} row - Transaction row.
+   * @param {Array<object>} columns - Parsed columns.
+   * @returns {string} CSV line terminated by a newline.
+   */
+  static toCsvLine(row, columns) {
+    const cells = columns.map((column) => {
+      const value = this.cellValue(row, column);
+      if (value === null || value === undefined) return "";
+      if (Array.isArray(value) && value.every((item) => item === null || typeof item !== "object")) {
+        return this._csvEscape(value.join(this.LIST_SEPARATOR));
+      }
+      return this._csvEscape(typeof value === "object" ? JSON.stringify(value) : value);
+    });
+    return `${cells.join(",")}\n`;
+  }
+
+  /**
+   * Render one transaction row as an NDJSON line keyed by column name.
+   *
+   * @param {object} row - Transaction row.
+   * @param {Array<object>} columns - Parsed columns.
+   * @returns {string} JSON object terminated by a newline.
+   */
+  static toNdjsonLine(row, columns) {
+    const record = {};
+    for (const column of columns) {
+      record[column.name] = this.cellValue(row, column);
+    }
+    return `${JSON.stringify(record)}\n`;
+  }
+
+  /**
+   * Quote a CSV cell when needed. Text that a spreadsheet would run as a
+   * formula (leading =, +, -, @, tab or CR) is prefixed with a quote mark;
+   * plain negative numbers are left alone.
+   */
+  static _csvEscape(value) {
+    let text = String(value);
+    if (/^[=+\-@\t\r]/.test(text) && !/^-?\d+(\.\d+)?$/.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+}
+
+module.exports = TransactionExport;
@@ -0,0 +1,307 @@
+/*
+ * Methods:
+ *    readRecords() — Read CSV / NDJSON records from a stream with their line numbers.
+ *    columnSpec() — Validate one import column name and return it parsed.
+ *    parseCsvLine() — Split one CSV record into its fields.
+ *    toTransaction() — Rebuild a createTransaction() input from flat columns.
+ */
+
+"use strict";
+
+const { StringDecoder } = require("string_decoder");
+const SafeUtils = require("./SafeUtils");
+const TransactionExport = require("./TransactionExport");
+
+/**
+ * Class TransactionImport
+ *
+ * Pure parsing of transaction imports, the inverse of TransactionExport;
+ * validating and inserting the rows is done by
+ * TransactionRegistry.importTransactions(). Columns use the export names, so
+ * an export can be edited and imported back: "meta.promo_code" sets one meta
+ * key, "products.sku" / "owner_allocations.amount_cents" are split on
+ * LIST_SEPARATOR and zipped by position, and a bare JSONB column holds JSON
+ * (or, for owners, a separated list).
+ */
+class TransactionImport {
+  /** Inputs accepted by createTransaction() that exports do not carry. */
+  static EXTRA_COLUMNS = Object.freeze([
+    "idempotency_key",
+    "allocation_rule",
+    "ip_address",
+    "user_agent",
+  ]);
+
+  /** Columns the database assigns; present in exports, ignored on import. */
+  static IGNORED_COLUMNS = Object.freeze([
+    "transaction_id",
+    "created_at",
+    "updated_at",
+    "platform_fee_amount",
+  ]);
+
+  /** List paths whose CSV values are numbers rather than text. */
+  static NUMERIC_PATHS = Object.freeze([
+    "owner_allocations.amount_cents",
+    "owner_allocations.percentage",
+  ]);
+
+  // Bounds one record so an unterminated quote cannot buffer the whole upload
+  static MAX_RECORD_LENGTH = 1024 * 1024;
+
+  /**
+   * Read records from a stream, yielding one entry per non-blank record.
+   * CSV records may span lines inside quotes; the first CSV record is the
+   * header. A record that cannot be parsed is yielded with an error instead
+   * of a transaction so the caller can report it and carry on.
+   *
+   * @param {AsyncIterable<Buffer|string>|Iterable<Buffer|string>|string|Buffer} source - Readable stream or text.
+   * @param {"csv"|"ndjson"} format - Record format.
+   * @yields {{line: number, transaction?: object, error?: string}} Parsed record and its first line number.
+   * @throws {TypeError} On an unusable source or an unsupported CSV header column.
+   * @throws {RangeError} When one record exceeds MAX_RECORD_LENGTH.
+   */
+  static async *readRecords(source, format) {
+    const state = {
+      csv: format === "csv",
+      buffer: "",
+      // Characters of buffer already scanned for quotes and newlines
+      scanned: 0,
+      inQuotes: false,
+      line: 1,
+      header: null,
+    };
+    const decoder = new StringDecoder("utf8");
+    for await (const chunk of this._chunks(source)) {
+      state.buffer += typeof chunk === "string" ? chunk : decoder.write(chunk);
+      for (const raw of this._splitRecords(state, false)) {
+        const record = this._parseRecord(raw, state);
+        if (record) yield record;
+      }
+    }
+    state.buffer += decoder.end();
+    for (const raw of this._splitRecords(state, true)) {
+      const record = this._parseRecord(raw, state);
+      if (record) yield record;
+    }
+  }
+
+  /**
+   * Validate one import column name and return it parsed.
+   *
+   * @param {string} name - Column name as written in the header or NDJSON key.
+   * @returns {{name: string, column: string, key: string|null}} Parsed column.
+   * @throws {TypeError} When the column is neither an export column nor an extra input.
+   */
+  static columnSpec(name) {
+    const trimmed = typeof name === "string" ? name.trim() : "";
+    const dot = trimmed.indexOf(".");
+    const column = dot === -1 ? trimmed : trimmed.slice(0, dot);
+    const key = dot === -1 ? null : trimmed.slice(dot + 1);
+    const isJsonb = Object.hasOwn(TransactionExport.JSONB_COLUMNS, column);
+    const known =
+      isJsonb ||
+      TransactionExport.SCALAR_COLUMNS.includes(column) ||
+      this.EXTRA_COLUMNS.includes(column);
+    if (!known || (key !== null && (!isJsonb || !TransactionExport.KEY_PATTERN.test(key)))) {
+      throw new TypeError(`unsupported import column "${trimmed}"`);
+    }
+    return { name: trimmed, column, key };
+  }
+
+  /**
+   * Split one CSV record into its fields ("" escapes a quote inside quotes).
+   *
+   * @param {string} text - Record text without its line terminator.
+   * @returns {Array<string>} Field values.
+   * @throws {SyntaxError} On a stray or unterminated quote.
+   */
+  static parseCsvLine(text) {
+    const fields = [];
+    let field = "";
+    let quoted = false;
+    let closed = false;
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (quoted) {
+        if (ch === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (ch === '"') {
+          quoted = false;
+          closed = true;
+        } else {
+          field += ch;
+        }
+      } else if (ch === ",") {
+        fields.push(field);
+        field = "";
+        closed = false;
+      } else if (ch === '"' && field === "" && !closed) {
+        quoted = true;
+      } else if (ch === '"' || closed) {
+        throw new SyntaxError(`unexpected character after field ${fields.length + 1}`);
+      } else {
+        field += ch;
+      }
+    }
+    if (quoted) throw new SyntaxError("unterminated quoted field");
+    fields.push(field);
+    return fields;
+  }
+
+  /**
+   * Rebuild a createTransaction() input from flat column / value pairs.
+   * Empty CSV cells and null NDJSON values are left out so optional fields
+   * keep their defaults.
+   *
+   * @param {Array<[{column: string, key: string|null, name: string}, *]>} cells - Parsed columns with their values.
+   * @param {{fromCsv: boolean}} options - Whether values are CSV text.
+   * @returns {object} Transaction input.
+   * @throws {TypeError} On JSON that does not parse or a path under a non-list value.
+   */
+  static toTransaction(cells, { fromCsv }) {
+    const txn = {};
+    for (const [{ name, column, key }, raw] of cells) {
+      if (this.IGNORED_COLUMNS.includes(column)) continue;
+      if (raw === null || raw === undefined || (fromCsv && raw === "")) continue;
+      const jsonb = TransactionExport.JSONB_COLUMNS[column];
+      if (!jsonb) {
+        txn[column] = raw;
+        continue;
+      }
+      if (key === null) {
+        txn[column] = fromCsv ? this._parseCsvJsonb(name, raw, jsonb.list) : raw;
+        continue;
+      }
+      if (!jsonb.list) {
+        txn[column] = { ...(SafeUtils.isPlainObject(txn[column]) ? txn[column] : {}), [key]: raw };
+        continue;
+      }
+      if (txn[column] !== undefined && !Array.isArray(txn[column])) {
+        throw new TypeError(`${name} cannot be combined with a non-list ${column}`);
+      }
+      const target = txn[column] ?? [];
+      const values = fromCsv
+        ? String(raw).split(TransactionExport.LIST_SEPARATOR)
+        : Array.isArray(raw)
+          ? raw
+          : [raw];
+      const numeric = fromCsv && this.NUMERIC_PATHS.includes(`${column}.${key}`);
+      values.forEach((value, index) => {
+        const element = SafeUtils.isPlainObject(target[index]) ? target[index] : {};
+        element[key] = numeric && /^-?\d+(\.\d+)?$/.test(value.trim()) ? Number(value) : value;
+        target[index] = element;
+      });
+      txn[column] = target;
+    }
+    return txn;
+  }
+
+  /** Accept a stream, any (async) iterable of chunks, or a whole string / Buffer. */
+  static _chunks(source) {
+    if (typeof source === "string" || Buffer.isBuffer(source)) return [source];
+    if (source && (typeof source[Symbol.asyncIterator] === "function" || typeof source[Symbol.iterator] === "function")) {
+      return source;
+    }
+    throw new TypeError("source must be a readable stream, an iterable or a string");
+  }
+
+  /**
+   * Cut the complete records off the front of state.buffer. Newlines inside
+   * CSV quotes do not end a record; on the final call the remainder is
+   * returned even without a trailing newline.
+   */
+  static _splitRecords(state, final) {
+    const records = [];
+    const { buffer } = state;
+    let start = 0;
+    for (let i = state.scanned; i < buffer.length; i++) {
+      const ch = buffer[i];
+      if (ch === '"' && state.csv) {
+        state.inQuotes = !state.inQuotes;
+      } else if (ch === "\n" && !state.inQuotes) {
+        const text = buffer.slice(start, i).replace(/\r$/, "");
+        records.push({ line: state.line, text });
+        state.line += (text.match(/\n/g) || []).length + 1;
+        start = i + 1;
+      }
+    }
+    state.buffer = buffer.slice(start);
+    state.scanned = state.buffer.length;
+    if (final && state.buffer.length > 0) {
+      records.push({ line: state.line, text: state.buffer.replace(/\r$/, "") });
+      state.buffer = "";
+      state.scanned = 0;
+    } else if (state.buffer.length > this.MAX_RECORD_LENGTH) {
+      throw new RangeError(
+        `line ${state.line} is longer than ${this.MAX_RECORD_LENGTH} characters`,
+      );
+    }
+    return records;
+  }
+
+  /** Turn one raw record into a yield entry; null for blank lines and the CSV header. */
+  static _parseRecord({ line, text }, state) {
+    const body = line === 1 ? text.replace(/^﻿/, "") : text;
+    if (body.trim() === "") return null;
+
+    if (state.csv && state.header === null) {
+      let names;
+      try {
+        names = this.parseCsvLine(body);
+      } catch (err) {
+        throw new TypeError(`header: ${err.message}`);
+      }
+      state.header = names.map((name) => this.columnSpec(name));
+      return null;
+    }
+
+    try {
+      if (state.csv) {
+        const fields = this.parseCsvLine(body);
+        if (fields.length !== state.header.length) {
+          throw new SyntaxError(
+            `expected ${state.header.length} fields, found ${fields.length}`,
+          );
+        }
+        return {
+          line,
+          transaction: this.toTransaction(
+            state.header.map((column, index) => [column, fields[index]]),
+            { fromCsv: true },
+          ),
+        };
+      }
+      const parsed = JSON.parse(body);
+      if (!SafeUtils.isPlainObject(parsed)) {
+        throw new TypeError("record must be a JSON object");
+      }
+      return {
+        line,
+        transaction: this.toTransaction(
+          Object.entries(parsed).map(([name, value]) => [this.columnSpec(name), value]),
+          { fromCsv: false },
+        ),
+      };
+    } catch (err) {
+      return { line, error: err.message };
+    }
+  }
+
+  /** Bare JSONB cell: JSON text, or a separated list of scalars for list columns. */
+  static _parseCsvJsonb(name, raw, list) {
+    const text = String(raw).trim();
+    if (/^[[{]/.test(text)) {
+      try {
+        return JSON.parse(text);
+      } catch {
+        throw new TypeError(`${name} is not valid JSON`);
+      }
+    }
+    if (list) return text.split(TransactionExport.LIST_SEPARATOR);
+    throw new TypeError(`${name} must be a JSON object`);
+  }
+}
+
+module.exports = TransactionImport;
@@ -2,25 +2,58 @@
  * Mock ErrorHandler implementation for testing
  */
 
+const { AsyncLocalStorage } = require('async_hooks');
+
 class ErrorHandlerMock {
   constructor() {
+    this.MAX_ERRORS = 1000;
     this.errors = [];
+    this.dropped = 0;
+    this.scopes = new AsyncLocalStorage();
+  }
+
+  // Same scoping as the real ErrorHandler.run(): entries added inside the callback stay in its own log
+  run(callback) {
+    return this.scopes.run({ errors: [], dropped: 0 }, callback);
+  }
+
+  bind(callback) {
+    return AsyncLocalStorage.bind(callback);
   }
 
   addError(message, details) {
-    this.errors.push({ message, details });
+    const scope = this.scope();
+    if (scope.errors.length >= this.MAX_ERRORS) {
+      scope.dropped += 1;
+      return;
+    }
+    scope.errors.push({ message, details });
   }
 
   reset() {
     this.errors = [];
+    this.dropped = 0;
   }
 
   getErrors() {
-    return this.errors;
+    return this.scope().errors;
+  }
+
+  // Same entry shape as the real ErrorHandler.getAllErrors()
+  getAllErrors() {
+    return this.scope().errors.map(({ message, details }) => ({ message, data: details }));
+  }
+
+  getDroppedCount() {
+    return this.scope().dropped;
   }
 
   hasError(messageSubstring) {
-    return this.errors.some(e => e.message.includes(messageSubstring));
+    return this.scope().errors.some(e => e.message.includes(messageSubstring));
+  }
+
+  scope() {
+    return this.scopes.getStore() || this;
   }
 }
 
@@ -3,17 +3,29 @@
  * Provides in-memory data store with CRUD operations
  */
 
+const DateTime = require('../DateTime');
+
 class PostgreSQLMock {
   constructor() {
     this.data = {
-      transactions: []
+      transactions: [],
+      transaction_disputes: [],
+      transaction_events: []
     };
     this.nextId = 1;
   }
 
   async insert(schema, table, data) {
     if (table === 'transactions') {
-      const transaction_id = `txn_${this.nextId++}`;
+      // Enforce the partial unique index on idempotency_key
+      if (data.idempotency_key &&
+          this.data.transactions.some(t => t.idempotency_key === data.idempotency_key)) {
+        const err = new Error('duplicate key value violates unique constraint "idx_transactions_idempotency_key"');
+        err.code = '23505';
+        throw err;
+      }
+      // createTransactions() reserves its IDs up front and inserts them explicitly
+      const transaction_id = data.transaction_id ?? `txn_${this.nextId++}`;
       const now = new Date().toISOString();
       const record = {
         transaction_id,
@@ -21,6 +33,9 @@ class PostgreSQLMock {
         created_at: now,
         updated_at: now,
         deleted_at: null,
+        deleted_by: null,
+        legal_hold: false,
+        version: 1,
         is_deleted: false
       };
       // Store data as-is (JSON strings for JSONB fields)
@@ -28,6 +43,27 @@ class PostgreSQLMock {
       // Return with parsed JSONB fields (mimicking PostgreSQL driver behavior)
       return { transaction_id, ...this._parseJsonFields(record) };
     }
+    if (table === 'transaction_disputes') {
+      if (this.data.transaction_disputes.some(d => d.dispute_id === data.dispute_id)) {
+        const err = new Error('duplicate key value violates unique constraint "transaction_disputes_pkey"');
+        err.code = '23505';
+        throw err;
+      }
+      const now = new Date().toISOString();
+      const record = { opened_at: now, ...data, created_at: now, updated_at: now };
+      this.data.transaction_disputes.push(record);
+      return this._parseJsonFields(record);
+    }
+    if (table === 'transaction_events') {
+      // Append-only; event_id mimics BIGSERIAL
+      const record = {
+        event_id: this.data.transaction_events.length + 1,
+        ...data,
+        diff: typeof data.diff === 'string' ? data.diff : JSON.stringify(data.diff || {})
+      };
+      this.data.transaction_events.push(record);
+      return this._parseJsonFields(record);
+    }
     throw new Error(`Table ${table} not supported in mock`);
   }
 
@@ -87,21 +123,150 @@ class PostgreSQLMock {
   }
 
   async transaction(schema, callback) {
-    // Mock transaction support
+    // Mock transaction support (rolls the in-memory data back on error)
+    const snapshot = JSON.parse(JSON.stringify(this.data));
+    const snapshotNextId = this.nextId;
+    // Server-side cursors opened in this transaction: name -> { rows, position }
+    const cursors = new Map();
+    // Savepoints: name -> data snapshot to restore on ROLLBACK TO SAVEPOINT
+    const savepoints = new Map();
     const mockQueryFn = async (sql, params) => {
+      const savepointMatch = sql.match(/^\s*(SAVEPOINT|RELEASE SAVEPOINT|ROLLBACK TO SAVEPOINT) (\w+)/);
+      if (savepointMatch) {
+        const [, command, name] = savepointMatch;
+        if (command === 'SAVEPOINT') {
+          savepoints.set(name, { data: JSON.parse(JSON.stringify(this.data)), nextId: this.nextId });
+        } else if (!savepoints.has(name)) {
+          throw new Error(`savepoint "${name}" does not exist`);
+        } else if (command === 'RELEASE SAVEPOINT') {
+          savepoints.delete(name);
+        } else {
+          this.data = JSON.parse(JSON.stringify(savepoints.get(name).data));
+          this.nextId = savepoints.get(name).nextId;
+        }
+        return { rows: [], rowCount: 0 };
+      }
+
+      // DECLARE <name> NO SCROLL CURSOR FOR <select> snapshots the matching rows
+      const declareMatch = sql.match(/^\s*DECLARE (\w+) NO SCROLL CURSOR FOR([\s\S]*)$/);
+      if (declareMatch) {
+        cursors.set(declareMatch[1], { rows: this._selectAllRows(declareMatch[2], params), position: 0 });
+        return { rows: [], rowCount: 0 };
+      }
+      const fetchMatch = sql.match(/^\s*FETCH FORWARD (\d+) FROM (\w+)/);
+      if (fetchMatch) {
+        const cursor = cursors.get(fetchMatch[2]);
+        if (!cursor) throw new Error(`cursor "${fetchMatch[2]}" does not exist`);
+        const rows = cursor.rows.slice(cursor.position, cursor.position + parseInt(fetchMatch[1], 10));
+        cursor.position += rows.length;
+        return { rows, rowCount: rows.length };
+      }
+      const closeMatch = sql.match(/^\s*CLOSE (\w+)/);
+      if (closeMatch) {
+        cursors.delete(closeMatch[1]);
+        return { rows: [], rowCount: 0 };
+      }
+
       // Parse the SQL to determine the operation
+      const insertMatch = sql.trim().match(/^INSERT INTO (\w+)/);
+      if (insertMatch) {
+        // INSERT INTO <table> ("col", ...) VALUES ($1, ...), ($n, DEFAULT, ...) RETURNING *
+        const columnsMatch = sql.match(/\(([^)]+)\)\s*VALUES/);
+        const columns = columnsMatch[1].split(',').map(c => c.trim().replace(/"/g, ''));
+        const tuples = sql.slice(sql.indexOf('VALUES')).match(/\(([^)]*)\)/g);
+        const rows = [];
+        for (const tuple of tuples) {
+          const data = {};
+          tuple.slice(1, -1).split(',').forEach((placeholder, i) => {
+            const index = placeholder.trim().match(/^\$(\d+)$/);
+            if (index) data[columns[i]] = params[parseInt(index[1], 10) - 1];
+          });
+          rows.push(await this.insert(schema, insertMatch[1], data));
+        }
+        // Multi-row RETURNING order is not guaranteed; hand the rows back reversed
+        return { rows: rows.length > 1 ? rows.reverse() : rows, rowCount: rows.length };
+      }
+
+      if (sql.includes("nextval(pg_get_serial_sequence('transactions'")) {
+        // createTransactions(): one reserved transaction_id per generate_series row
+        const rows = Array.from({ length: params[0] }, () => ({ transaction_id: `txn_${this.nextId++}` }));
+        return { rows, rowCount: rows.length };
+      }
+
+      if (sql.includes('deleted_at < $1')) {
+        // purgeDeletedTransactions(): expired rows without a legal hold, dispute or
+        // remaining child transaction, or the held count
+        const expired = this.data.transactions.filter(
+          t => t.is_deleted && t.deleted_at && t.deleted_at < params[0]
+        );
+        if (sql.includes('AS held')) {
+          return { rows: [{ held: String(expired.filter(t => t.legal_hold).length) }] };
+        }
+        const disputed = new Set(this.data.transaction_disputes.flatMap(
+          d => [String(d.transaction_id), String(d.chargeback_transaction_id)]
+        ));
+        const parents = new Set(this.data.transactions
+          .filter(t => t.parent_transaction_id !== null && t.parent_transaction_id !== undefined)
+          .map(t => String(t.parent_transaction_id)));
+        const rows = expired
+          .filter(t => !t.legal_hold && !disputed.has(String(t.transaction_id)))
+          .filter(t => !parents.has(String(t.transaction_id)))
+          .sort((a, b) => a.deleted_at.localeCompare(b.deleted_at) ||
+            String(a.transaction_id).localeCompare(String(b.transaction_id)))
+          .slice(0, params[1])
+          .map(t => this._parseJsonFields(t));
+        return { rows, rowCount: rows.length };
+      }
+
+      if (sql.includes('transaction_disputes')) {
+        return this._disputeQuery(sql, params);
+      }
+
+      if (sql.includes('SUM(amount)') && sql.includes('parent_transaction_id=$1')) {
+        // Running total of child transactions for a parent
+        const direction = (sql.match(/direction='(\w+)'/) || [])[1];
+        const statuses = (sql.match(/status IN \(([^)]+)\)/) || [])[1];
+        const allowed = statuses ? statuses.split(',').map(v => v.trim().replace(/'/g, '')) : null;
+        const total = this.data.transactions
+          .filter(t => t.parent_transaction_id === params[0] && !t.is_deleted)
+          .filter(t => !direction || t.direction === direction)
+          .filter(t => !allowed || allowed.includes(t.status))
+          .reduce((sum, t) => sum + Number(t.amount || 0), 0);
+        const alias = (sql.match(/\) AS (\w+)/) || [])[1] || 'refunded_total';
+        return { rows: [{ [alias]: total }] };
+      }
+
+      if (sql.includes('owner_allocations @>')) {
+        return this._ownerLedgerRows(sql, params);
+      }
+
+      if (sql.trim().startsWith('DELETE FROM transactions')) {
+        // DELETE ... WHERE transaction_id = ANY($1) AND is_deleted = true AND legal_hold = false
+        const removed = this.data.transactions.filter(
+          t => params[0].includes(t.transaction_id) && t.is_deleted && !t.legal_hold
+        );
+        this.data.transactions = this.data.transactions.filter(t => !removed.includes(t));
+        return { rows: removed.map(t => ({ transaction_id: t.transaction_id })), rowCount: removed.length };
+      }
+
+      // Row lookups honour the soft-delete predicate in the WHERE clause
+      const matchesDeleted = (t) =>
+        sql.includes('is_deleted IN (false, true)') ? true
+          : sql.includes('is_deleted=true') ? Boolean(t.is_deleted)
+            : !t.is_deleted;
+
       if (sql.includes('SELECT') && sql.includes('FOR UPDATE')) {
         // SELECT ... FOR UPDATE
         const txnId = params[0];
         const record = this.data.transactions.find(
-          t => t.transaction_id === txnId && !t.is_deleted
+          t => t.transaction_id === txnId && matchesDeleted(t)
         );
         return { rows: record ? [this._parseJsonFields(record)] : [] };
       } else if (sql.includes('UPDATE')) {
         // UPDATE ... RETURNING *
         const txnId = params[0];
         const index = this.data.transactions.findIndex(
-          t => t.transaction_id === txnId && !t.is_deleted
+          t => t.transaction_id === txnId && matchesDeleted(t)
         );
         if (index === -1) {
           return { rows: [] };
@@ -131,14 +296,333 @@ class PostgreSQLMock {
           });
         }
         
+        // BEFORE UPDATE triggers: updated_at and the row version
         this.data.transactions[index].updated_at = now;
+        this.data.transactions[index].version = (this.data.transactions[index].version || 1) + 1;
         return { rows: [this._parseJsonFields(this.data.transactions[index])] };
       }
       
       return { rows: [] };
     };
 
-    return await callback({ query: mockQueryFn });
+    try {
+      return await callback({ query: mockQueryFn });
+    } catch (err) {
+      this.data = snapshot;
+      this.nextId = snapshotNextId;
+      throw err;
+    }
+  }
+
+  // WHERE clauses produced by TransactionRegistry._compileQueryFilters(),
+  // resolved through their $n placeholders
+  _filterTransactions(sql, params) {
+    const param = (n) => params[parseInt(n, 10) - 1];
+    const where = (sql.match(/WHERE([\s\S]*?)(?:GROUP BY|ORDER BY|LIMIT|;|$)/) || [])[1] || '';
+    let results = this.data.transactions.filter(t =>
+      where.includes('is_deleted IN (false, true)') ? true
+        : where.includes('is_deleted = true') ? Boolean(t.is_deleted)
+          : !t.is_deleted
+    );
+
+    // Parenthesised groups are keyset predicates, handled by _applyKeyset()
+    let topLevel = where;
+    while (/\([^()]*\)/.test(topLevel)) topLevel = topLevel.replace(/\([^()]*\)/g, '');
+    const comparisons = topLevel.matchAll(/\b(\w+) (=|>=|<=) \$(\d+)/g);
+    for (const [, column, operator, index] of comparisons) {
+      const value = param(index);
+      if (column === 'created_at') {
+        const bound = new Date(value);
+        results = results.filter(t =>
+          operator === '>=' ? new Date(t.created_at) >= bound : new Date(t.created_at) <= bound
+        );
+      } else if (operator === '=') {
+        results = results.filter(t => String(t[column]) === String(value));
+      } else {
+        results = results.filter(t =>
+          operator === '>=' ? Number(t[column]) >= Number(value) : Number(t[column]) <= Number(value)
+        );
+      }
+    }
+
+    for (const [, column, list] of where.matchAll(/\b(\w+) IN \((\$[\d, $]+)\)/g)) {
+      const values = list.split(',').map(p => String(param(p.trim().slice(1))));
+      results = results.filter(t => values.includes(String(t[column])));
+    }
+
+    for (const [, column, index] of where.matchAll(/\b(meta|products) @> \$(\d+)/g)) {
+      const pattern = JSON.parse(param(index));
+      results = results.filter(t => this._jsonContains(this._parseJsonFields(t)[column], pattern));
+    }
+
+    // owners @> [...] contains every listed owner; a scoped query adds a second clause
+    for (const [, index] of where.matchAll(/owners @> \$(\d+)/g)) {
+      const ownerIds = JSON.parse(param(index));
+      results = results.filter(t => {
+        let owners = t.owners;
+        if (typeof owners === 'string') {
+          try {
+            owners = JSON.parse(owners);
+          } catch (e) {
+            return false;
+          }
+        }
+        if (!Array.isArray(owners)) return false;
+        return ownerIds.every(ownerId => owners.includes(ownerId));
+      });
+    }
+    return results;
+  }
+
+  // Every row of a SELECT without LIMIT, in its ORDER BY order (cursor exports)
+  _selectAllRows(sql, params) {
+    const orderBy = Array.from(
+      ((sql.match(/ORDER BY ([\s\S]*?)(?:\s+LIMIT|;|\s*$)/) || [])[1] || '').matchAll(/(\w+) (ASC|DESC)/g),
+      ([, column, direction]) => ({ column, direction })
+    );
+    return [...this._filterTransactions(sql, params)]
+      .sort((a, b) => this._compareBySort(a, b, orderBy))
+      .map(record => this._parseJsonFields(record));
+  }
+
+  // aggregate(): GROUP BY the listed columns plus the to_char() bucket of
+  // created_at moved from the $n zone to the $m zone
+  _aggregateRows(sql, results, params) {
+    const groupKeys = ((sql.match(/GROUP BY ([\w, ]+)/) || [])[1] || '')
+      .split(',').map(k => k.trim()).filter(Boolean);
+    const bucketMatch = sql.match(/AT TIME ZONE \$(\d+)\) AT TIME ZONE \$(\d+), '([^']+)'\) AS bucket/);
+    // Luxon equivalents of the to_char() formats in AGGREGATE_BUCKET_FORMATS
+    const formats = { 'YYYY-MM-DD': 'yyyy-MM-dd', 'IYYY-"W"IW': "kkkk-'W'WW", 'YYYY-MM': 'yyyy-MM' };
+    const bucketOf = (createdAt) => {
+      if (!bucketMatch) return null;
+      const [, source, target, format] = bucketMatch;
+      return DateTime.convertTimezone(
+        String(createdAt || '').replace('T', ' '),
+        params[source - 1],
+        params[target - 1],
+        formats[format]
+      ) || null;
+    };
+    const groups = new Map();
+    for (const t of results) {
+      const row = { ...t, bucket: bucketOf(t.created_at) };
+      const key = JSON.stringify(groupKeys.map(k => row[k] ?? null));
+      if (!groups.has(key)) {
+        const group = {
+          row_count: 0,
+          purchase_amount_count: 0,
+          purchase_sum: 0,
+          refund_sum: 0,
+          purchase_count: 0,
+          refund_count: 0,
+          chargeback_count: 0
+        };
+        groupKeys.forEach(k => { group[k] = row[k] ?? null; });
+        groups.set(key, group);
+      }
+      const group = groups.get(key);
+      const hasAmount = t.amount !== null && t.amount !== undefined;
+      group.row_count += 1;
+      group.purchase_amount_count += hasAmount && t.direction === 'purchase' ? 1 : 0;
+      group.purchase_sum += hasAmount && t.direction === 'purchase' ? Number(t.amount) : 0;
+      group.refund_sum += hasAmount && t.direction === 'refund' ? Number(t.amount) : 0;
+      group.purchase_count += t.direction === 'purchase' ? 1 : 0;
+      group.refund_count += t.direction === 'refund' ? 1 : 0;
+      group.chargeback_count += t.direction === 'chargeback' ? 1 : 0;
+    }
+    // pg returns COUNT/SUM over BIGINT as strings
+    const rows = [...groups.values()].map(g => ({
+      ...g,
+      row_count: String(g.row_count),
+      purchase_amount_count: String(g.purchase_amount_count),
+      purchase_sum: String(g.purchase_sum),
+      refund_sum: String(g.refund_sum),
+      purchase_count: String(g.purchase_count),
+      refund_count: String(g.refund_count),
+      chargeback_count: String(g.chargeback_count)
+    }));
+    return { rows, rowCount: rows.length };
+  }
+
+  // topOwners(): one row per owner_allocations element, grouped by owner,
+  // currency, direction and status
+  _ownerAllocationRows(results) {
+    const groups = new Map();
+    for (const t of results) {
+      const allocations = this._parseJsonFields(t).owner_allocations;
+      if (!Array.isArray(allocations)) continue;
+      for (const allocation of allocations) {
+        const keys = [allocation?.owner_uuid ?? null, t.currency, t.direction, t.status];
+        const key = JSON.stringify(keys);
+        if (!groups.has(key)) {
+          const [owner_uuid, currency, direction, status] = keys;
+          groups.set(key, { owner_uuid, currency, direction, status, row_count: 0, allocated_sum: 0 });
+        }
+        const group = groups.get(key);
+        group.row_count += 1;
+        group.allocated_sum += Number(allocation?.amount_cents) || 0;
+      }
+    }
+    const rows = [...groups.values()].map(g => ({
+      ...g,
+      row_count: String(g.row_count),
+      allocated_sum: String(g.allocated_sum)
+    }));
+    return { rows, rowCount: rows.length };
+  }
+
+  // JSONB @> semantics: objects match on a subset of keys, arrays when every
+  // pattern element is contained in some target element
+  _jsonContains(target, pattern) {
+    if (Array.isArray(pattern)) {
+      return Array.isArray(target) &&
+        pattern.every(p => target.some(t => this._jsonContains(t, p)));
+    }
+    if (pattern && typeof pattern === 'object') {
+      return !!target && typeof target === 'object' && !Array.isArray(target) &&
+        Object.entries(pattern).every(([key, value]) => this._jsonContains(target[key], value));
+    }
+    return target === pattern;
+  }
+
+  // Row order for ORDER BY keys, NULLS LAST in both directions
+  _compareBySort(a, b, orderBy) {
+    for (const { column, direction } of orderBy) {
+      const left = a[column] ?? null;
+      const right = b[column] ?? null;
+      if (left === null || right === null) {
+        if (left === right) continue;
+        return left === null ? 1 : -1;
+      }
+      let cmp;
+      if (column === 'amount') {
+        cmp = Number(left) - Number(right);
+      } else {
+        cmp = String(left).localeCompare(String(right), undefined, {
+          numeric: column === 'transaction_id'
+        });
+      }
+      if (cmp !== 0) return direction === 'DESC' ? -cmp : cmp;
+    }
+    return 0;
+  }
+
+  // Keyset predicate from TransactionRegistry._composeKeysetSql(): each sort key
+  // appears as "<col> < $n" / "<col> > $n" unless its cursor value was NULL
+  _applyKeyset(results, sql, params, orderBy) {
+    const where = (sql.match(/WHERE([\s\S]*?)ORDER BY/) || [])[1] || '';
+    const bound = {};
+    let hasKeyset = false;
+    for (const { column } of orderBy) {
+      const match = where.match(new RegExp(`\\b${column} [<>] \\$(\\d+)`));
+      bound[column] = match ? params[parseInt(match[1], 10) - 1] : null;
+      if (match) hasKeyset = true;
+    }
+    if (!hasKeyset) return results;
+    return results.filter(t => this._compareBySort(t, bound, orderBy) > 0);
+  }
+
+  // Owner ledger queries from TransactionRegistry._composeOwnerLedgerConditions():
+  // owner_allocations @> $1, the direction / status pairs, created_at bounds and
+  // the (created_at, transaction_id) keyset, negated with NOT for "through".
+  // The allocated_sum form groups the owner's allocations; the row form pages.
+  _ownerLedgerRows(sql, params) {
+    const param = (n) => params[parseInt(n, 10) - 1];
+    const [{ owner_uuid }] = JSON.parse(params[0]);
+    const moving = [...sql.matchAll(/direction = '(\w+)' AND status IN \(([^)]+)\)/g)]
+      .map(([, direction, statuses]) => [direction, statuses.split(',').map(v => v.trim().replace(/'/g, ''))]);
+    const bound = (pattern) => {
+      const match = sql.match(pattern);
+      return match ? param(match[1]) : null;
+    };
+    const from = bound(/created_at >= \$(\d+)/);
+    const to = bound(/created_at <= \$(\d+)/);
+    const before = bound(/created_at < \$(\d+)/);
+    const orderBy = [{ column: 'created_at', direction: 'ASC' }, { column: 'transaction_id', direction: 'ASC' }];
+    const keyset = sql.match(/(NOT )?\(?\(\(created_at > \$(\d+)[\s\S]*?transaction_id > \$(\d+)\)\)/);
+    const position = keyset ? { created_at: param(keyset[2]), transaction_id: param(keyset[3]) } : null;
+
+    const rows = this.data.transactions
+      .filter(t => !t.is_deleted)
+      .filter(t => !moving.length || moving.some(([direction, statuses]) =>
+        t.direction === direction && statuses.includes(t.status)))
+      .filter(t => from === null || String(t.created_at) >= from)
+      .filter(t => to === null || String(t.created_at) <= to)
+      .filter(t => before === null || String(t.created_at) < before)
+      .filter(t => !position || (this._compareBySort(t, position, orderBy) > 0) !== Boolean(keyset[1]))
+      .map(t => this._parseJsonFields(t))
+      .filter(t => Array.isArray(t.owner_allocations) &&
+        t.owner_allocations.some(a => a.owner_uuid === owner_uuid))
+      .sort((a, b) => this._compareBySort(a, b, orderBy));
+
+    if (sql.includes('AS allocated_sum')) {
+      const groups = new Map();
+      for (const t of rows) {
+        const key = JSON.stringify([t.currency, t.direction, t.status]);
+        if (!groups.has(key)) {
+          groups.set(key, { currency: t.currency, direction: t.direction, status: t.status, allocated_sum: 0 });
+        }
+        for (const allocation of t.owner_allocations) {
+          if (allocation.owner_uuid === owner_uuid) {
+            groups.get(key).allocated_sum += Number(allocation.amount_cents) || 0;
+          }
+        }
+      }
+      const totals = [...groups.values()].map(g => ({ ...g, allocated_sum: String(g.allocated_sum) }));
+      return { rows: totals, rowCount: totals.length };
+    }
+
+    const limit = bound(/LIMIT \$(\d+)/);
+    const page = (limit === null ? rows : rows.slice(0, limit))
+      .map(t => ({ ...t, cursor_created_at: t.created_at }));
+    return { rows: page, rowCount: page.length };
+  }
+
+  // WHERE clauses produced by TransactionRegistry.queryDisputes()
+  _filterDisputes(sql, params) {
+    const param = (n) => params[parseInt(n, 10) - 1];
+    let results = [...this.data.transaction_disputes];
+    const statusMatch = sql.match(/status IN \((\$[\d, $]+)\)/);
+    if (statusMatch) {
+      const statuses = statusMatch[1].split(',').map(p => param(p.trim().slice(1)));
+      results = results.filter(d => statuses.includes(d.status));
+    }
+    const txnMatch = sql.match(/transaction_id = \$(\d+)/);
+    if (txnMatch) {
+      results = results.filter(d => String(d.transaction_id) === String(param(txnMatch[1])));
+    }
+    const dueMatch = sql.match(/evidence_due_at <= \$(\d+)/);
+    if (dueMatch) {
+      results = results.filter(d => d.evidence_due_at && d.evidence_due_at <= param(dueMatch[1]));
+    }
+    const overdueMatch = sql.match(/evidence_due_at < \$(\d+)/);
+    if (overdueMatch) {
+      results = results.filter(d =>
+        ['open', 'under_review'].includes(d.status) &&
+        d.evidence_due_at && d.evidence_due_at < param(overdueMatch[1])
+      );
+    }
+    return results;
+  }
+
+  // Locking SELECT / UPDATE against transaction_disputes keyed by dispute_id=$1
+  _disputeQuery(sql, params) {
+    const index = this.data.transaction_disputes.findIndex(d => d.dispute_id === params[0]);
+    if (sql.includes('SELECT')) {
+      return { rows: index === -1 ? [] : [this._parseJsonFields(this.data.transaction_disputes[index])] };
+    }
+    if (sql.includes('UPDATE') && index !== -1) {
+      const setMatch = sql.match(/SET (.+?) WHERE/);
+      setMatch[1].split(',').map(part => part.trim()).forEach((fieldExpr) => {
+        const fieldMatch = fieldExpr.match(/"?(\w+)"?\s*=\s*\$(\d+)/);
+        if (fieldMatch) {
+          this.data.transaction_disputes[index][fieldMatch[1]] = params[parseInt(fieldMatch[2], 10) - 1];
+        }
+      });
+      this.data.transaction_disputes[index].updated_at = new Date().toISOString();
+      return { rows: [this._parseJsonFields(this.data.transaction_disputes[index])] };
+    }
+    return { rows: [] };
   }
 
   async selectOne(schema, table, conditions) {
@@ -156,76 +640,30 @@ class PostgreSQLMock {
   }
 
   async getRow(schema, sql, params) {
+    if (sql.includes('FROM transaction_disputes')) {
+      if (sql.includes('COUNT(*)')) {
+        return { total: String(this._filterDisputes(sql, params).length) };
+      }
+      const row = this.data.transaction_disputes.find(d => d.dispute_id === params[0]);
+      return row ? this._parseJsonFields(row) : null;
+    }
+
     // Mock SQL query execution for getTransaction and COUNT queries
     if (sql.includes('COUNT(*)')) {
-      // Handle COUNT queries - need to count based on WHERE conditions
-      let results = this.data.transactions.filter(t => !t.is_deleted);
-      
-      // Apply filters from params
-      let paramIndex = 0;
-      
-      if (sql.includes('transaction_id =') && params[paramIndex]) {
-        const txnId = params[paramIndex++];
-        results = results.filter(t => t.transaction_id === txnId);
-      }
-      
-      if (sql.includes('customer_uid =') && params[paramIndex]) {
-        const customerId = params[paramIndex++];
-        results = results.filter(t => t.customer_uid === customerId);
-      }
-      
-      if (sql.includes('owners @>') && params[paramIndex]) {
-        const ownersJson = params[paramIndex++];
-        const ownerIds = JSON.parse(ownersJson);
-        results = results.filter(t => {
-          let owners = t.owners;
-          // Parse if it's a string
-          if (typeof owners === 'string') {
-            try {
-              owners = JSON.parse(owners);
-            } catch (e) {
-              return false;
-            }
-          }
-          if (!Array.isArray(owners)) return false;
-          return ownerIds.some(ownerId => owners.includes(ownerId));
-        });
-      }
-      
-      if (sql.includes('order_type =') && params[paramIndex]) {
-        const orderType = params[paramIndex++];
-        results = results.filter(t => t.order_type === orderType);
-      }
-      
-      if (sql.includes('status =') && params[paramIndex]) {
-        const status = params[paramIndex++];
-        results = results.filter(t => t.status === status);
-      }
-      
-      if (sql.includes('direction =') && params[paramIndex]) {
-        const direction = params[paramIndex++];
-        results = results.filter(t => t.direction === direction);
-      }
-      
-      if (sql.includes('created_at >=') && params[paramIndex]) {
-        const startDate = new Date(params[paramIndex++]);
-        results = results.filter(t => new Date(t.created_at) >= startDate);
-      }
-      
-      if (sql.includes('created_at <=') && params[paramIndex]) {
-        const endDate = new Date(params[paramIndex++]);
-        results = results.filter(t => new Date(t.created_at) <= endDate);
-      }
-      
-      return { total: results.length };
+      return { total: this._filterTransactions(sql, params).length };
     }
     
-    // Handle SELECT for getTransaction
-    if (sql.includes('SELECT') && sql.includes('is_deleted = false')) {
-      const txnId = params[0];
+    // Handle idempotency key lookup (ignores is_deleted)
+    if (sql.includes('idempotency_key = $1')) {
       const record = this.data.transactions.find(
-        t => t.transaction_id === txnId && !t.is_deleted
+        t => t.idempotency_key === params[0]
       );
+      return record ? this._parseJsonFields(record) : null;
+    }
+
+    // Handle SELECT for getTransaction (transaction_id plus any scope clause)
+    if (sql.includes('SELECT') && sql.includes('is_deleted = false')) {
+      const [record] = this._filterTransactions(sql, params);
       if (record) {
         // Mimic PostgreSQL JSONB auto-parsing
         return this._parseJsonFields(record);
@@ -238,7 +676,7 @@ class PostgreSQLMock {
   // Helper to parse JSON fields like PostgreSQL does for JSONB columns
   _parseJsonFields(record) {
     const parsed = { ...record };
-    const jsonFields = ['meta', 'owners', 'owner_allocations', 'products'];
+    const jsonFields = ['meta', 'owners', 'owner_allocations', 'products', 'evidence', 'diff'];
     jsonFields.forEach(field => {
       if (parsed[field] && typeof parsed[field] === 'string') {
         try {
@@ -285,6 +723,44 @@ class PostgreSQLMock {
   }
 
   async query(schema, sql, params) {
+    if (sql.includes('idempotency_key = ANY($1)')) {
+      // Bulk idempotency key lookup (ignores is_deleted)
+      const rows = this.data.transactions
+        .filter(t => t.idempotency_key && params[0].includes(t.idempotency_key))
+        .map(t => this._parseJsonFields(t));
+      return { rows, rowCount: rows.length };
+    }
+
+    if (sql.includes('FROM transaction_events')) {
+      // Audit timeline for one transaction, optionally cut off at occurred_at <= $2
+      const rows = this.data.transaction_events
+        .filter(e => String(e.transaction_id) === String(params[0]))
+        .filter(e => params.length < 2 || e.occurred_at <= params[1])
+        .sort((a, b) =>
+          String(a.occurred_at).localeCompare(String(b.occurred_at)) || a.event_id - b.event_id
+        )
+        .map(e => this._parseJsonFields(e));
+      return { rows, rowCount: rows.length };
+    }
+
+    if (sql.includes('owner_allocations @>')) {
+      return this._ownerLedgerRows(sql, params);
+    }
+
+    if (sql.includes('FROM transaction_disputes')) {
+      // Dispute queue: ORDER BY evidence_due_at, dispute_id; LIMIT/OFFSET are the last two params
+      const limit = params[params.length - 2];
+      const offset = params[params.length - 1];
+      const rows = this._filterDisputes(sql, params)
+        .sort((a, b) =>
+          String(a.evidence_due_at || '\uffff').localeCompare(String(b.evidence_due_at || '\uffff')) ||
+          String(a.dispute_id).localeCompare(String(b.dispute_id))
+        )
+        .slice(offset, offset + limit)
+        .map(d => this._parseJsonFields(d));
+      return { rows, rowCount: rows.length };
+    }
+
     // Handle UPDATE statements
     if (sql.includes('UPDATE transactions SET')) {
       // Parse SET clause to extract column assignments
@@ -320,7 +796,8 @@ class PostgreSQLMock {
       this.data.transactions[index] = {
         ...this.data.transactions[index],
         ...updates,
-        updated_at: now
+        updated_at: now,
+        version: (this.data.transactions[index].version || 1) + 1
       };
       
       // Return updated row if RETURNING * is present
@@ -333,90 +810,43 @@ class PostgreSQLMock {
     }
     
     // Mock SQL query execution for complex queries
-    let results = this.data.transactions.filter(t => !t.is_deleted);
-    
-    // Parse WHERE conditions from params based on SQL structure
-    let paramIndex = 0;
-    
-    // transaction_id filter
-    if (sql.includes('transaction_id =') && params[paramIndex]) {
-      const txnId = params[paramIndex++];
-      results = results.filter(t => t.transaction_id === txnId);
-    }
-    
-    // customer_uid filter
-    if (sql.includes('customer_uid =') && params[paramIndex]) {
-      const customerId = params[paramIndex++];
-      results = results.filter(t => t.customer_uid === customerId);
-    }
-    
-    // owners filter (JSON contains check)
-    if (sql.includes('owners @>') && params[paramIndex]) {
-      const ownersJson = params[paramIndex++];
-      const ownerIds = JSON.parse(ownersJson);
-      results = results.filter(t => {
-        let owners = t.owners;
-        // Parse if it's a string
-        if (typeof owners === 'string') {
-          try {
-            owners = JSON.parse(owners);
-          } catch (e) {
-            return false;
-          }
-        }
-        if (!Array.isArray(owners)) return false;
-        return ownerIds.some(ownerId => owners.includes(ownerId));
-      });
-    }
-    
-    // order_type filter
-    if (sql.includes('order_type =') && params[paramIndex]) {
-      const orderType = params[paramIndex++];
-      results = results.filter(t => t.order_type === orderType);
-    }
-    
-    // status filter
-    if (sql.includes('status =') && params[paramIndex]) {
-      const status = params[paramIndex++];
-      results = results.filter(t => t.status === status);
-    }
-    
-    // direction filter (if added)
-    if (sql.includes('direction =') && params[paramIndex]) {
-      const direction = params[paramIndex++];
-      results = results.filter(t => t.direction === direction);
-    }
-    
-    // Date range filters
-    const startDateMatch = sql.match(/created_at\s*>=\s*\$(\d+)/);
-    if (startDateMatch) {
-      const paramIdx = parseInt(startDateMatch[1], 10) - 1;
-      const startDate = new Date(params[paramIdx]);
-      results = results.filter(t => new Date(t.created_at) >= startDate);
+    let results = this._filterTransactions(sql, params);
+
+    if (sql.includes('jsonb_array_elements(COALESCE(owner_allocations')) {
+      return this._ownerAllocationRows(results);
     }
-    
-    const endDateMatch = sql.match(/created_at\s*<=\s*\$(\d+)/);
-    if (endDateMatch) {
-      const paramIdx = parseInt(endDateMatch[1], 10) - 1;
-      const endDate = new Date(params[paramIdx]);
-      results = results.filter(t => new Date(t.created_at) <= endDate);
+
+    if (sql.includes('AS row_count')) {
+      return this._aggregateRows(sql, results, params);
     }
-    
+
     // Handle COUNT queries
     if (sql.includes('COUNT(*)')) {
       return { rows: [{ total: results.length }] };
     }
-    
+
+    // ORDER BY <col> ASC|DESC [NULLS LAST], ... and the keyset bound built from it
+    const orderBy = Array.from(
+      ((sql.match(/ORDER BY ([\s\S]*?)\s+LIMIT/) || [])[1] || '').matchAll(/(\w+) (ASC|DESC)/g),
+      ([, column, direction]) => ({ column, direction })
+    );
+    if (orderBy.length > 0) {
+      results = this._applyKeyset(results, sql, params, orderBy);
+      results = [...results].sort((a, b) => this._compareBySort(a, b, orderBy));
+    }
+
     // Handle pagination (LIMIT and OFFSET)
     let limit = 20;
     let offset = 0;
-    
-    if (sql.includes('LIMIT') && params[paramIndex]) {
-      limit = parseInt(params[paramIndex++], 10);
+
+    const limitMatch = sql.match(/LIMIT \$(\d+)/);
+    if (limitMatch && params[parseInt(limitMatch[1], 10) - 1] !== undefined) {
+      limit = parseInt(params[parseInt(limitMatch[1], 10) - 1], 10);
     }
-    
-    if (sql.includes('OFFSET') && params[paramIndex]) {
-      offset = parseInt(params[paramIndex++], 10);
+
+    const offsetMatch = sql.match(/OFFSET \$(\d+)/);
+    if (offsetMatch && params[parseInt(offsetMatch[1], 10) - 1] !== undefined) {
+      offset = parseInt(params[parseInt(offsetMatch[1], 10) - 1], 10);
     }
     
     const paginatedResults = results.slice(offset, offset + limit);
@@ -428,7 +858,9 @@ class PostgreSQLMock {
   // Reset mock data between tests
   reset() {
     this.data = {
-      transactions: []
+      transactions: [],
+      transaction_disputes: [],
+      transaction_events: []
     };
     this.nextId = 1;
   }
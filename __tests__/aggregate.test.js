@@ -0,0 +1,189 @@
+/**
+ * Jest Tests for PaymentTransactionsRegistryStore - Aggregation
+ * aggregate() metrics grouped by columns and timezone-aware time buckets
+ */
+
+jest.mock('../PostgreSQL', () => {
+  return require('../__mocks__/PostgreSQL');
+});
+
+jest.mock('../Logger', () => {
+  return require('../__mocks__/Logger');
+});
+
+jest.mock('../ErrorHandler', () => {
+  return require('../__mocks__/ErrorHandler');
+});
+
+const TransactionRegistry = require('../PaymentTransactionsRegistryStore');
+const PostgreSQLMock = require('../__mocks__/PostgreSQL');
+const Logger = require('../Logger');
+const ErrorHandler = require('../ErrorHandler');
+
+describe('TransactionRegistry - Aggregate Tests', () => {
+  let mockDb;
+
+  // created_at is stored in the default DateTime zone (Asia/Hong_Kong, UTC+8)
+  const rows = [
+    { transaction_id: 'txn_1', amount: 1000, status: 'completed', direction: 'purchase', currency: 'USD', created_at: '2026-04-01 09:00:00' },
+    { transaction_id: 'txn_2', amount: 3000, status: 'completed', direction: 'purchase', currency: 'USD', created_at: '2026-04-01 18:40:00' },
+    { transaction_id: 'txn_3', amount: 500, status: 'completed', direction: 'refund', currency: 'USD', parent_transaction_id: 'txn_2', created_at: '2026-04-02 07:10:00' },
+    { transaction_id: 'txn_4', amount: 2000, status: 'pending', direction: 'purchase', currency: 'EUR', created_at: '2026-04-02 10:00:00' },
+    { transaction_id: 'txn_5', amount: 700, status: 'completed', direction: 'purchase', currency: 'EUR', created_at: '2026-05-04 12:00:00' }
+  ];
+
+  beforeEach(() => {
+    mockDb = new PostgreSQLMock();
+    TransactionRegistry._db = mockDb;
+    Logger.reset();
+    ErrorHandler.reset();
+    mockDb.data.transactions.push(...rows.map((row) => ({ ...row, is_deleted: false })));
+  });
+
+  test('1. Counts by status without splitting on currency', async () => {
+    const result = await TransactionRegistry.aggregate({ groupBy: 'status' });
+
+    expect(result.groupBy).toEqual(['status']);
+    expect(result.metrics).toEqual(['count']);
+    expect(result.groups).toEqual([
+      { status: 'completed', count: 4 },
+      { status: 'pending', count: 1 }
+    ]);
+  });
+
+  test('2. Amount metrics are kept apart per currency and sum only purchases', async () => {
+    const result = await TransactionRegistry.aggregate({
+      groupBy: ['direction'],
+      metrics: ['count', 'sum', 'avg', 'refund_sum']
+    });
+
+    expect(result.groupBy).toEqual(['direction', 'currency']);
+    expect(result.groups).toEqual([
+      { direction: 'purchase', currency: 'EUR', count: 2, sum: 2700, avg: 1350, refund_sum: 0 },
+      { direction: 'purchase', currency: 'USD', count: 2, sum: 4000, avg: 2000, refund_sum: 0 },
+      { direction: 'refund', currency: 'USD', count: 1, sum: 0, avg: null, refund_sum: 500 }
+    ]);
+  });
+
+  test('3. A currency filter pins the currency instead of grouping on it', async () => {
+    const result = await TransactionRegistry.aggregate({
+      metrics: 'sum,refund_sum',
+      filters: { currency: 'usd' }
+    });
+
+    expect(result.groupBy).toEqual([]);
+    expect(result.groups).toEqual([{ sum: 4000, refund_sum: 500 }]);
+  });
+
+  test('4. Day buckets follow the default timezone', async () => {
+    const result = await TransactionRegistry.aggregate({ bucket: 'day' });
+
+    expect(result.timezone).toBe('Asia/Hong_Kong');
+    expect(result.groups).toEqual([
+      { bucket: '2026-04-01', count: 2 },
+      { bucket: '2026-04-02', count: 2 },
+      { bucket: '2026-05-04', count: 1 }
+    ]);
+  });
+
+  test('5. Buckets move with the requested timezone', async () => {
+    const result = await TransactionRegistry.aggregate({ bucket: 'day', timezone: 'UTC' });
+
+    // 09:00 and 07:10 in Hong Kong are still the previous day in UTC
+    expect(result.groups).toEqual([
+      { bucket: '2026-04-01', count: 3 },
+      { bucket: '2026-04-02', count: 1 },
+      { bucket: '2026-05-04', count: 1 }
+    ]);
+
+    const kathmandu = await TransactionRegistry.aggregate({ bucket: 'day', timezone: 'Asia/Kathmandu' });
+    expect(kathmandu.groups.map((g) => g.count)).toEqual([2, 2, 1]);
+  });
+
+  test('6. Week and month buckets', async () => {
+    const weeks = await TransactionRegistry.aggregate({ bucket: 'week' });
+    const months = await TransactionRegistry.aggregate({ bucket: 'MONTH', groupBy: 'status' });
+
+    expect(weeks.groups).toEqual([
+      { bucket: '2026-W14', count: 4 },
+      { bucket: '2026-W19', count: 1 }
+    ]);
+    expect(months.groups).toEqual([
+      { bucket: '2026-04', status: 'completed', count: 3 },
+      { bucket: '2026-04', status: 'pending', count: 1 },
+      { bucket: '2026-05', status: 'completed', count: 1 }
+    ]);
+  });
+
+  test('7. query() filters apply and the SQL groups on allow-listed columns', async () => {
+    const querySpy = jest.spyOn(mockDb, 'query');
+
+    const result = await TransactionRegistry.aggregate({
+      groupBy: 'status',
+      metrics: 'count',
+      bucket: 'day',
+      filters: { direction: 'purchase', createdFrom: '2026-04-01 12:00:00' }
+    });
+
+    expect(result.groups).toEqual([
+      { bucket: '2026-04-01', status: 'completed', count: 1 },
+      { bucket: '2026-04-02', status: 'pending', count: 1 },
+      { bucket: '2026-05-04', status: 'completed', count: 1 }
+    ]);
+    const [, sql, params] = querySpy.mock.calls[0];
+    expect(sql).toContain('GROUP BY status, bucket');
+    expect(sql).toContain("to_char((created_at AT TIME ZONE $3) AT TIME ZONE $4, 'YYYY-MM-DD') AS bucket");
+    expect(sql).toContain('direction = $1');
+    expect(params).toEqual(['purchase', '2026-04-01 12:00:00', 'Asia/Hong_Kong', 'Asia/Hong_Kong']);
+  });
+
+  test('8. Unknown columns, metrics, buckets and timezones are rejected', async () => {
+    await expect(TransactionRegistry.aggregate({ groupBy: 'customer_uid' })).rejects.toThrow(
+      'groupBy does not support "customer_uid"'
+    );
+    await expect(TransactionRegistry.aggregate({ metrics: ['count', 'median'] })).rejects.toThrow(
+      'metrics does not support "median"'
+    );
+    await expect(TransactionRegistry.aggregate({ bucket: 'hour' })).rejects.toThrow(
+      'bucket must be one of day, week, month'
+    );
+    await expect(TransactionRegistry.aggregate({ timezone: 'Mars/Olympus' })).rejects.toThrow(
+      'timezone must be a valid IANA zone'
+    );
+
+    const fields = ErrorHandler.getErrors().map((e) => e.details.field);
+    expect(fields).toEqual(expect.arrayContaining(['groupBy', 'metrics', 'bucket', 'timezone']));
+  });
+
+  test('10. Refund and chargeback rates are counts over purchases, without currency', async () => {
+    mockDb.data.transactions.push({
+      transaction_id: 'txn_6', amount: 3000, status: 'completed', direction: 'chargeback', currency: 'USD',
+      parent_transaction_id: 'txn_2', created_at: '2026-04-03 10:00:00', is_deleted: false
+    });
+
+    const result = await TransactionRegistry.aggregate({
+      metrics: 'refund_rate,chargeback_rate',
+      bucket: 'month'
+    });
+
+    expect(result.groupBy).toEqual([]);
+    expect(result.groups).toEqual([
+      { bucket: '2026-04', refund_rate: 0.3333, chargeback_rate: 0.3333 },
+      { bucket: '2026-05', refund_rate: 0, chargeback_rate: 0 }
+    ]);
+
+    const refundsOnly = await TransactionRegistry.aggregate({
+      metrics: ['refund_rate'],
+      filters: { direction: 'refund' }
+    });
+    expect(refundsOnly.groups).toEqual([{ refund_rate: null }]);
+  });
+
+  test('9. Database failures are recorded and rethrown', async () => {
+    jest.spyOn(mockDb, 'query').mockRejectedValueOnce(new Error('connection reset'));
+
+    await expect(TransactionRegistry.aggregate({ groupBy: 'status' })).rejects.toThrow('connection reset');
+    expect(ErrorHandler.hasError('Failed to aggregate transactions')).toBe(true);
+    expect(Logger.getLogs().some((entry) => entry.action === 'aggregate')).toBe(true);
+  });
+});
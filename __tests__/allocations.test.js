@@ -0,0 +1,244 @@
+/**
+ * Jest Tests for PaymentTransactionsRegistryStore - Owner allocation reconciliation
+ * owner_allocations checked against amount and owners on createTransaction
+ */
+
+jest.mock('../PostgreSQL', () => {
+  return require('../__mocks__/PostgreSQL');
+});
+
+jest.mock('../Logger', () => {
+  return require('../__mocks__/Logger');
+});
+
+jest.mock('../ErrorHandler', () => {
+  return require('../__mocks__/ErrorHandler');
+});
+
+const TransactionRegistry = require('../PaymentTransactionsRegistryStore');
+const PostgreSQLMock = require('../__mocks__/PostgreSQL');
+const Logger = require('../Logger');
+const ErrorHandler = require('../ErrorHandler');
+
+describe('TransactionRegistry - Owner Allocation Tests', () => {
+  let mockDb;
+
+  const baseTxn = (overrides = {}) => ({
+    order_id: 'order_alloc',
+    amount: 10000,
+    order_type: 'marketplace',
+    customer_uid: 'customer_alloc',
+    status: 'pending',
+    direction: 'purchase',
+    payment_method: 'stripe',
+    currency: 'USD',
+    platform: 'web',
+    owners: ['owner_a', 'owner_b', 'owner_c'],
+    ...overrides
+  });
+
+  const errorFields = () =>
+    ErrorHandler.getErrors().map((entry) => entry.details && entry.details.field);
+
+  beforeEach(() => {
+    mockDb = new PostgreSQLMock();
+    TransactionRegistry._db = mockDb;
+    Logger.reset();
+    ErrorHandler.reset();
+  });
+
+  test('1. Default rule keeps the unallocated remainder as platform fee', async () => {
+    const result = await TransactionRegistry.createTransaction(
+      baseTxn({
+        owner_allocations: [
+          { owner_uuid: 'owner_a', amount_cents: 6000 },
+          { owner_uuid: 'owner_b', amount_cents: 3000 }
+        ]
+      })
+    );
+
+    expect(result.platform_fee_amount).toBe(1000);
+    expect(mockDb.getAllData('transactions')[0].platform_fee_amount).toBe(1000);
+  });
+
+  test('2. Exact rule requires allocations to add up to the amount', async () => {
+    await expect(
+      TransactionRegistry.createTransaction(
+        baseTxn({ owner_allocations: [{ owner_uuid: 'owner_a', amount_cents: 9999 }] }),
+        { allocationRule: 'exact' }
+      )
+    ).rejects.toMatchObject({ code: 'ALLOCATION_MISMATCH' });
+    expect(ErrorHandler.hasError('owner_allocations do not match amount')).toBe(true);
+
+    const result = await TransactionRegistry.createTransaction(
+      baseTxn({
+        allocation_rule: 'exact',
+        owner_allocations: [
+          { owner_uuid: 'owner_a', amount_cents: 5000 },
+          { owner_uuid: 'owner_b', amount_cents: 5000 }
+        ]
+      })
+    );
+    expect(result.platform_fee_amount).toBe(0);
+  });
+
+  test('3. Percentage splits round deterministically and sum to the amount', async () => {
+    const result = await TransactionRegistry.createTransaction(
+      baseTxn({
+        amount: 1000,
+        owner_allocations: [
+          { owner_uuid: 'owner_a', percentage: '33.3333' },
+          { owner_uuid: 'owner_b', percentage: '33.3333' },
+          { owner_uuid: 'owner_c', percentage: '33.3334' }
+        ]
+      }),
+      { allocationRule: 'percentage' }
+    );
+
+    expect(result.owner_allocations).toEqual([
+      { owner_uuid: 'owner_a', amount_cents: 333, percentage: '33.3333' },
+      { owner_uuid: 'owner_b', amount_cents: 333, percentage: '33.3333' },
+      { owner_uuid: 'owner_c', amount_cents: 334, percentage: '33.3334' }
+    ]);
+    expect(result.platform_fee_amount).toBe(0);
+  });
+
+  test('4. Equal percentage remainders go to the earlier owner', async () => {
+    const result = await TransactionRegistry.createTransaction(
+      baseTxn({
+        amount: 101,
+        owners: ['owner_a', 'owner_b'],
+        owner_allocations: [
+          { owner_uuid: 'owner_a', percentage: 50 },
+          { owner_uuid: 'owner_b', percentage: 50 }
+        ]
+      }),
+      { allocationRule: 'percentage' }
+    );
+
+    expect(result.owner_allocations.map((a) => a.amount_cents)).toEqual([51, 50]);
+  });
+
+  test('5. Percentages below 100 leave a platform fee', async () => {
+    const result = await TransactionRegistry.createTransaction(
+      baseTxn({
+        owner_allocations: [{ owner_uuid: 'owner_a', percentage: '85' }]
+      }),
+      { allocationRule: 'percentage' }
+    );
+
+    expect(result.owner_allocations[0].amount_cents).toBe(8500);
+    expect(result.platform_fee_amount).toBe(1500);
+  });
+
+  test('6. Percentages over 100 or too precise are rejected', async () => {
+    await expect(
+      TransactionRegistry.createTransaction(
+        baseTxn({
+          owner_allocations: [
+            { owner_uuid: 'owner_a', percentage: '60' },
+            { owner_uuid: 'owner_b', percentage: '40.00001' }
+          ]
+        }),
+        { allocationRule: 'percentage' }
+      )
+    ).rejects.toMatchObject({ code: 'ALLOCATION_MISMATCH' });
+    expect(errorFields()).toContain('owner_allocations[1].percentage');
+
+    ErrorHandler.reset();
+    await expect(
+      TransactionRegistry.createTransaction(
+        baseTxn({
+          owner_allocations: [
+            { owner_uuid: 'owner_a', percentage: '60' },
+            { owner_uuid: 'owner_b', percentage: '41' }
+          ]
+        }),
+        { allocationRule: 'percentage' }
+      )
+    ).rejects.toThrow('percentages exceed 100');
+    expect(mockDb.getAllData('transactions').length).toBe(0);
+  });
+
+  test('7. Every violation is reported with its field path', async () => {
+    await expect(
+      TransactionRegistry.createTransaction(
+        baseTxn({
+          owner_allocations: [
+            { owner_uuid: 'owner_a', amount_cents: 4000 },
+            { owner_uuid: 'stranger', amount_cents: 4000 },
+            { owner_uuid: 'owner_a', amount_cents: 4000 }
+          ]
+        })
+      )
+    ).rejects.toMatchObject({
+      code: 'ALLOCATION_MISMATCH',
+      errors: expect.arrayContaining([
+        expect.objectContaining({ field: 'owner_allocations[1].owner_uuid' }),
+        expect.objectContaining({ field: 'owner_allocations[2].owner_uuid' }),
+        expect.objectContaining({ field: 'owner_allocations' })
+      ])
+    });
+
+    expect(errorFields()).toEqual(
+      expect.arrayContaining([
+        'owner_allocations[1].owner_uuid',
+        'owner_allocations[2].owner_uuid',
+        'owner_allocations'
+      ])
+    );
+    expect(ErrorHandler.hasError('is not listed in owners')).toBe(true);
+    expect(ErrorHandler.hasError('owner_allocations exceed amount')).toBe(true);
+  });
+
+  test('8. Negative allocations are rejected', async () => {
+    await expect(
+      TransactionRegistry.createTransaction(
+        baseTxn({ owner_allocations: [{ owner_uuid: 'owner_a', amount_cents: -1 }] })
+      )
+    ).rejects.toThrow('amount_cents must not be negative');
+    expect(errorFields()).toContain('owner_allocations[0].amount_cents');
+  });
+
+  test('9. Owners default to the allocation owners when omitted', async () => {
+    const result = await TransactionRegistry.createTransaction(
+      baseTxn({
+        owners: undefined,
+        owner_allocations: [
+          { owner_uuid: 'owner_x', amount_cents: 7000 },
+          { owner_uuid: 'owner_y', amount_cents: 3000 }
+        ]
+      })
+    );
+
+    expect(result.owners).toEqual(['owner_x', 'owner_y']);
+    expect(result.platform_fee_amount).toBe(0);
+  });
+
+  test('10. Unknown allocation rule is rejected', async () => {
+    await expect(
+      TransactionRegistry.createTransaction(baseTxn(), { allocationRule: 'lottery' })
+    ).rejects.toThrow('allocation_rule must be one of');
+    expect(errorFields()).toContain('allocation_rule');
+  });
+
+  test('11. Every malformed allocation entry is reported with its index', async () => {
+    await expect(
+      TransactionRegistry.createTransaction(
+        baseTxn({
+          owner_allocations: [
+            'owner_a',
+            { owner_uuid: 'owner_b', amount_cents: 4000 },
+            { owner_uuid: 'owner_c' }
+          ]
+        })
+      )
+    ).rejects.toMatchObject({ code: 'VALIDATION_FAILED', field: 'owner_allocations[0]' });
+
+    expect(errorFields()).toEqual(
+      expect.arrayContaining(['owner_allocations[0]', 'owner_allocations[2]'])
+    );
+    expect(errorFields()).not.toContain('owner_allocations[1]');
+    expect(mockDb.getAllData('transactions').length).toBe(0);
+  });
+});
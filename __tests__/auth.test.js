@@ -0,0 +1,188 @@
+/**
+ * Jest Tests for RequestAuth - API keys, HMAC JWTs and role permissions
+ * plus the principal recorded on TransactionRegistry writeLog entries
+ */
+
+jest.mock('../PostgreSQL', () => {
+  return require('../__mocks__/PostgreSQL');
+});
+
+jest.mock('../Logger', () => {
+  return require('../__mocks__/Logger');
+});
+
+jest.mock('../ErrorHandler', () => {
+  return require('../__mocks__/ErrorHandler');
+});
+
+const crypto = require('crypto');
+const RequestAuth = require('../RequestAuth');
+const TransactionRegistry = require('../PaymentTransactionsRegistryStore');
+const PostgreSQLMock = require('../__mocks__/PostgreSQL');
+const Logger = require('../Logger');
+const ErrorHandler = require('../ErrorHandler');
+
+describe('RequestAuth - Authentication and Authorization Tests', () => {
+  const SECRET = 'test-secret';
+  const NOW = 1790000000;
+
+  const requestWith = (headers = {}) => {
+    const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+    return { get: (name) => lower[name.toLowerCase()] };
+  };
+
+  const responseMock = () => {
+    const res = { headers: {}, statusCode: 200, body: null };
+    res.set = (name, value) => { res.headers[name] = value; return res; };
+    res.status = (code) => { res.statusCode = code; return res; };
+    res.json = (body) => { res.body = body; return res; };
+    return res;
+  };
+
+  const b64 = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const signJwt = (claims, { alg = 'HS256', secret = SECRET } = {}) => {
+    const unsigned = `${b64({ alg, typ: 'JWT' })}.${b64(claims)}`;
+    const hash = { HS256: 'sha256', HS384: 'sha384', HS512: 'sha512' }[alg] || 'sha256';
+    return `${unsigned}.${crypto.createHmac(hash, secret).update(unsigned).digest('base64url')}`;
+  };
+
+  // Runs the middleware and reports whether it called next()
+  const authenticate = (authenticators, headers) => {
+    const req = requestWith(headers);
+    const res = responseMock();
+    const next = jest.fn();
+    RequestAuth.middleware(authenticators)(req, res, next);
+    return { req, res, next };
+  };
+
+  beforeEach(() => {
+    Logger.reset();
+    ErrorHandler.reset();
+  });
+
+  test('1. API keys authenticate from X-Api-Key or Authorization: ApiKey', () => {
+    const authenticators = [
+      RequestAuth.apiKeyAuthenticator(RequestAuth.parseApiKeys('gateway:operator:k3y:with:colons, dash:viewer:abc'))
+    ];
+
+    const viaHeader = authenticate(authenticators, { 'X-Api-Key': 'k3y:with:colons' });
+    expect(viaHeader.next).toHaveBeenCalledWith();
+    expect(viaHeader.req.principal).toEqual({ id: 'gateway', role: 'operator', method: 'api_key', scope: null });
+
+    const viaAuthorization = authenticate(authenticators, { Authorization: 'ApiKey abc' });
+    expect(viaAuthorization.req.principal).toMatchObject({ id: 'dash', role: 'viewer' });
+
+    const wrong = authenticate(authenticators, { 'X-Api-Key': 'nope' });
+    expect(wrong.next).not.toHaveBeenCalled();
+    expect(wrong.res.statusCode).toBe(401);
+    expect(wrong.res.body).toEqual({ error: 'Invalid API key', code: 'UNAUTHENTICATED', details: [], request_id: null });
+  });
+
+  test('2. Requests without credentials are rejected with 401', () => {
+    const { res, next } = authenticate([RequestAuth.jwtAuthenticator({ secret: SECRET })], {});
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(401);
+    expect(res.headers['WWW-Authenticate']).toBe('Bearer realm="transactions"');
+    expect(res.body.error).toBe('Authentication required');
+  });
+
+  test('3. Valid HMAC JWTs yield their subject and highest role', () => {
+    const token = signJwt({ sub: 'alice', roles: ['viewer', 'admin'], exp: NOW + 60 }, { alg: 'HS512' });
+    const authenticator = RequestAuth.jwtAuthenticator({ secret: SECRET, now: NOW });
+
+    const { req, next } = authenticate([authenticator], { Authorization: `Bearer ${token}` });
+
+    expect(next).toHaveBeenCalledWith();
+    expect(req.principal).toEqual({ id: 'alice', role: 'admin', method: 'jwt', scope: null });
+  });
+
+  test('4. Tampered, unsigned and expired tokens are refused', () => {
+    const options = { secret: SECRET, now: NOW };
+    const valid = signJwt({ sub: 'alice', role: 'viewer', exp: NOW + 60 });
+    const [header, , signature] = valid.split('.');
+    const tampered = `${header}.${b64({ sub: 'alice', role: 'admin', exp: NOW + 60 })}.${signature}`;
+    const none = `${b64({ alg: 'none' })}.${b64({ sub: 'alice', role: 'admin', exp: NOW + 60 })}.`;
+
+    expect(() => RequestAuth.verifyJwt(tampered, options)).toThrow('Invalid token signature');
+    expect(() => RequestAuth.verifyJwt(none, options)).toThrow('Unsupported token algorithm');
+    expect(() => RequestAuth.verifyJwt(signJwt({ sub: 'a', role: 'viewer', exp: NOW + 60 }, { secret: 'other' }), options))
+      .toThrow('Invalid token signature');
+    expect(() => RequestAuth.verifyJwt(signJwt({ sub: 'a', role: 'viewer', exp: NOW - 31 }), options))
+      .toThrow('Token has expired');
+    expect(() => RequestAuth.verifyJwt(signJwt({ sub: 'a', role: 'viewer' }), options)).toThrow('Token has no expiry');
+    expect(() => RequestAuth.verifyJwt('abc.def', options)).toThrow('Malformed token');
+  });
+
+  test('5. Issuer, audience and role claims are enforced', () => {
+    const authenticator = RequestAuth.jwtAuthenticator({ secret: SECRET, issuer: 'idp', audience: 'transactions', now: NOW });
+    const bearer = (claims) => ({ Authorization: `Bearer ${signJwt({ exp: NOW + 60, ...claims })}` });
+
+    expect(authenticate([authenticator], bearer({ sub: 'a', role: 'viewer', iss: 'idp', aud: ['x', 'transactions'] })).next)
+      .toHaveBeenCalledWith();
+    expect(authenticate([authenticator], bearer({ sub: 'a', role: 'viewer', iss: 'evil', aud: 'transactions' })).res.body.error)
+      .toBe('Unexpected token issuer');
+    expect(authenticate([authenticator], bearer({ sub: 'a', role: 'viewer', iss: 'idp', aud: 'other' })).res.body.error)
+      .toBe('Unexpected token audience');
+    expect(authenticate([authenticator], bearer({ sub: 'a', role: 'root', iss: 'idp', aud: 'transactions' })).res.body.error)
+      .toBe('Token carries no known role');
+  });
+
+  test('6. Roles map to the operations they may perform', () => {
+    const check = (role, permission) => {
+      const res = responseMock();
+      const next = jest.fn();
+      RequestAuth.requirePermission(permission)({ principal: { id: 'p', role } }, res, next);
+      return next.mock.calls.length === 1 ? 'allowed' : res.statusCode;
+    };
+
+    expect(check('viewer', 'read')).toBe('allowed');
+    expect(check('viewer', 'query')).toBe('allowed');
+    expect(check('viewer', 'update')).toBe(403);
+    expect(check('operator', 'status')).toBe('allowed');
+    expect(check('operator', 'create')).toBe(403);
+    expect(check('operator', 'update')).toBe(403);
+    expect(check('operator', 'delete')).toBe(403);
+    expect(check('operator', 'export')).toBe(403);
+    expect(check('admin', 'status')).toBe('allowed');
+    expect(check('admin', 'delete')).toBe('allowed');
+    expect(check('admin', 'export')).toBe('allowed');
+
+    const res = responseMock();
+    RequestAuth.requirePermission('status', 'delete')({ principal: { id: 'p', role: 'operator' } }, res, jest.fn());
+    expect(res.body).toEqual({ error: 'Role "operator" may not delete', code: 'FORBIDDEN', details: [], request_id: null });
+  });
+
+  test('7. fromEnv builds the configured authenticators and only disables auth locally', () => {
+    expect(RequestAuth.fromEnv({})).toHaveLength(0);
+    expect(RequestAuth.fromEnv({ API_KEYS: 'a:viewer:k', JWT_SECRET: 's' })).toHaveLength(2);
+    expect(() => RequestAuth.fromEnv({ API_KEYS: 'a:superuser:k' })).toThrow('API_KEYS entry 1 must be "id:role:key"');
+
+    expect(RequestAuth.fromEnv({ AUTH_DISABLED: '1', NODE_ENV: 'production' })).toHaveLength(0);
+    const [anonymous] = RequestAuth.fromEnv({ AUTH_DISABLED: '1', NODE_ENV: 'development' });
+    expect(anonymous(requestWith({ 'X-Actor-Id': 'dev@example.com' }))).toEqual({
+      id: 'dev@example.com', role: 'admin', method: 'none', scope: null
+    });
+  });
+
+  test('8. The principal is recorded on mutation writeLog entries', async () => {
+    TransactionRegistry._db = new PostgreSQLMock();
+    const audit = { actor: 'gateway', requestId: 'req-1' };
+    const txn = await TransactionRegistry.createTransaction({
+      order_id: 'order_1', amount: 1000, order_type: 'product', customer_uid: 'cust_1', status: 'completed',
+      direction: 'purchase', payment_method: 'stripe', currency: 'USD', platform: 'web',
+      owner_allocations: [{ owner_uuid: 'owner_a', amount_cents: 1000 }]
+    }, audit);
+    await TransactionRegistry.updateTransaction(txn.transaction_id, { meta: { note: 'x' } }, audit);
+    await TransactionRegistry.refundTransaction(txn.transaction_id, { amount: 500, reason: 'damaged' }, audit);
+
+    const mutations = Logger.getLogs().filter((log) =>
+      ['transactionCreation', 'transactionCreationCustomer', 'transactionCreationOwner', 'transactionUpdate',
+        'transactionUpdateCustomer', 'transactionUpdateOwner', 'transactionRefund'].includes(log.action)
+    );
+    expect(mutations.length).toBeGreaterThanOrEqual(7);
+    for (const log of mutations) {
+      expect(log.data).toMatchObject({ actor: 'gateway', request_id: 'req-1' });
+    }
+  });
+});
@@ -0,0 +1,226 @@
+/**
+ * Jest Tests for PaymentTransactionsRegistryStore - Batch
+ * createTransactions() / updateTransactions() in atomic and best-effort modes
+ */
+
+jest.mock('../PostgreSQL', () => {
+  return require('../__mocks__/PostgreSQL');
+});
+
+jest.mock('../Logger', () => {
+  return require('../__mocks__/Logger');
+});
+
+jest.mock('../ErrorHandler', () => {
+  return require('../__mocks__/ErrorHandler');
+});
+
+const TransactionRegistry = require('../PaymentTransactionsRegistryStore');
+const { InvalidTransitionError } = require('../TransactionErrors');
+const PostgreSQLMock = require('../__mocks__/PostgreSQL');
+const Logger = require('../Logger');
+const ErrorHandler = require('../ErrorHandler');
+
+describe('TransactionRegistry - Batch Tests', () => {
+  let mockDb;
+
+  const txn = (orderId, overrides = {}) => ({
+    order_id: orderId,
+    amount: 1000,
+    order_type: 'product',
+    customer_uid: 'cust_1',
+    status: 'completed',
+    direction: 'purchase',
+    payment_method: 'stripe',
+    currency: 'USD',
+    platform: 'web',
+    ...overrides
+  });
+
+  beforeEach(() => {
+    mockDb = new PostgreSQLMock();
+    TransactionRegistry._db = mockDb;
+    Logger.reset();
+    ErrorHandler.reset();
+  });
+
+  test('1. Creates every item with one multi-row INSERT, each paired with its own row', async () => {
+    const original = mockDb.transaction.bind(mockDb);
+    const insertSql = [];
+    const transactionSpy = jest.spyOn(mockDb, 'transaction').mockImplementation((schema, cb) =>
+      original(schema, ({ query }) => cb({ query: (sql, params) => { insertSql.push(sql); return query(sql, params); } }))
+    );
+
+    const result = await TransactionRegistry.createTransactions(
+      [txn('order_1'), txn('order_2', { idempotency_key: 'key-2' }), txn('order_3', { amount: 300 })],
+      { actor: 'gateway-sync' }
+    );
+
+    expect(result).toMatchObject({ mode: 'atomic', created: 3, replayed: 0, failed: 0 });
+    expect(result.results.map((r) => [r.index, r.status, r.transaction.order_id])).toEqual([
+      [0, 'created', 'order_1'],
+      [1, 'created', 'order_2'],
+      [2, 'created', 'order_3']
+    ]);
+    expect(transactionSpy).toHaveBeenCalledTimes(1);
+    const inserts = insertSql.filter((sql) => sql.startsWith('INSERT INTO transactions'));
+    expect(inserts).toHaveLength(1);
+    expect(inserts[0]).toContain('DEFAULT');
+    expect(insertSql.filter((sql) => sql.startsWith('INSERT INTO transaction_events'))).toHaveLength(1);
+    // The mock returns multi-row RETURNING rows in reverse; pairing goes by reserved ID
+    expect(result.results.map((r) => r.transaction.amount)).toEqual([1000, 1000, 300]);
+    expect(mockDb.data.transaction_events.map((e) => [e.event_type, e.actor])).toEqual([
+      ['created', 'gateway-sync'], ['created', 'gateway-sync'], ['created', 'gateway-sync']
+    ]);
+  });
+
+  test('2. Atomic mode rejects the batch when any item is invalid', async () => {
+    const error = await TransactionRegistry.createTransactions([
+      txn('order_1'),
+      txn('order_2', { amount: 'ten' })
+    ]).catch((err) => err);
+
+    expect(error.message).toBe('createTransactions(): 1 of 2 items failed; nothing was written');
+    expect(error.code).toBe('BATCH_INVALID');
+    expect(error.results).toEqual([
+      { index: 0, status: 'not_applied' },
+      {
+        index: 1,
+        status: 'failed',
+        errors: [{ message: 'createTransaction(): amount must be an integer in minor units', field: 'amount' }]
+      }
+    ]);
+    expect(mockDb.data.transactions).toHaveLength(0);
+    expect(ErrorHandler.hasError('Failed to create transactions batch')).toBe(true);
+  });
+
+  test('3. Best-effort mode inserts the valid items and reports the rest', async () => {
+    const result = await TransactionRegistry.createTransactions(
+      [txn('order_1'), txn('', {}), txn('order_3', { currency: 'ZZZ' }), txn('order_4')],
+      { mode: 'best-effort' }
+    );
+
+    expect(result).toMatchObject({ mode: 'best_effort', created: 2, failed: 2 });
+    expect(result.results.map((r) => r.status)).toEqual(['created', 'failed', 'failed', 'created']);
+    expect(result.results[1].errors[0].field).toBe('order_id');
+    expect(mockDb.data.transactions.map((t) => t.order_id)).toEqual(['order_1', 'order_4']);
+  });
+
+  test('4. A failing multi-row INSERT falls back to per-item savepoints in best-effort mode', async () => {
+    const insert = mockDb.insert.bind(mockDb);
+    jest.spyOn(mockDb, 'insert').mockImplementation(async (schema, table, data) => {
+      if (table === 'transactions' && data.order_id === 'order_2') throw new Error('check constraint violated');
+      return insert(schema, table, data);
+    });
+
+    const result = await TransactionRegistry.createTransactions(
+      [txn('order_1'), txn('order_2'), txn('order_3')],
+      { mode: 'best_effort' }
+    );
+
+    expect(result.results.map((r) => r.status)).toEqual(['created', 'failed', 'created']);
+    expect(result.results[1].errors).toEqual([{ message: 'check constraint violated', field: null }]);
+    expect(mockDb.data.transactions.map((t) => t.order_id)).toEqual(['order_1', 'order_3']);
+    expect(mockDb.data.transaction_events).toHaveLength(2);
+
+    await expect(
+      TransactionRegistry.createTransactions([txn('order_1'), txn('order_2')])
+    ).rejects.toThrow('check constraint violated');
+    expect(mockDb.data.transactions).toHaveLength(2);
+  });
+
+  test('5. Stored idempotency keys replay, mismatched payloads conflict', async () => {
+    const original = await TransactionRegistry.createTransaction(txn('order_1'), { idempotencyKey: 'key-1' });
+
+    const replay = await TransactionRegistry.createTransactions([
+      txn('order_1', { idempotency_key: 'key-1' }),
+      txn('order_2', { idempotency_key: 'key-2' })
+    ]);
+    expect(replay).toMatchObject({ created: 1, replayed: 1 });
+    expect(replay.results[0].transaction).toMatchObject({
+      transaction_id: original.transaction_id,
+      idempotency_replayed: true
+    });
+
+    const error = await TransactionRegistry.createTransactions([
+      txn('order_1', { amount: 999, idempotency_key: 'key-1' }),
+      txn('order_3')
+    ]).catch((err) => err);
+    expect(error.code).toBe('IDEMPOTENCY_CONFLICT');
+    expect(error.results[0].errors[0].field).toBe('idempotency_key');
+    expect(mockDb.data.transactions).toHaveLength(2);
+  });
+
+  test('6. Updates apply in order inside one DB transaction', async () => {
+    const a = await TransactionRegistry.createTransaction(txn('order_1', { status: 'pending' }));
+    const b = await TransactionRegistry.createTransaction(txn('order_2'));
+    const transactionSpy = jest.spyOn(mockDb, 'transaction');
+
+    const result = await TransactionRegistry.updateTransactions([
+      { id: a.transaction_id, fields: { status: 'authorized' } },
+      { transaction_id: b.transaction_id, fields: { meta: { settled: true } } },
+      { id: a.transaction_id, fields: { status: 'completed' } }
+    ]);
+
+    expect(transactionSpy).toHaveBeenCalledTimes(1);
+    expect(result).toMatchObject({ mode: 'atomic', updated: 3, failed: 0 });
+    expect(result.results[2].transaction.status).toBe('completed');
+    expect(mockDb.data.transaction_events.filter((e) => e.event_type === 'updated')).toHaveLength(3);
+    const entry = Logger.getLogs().find((log) => log.action === 'transactionsBatchUpdated');
+    expect(entry.data.transaction_ids).toEqual([a.transaction_id, b.transaction_id, a.transaction_id]);
+  });
+
+  test('7. An invalid transition rolls back an atomic update batch', async () => {
+    const a = await TransactionRegistry.createTransaction(txn('order_1', { status: 'pending' }));
+    const b = await TransactionRegistry.createTransaction(txn('order_2'));
+
+    const error = await TransactionRegistry.updateTransactions([
+      { id: a.transaction_id, fields: { status: 'completed' } },
+      { id: b.transaction_id, fields: { status: 'pending' } }
+    ]).catch((err) => err);
+
+    expect(error).toBeInstanceOf(InvalidTransitionError);
+    expect(error.results.map((r) => r.status)).toEqual(['not_applied', 'failed']);
+    expect(mockDb.data.transactions.find((t) => t.transaction_id === a.transaction_id).status).toBe('pending');
+  });
+
+  test('8. Best-effort updates skip failing items under savepoints', async () => {
+    const a = await TransactionRegistry.createTransaction(txn('order_1', { status: 'pending' }));
+
+    const result = await TransactionRegistry.updateTransactions(
+      [
+        { id: a.transaction_id, fields: { status: 'completed' } },
+        { id: 'txn_missing', fields: { status: 'completed' } },
+        { fields: { status: 'completed' } },
+        { id: a.transaction_id, fields: {} }
+      ],
+      { mode: 'best_effort' }
+    );
+
+    expect(result).toMatchObject({ updated: 1, failed: 3 });
+    expect(result.results[1].errors).toEqual([
+      { message: 'Transaction not found or has been soft-deleted', field: null }
+    ]);
+    expect(result.results[2].errors).toEqual([
+      { message: 'updateTransactions(): Missing transaction id', field: 'id' }
+    ]);
+    expect(result.results[3].errors).toEqual([{ message: 'No updatable fields', field: null }]);
+    expect(mockDb.data.transactions[0].status).toBe('completed');
+  });
+
+  test('9. Bad modes and batch sizes are rejected up front', async () => {
+    await expect(TransactionRegistry.createTransactions([txn('order_1')], { mode: 'eventual' })).rejects.toThrow(
+      'mode must be one of atomic, best_effort'
+    );
+    await expect(TransactionRegistry.createTransactions([])).rejects.toThrow(
+      'items must be an array of 1 to 500 entries'
+    );
+    await expect(TransactionRegistry.updateTransactions({ id: 'txn_1' })).rejects.toThrow(
+      'items must be an array of 1 to 500 entries'
+    );
+
+    expect(ErrorHandler.getErrors().map((e) => e.details.field)).toEqual(
+      expect.arrayContaining(['mode', 'items'])
+    );
+  });
+});
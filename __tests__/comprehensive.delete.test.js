@@ -108,7 +108,7 @@ describe('TransactionRegistry - deleteTransaction - COMPREHENSIVE', () => {
     });
 
     test('FAIL_deleteTransaction_3: DB update throws error', async () => {
-      mockDb.update = jest.fn().mockRejectedValue(new Error('Database connection lost'));
+      mockDb.transaction = jest.fn().mockRejectedValue(new Error('Database connection lost'));
 
       await expect(TransactionRegistry.deleteTransaction('txn-fail-003'))
         .rejects.toThrow('Database connection lost');
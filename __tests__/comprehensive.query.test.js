@@ -200,7 +200,7 @@ describe('TransactionRegistry - query - COMPREHENSIVE', () => {
 
       const result = await TransactionRegistry.query();
       
-      expect(result).toEqual({ rows: [], total: 0 });
+      expect(result).toEqual({ rows: [], total: 0, nextCursor: null });
       expect(ErrorHandler.getErrors().length).toBeGreaterThan(0);
       expect(ErrorHandler.hasError('Failed to query transactions')).toBe(true);
     });
@@ -212,7 +212,7 @@ describe('TransactionRegistry - query - COMPREHENSIVE', () => {
 
       const result = await TransactionRegistry.query();
       
-      expect(result).toEqual({ rows: [], total: 0 });
+      expect(result).toEqual({ rows: [], total: 0, nextCursor: null });
       expect(ErrorHandler.getErrors().length).toBeGreaterThan(0);
       expect(ErrorHandler.hasError('Failed to query transactions')).toBe(true);
     });
@@ -50,7 +50,7 @@ describe('TransactionRegistry - updateTransaction - COMPREHENSIVE', () => {
       expect(mockDb.data.transactions[0].status).toBe('completed');
     });
 
-    test('PASS_updateTransaction_2: Update refund_amount and refund_reason', async () => {
+    test('PASS_updateTransaction_2: Update refund_reason', async () => {
       const txnData = {
         transaction_id: 'txn-002',
         order_id: 'order-002',
@@ -64,12 +64,10 @@ describe('TransactionRegistry - updateTransaction - COMPREHENSIVE', () => {
       mockDb.data.transactions.push(txnData);
 
       const result = await TransactionRegistry.updateTransaction('txn-002', {
-        refund_amount: 2500,
         refund_reason: 'Partial refund requested by customer'
       });
 
       expect(result).toBeDefined();
-      expect(mockDb.data.transactions[0].refund_amount).toBe(2500);
       expect(mockDb.data.transactions[0].refund_reason).toBe('Partial refund requested by customer');
     });
 
@@ -152,7 +150,6 @@ describe('TransactionRegistry - updateTransaction - COMPREHENSIVE', () => {
         amount: 7500,
         status: 'pending',
         direction: 'purchase',
-        refund_amount: 0,
         owners: [],
         owner_allocations: [],
         products: []
@@ -160,14 +157,13 @@ describe('TransactionRegistry - updateTransaction - COMPREHENSIVE', () => {
       mockDb.data.transactions.push(txnData);
 
       const result = await TransactionRegistry.updateTransaction('txn-006', {
-        status: 'refunded',
-        refund_amount: 7500,
-        refund_reason: 'Customer not satisfied'
+        status: 'cancelled',
+        refund_reason: 'Customer not satisfied',
+        meta: { source: 'support' }
       });
 
       expect(result).toBeDefined();
-      expect(mockDb.data.transactions[0].status).toBe('refunded');
-      expect(mockDb.data.transactions[0].refund_amount).toBe(7500);
+      expect(mockDb.data.transactions[0].status).toBe('cancelled');
       expect(mockDb.data.transactions[0].refund_reason).toBe('Customer not satisfied');
     });
 
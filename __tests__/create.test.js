@@ -78,7 +78,6 @@ describe('TransactionRegistry - CREATE Tests', () => {
       currency: 'USD',
       platform: 'web',
       parent_transaction_id: 'txn_parent_123',
-      refund_amount: 5000,
       refund_reason: 'Customer requested refund',
       owners: ['owner_1'],
       owner_allocations: [{ owner_uuid: 'owner_1', amount_cents: 5000 }],
@@ -90,7 +89,6 @@ describe('TransactionRegistry - CREATE Tests', () => {
     expect(result).toBeDefined();
     expect(result.direction).toBe('refund');
     expect(result.parent_transaction_id).toBe('txn_parent_123');
-    expect(result.refund_amount).toBe(5000);
     expect(result.refund_reason).toBe('Customer requested refund');
   });
 
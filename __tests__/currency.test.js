@@ -0,0 +1,116 @@
+/**
+ * Jest Tests for CurrencyRegistry and minor-unit amounts
+ * ISO 4217 validation and integer amounts on createTransaction / updateTransaction
+ */
+
+jest.mock('../PostgreSQL', () => {
+  return require('../__mocks__/PostgreSQL');
+});
+
+jest.mock('../Logger', () => {
+  return require('../__mocks__/Logger');
+});
+
+jest.mock('../ErrorHandler', () => {
+  return require('../__mocks__/ErrorHandler');
+});
+
+const TransactionRegistry = require('../PaymentTransactionsRegistryStore');
+const CurrencyRegistry = require('../CurrencyRegistry');
+const PostgreSQLMock = require('../__mocks__/PostgreSQL');
+const Logger = require('../Logger');
+const ErrorHandler = require('../ErrorHandler');
+
+const baseTxn = (overrides = {}) => ({
+  order_id: 'order_ccy_001',
+  amount: 1050,
+  order_type: 'product',
+  customer_uid: 'customer_ccy',
+  status: 'completed',
+  direction: 'purchase',
+  payment_method: 'stripe',
+  currency: 'USD',
+  platform: 'web',
+  owners: ['owner_1'],
+  owner_allocations: [{ owner_uuid: 'owner_1', amount_cents: 1050 }],
+  ...overrides
+});
+
+describe('CurrencyRegistry', () => {
+  test('1. Exponents follow ISO 4217', () => {
+    expect(CurrencyRegistry.CURRENCIES.USD).toBe(2);
+    expect(CurrencyRegistry.CURRENCIES.JPY).toBe(0);
+    expect(CurrencyRegistry.CURRENCIES.KWD).toBe(3);
+  });
+
+  test('2. Unknown or malformed codes are rejected', () => {
+    expect(() => CurrencyRegistry.normalizeCode('XYZ')).toThrow('not supported');
+    expect(() => CurrencyRegistry.normalizeCode('US')).toThrow('3-letter ISO 4217 code');
+    expect(CurrencyRegistry.normalizeCode(' eur ')).toBe('EUR');
+  });
+});
+
+describe('TransactionRegistry - Minor Unit Amount Tests', () => {
+  let mockDb;
+
+  beforeEach(() => {
+    mockDb = new PostgreSQLMock();
+    TransactionRegistry._db = mockDb;
+    Logger.reset();
+    ErrorHandler.reset();
+  });
+
+  test('5. Currency is validated and upper-cased on create', async () => {
+    const result = await TransactionRegistry.createTransaction(baseTxn({ currency: 'kwd' }));
+    expect(result.currency).toBe('KWD');
+
+    await expect(
+      TransactionRegistry.createTransaction(baseTxn({ currency: 'DOGE' }))
+    ).rejects.toThrow('3-letter ISO 4217 code');
+    expect(ErrorHandler.hasError('Invalid currency')).toBe(true);
+  });
+
+  test('6. Fractional amounts are rejected with the field name', async () => {
+    await expect(
+      TransactionRegistry.createTransaction(baseTxn({ amount: 10.5 }))
+    ).rejects.toThrow('Expected int');
+
+    const entry = ErrorHandler.getErrors().find((e) => e.message.includes('minor units'));
+    expect(entry).toBeDefined();
+    expect(entry.details.field).toBe('amount');
+    expect(mockDb.getAllData('transactions').length).toBe(0);
+  });
+
+  test('7. Owner allocations may not exceed the amount', async () => {
+    await expect(
+      TransactionRegistry.createTransaction(
+        baseTxn({ owner_allocations: [{ owner_uuid: 'owner_1', amount_cents: 1051 }] })
+      )
+    ).rejects.toThrow('exceeds amount 1050');
+    expect(ErrorHandler.hasError('owner_allocations exceed amount')).toBe(true);
+  });
+
+  test('8. refund_amount is neither accepted on create nor updatable', async () => {
+    await expect(
+      TransactionRegistry.createTransaction(baseTxn({ refund_amount: 500 }))
+    ).rejects.toMatchObject({ code: 'VALIDATION_FAILED', field: 'refund_amount' });
+    expect(mockDb.getAllData('transactions').length).toBe(0);
+
+    const created = await TransactionRegistry.createTransaction(baseTxn());
+    await expect(
+      TransactionRegistry.updateTransaction(created.transaction_id, { refund_amount: 500 })
+    ).rejects.toThrow('refund_amount is set by refundTransaction()');
+    expect(mockDb.getAllData('transactions')[0].refund_amount ?? null).toBeNull();
+  });
+
+  test('9. Zero-decimal currencies keep whole amounts', async () => {
+    const result = await TransactionRegistry.createTransaction(
+      baseTxn({
+        currency: 'JPY',
+        amount: 1500,
+        owner_allocations: [{ owner_uuid: 'owner_1', amount_cents: 1500 }]
+      })
+    );
+    expect(result.amount).toBe(1500);
+  });
+});
@@ -0,0 +1,295 @@
+/**
+ * Jest Tests for PaymentTransactionsRegistryStore - DISPUTE Operations
+ * openDispute / submitDisputeEvidence / resolveDispute and the dispute queue
+ */
+
+jest.mock('../PostgreSQL', () => {
+  return require('../__mocks__/PostgreSQL');
+});
+
+jest.mock('../Logger', () => {
+  return require('../__mocks__/Logger');
+});
+
+jest.mock('../ErrorHandler', () => {
+  return require('../__mocks__/ErrorHandler');
+});
+
+const TransactionRegistry = require('../PaymentTransactionsRegistryStore');
+const { InvalidTransitionError } = require('../TransactionErrors');
+const PostgreSQLMock = require('../__mocks__/PostgreSQL');
+const DateTime = require('../DateTime');
+const Logger = require('../Logger');
+const ErrorHandler = require('../ErrorHandler');
+
+describe('TransactionRegistry - DISPUTE Tests', () => {
+  let mockDb;
+
+  const seedPurchase = (overrides = {}) => {
+    const row = {
+      transaction_id: 'txn-disputed',
+      order_id: 'order-disputed',
+      amount: 8000,
+      order_type: 'marketplace',
+      customer_uid: 'customer_1',
+      status: 'completed',
+      direction: 'purchase',
+      payment_method: 'stripe',
+      currency: 'USD',
+      platform: 'web',
+      owners: JSON.stringify(['owner_a', 'owner_b']),
+      owner_allocations: JSON.stringify([
+        { owner_uuid: 'owner_a', amount_cents: 6000 },
+        { owner_uuid: 'owner_b', amount_cents: 2000 }
+      ]),
+      products: JSON.stringify([]),
+      is_deleted: false,
+      ...overrides
+    };
+    mockDb.data.transactions.push(row);
+    return row;
+  };
+
+  beforeEach(() => {
+    mockDb = new PostgreSQLMock();
+    TransactionRegistry._db = mockDb;
+    Logger.reset();
+    ErrorHandler.reset();
+  });
+
+  test('1. Opening a dispute marks the purchase disputed and sets a deadline', async () => {
+    seedPurchase();
+
+    const { dispute, transaction } = await TransactionRegistry.openDispute('txn-disputed', {
+      dispute_id: 'dp_case_1',
+      reason: 'fraudulent'
+    });
+
+    expect(dispute.dispute_id).toBe('dp_case_1');
+    expect(dispute.status).toBe('open');
+    expect(dispute.amount).toBe(8000);
+    expect(dispute.previous_status).toBe('completed');
+    expect(DateTime.isFuture(dispute.evidence_due_at)).toBe(true);
+    expect(transaction.status).toBe('disputed');
+    expect(transaction.dispute_id).toBe('dp_case_1');
+  });
+
+  test('2. A second dispute on the same purchase is rejected', async () => {
+    seedPurchase();
+    await TransactionRegistry.openDispute('txn-disputed', { reason: 'fraudulent' });
+
+    await expect(
+      TransactionRegistry.openDispute('txn-disputed', { reason: 'duplicate' })
+    ).rejects.toMatchObject({ code: 'DISPUTE_ALREADY_OPEN' });
+    expect(mockDb.getAllData('transaction_disputes').length).toBe(1);
+  });
+
+  test('3. Only completed purchases can be disputed', async () => {
+    seedPurchase({ status: 'pending' });
+    seedPurchase({ transaction_id: 'txn-refund', direction: 'refund' });
+
+    await expect(
+      TransactionRegistry.openDispute('txn-disputed', { reason: 'fraudulent' })
+    ).rejects.toBeInstanceOf(InvalidTransitionError);
+    await expect(
+      TransactionRegistry.openDispute('txn-refund', { reason: 'fraudulent' })
+    ).rejects.toThrow('only purchase transactions can be disputed');
+    expect(mockDb.getAllData('transaction_disputes').length).toBe(0);
+  });
+
+  test('4. Evidence moves the dispute to under_review and merges submissions', async () => {
+    seedPurchase();
+    await TransactionRegistry.openDispute('txn-disputed', {
+      dispute_id: 'dp_case_4',
+      reason: 'product_not_received'
+    });
+
+    await TransactionRegistry.submitDisputeEvidence('dp_case_4', { tracking_number: '1Z999' });
+    const dispute = await TransactionRegistry.submitDisputeEvidence('dp_case_4', {
+      delivery_photo: 'https://cdn.example.com/photo.jpg'
+    });
+
+    expect(dispute.status).toBe('under_review');
+    expect(dispute.evidence).toEqual({
+      tracking_number: '1Z999',
+      delivery_photo: 'https://cdn.example.com/photo.jpg'
+    });
+  });
+
+  test('5. Evidence after the deadline is refused', async () => {
+    seedPurchase();
+    await TransactionRegistry.openDispute('txn-disputed', {
+      dispute_id: 'dp_case_5',
+      reason: 'fraudulent',
+      evidence_due_at: '2020-01-01 00:00:00'
+    });
+
+    await expect(
+      TransactionRegistry.submitDisputeEvidence('dp_case_5', { note: 'too late' })
+    ).rejects.toMatchObject({ code: 'EVIDENCE_DEADLINE_PASSED' });
+    expect(ErrorHandler.hasError('evidence deadline passed')).toBe(true);
+  });
+
+  test('6. Winning restores the previous purchase status without a chargeback', async () => {
+    seedPurchase({ status: 'partially_refunded' });
+    await TransactionRegistry.openDispute('txn-disputed', {
+      dispute_id: 'dp_case_6',
+      reason: 'fraudulent'
+    });
+
+    const { dispute, transaction, chargeback } = await TransactionRegistry.resolveDispute(
+      'dp_case_6',
+      { outcome: 'won' }
+    );
+
+    expect(dispute.status).toBe('won');
+    expect(dispute.resolved_at).toBeDefined();
+    expect(transaction.status).toBe('partially_refunded');
+    expect(chargeback).toBeNull();
+    expect(mockDb.getAllData('transactions').length).toBe(1);
+  });
+
+  test('7. Losing creates a chargeback child split across owners', async () => {
+    seedPurchase();
+    await TransactionRegistry.openDispute('txn-disputed', {
+      dispute_id: 'dp_case_7',
+      reason: 'fraudulent'
+    });
+
+    const { dispute, transaction, chargeback } = await TransactionRegistry.resolveDispute(
+      'dp_case_7',
+      { outcome: 'lost' }
+    );
+
+    expect(transaction.status).toBe('charged_back');
+    expect(chargeback.direction).toBe('chargeback');
+    expect(chargeback.parent_transaction_id).toBe('txn-disputed');
+    expect(chargeback.dispute_id).toBe('dp_case_7');
+    expect(chargeback.amount).toBe(8000);
+    expect(chargeback.owner_allocations).toEqual([
+      { owner_uuid: 'owner_a', amount_cents: 6000 },
+      { owner_uuid: 'owner_b', amount_cents: 2000 }
+    ]);
+    expect(dispute.chargeback_transaction_id).toBe(chargeback.transaction_id);
+  });
+
+  test('8. Resolved disputes cannot be resolved again', async () => {
+    seedPurchase();
+    await TransactionRegistry.openDispute('txn-disputed', {
+      dispute_id: 'dp_case_8',
+      reason: 'fraudulent'
+    });
+    await TransactionRegistry.resolveDispute('dp_case_8', { outcome: 'accepted' });
+
+    await expect(
+      TransactionRegistry.resolveDispute('dp_case_8', { outcome: 'won' })
+    ).rejects.toBeInstanceOf(InvalidTransitionError);
+    await expect(
+      TransactionRegistry.resolveDispute('dp_case_8', { outcome: 'withdrawn' })
+    ).rejects.toThrow('outcome must be one of');
+    expect(mockDb.getAllData('transactions').length).toBe(2);
+  });
+
+  test('9. Dispute queue filters by status and overdue deadline', async () => {
+    seedPurchase();
+    seedPurchase({ transaction_id: 'txn-other', order_id: 'order-other' });
+    await TransactionRegistry.openDispute('txn-disputed', {
+      dispute_id: 'dp_late',
+      reason: 'fraudulent',
+      evidence_due_at: '2020-01-01 00:00:00'
+    });
+    await TransactionRegistry.openDispute('txn-other', {
+      dispute_id: 'dp_fresh',
+      reason: 'fraudulent'
+    });
+
+    const overdue = await TransactionRegistry.queryDisputes({ overdue: true });
+    expect(overdue.rows.map((d) => d.dispute_id)).toEqual(['dp_late']);
+
+    const open = await TransactionRegistry.queryDisputes({ status: 'open' });
+    expect(open.total).toBe(2);
+    expect(open.rows.map((d) => d.dispute_id)).toEqual(['dp_late', 'dp_fresh']);
+
+    await expect(
+      TransactionRegistry.queryDisputes({ status: 'bogus' })
+    ).rejects.toThrow('unknown dispute status');
+  });
+
+  test('10. Lifecycle events are written to the audit log', async () => {
+    seedPurchase();
+    await TransactionRegistry.openDispute('txn-disputed', {
+      dispute_id: 'dp_case_10',
+      reason: 'fraudulent'
+    });
+    await TransactionRegistry.resolveDispute('dp_case_10', { outcome: 'lost' });
+
+    const actions = Logger.getLogs().map((log) => log.action);
+    expect(actions).toEqual(expect.arrayContaining(['disputeOpened', 'disputeResolved']));
+    expect(await TransactionRegistry.getDispute('dp_case_10')).toMatchObject({ status: 'lost' });
+  });
+
+  test('11. The disputed amount is capped at what has not been refunded', async () => {
+    seedPurchase();
+    await TransactionRegistry.refundTransaction('txn-disputed', { amount: 3000 });
+
+    await expect(
+      TransactionRegistry.openDispute('txn-disputed', { reason: 'fraudulent', amount: 6000 })
+    ).rejects.toMatchObject({ code: 'VALIDATION_FAILED', field: 'amount' });
+    expect(mockDb.getAllData('transaction_disputes').length).toBe(0);
+
+    const { dispute } = await TransactionRegistry.openDispute('txn-disputed', { reason: 'fraudulent' });
+    expect(dispute.amount).toBe(5000);
+    expect(dispute.previous_status).toBe('partially_refunded');
+  });
+
+  test('12. Refunds are refused while a dispute is open and allowed once it is won', async () => {
+    seedPurchase();
+    await TransactionRegistry.openDispute('txn-disputed', {
+      dispute_id: 'dp_case_12',
+      reason: 'fraudulent'
+    });
+
+    await expect(
+      TransactionRegistry.refundTransaction('txn-disputed', { amount: 1000 })
+    ).rejects.toMatchObject({ code: 'DISPUTE_OPEN' });
+    expect(mockDb.getAllData('transactions').length).toBe(1);
+
+    const { transaction } = await TransactionRegistry.resolveDispute('dp_case_12', { outcome: 'won' });
+    expect(transaction.status).toBe('completed');
+
+    const { parent } = await TransactionRegistry.refundTransaction('txn-disputed', { amount: 1000 });
+    expect(parent.status).toBe('partially_refunded');
+  });
+
+  test('13. Losing a partial dispute charges back only its amount and restores the purchase', async () => {
+    seedPurchase();
+    await TransactionRegistry.refundTransaction('txn-disputed', { amount: 1000 });
+    await TransactionRegistry.openDispute('txn-disputed', {
+      dispute_id: 'dp_case_13',
+      reason: 'fraudulent',
+      amount: 4000
+    });
+
+    const { transaction, chargeback } = await TransactionRegistry.resolveDispute(
+      'dp_case_13',
+      { outcome: 'lost' }
+    );
+    expect(transaction.status).toBe('partially_refunded');
+    expect(chargeback.amount).toBe(4000);
+    expect(chargeback.owner_allocations).toEqual([
+      { owner_uuid: 'owner_a', amount_cents: 3000 },
+      { owner_uuid: 'owner_b', amount_cents: 1000 }
+    ]);
+
+    // Only the 3000 neither refunded nor charged back is left
+    await expect(
+      TransactionRegistry.openDispute('txn-disputed', { reason: 'fraudulent', amount: 4000 })
+    ).rejects.toMatchObject({ code: 'VALIDATION_FAILED', field: 'amount' });
+    await expect(
+      TransactionRegistry.refundTransaction('txn-disputed', { amount: 4000 })
+    ).rejects.toMatchObject({ code: 'REFUND_EXCEEDS_AMOUNT' });
+
+    const { parent } = await TransactionRegistry.refundTransaction('txn-disputed', { amount: 3000 });
+    expect(parent.status).toBe('refunded');
+  });
+});
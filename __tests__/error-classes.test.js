@@ -0,0 +1,193 @@
+/**
+ * Jest Tests for PaymentTransactionsRegistryStore - Typed errors
+ * error classes with code / field / context, StorageError wrapping and strict query / count
+ */
+
+jest.mock('../PostgreSQL', () => {
+  return require('../__mocks__/PostgreSQL');
+});
+
+jest.mock('../Logger', () => {
+  return require('../__mocks__/Logger');
+});
+
+jest.mock('../ErrorHandler', () => {
+  return require('../__mocks__/ErrorHandler');
+});
+
+const TransactionRegistry = require('../PaymentTransactionsRegistryStore');
+const RequestValidation = require('../RequestValidation');
+const {
+  TransactionRegistryError,
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  InvalidTransitionError,
+  VersionConflictError,
+  StorageError
+} = require('../TransactionErrors');
+const PostgreSQLMock = require('../__mocks__/PostgreSQL');
+const Logger = require('../Logger');
+const ErrorHandler = require('../ErrorHandler');
+
+describe('TransactionRegistry - Typed Error Tests', () => {
+  let mockDb;
+
+  const createTxn = (orderId, fields = {}) =>
+    TransactionRegistry.createTransaction({
+      order_id: orderId,
+      amount: 1000,
+      order_type: 'product',
+      customer_uid: 'cust_1',
+      status: 'completed',
+      direction: 'purchase',
+      payment_method: 'stripe',
+      currency: 'USD',
+      platform: 'web',
+      ...fields
+    });
+
+  const pgError = (code, message = `pg failure ${code}`) =>
+    Object.assign(new Error(message), { code, severity: 'ERROR' });
+
+  beforeEach(() => {
+    mockDb = new PostgreSQLMock();
+    TransactionRegistry._db = mockDb;
+    Logger.reset();
+    ErrorHandler.reset();
+  });
+
+  test('1. Every class extends TransactionRegistryError and carries a stable code', () => {
+    const transition = new InvalidTransitionError('no', { direction: 'purchase', from: 'refunded', to: 'pending' });
+    const version = new VersionConflictError('stale', { transactionId: 'txn_1', expected: 1, actual: 2 });
+
+    expect(new ValidationError('bad').code).toBe('VALIDATION_FAILED');
+    expect(new NotFoundError('gone').code).toBe('NOT_FOUND');
+    expect(new ConflictError('clash').code).toBe('CONFLICT');
+    expect(new ConflictError('clash', { code: 'IDEMPOTENCY_CONFLICT' }).code).toBe('IDEMPOTENCY_CONFLICT');
+    expect(transition).toBeInstanceOf(ConflictError);
+    expect(transition).toMatchObject({ code: 'INVALID_STATUS_TRANSITION', field: 'status', name: 'InvalidTransitionError' });
+    expect(version).toBeInstanceOf(ConflictError);
+    expect(version).toMatchObject({ code: 'VERSION_CONFLICT', field: 'version' });
+    expect(version.context).toEqual({ field: 'version', transaction_id: 'txn_1', expected: 1, actual: 2 });
+    for (const err of [transition, version, new StorageError('down')]) {
+      expect(err).toBeInstanceOf(TransactionRegistryError);
+      expect(err).toBeInstanceOf(Error);
+    }
+  });
+
+  test('2. Rejected input throws a ValidationError with its field and ErrorHandler context', async () => {
+    const error = await createTxn('order_1', { currency: 'ZZZ' }).catch((err) => err);
+
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.code).toBe('VALIDATION_FAILED');
+    expect(error.field).toBe('currency');
+    expect(error.context).toMatchObject({ field: 'currency', value: 'ZZZ' });
+    expect(ErrorHandler.getErrors().some((entry) => entry.details?.field === 'currency')).toBe(true);
+
+    const filter = await TransactionRegistry.query({ onlyDeleted: 'sometimes' }).catch((err) => err);
+    expect(filter).toBeInstanceOf(ValidationError);
+    expect(filter.field).toBe('onlyDeleted');
+  });
+
+  test('3. Missing rows throw a NotFoundError', async () => {
+    const update = await TransactionRegistry.updateTransaction('txn_missing', { meta: { a: 1 } }).catch((err) => err);
+    expect(update).toBeInstanceOf(NotFoundError);
+    expect(update).toMatchObject({ code: 'NOT_FOUND', field: 'transaction_id' });
+
+    const refund = await TransactionRegistry.refundTransaction('txn_missing', { amount: 100 }).catch((err) => err);
+    expect(refund).toBeInstanceOf(NotFoundError);
+    expect(refund.field).toBe('parent_transaction_id');
+  });
+
+  test('4. Clashes with stored state throw a ConflictError naming the conflict', async () => {
+    const txn = await createTxn('order_1');
+
+    const refund = await TransactionRegistry.refundTransaction(txn.transaction_id, { amount: 5000 }).catch((err) => err);
+    expect(refund).toBeInstanceOf(ConflictError);
+    expect(refund).toMatchObject({ code: 'REFUND_EXCEEDS_AMOUNT', field: 'amount' });
+    expect(refund.context).toMatchObject({ transaction_id: txn.transaction_id, requested: 5000 });
+
+    const transition = await TransactionRegistry.updateTransaction(txn.transaction_id, { status: 'pending' })
+      .catch((err) => err);
+    expect(transition).toBeInstanceOf(InvalidTransitionError);
+    expect(transition).toBeInstanceOf(ConflictError);
+  });
+
+  test('5. Database failures in write methods are rethrown as StorageError with the driver error as cause', async () => {
+    const txn = await createTxn('order_1');
+    const dropped = pgError('57P01', 'terminating connection due to administrator command');
+    mockDb.transaction = jest.fn().mockRejectedValue(dropped);
+
+    const error = await TransactionRegistry.updateTransaction(txn.transaction_id, { meta: { a: 1 } }).catch((err) => err);
+    expect(error).toBeInstanceOf(StorageError);
+    expect(error.code).toBe('STORAGE_UNAVAILABLE');
+    expect(error.cause).toBe(dropped);
+    expect(error.message).toBe(dropped.message);
+
+    mockDb.transaction = jest.fn().mockRejectedValue(pgError('42P01'));
+    const broken = await TransactionRegistry.setLegalHold(txn.transaction_id, true).catch((err) => err);
+    expect(broken).toBeInstanceOf(StorageError);
+    expect(broken.code).toBe('STORAGE_ERROR');
+
+    mockDb.transaction = jest.fn().mockRejectedValue(pgError('23505'));
+    const duplicate = await TransactionRegistry.setLegalHold(txn.transaction_id, true).catch((err) => err);
+    expect(duplicate).toBeInstanceOf(ConflictError);
+    expect(duplicate.code).toBe('CONFLICT');
+  });
+
+  test('6. query() and the counts keep answering empty results unless strict is set', async () => {
+    await createTxn('order_1');
+    mockDb.getRow = jest.fn().mockRejectedValue(pgError('08006', 'connection failure'));
+    mockDb.query = jest.fn().mockRejectedValue(pgError('08006', 'connection failure'));
+
+    await expect(TransactionRegistry.query({})).resolves.toEqual({ rows: [], total: 0, nextCursor: null });
+    await expect(TransactionRegistry.getAllCount()).resolves.toBe(0);
+    await expect(TransactionRegistry.getAllCountByStatus('pending')).resolves.toBe(0);
+
+    const query = await TransactionRegistry.query({}, {}, { strict: true }).catch((err) => err);
+    expect(query).toBeInstanceOf(StorageError);
+    expect(query.code).toBe('STORAGE_UNAVAILABLE');
+    await expect(TransactionRegistry.getAllCount({ strict: true })).rejects.toBeInstanceOf(StorageError);
+    await expect(TransactionRegistry.getAllCountByStatus('pending', { strict: true }))
+      .rejects.toMatchObject({ code: 'STORAGE_UNAVAILABLE' });
+  });
+
+  test('7. Strict counts also throw for invalid input instead of counting 0', async () => {
+    await expect(TransactionRegistry.getAllCountByStatus('not-a-status')).resolves.toBe(0);
+
+    const error = await TransactionRegistry.getAllCountByStatus('not-a-status', { strict: true }).catch((err) => err);
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.field).toBe('status');
+  });
+
+  test('8. The API envelope maps each class to its status and keeps storage messages out', () => {
+    const describe = (err) => {
+      const { status, code, message } = RequestValidation.describeError(err);
+      return [status, code, message];
+    };
+
+    expect(describe(new ValidationError('bad amount', { field: 'amount' }))).toEqual([400, 'VALIDATION_FAILED', 'bad amount']);
+    expect(describe(new ValidationError('batch', { code: 'BATCH_INVALID' }))).toEqual([400, 'BATCH_INVALID', 'batch']);
+    expect(describe(new NotFoundError('Dispute not found'))).toEqual([404, 'NOT_FOUND', 'Dispute not found']);
+    expect(describe(new ConflictError('over', { code: 'PAYOUT_EXCEEDS_BALANCE' })))
+      .toEqual([409, 'PAYOUT_EXCEEDS_BALANCE', 'over']);
+    expect(describe(StorageError.from(pgError('57P01'))))
+      .toEqual([503, 'STORAGE_UNAVAILABLE', 'Storage temporarily unavailable']);
+    expect(describe(StorageError.from(pgError('42P01')))).toEqual([500, 'STORAGE_ERROR', 'Storage operation failed']);
+    expect(describe(new StorageError('Refund insert failed to return an ID')))
+      .toEqual([500, 'STORAGE_ERROR', 'Storage operation failed']);
+    expect(describe(new Error('_composeInsertSql(): invalid column "secret"')))
+      .toEqual([500, 'INTERNAL_ERROR', 'Internal server error']);
+  });
+
+  test('9. SafeUtils and import parse failures are wrapped as ValidationErrors', async () => {
+    const missing = await TransactionRegistry.refundTransaction(null, { amount: 100 }).catch((err) => err);
+    expect(missing).toBeInstanceOf(ValidationError);
+    expect(missing.field).toBe('parent_transaction_id');
+
+    const unreadable = await TransactionRegistry.importTransactions(42).catch((err) => err);
+    expect(unreadable).toBeInstanceOf(ValidationError);
+    expect(RequestValidation.describeError(unreadable).status).toBe(400);
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Jest Tests for ErrorHandler - Request-scoped error logs
+ * run() scopes, concurrent isolation, the MAX_ERRORS bound and bind()
+ */
+
+const ErrorHandler = require('../ErrorHandler');
+
+describe('ErrorHandler - Scoped Error Log Tests', () => {
+  const maxErrors = ErrorHandler.MAX_ERRORS;
+  const tick = () => new Promise((resolve) => setTimeout(resolve, 1));
+
+  beforeEach(() => {
+    ErrorHandler.clear();
+  });
+
+  afterEach(() => {
+    ErrorHandler.MAX_ERRORS = maxErrors;
+  });
+
+  test('1. Entries added outside any scope go to the static errors array', () => {
+    ErrorHandler.addError('outside', { field: 'x' });
+
+    expect(ErrorHandler.hasErrors()).toBe(true);
+    expect(ErrorHandler.getAllErrors()).toEqual([
+      { message: 'outside', data: { field: 'x' }, timestamp: expect.any(String) }
+    ]);
+    expect(ErrorHandler.errors).toBe(ErrorHandler.getAllErrors());
+  });
+
+  test('2. A run() scope starts empty and keeps its entries to itself', async () => {
+    ErrorHandler.addError('outside');
+
+    const inside = await ErrorHandler.run(async () => {
+      expect(ErrorHandler.hasErrors()).toBe(false);
+      ErrorHandler.addError('inside', { field: 'amount' });
+      await tick();
+      return ErrorHandler.getAllErrors().map((entry) => entry.message);
+    });
+
+    expect(inside).toEqual(['inside']);
+    expect(ErrorHandler.getAllErrors().map((entry) => entry.message)).toEqual(['outside']);
+  });
+
+  test('3. Concurrent scopes never see each other\'s entries', async () => {
+    const request = (name, delays) =>
+      ErrorHandler.run(async () => {
+        for (const delay of delays) {
+          ErrorHandler.addError(`${name} ${delay}`);
+          await new Promise((resolve) => setTimeout(resolve, delay));
+        }
+        return ErrorHandler.getAllErrors().map((entry) => entry.message);
+      });
+
+    const [a, b] = await Promise.all([request('a', [3, 1, 2]), request('b', [1, 2, 3])]);
+
+    expect(a).toEqual(['a 3', 'a 1', 'a 2']);
+    expect(b).toEqual(['b 1', 'b 2', 'b 3']);
+    expect(ErrorHandler.hasErrors()).toBe(false);
+  });
+
+  test('4. A log keeps its first MAX_ERRORS entries and counts the rest', () => {
+    ErrorHandler.MAX_ERRORS = 3;
+
+    ErrorHandler.run(() => {
+      for (let i = 1; i <= 5; i++) ErrorHandler.addError(`error ${i}`);
+
+      expect(ErrorHandler.getAllErrors().map((entry) => entry.message)).toEqual(['error 1', 'error 2', 'error 3']);
+      expect(ErrorHandler.getDroppedCount()).toBe(2);
+
+      ErrorHandler.clear();
+      expect(ErrorHandler.getAllErrors()).toEqual([]);
+      expect(ErrorHandler.getDroppedCount()).toBe(0);
+    });
+
+    for (let i = 1; i <= 4; i++) ErrorHandler.addError(`global ${i}`);
+    expect(ErrorHandler.errors).toHaveLength(3);
+    expect(ErrorHandler.getDroppedCount()).toBe(1);
+  });
+
+  test('5. bind() carries a scope into callbacks fired outside it', async () => {
+    const { EventEmitter } = require('events');
+    const emitter = new EventEmitter();
+    const seen = [];
+
+    ErrorHandler.run(() => {
+      ErrorHandler.addError('raised in the request');
+      emitter.once('done', ErrorHandler.bind(() => seen.push(...ErrorHandler.getAllErrors())));
+    });
+    emitter.emit('done');
+
+    expect(seen.map((entry) => entry.message)).toEqual(['raised in the request']);
+    expect(ErrorHandler.hasErrors()).toBe(false);
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * Jest Tests for PaymentTransactionsRegistryStore - Export
+ * exportTransactions() streaming CSV / NDJSON through a server-side cursor
+ */
+
+jest.mock('../PostgreSQL', () => {
+  return require('../__mocks__/PostgreSQL');
+});
+
+jest.mock('../Logger', () => {
+  return require('../__mocks__/Logger');
+});
+
+jest.mock('../ErrorHandler', () => {
+  return require('../__mocks__/ErrorHandler');
+});
+
+const TransactionRegistry = require('../PaymentTransactionsRegistryStore');
+const TransactionExport = require('../TransactionExport');
+const PostgreSQLMock = require('../__mocks__/PostgreSQL');
+const Logger = require('../Logger');
+const ErrorHandler = require('../ErrorHandler');
+
+describe('TransactionRegistry - Export Tests', () => {
+  let mockDb;
+
+  const rows = [
+    {
+      transaction_id: 'txn_2', order_id: 'order_2', amount: '2500', status: 'completed', direction: 'purchase',
+      currency: 'USD', payment_method: 'stripe', platform: 'web', customer_uid: 'cust_1', created_at: '2026-03-02 10:00:00',
+      owners: JSON.stringify(['owner_a', 'owner_b']),
+      owner_allocations: JSON.stringify([{ owner_uuid: 'owner_a', amount_cents: 2000 }, { owner_uuid: 'owner_b', amount_cents: 500 }]),
+      products: JSON.stringify([{ sku: 'SKU-1', name: 'Poster' }, { sku: 'SKU-2', name: 'Mug' }]),
+      meta: JSON.stringify({ promo_code: 'SAVE20', note: 'gift, "wrapped"' })
+    },
+    {
+      transaction_id: 'txn_1', order_id: 'order_1', amount: '1000', status: 'pending', direction: 'purchase',
+      currency: 'EUR', payment_method: 'paypal', platform: 'ios', customer_uid: 'cust_2', created_at: '2026-03-01 09:00:00'
+    },
+    {
+      transaction_id: 'txn_3', order_id: 'order_2', amount: '500', status: 'completed', direction: 'refund',
+      currency: 'USD', payment_method: 'stripe', platform: 'web', customer_uid: 'cust_1', created_at: '2026-03-03 12:00:00',
+      parent_transaction_id: 'txn_2'
+    }
+  ];
+
+  const runExport = async (filters = {}, options = {}) => {
+    const chunks = [];
+    const result = await TransactionRegistry.exportTransactions(filters, {
+      ...options,
+      write: async (chunk) => {
+        chunks.push(chunk);
+      }
+    });
+    return { result, chunks, text: chunks.join('') };
+  };
+
+  beforeEach(() => {
+    mockDb = new PostgreSQLMock();
+    TransactionRegistry._db = mockDb;
+    Logger.reset();
+    ErrorHandler.reset();
+    mockDb.data.transactions.push(...rows.map((row) => ({ ...row, is_deleted: false })));
+  });
+
+  test('1. CSV export has a header and every match oldest first', async () => {
+    const { result, text } = await runExport({}, { columns: 'transaction_id,created_at,amount,currency' });
+
+    expect(result).toEqual({ format: 'csv', columns: ['transaction_id', 'created_at', 'amount', 'currency'], rowCount: 3 });
+    expect(text).toBe(
+      'transaction_id,created_at,amount,currency\n' +
+      'txn_1,2026-03-01 09:00:00,1000,EUR\n' +
+      'txn_2,2026-03-02 10:00:00,2500,USD\n' +
+      'txn_3,2026-03-03 12:00:00,500,USD\n'
+    );
+  });
+
+  test('2. JSONB columns flatten into configurable columns', async () => {
+    const { text } = await runExport(
+      { transaction_id: 'txn_2' },
+      { columns: ['owners', 'owner_allocations.amount_cents', 'products.sku', 'meta.promo_code', 'meta.note', 'meta.missing'] }
+    );
+
+    expect(text.split('\n')[1]).toBe('owner_a|owner_b,2000|500,SKU-1|SKU-2,SAVE20,"gift, ""wrapped""",');
+  });
+
+  test('3. The default columns include the common JSONB paths', async () => {
+    const { result } = await runExport({ transaction_id: 'txn_2' });
+
+    expect(result.columns).toEqual([...TransactionExport.DEFAULT_COLUMNS]);
+    expect(result.columns).toEqual(expect.arrayContaining(['products.sku', 'meta.promo_code', 'owner_allocations.owner_uuid']));
+  });
+
+  test('4. NDJSON keeps numbers and lists', async () => {
+    const { text } = await runExport(
+      { currency: 'USD', direction: 'purchase' },
+      { format: 'NDJSON', columns: 'transaction_id,amount,products.sku,meta' }
+    );
+
+    expect(text.trim().split('\n').map((line) => JSON.parse(line))).toEqual([
+      {
+        transaction_id: 'txn_2',
+        amount: 2500,
+        'products.sku': ['SKU-1', 'SKU-2'],
+        meta: { promo_code: 'SAVE20', note: 'gift, "wrapped"' }
+      }
+    ]);
+  });
+
+  test('5. Rows are fetched from a cursor one batch at a time', async () => {
+    const transactionSpy = jest.spyOn(mockDb, 'transaction');
+
+    const { chunks } = await runExport({ currency: 'USD' }, { columns: 'transaction_id', batchSize: 1 });
+
+    expect(transactionSpy).toHaveBeenCalledTimes(1);
+    // Header, then one chunk per fetched batch
+    expect(chunks).toEqual(['transaction_id\n', 'txn_2\n', 'txn_3\n']);
+  });
+
+  test('6. Spreadsheet formulas are neutralised, negative numbers are not', () => {
+    const columns = TransactionExport.parseColumns('order_id,meta.note,amount');
+    const line = TransactionExport.toCsvLine(
+      { order_id: '=HYPERLINK("x")', meta: { note: '@SUM(A1)' }, amount: -150 },
+      columns
+    );
+    expect(line).toBe(`"'=HYPERLINK(""x"")",'@SUM(A1),-150\n`);
+  });
+
+  test('7. Each export is audited with its filters and row count', async () => {
+    await runExport({ currency: 'usd', 'meta.promo_code': 'SAVE20' }, { format: 'ndjson' });
+
+    const entry = Logger.getLogs().find((log) => log.action === 'transactionsExported');
+    expect(entry.message).toBe('Transactions exported');
+    expect(entry.data.format).toBe('ndjson');
+    expect(entry.data.row_count).toBe(1);
+    expect(entry.data.filters.currency).toBe('USD');
+    expect(entry.data.filters.jsonbSearch).toEqual({ 'meta.promo_code': 'SAVE20' });
+  });
+
+  test('8. Invalid options are rejected with their field', async () => {
+    await expect(runExport({}, { format: 'xlsx' })).rejects.toThrow('format must be one of csv, ndjson');
+    await expect(runExport({}, { columns: 'amount,password' })).rejects.toThrow('unsupported export column "password"');
+    await expect(runExport({}, { columns: 'amount.value' })).rejects.toThrow('unsupported export column "amount.value"');
+    await expect(runExport({}, { batchSize: 0 })).rejects.toThrow('batchSize must be an integer between 1 and 5000');
+    await expect(TransactionRegistry.exportTransactions({}, {})).rejects.toThrow('write must be a function');
+
+    expect(ErrorHandler.getErrors().map((e) => e.details.field)).toEqual(
+      expect.arrayContaining(['format', 'columns', 'batchSize', 'write'])
+    );
+  });
+
+  test('9. A failing writer stops the export and is recorded', async () => {
+    const write = jest.fn()
+      .mockResolvedValueOnce(undefined)
+      .mockRejectedValueOnce(new Error('Export aborted: client disconnected'));
+
+    await expect(
+      TransactionRegistry.exportTransactions({}, { columns: 'transaction_id', batchSize: 1, write })
+    ).rejects.toThrow('client disconnected');
+
+    expect(write).toHaveBeenCalledTimes(2);
+    expect(ErrorHandler.hasError('Failed to export transactions')).toBe(true);
+    expect(Logger.getLogs().some((log) => log.message === 'Transactions exported')).toBe(false);
+  });
+});
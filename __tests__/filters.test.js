@@ -0,0 +1,113 @@
+/**
+ * Jest Tests for PaymentTransactionsRegistryStore - Query filters
+ * direction, currency, payment method, platform, amount range, links, status IN, exact datetimes
+ */
+
+jest.mock('../PostgreSQL', () => {
+  return require('../__mocks__/PostgreSQL');
+});
+
+jest.mock('../Logger', () => {
+  return require('../__mocks__/Logger');
+});
+
+jest.mock('../ErrorHandler', () => {
+  return require('../__mocks__/ErrorHandler');
+});
+
+const TransactionRegistry = require('../PaymentTransactionsRegistryStore');
+const PostgreSQLMock = require('../__mocks__/PostgreSQL');
+const Logger = require('../Logger');
+const ErrorHandler = require('../ErrorHandler');
+
+describe('TransactionRegistry - Query Filter Tests', () => {
+  let mockDb;
+
+  const rows = [
+    { transaction_id: 'txn_1', amount: 1000, status: 'completed', direction: 'purchase', currency: 'USD', payment_method: 'stripe', platform: 'web', created_at: '2026-04-01 09:00:00' },
+    { transaction_id: 'txn_2', amount: 2500, status: 'pending', direction: 'purchase', currency: 'EUR', payment_method: 'paypal', platform: 'ios', created_at: '2026-04-01 15:30:00' },
+    { transaction_id: 'txn_3', amount: 500, status: 'completed', direction: 'refund', currency: 'USD', payment_method: 'stripe', platform: 'web', parent_transaction_id: 'txn_1', created_at: '2026-04-02 08:00:00' },
+    { transaction_id: 'txn_4', amount: 9000, status: 'disputed', direction: 'purchase', currency: 'USD', payment_method: 'stripe', platform: 'android', dispute_id: 'dp_1', created_at: '2026-04-03 12:00:00' },
+    { transaction_id: 'txn_5', amount: 9000, status: 'failed', direction: 'payout', currency: 'JPY', payment_method: 'bank', platform: 'web', created_at: '2026-04-04 12:00:00' }
+  ];
+
+  const ids = (result) => result.rows.map((row) => row.transaction_id).sort();
+
+  beforeEach(() => {
+    mockDb = new PostgreSQLMock();
+    TransactionRegistry._db = mockDb;
+    Logger.reset();
+    ErrorHandler.reset();
+    mockDb.data.transactions.push(...rows.map((row) => ({ ...row, is_deleted: false })));
+  });
+
+  test('1. Equality filters for direction, currency, payment method and platform', async () => {
+    expect(ids(await TransactionRegistry.query({ direction: 'REFUND' }))).toEqual(['txn_3']);
+    expect(ids(await TransactionRegistry.query({ currency: 'usd' }))).toEqual(['txn_1', 'txn_3', 'txn_4']);
+    expect(ids(await TransactionRegistry.query({ paymentMethod: 'paypal' }))).toEqual(['txn_2']);
+    expect(ids(await TransactionRegistry.query({ platform: 'web', currency: 'USD' }))).toEqual(['txn_1', 'txn_3']);
+  });
+
+  test('2. Amount range is inclusive and in minor units', async () => {
+    const result = await TransactionRegistry.query({ minAmount: '1000', maxAmount: 9000 });
+
+    expect(ids(result)).toEqual(['txn_1', 'txn_2', 'txn_4', 'txn_5']);
+    expect(result.total).toBe(4);
+  });
+
+  test('3. Invalid amount bounds are reported', async () => {
+    await expect(TransactionRegistry.query({ minAmount: '10.5' })).rejects.toThrow(
+      'minAmount must be a non-negative integer in minor units'
+    );
+    await expect(TransactionRegistry.query({ minAmount: 5000, maxAmount: 100 })).rejects.toThrow(
+      'minAmount must be <= maxAmount'
+    );
+    const fields = ErrorHandler.getErrors().map((e) => e.details.field);
+    expect(fields).toEqual(expect.arrayContaining(['minAmount', 'amountRange']));
+  });
+
+  test('4. parent_transaction_id and dispute_id link filters', async () => {
+    expect(ids(await TransactionRegistry.query({ parent_transaction_id: 'txn_1' }))).toEqual(['txn_3']);
+    expect(ids(await TransactionRegistry.query({ disputeId: 'dp_1' }))).toEqual(['txn_4']);
+  });
+
+  test('5. Multiple statuses compile to status IN (...)', async () => {
+    const querySpy = jest.spyOn(mockDb, 'query');
+
+    const fromList = await TransactionRegistry.query({ status: 'pending,disputed' });
+    const fromArray = await TransactionRegistry.query({ status: ['FAILED', 'pending', 'failed'] });
+
+    expect(ids(fromList)).toEqual(['txn_2', 'txn_4']);
+    expect(ids(fromArray)).toEqual(['txn_2', 'txn_5']);
+    expect(querySpy.mock.calls[0][1]).toContain('status IN ($1, $2)');
+  });
+
+  test('6. Unknown status inside a list is rejected', async () => {
+    await expect(TransactionRegistry.query({ status: ['completed', 'teleported'] })).rejects.toThrow(
+      'unknown status'
+    );
+  });
+
+  test('7. Exact datetime bounds cut inside a day', async () => {
+    const result = await TransactionRegistry.query({
+      createdFrom: '2026-04-01 12:00:00',
+      createdTo: '2026-04-03 12:00:00'
+    });
+
+    expect(ids(result)).toEqual(['txn_2', 'txn_3', 'txn_4']);
+    await expect(
+      TransactionRegistry.query({ createdFrom: '2026-04-05 00:00:00', createdTo: '2026-04-01 00:00:00' })
+    ).rejects.toThrow('createdFrom must be <= createdTo');
+    await expect(TransactionRegistry.query({ createdFrom: 'tomorrow-ish' })).rejects.toThrow(
+      'createdFrom must be a valid date'
+    );
+  });
+
+  test('8. Unknown direction or currency is rejected with its field', async () => {
+    await expect(TransactionRegistry.query({ direction: 'sideways' })).rejects.toThrow('Invalid direction');
+    await expect(TransactionRegistry.query({ currency: 'ZZZ' })).rejects.toThrow('is not supported');
+
+    const fields = ErrorHandler.getErrors().map((e) => e.details.field);
+    expect(fields).toEqual(expect.arrayContaining(['direction', 'currency']));
+  });
+});
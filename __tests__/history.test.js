@@ -0,0 +1,170 @@
+/**
+ * Jest Tests for PaymentTransactionsRegistryStore - Audit history
+ * transaction_events appended by create / update / delete and getTransactionHistory
+ */
+
+jest.mock('../PostgreSQL', () => {
+  return require('../__mocks__/PostgreSQL');
+});
+
+jest.mock('../Logger', () => {
+  return require('../__mocks__/Logger');
+});
+
+jest.mock('../ErrorHandler', () => {
+  return require('../__mocks__/ErrorHandler');
+});
+
+const TransactionRegistry = require('../PaymentTransactionsRegistryStore');
+const PostgreSQLMock = require('../__mocks__/PostgreSQL');
+const Logger = require('../Logger');
+const ErrorHandler = require('../ErrorHandler');
+
+const baseTxn = () => ({
+  order_id: 'order_hist_001',
+  amount: 1500,
+  order_type: 'product',
+  customer_uid: 'customer_hist',
+  status: 'pending',
+  direction: 'purchase',
+  payment_method: 'stripe',
+  currency: 'USD',
+  platform: 'web',
+  meta: { channel: 'checkout' }
+});
+
+describe('TransactionRegistry - Audit History Tests', () => {
+  let mockDb;
+
+  beforeEach(() => {
+    mockDb = new PostgreSQLMock();
+    TransactionRegistry._db = mockDb;
+    Logger.reset();
+    ErrorHandler.reset();
+  });
+
+  test('1. Create appends a "created" event with actor and request id', async () => {
+    const created = await TransactionRegistry.createTransaction(baseTxn(), {
+      actor: 'ops_jane',
+      requestId: 'req-123'
+    });
+
+    const events = mockDb.getAllData('transaction_events');
+    expect(events.length).toBe(1);
+    expect(events[0]).toMatchObject({
+      transaction_id: created.transaction_id,
+      event_type: 'created',
+      actor: 'ops_jane',
+      request_id: 'req-123'
+    });
+    const diff = JSON.parse(events[0].diff);
+    expect(diff.amount).toEqual({ before: null, after: 1500 });
+    expect(diff.meta).toEqual({ before: null, after: { channel: 'checkout' } });
+  });
+
+  test('2. Update records only the changed fields', async () => {
+    const created = await TransactionRegistry.createTransaction(baseTxn());
+    await TransactionRegistry.updateTransaction(
+      created.transaction_id,
+      { status: 'completed', refund_reason: 'n/a' },
+      { actor: 'ops_jane' }
+    );
+
+    const { events } = await TransactionRegistry.getTransactionHistory(created.transaction_id);
+    expect(events.map((e) => e.event_type)).toEqual(['created', 'updated']);
+    expect(events[1].diff).toEqual({
+      status: { before: 'pending', after: 'completed' },
+      refund_reason: { before: null, after: 'n/a' }
+    });
+    expect(events[1].actor).toBe('ops_jane');
+  });
+
+  test('3. Soft delete appends a "deleted" event and keeps the history readable', async () => {
+    const created = await TransactionRegistry.createTransaction(baseTxn());
+    await TransactionRegistry.deleteTransaction(created.transaction_id, { actor: 'admin_1' });
+
+    const history = await TransactionRegistry.getTransactionHistory(created.transaction_id);
+    expect(history.events.map((e) => e.event_type)).toEqual(['created', 'deleted']);
+    expect(history.events[1].diff.is_deleted).toEqual({ before: false, after: true });
+    expect(history.state.is_deleted).toBe(true);
+  });
+
+  test('4. Deleting an already deleted row records nothing', async () => {
+    const created = await TransactionRegistry.createTransaction(baseTxn());
+    await TransactionRegistry.deleteTransaction(created.transaction_id);
+    await TransactionRegistry.deleteTransaction(created.transaction_id);
+
+    expect(mockDb.getAllData('transaction_events').length).toBe(2);
+  });
+
+  test('5. Missing actor defaults to "system"', async () => {
+    await TransactionRegistry.createTransaction(baseTxn());
+
+    const [event] = mockDb.getAllData('transaction_events');
+    expect(event.actor).toBe('system');
+    expect(event.request_id).toBeNull();
+  });
+
+  test('6. A failed update leaves neither the change nor an event behind', async () => {
+    const created = await TransactionRegistry.createTransaction(baseTxn());
+    mockDb.data.transactions[0].status = 'refunded';
+
+    await expect(
+      TransactionRegistry.updateTransaction(created.transaction_id, { status: 'pending' })
+    ).rejects.toThrow();
+    expect(mockDb.getAllData('transaction_events').length).toBe(1);
+  });
+
+  test('7. Failing to append the event rolls back the insert', async () => {
+    const originalInsert = mockDb.insert.bind(mockDb);
+    mockDb.insert = async (schema, table, data) => {
+      if (table === 'transaction_events') throw new Error('audit table unavailable');
+      return originalInsert(schema, table, data);
+    };
+
+    await expect(TransactionRegistry.createTransaction(baseTxn())).rejects.toThrow(
+      'audit table unavailable'
+    );
+    expect(mockDb.getAllData('transactions').length).toBe(0);
+  });
+
+  test('8. asOf rebuilds the state at a point in time', async () => {
+    const created = await TransactionRegistry.createTransaction(baseTxn());
+    await TransactionRegistry.updateTransaction(created.transaction_id, { status: 'completed' });
+    // Pin the timeline so the cut-off is deterministic
+    mockDb.data.transaction_events[0].occurred_at = '2026-01-01 10:00:00';
+    mockDb.data.transaction_events[1].occurred_at = '2026-01-02 10:00:00';
+
+    const before = await TransactionRegistry.getTransactionHistory(created.transaction_id, {
+      asOf: '2026-01-01 12:00:00'
+    });
+    expect(before.events.length).toBe(1);
+    expect(before.state.status).toBe('pending');
+
+    const after = await TransactionRegistry.getTransactionHistory(created.transaction_id);
+    expect(after.state.status).toBe('completed');
+  });
+
+  test('9. Refunds record events for the child and the parent', async () => {
+    const created = await TransactionRegistry.createTransaction({ ...baseTxn(), status: 'completed' });
+    const { refund } = await TransactionRegistry.refundTransaction(
+      created.transaction_id,
+      { amount: 500 },
+      { actor: 'support_bob', requestId: 'req-refund' }
+    );
+
+    const events = mockDb.getAllData('transaction_events').slice(1);
+    expect(events.map((e) => [e.transaction_id, e.event_type])).toEqual([
+      [refund.transaction_id, 'created'],
+      [created.transaction_id, 'updated']
+    ]);
+    expect(events.every((e) => e.request_id === 'req-refund')).toBe(true);
+  });
+
+  test('10. Invalid asOf is rejected', async () => {
+    await expect(
+      TransactionRegistry.getTransactionHistory('txn_1', { asOf: 'yesterday-ish' })
+    ).rejects.toThrow('asOf must be a valid date');
+    expect(ErrorHandler.hasError('Invalid asOf')).toBe(true);
+  });
+});
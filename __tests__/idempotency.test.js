@@ -0,0 +1,160 @@
+/**
+ * Jest Tests for PaymentTransactionsRegistryStore - Idempotent CREATE
+ * createTransaction with a client-supplied idempotency key
+ */
+
+jest.mock('../PostgreSQL', () => {
+  return require('../__mocks__/PostgreSQL');
+});
+
+jest.mock('../Logger', () => {
+  return require('../__mocks__/Logger');
+});
+
+jest.mock('../ErrorHandler', () => {
+  return require('../__mocks__/ErrorHandler');
+});
+
+const TransactionRegistry = require('../PaymentTransactionsRegistryStore');
+const PostgreSQLMock = require('../__mocks__/PostgreSQL');
+const Logger = require('../Logger');
+const ErrorHandler = require('../ErrorHandler');
+
+const baseTxn = () => ({
+  order_id: 'order_idem_001',
+  amount: 2500,
+  order_type: 'product',
+  customer_uid: 'customer_idem',
+  status: 'completed',
+  direction: 'purchase',
+  payment_method: 'stripe',
+  currency: 'USD',
+  platform: 'web',
+  meta: { promo_code: 'SAVE20', channel: 'checkout' },
+  owners: ['owner_1'],
+  owner_allocations: [{ owner_uuid: 'owner_1', amount_cents: 2500 }],
+  products: [{ product_id: 'prod_1', price: 2500 }]
+});
+
+describe('TransactionRegistry - Idempotent CREATE Tests', () => {
+  let mockDb;
+
+  beforeEach(() => {
+    mockDb = new PostgreSQLMock();
+    TransactionRegistry._db = mockDb;
+    Logger.reset();
+    ErrorHandler.reset();
+  });
+
+  test('1. First call with a key inserts and is not flagged as a replay', async () => {
+    const result = await TransactionRegistry.createTransaction(baseTxn(), {
+      idempotencyKey: 'checkout-abc-123'
+    });
+
+    expect(result.transaction_id).toBeDefined();
+    expect(result.idempotency_replayed).toBe(false);
+    expect(result.idempotency_key).toBe('checkout-abc-123');
+
+    const dbData = mockDb.getAllData('transactions');
+    expect(dbData.length).toBe(1);
+    expect(dbData[0].idempotency_fingerprint).toMatch(/^[a-f0-9]{64}$/);
+  });
+
+  test('2. Replay with the same key and payload returns the original row', async () => {
+    const first = await TransactionRegistry.createTransaction(baseTxn(), {
+      idempotencyKey: 'checkout-abc-123'
+    });
+    const replay = await TransactionRegistry.createTransaction(baseTxn(), {
+      idempotencyKey: 'checkout-abc-123'
+    });
+
+    expect(replay.transaction_id).toBe(first.transaction_id);
+    expect(replay.idempotency_replayed).toBe(true);
+    expect(mockDb.getAllData('transactions').length).toBe(1);
+  });
+
+  test('3. Replay ignores meta key ordering when comparing payloads', async () => {
+    await TransactionRegistry.createTransaction(baseTxn(), {
+      idempotencyKey: 'checkout-order'
+    });
+    const reordered = {
+      ...baseTxn(),
+      meta: { channel: 'checkout', promo_code: 'SAVE20' }
+    };
+
+    const replay = await TransactionRegistry.createTransaction(reordered, {
+      idempotencyKey: 'checkout-order'
+    });
+
+    expect(replay.idempotency_replayed).toBe(true);
+    expect(mockDb.getAllData('transactions').length).toBe(1);
+  });
+
+  test('4. Replay with a different payload is rejected as a conflict', async () => {
+    await TransactionRegistry.createTransaction(baseTxn(), {
+      idempotencyKey: 'checkout-abc-123'
+    });
+
+    const changed = { ...baseTxn(), amount: 9999 };
+    await expect(
+      TransactionRegistry.createTransaction(changed, {
+        idempotencyKey: 'checkout-abc-123'
+      })
+    ).rejects.toMatchObject({ code: 'IDEMPOTENCY_CONFLICT' });
+
+    expect(mockDb.getAllData('transactions').length).toBe(1);
+    expect(ErrorHandler.hasError('idempotency key reused')).toBe(true);
+  });
+
+  test('5. Key can be supplied on the payload as idempotency_key', async () => {
+    const txn = { ...baseTxn(), idempotency_key: 'payload-key-1' };
+    const first = await TransactionRegistry.createTransaction(txn);
+    const replay = await TransactionRegistry.createTransaction(txn);
+
+    expect(replay.transaction_id).toBe(first.transaction_id);
+    expect(replay.idempotency_replayed).toBe(true);
+  });
+
+  test('6. Lost insert race resolves to the winning row', async () => {
+    const txn = baseTxn();
+    const first = await TransactionRegistry.createTransaction(txn, {
+      idempotencyKey: 'race-key'
+    });
+
+    // Simulate the lookup missing the row that a concurrent request inserted
+    const originalGetRow = mockDb.getRow.bind(mockDb);
+    let lookups = 0;
+    mockDb.getRow = async (schema, sql, params) => {
+      if (sql.includes('idempotency_key = $1') && lookups++ === 0) return null;
+      return originalGetRow(schema, sql, params);
+    };
+
+    const replay = await TransactionRegistry.createTransaction(txn, {
+      idempotencyKey: 'race-key'
+    });
+
+    expect(replay.transaction_id).toBe(first.transaction_id);
+    expect(replay.idempotency_replayed).toBe(true);
+    expect(mockDb.getAllData('transactions').length).toBe(1);
+  });
+
+  test('7. Invalid idempotency key is rejected before insert', async () => {
+    await expect(
+      TransactionRegistry.createTransaction(baseTxn(), {
+        idempotencyKey: 'bad key with spaces'
+      })
+    ).rejects.toThrow('idempotency key');
+
+    expect(mockDb.getAllData('transactions').length).toBe(0);
+    expect(ErrorHandler.hasError('invalid idempotency key')).toBe(true);
+  });
+
+  test('8. Without a key every call inserts a new row', async () => {
+    const first = await TransactionRegistry.createTransaction(baseTxn());
+    const second = await TransactionRegistry.createTransaction(baseTxn());
+
+    expect(first.transaction_id).not.toBe(second.transaction_id);
+    expect(first.idempotency_replayed).toBeUndefined();
+    expect(mockDb.getAllData('transactions').length).toBe(2);
+  });
+});
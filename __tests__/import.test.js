@@ -0,0 +1,216 @@
+/**
+ * Jest Tests for PaymentTransactionsRegistryStore - Import
+ * importTransactions() validating CSV / NDJSON streams and inserting them in batches
+ */
+
+jest.mock('../PostgreSQL', () => {
+  return require('../__mocks__/PostgreSQL');
+});
+
+jest.mock('../Logger', () => {
+  return require('../__mocks__/Logger');
+});
+
+jest.mock('../ErrorHandler', () => {
+  return require('../__mocks__/ErrorHandler');
+});
+
+const { Readable } = require('stream');
+const TransactionRegistry = require('../PaymentTransactionsRegistryStore');
+const TransactionImport = require('../TransactionImport');
+const PostgreSQLMock = require('../__mocks__/PostgreSQL');
+const Logger = require('../Logger');
+const ErrorHandler = require('../ErrorHandler');
+
+describe('TransactionRegistry - Import Tests', () => {
+  let mockDb;
+
+  const header = 'order_id,amount,order_type,customer_uid,status,direction,payment_method,currency,platform';
+  const csvRow = (orderId, amount = 1000) =>
+    `${orderId},${amount},product,cust_1,completed,purchase,stripe,USD,web`;
+
+  // Splits the text into small Buffer chunks so records cross chunk boundaries
+  const streamOf = (text, size = 7) => {
+    const buffer = Buffer.from(text, 'utf8');
+    const chunks = [];
+    for (let i = 0; i < buffer.length; i += size) chunks.push(buffer.subarray(i, i + size));
+    return Readable.from(chunks);
+  };
+
+  beforeEach(() => {
+    mockDb = new PostgreSQLMock();
+    TransactionRegistry._db = mockDb;
+    Logger.reset();
+    ErrorHandler.reset();
+  });
+
+  test('1. Valid CSV rows are inserted with a created event each', async () => {
+    const text = [header, csvRow('order_1'), csvRow('order_2', 2500)].join('\r\n') + '\r\n';
+
+    const result = await TransactionRegistry.importTransactions(streamOf(text));
+
+    expect(result).toMatchObject({ format: 'csv', dryRun: false, onConflict: 'skip', accepted: 2, skipped: 0, failed: 0 });
+    expect(result.lines).toEqual([
+      { line: 2, status: 'accepted', order_id: 'order_1', transaction_id: 'txn_1' },
+      { line: 3, status: 'accepted', order_id: 'order_2', transaction_id: 'txn_2' }
+    ]);
+    expect(mockDb.data.transactions.map((t) => t.amount)).toEqual([1000, 2500]);
+    expect(mockDb.data.transaction_events.map((e) => e.event_type)).toEqual(['created', 'created']);
+  });
+
+  test('2. Invalid rows are reported with their ErrorHandler messages and do not stop the import', async () => {
+    const text = [
+      header,
+      csvRow('order_1'),
+      'order_2,12.50,product,cust_1,completed,purchase,stripe,USD,web',
+      ',1000,product,cust_1,completed,purchase,stripe,USD,web',
+      'order_4,1000,product',
+      csvRow('order_5')
+    ].join('\n');
+
+    const result = await TransactionRegistry.importTransactions(streamOf(text));
+
+    expect(result).toMatchObject({ accepted: 2, failed: 3 });
+    const byLine = Object.fromEntries(result.lines.map((entry) => [entry.line, entry]));
+    expect(byLine[3].errors).toEqual([
+      { message: 'createTransaction(): amount must be an integer in minor units', field: 'amount' }
+    ]);
+    expect(byLine[4].errors).toEqual([
+      { message: 'createTransaction(): Missing required field "order_id"', field: 'order_id' }
+    ]);
+    expect(byLine[5].errors[0].message).toContain('line 5: expected 9 fields, found 3');
+    expect(mockDb.data.transactions.map((t) => t.order_id)).toEqual(['order_1', 'order_5']);
+  });
+
+  test('3. JSONB paths and quoted multi-line cells round-trip from an export', async () => {
+    const text =
+      'order_id,amount,order_type,customer_uid,status,direction,payment_method,currency,platform,' +
+      'owners,owner_allocations.owner_uuid,owner_allocations.amount_cents,products.sku,meta.note,transaction_id\n' +
+      'order_1,2500,product,cust_1,completed,purchase,stripe,USD,web,' +
+      'owner_a|owner_b,owner_a|owner_b,2000|500,SKU-1|SKU-2,"gift,\n""wrapped""",txn_999\n' +
+      csvRow('order_2') + ',,,,,,\n';
+
+    const result = await TransactionRegistry.importTransactions(streamOf(text, 5));
+
+    expect(result.lines.map((entry) => [entry.line, entry.status])).toEqual([[2, 'accepted'], [4, 'accepted']]);
+    const stored = await TransactionRegistry.getTransaction(result.lines[0].transaction_id);
+    expect(stored.transaction_id).not.toBe('txn_999');
+    expect(stored.owners).toEqual(['owner_a', 'owner_b']);
+    expect(stored.owner_allocations).toEqual([
+      expect.objectContaining({ owner_uuid: 'owner_a', amount_cents: 2000 }),
+      expect.objectContaining({ owner_uuid: 'owner_b', amount_cents: 500 })
+    ]);
+    expect(stored.products).toEqual([{ sku: 'SKU-1' }, { sku: 'SKU-2' }]);
+    expect(stored.meta).toEqual({ note: 'gift,\n"wrapped"' });
+  });
+
+  test('4. NDJSON records are imported, bad JSON is reported per line', async () => {
+    const record = {
+      order_id: 'order_1', amount: 1500, order_type: 'product', customer_uid: 'cust_1', status: 'pending',
+      direction: 'purchase', payment_method: 'paypal', currency: 'eur', platform: 'ios', meta: { source: 'import' }
+    };
+    const text = `${JSON.stringify(record)}\n\n{"order_id": \n["not", "an", "object"]\n`;
+
+    const result = await TransactionRegistry.importTransactions(streamOf(text), { format: 'NDJSON' });
+
+    expect(result).toMatchObject({ format: 'ndjson', accepted: 1, failed: 2 });
+    expect(result.lines.map((entry) => entry.line)).toEqual([1, 3, 4]);
+    expect(result.lines[2].errors[0].message).toContain('record must be a JSON object');
+    expect(mockDb.data.transactions[0]).toMatchObject({ currency: 'EUR', amount: 1500 });
+  });
+
+  test('5. Dry runs validate and check conflicts without writing', async () => {
+    const text = [header, csvRow('order_1'), csvRow('order_2', 'abc')].join('\n');
+
+    const result = await TransactionRegistry.importTransactions(streamOf(text), { dryRun: 'true' });
+
+    expect(result).toMatchObject({ dryRun: true, accepted: 1, failed: 1 });
+    expect(result.lines[0]).toEqual({ line: 2, status: 'accepted', order_id: 'order_1' });
+    expect(mockDb.data.transactions).toHaveLength(0);
+    expect(mockDb.data.transaction_events).toHaveLength(0);
+  });
+
+  test('6. Known idempotency keys are skipped by default and failed with onConflict=error', async () => {
+    await TransactionRegistry.createTransaction(
+      {
+        order_id: 'order_0', amount: 1000, order_type: 'product', customer_uid: 'cust_1', status: 'completed',
+        direction: 'purchase', payment_method: 'stripe', currency: 'USD', platform: 'web'
+      },
+      { idempotencyKey: 'key-0' }
+    );
+    const text = [
+      `${header},idempotency_key`,
+      `${csvRow('order_0')},key-0`,
+      `${csvRow('order_1')},key-1`,
+      `${csvRow('order_1')},key-1`
+    ].join('\n');
+
+    const skipped = await TransactionRegistry.importTransactions(streamOf(text));
+    expect(skipped).toMatchObject({ accepted: 1, skipped: 2, failed: 0 });
+    expect(skipped.lines[0]).toMatchObject({ status: 'skipped', reason: 'idempotency_key is already used' });
+    expect(skipped.lines[2]).toMatchObject({ status: 'skipped', reason: 'idempotency_key repeats line 3' });
+
+    const failed = await TransactionRegistry.importTransactions(streamOf(text), { onConflict: 'error' });
+    expect(failed).toMatchObject({ accepted: 0, skipped: 0, failed: 3 });
+    expect(failed.lines[0].errors).toEqual([
+      { message: 'importTransactions(): idempotency_key is already used', field: 'idempotency_key' }
+    ]);
+    expect(mockDb.data.transactions).toHaveLength(2);
+  });
+
+  test('7. Each batch is its own DB transaction and a failed batch fails only its rows', async () => {
+    const transactionSpy = jest.spyOn(mockDb, 'transaction');
+    const insert = mockDb.insert.bind(mockDb);
+    jest.spyOn(mockDb, 'insert').mockImplementation(async (schema, table, data) => {
+      if (table === 'transactions' && data.order_id === 'order_3') throw new Error('disk full');
+      return insert(schema, table, data);
+    });
+    const text = [header, csvRow('order_1'), csvRow('order_2'), csvRow('order_3'), csvRow('order_4'), csvRow('order_5')].join('\n');
+
+    const result = await TransactionRegistry.importTransactions(streamOf(text), { batchSize: 2 });
+
+    expect(transactionSpy).toHaveBeenCalledTimes(3);
+    expect(result.lines.map((entry) => entry.status)).toEqual(['accepted', 'accepted', 'failed', 'failed', 'accepted']);
+    expect(result.lines[3].errors[0].message).toBe('importTransactions(): Batch insert failed: disk full');
+    expect(mockDb.data.transactions.map((t) => t.order_id)).toEqual(['order_1', 'order_2', 'order_5']);
+  });
+
+  test('8. Imports are audited with their counts and actor', async () => {
+    const text = [header, csvRow('order_1'), csvRow('order_2', 'x')].join('\n');
+
+    await TransactionRegistry.importTransactions(text, { actor: 'ops@example.com', requestId: 'req-7' });
+
+    const entry = Logger.getLogs().find((log) => log.action === 'transactionsImported');
+    expect(entry.message).toBe('Transactions imported');
+    expect(entry.data).toMatchObject({
+      format: 'csv', dry_run: false, accepted: 1, skipped: 0, failed: 1, actor: 'ops@example.com', request_id: 'req-7'
+    });
+  });
+
+  test('9. Bad options and unknown header columns reject the whole import', async () => {
+    await expect(TransactionRegistry.importTransactions('', { format: 'xlsx' })).rejects.toThrow(
+      'format must be one of csv, ndjson'
+    );
+    await expect(TransactionRegistry.importTransactions('', { batchSize: 5000 })).rejects.toThrow(
+      'batchSize must be an integer between 1 and 1000'
+    );
+    await expect(TransactionRegistry.importTransactions('', { onConflict: 'overwrite' })).rejects.toThrow(
+      'onConflict must be one of skip, error'
+    );
+    await expect(TransactionRegistry.importTransactions(`${header},password\n`)).rejects.toThrow(
+      'unsupported import column "password"'
+    );
+    await expect(TransactionRegistry.importTransactions(42)).rejects.toThrow('source must be a readable stream');
+
+    expect(ErrorHandler.getErrors().map((e) => e.details.field)).toEqual(
+      expect.arrayContaining(['format', 'batchSize', 'onConflict'])
+    );
+    expect(ErrorHandler.hasError('Failed to import transactions')).toBe(true);
+  });
+
+  test('10. parseCsvLine handles quotes and rejects stray ones', () => {
+    expect(TransactionImport.parseCsvLine('a,"b,c","d ""e""",')).toEqual(['a', 'b,c', 'd "e"', '']);
+    expect(() => TransactionImport.parseCsvLine('a,b"c')).toThrow('unexpected character after field 2');
+    expect(() => TransactionImport.parseCsvLine('"a')).toThrow('unterminated quoted field');
+  });
+});
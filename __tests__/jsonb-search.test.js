@@ -0,0 +1,119 @@
+/**
+ * Jest Tests for PaymentTransactionsRegistryStore - JSONB search
+ * query() filters on allow-listed meta / products paths
+ */
+
+jest.mock('../PostgreSQL', () => {
+  return require('../__mocks__/PostgreSQL');
+});
+
+jest.mock('../Logger', () => {
+  return require('../__mocks__/Logger');
+});
+
+jest.mock('../ErrorHandler', () => {
+  return require('../__mocks__/ErrorHandler');
+});
+
+const TransactionRegistry = require('../PaymentTransactionsRegistryStore');
+const PostgreSQLMock = require('../__mocks__/PostgreSQL');
+const Logger = require('../Logger');
+const ErrorHandler = require('../ErrorHandler');
+
+describe('TransactionRegistry - JSONB Search Tests', () => {
+  let mockDb;
+
+  const baseTxn = (overrides = {}) => ({
+    order_id: 'order_jsonb',
+    amount: 1000,
+    order_type: 'product',
+    customer_uid: 'customer_jsonb',
+    status: 'completed',
+    direction: 'purchase',
+    payment_method: 'stripe',
+    currency: 'USD',
+    platform: 'web',
+    ...overrides
+  });
+
+  const ids = (result) => result.rows.map((row) => row.order_id).sort();
+
+  beforeEach(async () => {
+    mockDb = new PostgreSQLMock();
+    TransactionRegistry._db = mockDb;
+    Logger.reset();
+    ErrorHandler.reset();
+
+    await TransactionRegistry.createTransaction(baseTxn({
+      order_id: 'order_a',
+      meta: { promo_code: 'SAVE20', subscription_id: 'sub_1' },
+      products: [{ sku: 'SKU-1', product_id: 'prod_1' }, { sku: 'SKU-2', product_id: 'prod_2' }]
+    }));
+    await TransactionRegistry.createTransaction(baseTxn({
+      order_id: 'order_b',
+      meta: { promo_code: 'WELCOME', subscription_id: 'sub_2' },
+      products: [{ sku: 'SKU-2', product_id: 'prod_2' }]
+    }));
+    await TransactionRegistry.createTransaction(baseTxn({
+      order_id: 'order_c',
+      products: [{ sku: 'SKU-3', product_id: 'prod_3' }]
+    }));
+  });
+
+  test('1. meta.promo_code matches exactly', async () => {
+    expect(ids(await TransactionRegistry.query({ 'meta.promo_code': 'SAVE20' }))).toEqual(['order_a']);
+    expect(ids(await TransactionRegistry.query({ 'meta.promo_code': 'save20' }))).toEqual([]);
+  });
+
+  test('2. meta.subscription_id finds the subscription payments', async () => {
+    const result = await TransactionRegistry.query({ 'meta.subscription_id': 'sub_2' });
+    expect(ids(result)).toEqual(['order_b']);
+    expect(result.total).toBe(1);
+  });
+
+  test('3. products.sku matches any product in the list', async () => {
+    expect(ids(await TransactionRegistry.query({ 'products.sku': 'SKU-2' }))).toEqual(['order_a', 'order_b']);
+    expect(ids(await TransactionRegistry.query({ 'products.product_id': 'prod_3' }))).toEqual(['order_c']);
+  });
+
+  test('4. Nested filter objects are accepted and combine with other filters', async () => {
+    const result = await TransactionRegistry.query({
+      meta: { promo_code: 'WELCOME' },
+      products: { sku: 'SKU-2' },
+      customer_uid: 'customer_jsonb'
+    });
+    expect(ids(result)).toEqual(['order_b']);
+  });
+
+  test('5. Searches compile to parameterised containment', async () => {
+    const querySpy = jest.spyOn(mockDb, 'query');
+
+    await TransactionRegistry.query({ 'meta.promo_code': 'SAVE20', 'products.sku': 'SKU-1' });
+
+    const [, sql, params] = querySpy.mock.calls[0];
+    expect(sql).toContain('meta @> $1');
+    expect(sql).toContain('products @> $2');
+    expect(params.slice(0, 2)).toEqual(['{"promo_code":"SAVE20"}', '[{"sku":"SKU-1"}]']);
+  });
+
+  test('6. Paths outside the allow-list are rejected', async () => {
+    await expect(TransactionRegistry.query({ 'meta.card_number': '4242' })).rejects.toThrow(
+      'is not a searchable path'
+    );
+    await expect(TransactionRegistry.query({ meta: { internal_notes: 'x' } })).rejects.toThrow(
+      'is not a searchable path'
+    );
+    expect(ErrorHandler.getErrors().map((e) => e.details.field)).toEqual(
+      expect.arrayContaining(['meta.card_number', 'meta.internal_notes'])
+    );
+  });
+
+  test('7. Search values must be short strings', async () => {
+    await expect(
+      TransactionRegistry.query({ 'meta.promo_code': 'x'.repeat(300) })
+    ).rejects.toThrow('meta.promo_code must be a string of at most 255 characters');
+    await expect(
+      TransactionRegistry.query({ 'products.sku': { $ne: null } })
+    ).rejects.toThrow('products.sku must be a string');
+  });
+});
@@ -0,0 +1,242 @@
+/**
+ * Jest Tests for PaymentTransactionsRegistryStore - Owner ledger
+ * getOwnerBalance / getOwnerStatement / createPayout over owner_allocations,
+ * balances summed in SQL and statements paged by cursor
+ */
+
+jest.mock('../PostgreSQL', () => {
+  return require('../__mocks__/PostgreSQL');
+});
+
+jest.mock('../Logger', () => {
+  return require('../__mocks__/Logger');
+});
+
+jest.mock('../ErrorHandler', () => {
+  return require('../__mocks__/ErrorHandler');
+});
+
+const TransactionRegistry = require('../PaymentTransactionsRegistryStore');
+const OwnerLedger = require('../OwnerLedger');
+const PostgreSQLMock = require('../__mocks__/PostgreSQL');
+const Logger = require('../Logger');
+const ErrorHandler = require('../ErrorHandler');
+
+describe('TransactionRegistry - Owner Ledger Tests', () => {
+  let mockDb;
+
+  const seed = (transaction_id, direction, status, created_at, allocations, overrides = {}) => {
+    mockDb.data.transactions.push({
+      transaction_id,
+      order_id: `order-${transaction_id}`,
+      amount: allocations.reduce((sum, a) => sum + a.amount_cents, 0),
+      status,
+      direction,
+      currency: 'USD',
+      owners: JSON.stringify(allocations.map((a) => a.owner_uuid)),
+      owner_allocations: JSON.stringify(allocations),
+      is_deleted: false,
+      created_at,
+      ...overrides
+    });
+  };
+
+  const seedHistory = () => {
+    seed('t1', 'purchase', 'completed', '2026-01-05 10:00:00', [
+      { owner_uuid: 'owner_a', amount_cents: 7000 },
+      { owner_uuid: 'owner_b', amount_cents: 2000 }
+    ]);
+    seed('t2', 'purchase', 'partially_refunded', '2026-01-10 10:00:00', [
+      { owner_uuid: 'owner_a', amount_cents: 5000 }
+    ]);
+    seed('t3', 'refund', 'completed', '2026-01-12 10:00:00', [
+      { owner_uuid: 'owner_a', amount_cents: 1000 }
+    ], { parent_transaction_id: 't2' });
+    seed('t4', 'chargeback', 'completed', '2026-02-01 10:00:00', [
+      { owner_uuid: 'owner_a', amount_cents: 500 }
+    ]);
+    seed('t5', 'payout', 'completed', '2026-02-15 10:00:00', [
+      { owner_uuid: 'owner_a', amount_cents: 3000 }
+    ]);
+  };
+
+  beforeEach(() => {
+    mockDb = new PostgreSQLMock();
+    TransactionRegistry._db = mockDb;
+    Logger.reset();
+    ErrorHandler.reset();
+  });
+
+  test('1. Balance nets purchases against refunds, chargebacks and payouts', async () => {
+    seedHistory();
+
+    const result = await TransactionRegistry.getOwnerBalance('owner_a');
+
+    expect(result.owner_uuid).toBe('owner_a');
+    expect(result.balances.USD).toEqual({
+      earned: 12000,
+      refunded: 1000,
+      charged_back: 500,
+      paid_out: 3000,
+      balance: 7500
+    });
+  });
+
+  test('2. Only the owner share of each transaction counts', async () => {
+    seedHistory();
+
+    const result = await TransactionRegistry.getOwnerBalance('owner_b');
+    expect(result.balances.USD.balance).toBe(2000);
+  });
+
+  test('3. asOf limits the balance to transactions created up to that moment', async () => {
+    seedHistory();
+
+    const result = await TransactionRegistry.getOwnerBalance('owner_a', {
+      asOf: '2026-01-31 23:59:59'
+    });
+    expect(result.as_of).toBe('2026-01-31 23:59:59');
+    expect(result.balances.USD.balance).toBe(11000);
+  });
+
+  test('4. Statuses that move no money are ignored and currencies are kept apart', async () => {
+    seedHistory();
+    seed('t6', 'purchase', 'pending', '2026-03-01 10:00:00', [
+      { owner_uuid: 'owner_a', amount_cents: 9999 }
+    ]);
+    seed('t7', 'payout', 'failed', '2026-03-02 10:00:00', [
+      { owner_uuid: 'owner_a', amount_cents: 7500 }
+    ]);
+    seed('t8', 'purchase', 'completed', '2026-03-03 10:00:00', [
+      { owner_uuid: 'owner_a', amount_cents: 400 }
+    ], { currency: 'JPY' });
+
+    const result = await TransactionRegistry.getOwnerBalance('owner_a');
+    expect(result.balances.USD.balance).toBe(7500);
+    expect(result.balances.JPY.balance).toBe(400);
+  });
+
+  test('5. Statement folds earlier entries into the opening balance', async () => {
+    seedHistory();
+
+    const statement = await TransactionRegistry.getOwnerStatement('owner_a', {
+      from: '2026-02-01 00:00:00',
+      to: '2026-02-28 23:59:59'
+    });
+
+    expect(statement.opening_balances).toEqual({ USD: 11000 });
+    expect(statement.entries.map((e) => [e.transaction_id, e.amount, e.running_balance])).toEqual([
+      ['t4', -500, 10500],
+      ['t5', -3000, 7500]
+    ]);
+    expect(statement.closing_balances.USD.balance).toBe(7500);
+  });
+
+  test('6. Statement exports as CSV line items', async () => {
+    seedHistory();
+
+    const statement = await TransactionRegistry.getOwnerStatement('owner_a');
+    const lines = OwnerLedger.toCsv(statement.entries).trim().split('\n');
+
+    expect(lines[0]).toBe(OwnerLedger.STATEMENT_COLUMNS.join(','));
+    expect(lines).toHaveLength(6);
+    expect(lines[3]).toBe('2026-01-12 10:00:00,t3,refund,completed,order-t3,t2,USD,-1000,11000');
+  });
+
+  test('7. Payout defaults to the available balance and settles it', async () => {
+    seedHistory();
+
+    const { payout, balance } = await TransactionRegistry.createPayout('owner_a', {
+      currency: 'usd'
+    }, { actor: 'finance_bot' });
+
+    expect(payout.direction).toBe('payout');
+    expect(payout.status).toBe('pending');
+    expect(payout.amount).toBe(7500);
+    expect(payout.owner_allocations).toEqual([{ owner_uuid: 'owner_a', amount_cents: 7500 }]);
+    expect(balance).toEqual({ currency: 'USD', available_before: 7500, available_after: 0 });
+
+    const after = await TransactionRegistry.getOwnerBalance('owner_a');
+    expect(after.balances.USD.balance).toBe(0);
+
+    const log = Logger.getLogs().find((entry) => entry.action === 'ownerPayout');
+    expect(log.data.actor).toBe('finance_bot');
+    expect(mockDb.data.transaction_events.some((e) => e.transaction_id === payout.transaction_id)).toBe(true);
+  });
+
+  test('8. Payout above the available balance is rejected', async () => {
+    seedHistory();
+
+    await expect(
+      TransactionRegistry.createPayout('owner_a', { currency: 'USD', amount: 7501 })
+    ).rejects.toMatchObject({ code: 'PAYOUT_EXCEEDS_BALANCE' });
+    await expect(
+      TransactionRegistry.createPayout('owner_c', { currency: 'USD' })
+    ).rejects.toMatchObject({ code: 'PAYOUT_EXCEEDS_BALANCE' });
+
+    expect(mockDb.getAllData('transactions').filter((t) => t.direction === 'payout')).toHaveLength(1);
+    expect(ErrorHandler.hasError('payout exceeds owner balance')).toBe(true);
+  });
+
+  test('9. Payout input is validated', async () => {
+    await expect(
+      TransactionRegistry.createPayout('owner_a', { currency: 'ZZZ', amount: 100 })
+    ).rejects.toThrow('is not supported');
+    await expect(
+      TransactionRegistry.createPayout('owner_a', { currency: 'USD', amount: 0 })
+    ).rejects.toThrow('amount must be greater than 0');
+    await expect(
+      TransactionRegistry.createPayout('', { currency: 'USD' })
+    ).rejects.toThrow('owner_uuid is required');
+  });
+
+  test('10. Balances are summed in SQL rather than loaded row by row', async () => {
+    seedHistory();
+    const query = jest.spyOn(mockDb, 'query');
+
+    await TransactionRegistry.getOwnerBalance('owner_a');
+    await TransactionRegistry.createPayout('owner_a', { currency: 'USD', amount: 100 });
+
+    const ledgerSql = query.mock.calls
+      .map(([, sql]) => sql)
+      .filter((sql) => sql.includes('owner_allocations @>'));
+    expect(ledgerSql.length).toBeGreaterThan(0);
+    for (const sql of ledgerSql) {
+      expect(sql).toContain('AS allocated_sum');
+      expect(sql).toContain('GROUP BY currency, direction, status');
+    }
+    query.mockRestore();
+  });
+
+  test('11. Statement pages by cursor and carries the running balance across pages', async () => {
+    seedHistory();
+
+    const first = await TransactionRegistry.getOwnerStatement('owner_a', { limit: 2 });
+    expect(first.entries.map((e) => [e.transaction_id, e.running_balance])).toEqual([
+      ['t1', 7000],
+      ['t2', 12000]
+    ]);
+    expect(typeof first.next_cursor).toBe('string');
+    expect(first.closing_balances.USD).toEqual({
+      earned: 12000, refunded: 1000, charged_back: 500, paid_out: 3000, balance: 7500
+    });
+
+    const second = await TransactionRegistry.getOwnerStatement('owner_a', { limit: 2, cursor: first.next_cursor });
+    expect(second.entries.map((e) => [e.transaction_id, e.running_balance])).toEqual([
+      ['t3', 11000],
+      ['t4', 10500]
+    ]);
+    expect(second.closing_balances).toEqual(first.closing_balances);
+
+    const last = await TransactionRegistry.getOwnerStatement('owner_a', { limit: 2, cursor: second.next_cursor });
+    expect(last.entries.map((e) => [e.transaction_id, e.running_balance])).toEqual([['t5', 7500]]);
+    expect(last.next_cursor).toBeNull();
+
+    await expect(
+      TransactionRegistry.getOwnerStatement('owner_a', { cursor: 'not-a-cursor' })
+    ).rejects.toMatchObject({ field: 'cursor' });
+    await expect(
+      TransactionRegistry.getOwnerStatement('owner_a', { limit: TransactionRegistry.OWNER_STATEMENT_MAX_LIMIT + 1 })
+    ).rejects.toMatchObject({ field: 'limit' });
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * Jest Tests for PaymentTransactionsRegistryStore - Keyset pagination
+ * query() cursors over (created_at, transaction_id)
+ */
+
+jest.mock('../PostgreSQL', () => {
+  return require('../__mocks__/PostgreSQL');
+});
+
+jest.mock('../Logger', () => {
+  return require('../__mocks__/Logger');
+});
+
+jest.mock('../ErrorHandler', () => {
+  return require('../__mocks__/ErrorHandler');
+});
+
+const TransactionRegistry = require('../PaymentTransactionsRegistryStore');
+const PostgreSQLMock = require('../__mocks__/PostgreSQL');
+const Logger = require('../Logger');
+const ErrorHandler = require('../ErrorHandler');
+
+describe('TransactionRegistry - Cursor Pagination Tests', () => {
+  let mockDb;
+
+  const seed = (count) => {
+    for (let i = 1; i <= count; i += 1) {
+      mockDb.data.transactions.push({
+        transaction_id: `txn_${i}`,
+        order_id: `order_${i}`,
+        amount: 1000,
+        customer_uid: i % 2 === 0 ? 'customer_even' : 'customer_odd',
+        status: 'completed',
+        direction: 'purchase',
+        is_deleted: false,
+        // Pairs of rows share a timestamp so the transaction_id tiebreaker matters
+        created_at: `2026-03-0${Math.ceil(i / 2)} 10:00:00`
+      });
+    }
+  };
+
+  const ids = (rows) => rows.map((row) => row.transaction_id);
+
+  beforeEach(() => {
+    mockDb = new PostgreSQLMock();
+    TransactionRegistry._db = mockDb;
+    Logger.reset();
+    ErrorHandler.reset();
+  });
+
+  test('1. Offset page returns total and a cursor for the next page', async () => {
+    seed(5);
+
+    const page = await TransactionRegistry.query({}, { limit: 2 });
+
+    expect(ids(page.rows)).toEqual(['txn_5', 'txn_4']);
+    expect(page.total).toBe(5);
+    expect(typeof page.nextCursor).toBe('string');
+  });
+
+  test('2. Following cursors walks every row exactly once', async () => {
+    seed(7);
+
+    const seen = [];
+    let cursor = null;
+    for (let guard = 0; guard < 10; guard += 1) {
+      const page = await TransactionRegistry.query({}, { limit: 3, cursor });
+      seen.push(...ids(page.rows));
+      cursor = page.nextCursor;
+      if (!cursor) break;
+    }
+
+    expect(seen).toEqual(['txn_7', 'txn_6', 'txn_5', 'txn_4', 'txn_3', 'txn_2', 'txn_1']);
+  });
+
+  test('3. Rows inserted after the first page do not shift later pages', async () => {
+    seed(4);
+    const first = await TransactionRegistry.query({}, { limit: 2 });
+
+    mockDb.data.transactions.push({
+      transaction_id: 'txn_99',
+      status: 'completed',
+      is_deleted: false,
+      created_at: '2026-03-09 10:00:00'
+    });
+    const second = await TransactionRegistry.query({}, { limit: 2, cursor: first.nextCursor });
+
+    expect(ids(second.rows)).toEqual(['txn_2', 'txn_1']);
+    expect(second.nextCursor).toBeNull();
+  });
+
+  test('4. Cursor pages skip COUNT(*) unless includeTotal is set', async () => {
+    seed(4);
+    const first = await TransactionRegistry.query({}, { limit: 2 });
+    const getRowSpy = jest.spyOn(mockDb, 'getRow');
+
+    const withoutTotal = await TransactionRegistry.query({}, { limit: 2, cursor: first.nextCursor });
+    expect(withoutTotal.total).toBeNull();
+    expect(getRowSpy).not.toHaveBeenCalled();
+
+    const withTotal = await TransactionRegistry.query(
+      {},
+      { limit: 2, cursor: first.nextCursor, includeTotal: true }
+    );
+    expect(withTotal.total).toBe(4);
+  });
+
+  test('5. Offset paging can opt out of the total', async () => {
+    seed(3);
+
+    const page = await TransactionRegistry.query({}, { limit: 5, includeTotal: 'false' });
+    expect(page.total).toBeNull();
+    expect(page.rows).toHaveLength(3);
+    expect(page.nextCursor).toBeNull();
+  });
+
+  test('6. Cursors combine with filters', async () => {
+    seed(6);
+
+    const first = await TransactionRegistry.query({ customer_uid: 'customer_even' }, { limit: 2 });
+    const second = await TransactionRegistry.query(
+      { customer_uid: 'customer_even' },
+      { limit: 2, cursor: first.nextCursor }
+    );
+
+    expect(ids(first.rows)).toEqual(['txn_6', 'txn_4']);
+    expect(ids(second.rows)).toEqual(['txn_2']);
+  });
+
+  test('7. Malformed cursors are rejected', async () => {
+    await expect(
+      TransactionRegistry.query({}, { cursor: 'not-a-cursor' })
+    ).rejects.toThrow('Invalid cursor');
+
+    const forged = Buffer.from(JSON.stringify({ v: 1, k: ['yesterday', 'txn_1'] })).toString('base64url');
+    await expect(TransactionRegistry.query({}, { cursor: forged })).rejects.toThrow('Invalid cursor');
+    expect(ErrorHandler.getErrors().some((e) => e.details.field === 'cursor')).toBe(true);
+  });
+
+  test('8. Page SQL uses a keyset bound instead of OFFSET', async () => {
+    seed(3);
+    const first = await TransactionRegistry.query({}, { limit: 1 });
+    const querySpy = jest.spyOn(mockDb, 'query');
+
+    await TransactionRegistry.query({}, { limit: 1, cursor: first.nextCursor });
+
+    const [, sql, params] = querySpy.mock.calls[0];
+    expect(sql).toContain(
+      '(((created_at < $1 OR created_at IS NULL)) OR (created_at = $1 AND transaction_id < $2))'
+    );
+    expect(sql).toContain('ORDER BY created_at DESC NULLS LAST, transaction_id DESC');
+    expect(sql).not.toContain('OFFSET');
+    expect(params).toEqual(['2026-03-02 10:00:00', 'txn_3', 2]);
+  });
+});
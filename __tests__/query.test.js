@@ -98,7 +98,6 @@ describe('TransactionRegistry - QUERY Tests', () => {
         payment_method: 'stripe',
         currency: 'USD',
         platform: 'web',
-        refund_amount: 2000,
         refund_reason: 'Customer request',
         owners: ['owner_1'],
         owner_allocations: [{ owner_uuid: 'owner_1', amount_cents: 2000 }],
@@ -181,17 +180,12 @@ describe('TransactionRegistry - QUERY Tests', () => {
 
   // Test 37: Query by direction
   test('37. Query by direction', async () => {
-    // Note: direction filter is not currently supported in query method
-    // This test documents actual behavior - returns all results
     const result = await TransactionRegistry.query({ direction: 'refund' });
 
     expect(result.rows).toBeDefined();
-    // Direction filter not implemented, so returns all transactions
-    expect(result.rows.length).toBe(5);
-    
-    // Find the refund transaction manually
-    const refundTxn = result.rows.find(t => t.direction === 'refund');
-    expect(refundTxn).toBeDefined();
+    expect(result.rows.length).toBe(1);
+
+    const refundTxn = result.rows[0];
     expect(refundTxn.direction).toBe('refund');
     expect(refundTxn.refund_reason).toBe('Customer request');
   });
@@ -0,0 +1,242 @@
+/**
+ * Jest Tests for PaymentTransactionsRegistryStore - REFUND Operations
+ * refundTransaction creates linked refund children
+ */
+
+jest.mock('../PostgreSQL', () => {
+  return require('../__mocks__/PostgreSQL');
+});
+
+jest.mock('../Logger', () => {
+  return require('../__mocks__/Logger');
+});
+
+jest.mock('../ErrorHandler', () => {
+  return require('../__mocks__/ErrorHandler');
+});
+
+const TransactionRegistry = require('../PaymentTransactionsRegistryStore');
+const { InvalidTransitionError, ValidationError } = require('../TransactionErrors');
+const PostgreSQLMock = require('../__mocks__/PostgreSQL');
+const Logger = require('../Logger');
+const ErrorHandler = require('../ErrorHandler');
+
+describe('TransactionRegistry - REFUND Tests', () => {
+  let mockDb;
+
+  const seedPurchase = (overrides = {}) => {
+    const row = {
+      transaction_id: 'txn-parent',
+      order_id: 'order-parent',
+      amount: 10000,
+      order_type: 'marketplace',
+      customer_uid: 'customer_1',
+      status: 'completed',
+      direction: 'purchase',
+      payment_method: 'stripe',
+      currency: 'USD',
+      platform: 'web',
+      owners: JSON.stringify(['owner_a', 'owner_b', 'owner_c']),
+      owner_allocations: JSON.stringify([
+        { owner_uuid: 'owner_a', amount_cents: 3334 },
+        { owner_uuid: 'owner_b', amount_cents: 3333 },
+        { owner_uuid: 'owner_c', amount_cents: 3333 }
+      ]),
+      products: JSON.stringify([]),
+      is_deleted: false,
+      ...overrides
+    };
+    mockDb.data.transactions.push(row);
+    return row;
+  };
+
+  beforeEach(() => {
+    mockDb = new PostgreSQLMock();
+    TransactionRegistry._db = mockDb;
+    Logger.reset();
+    ErrorHandler.reset();
+  });
+
+  test('1. Partial refund inserts a refund child and marks parent partially_refunded', async () => {
+    seedPurchase();
+
+    const { refund, parent } = await TransactionRegistry.refundTransaction('txn-parent', {
+      amount: 2500,
+      reason: 'Damaged item'
+    });
+
+    expect(refund.transaction_id).toBeDefined();
+    expect(refund.direction).toBe('refund');
+    expect(refund.parent_transaction_id).toBe('txn-parent');
+    expect(refund.amount).toBe(2500);
+    expect(refund.refund_reason).toBe('Damaged item');
+    expect(refund.currency).toBe('USD');
+
+    expect(parent.status).toBe('partially_refunded');
+    expect(parent.refund_amount).toBe(2500);
+    expect(mockDb.getAllData('transactions').length).toBe(2);
+  });
+
+  test('2. Refund is split across parent owner_allocations in proportion', async () => {
+    seedPurchase();
+
+    const { refund } = await TransactionRegistry.refundTransaction('txn-parent', {
+      amount: 1000
+    });
+
+    const allocations = refund.owner_allocations;
+    expect(allocations.map((a) => a.owner_uuid)).toEqual(['owner_a', 'owner_b', 'owner_c']);
+    expect(allocations.reduce((sum, a) => sum + a.amount_cents, 0)).toBe(1000);
+    // 1000 * 3334 / 10000 = 333.4 -> 333 (+1 leftover goes to the largest remainder)
+    expect(allocations[0].amount_cents).toBe(334);
+    expect(allocations[1].amount_cents).toBe(333);
+    expect(allocations[2].amount_cents).toBe(333);
+  });
+
+  test('3. Refunds up to the full amount mark the parent refunded', async () => {
+    seedPurchase();
+
+    await TransactionRegistry.refundTransaction('txn-parent', { amount: 4000 });
+    const { parent } = await TransactionRegistry.refundTransaction('txn-parent', { amount: 6000 });
+
+    expect(parent.status).toBe('refunded');
+    expect(parent.refund_amount).toBe(10000);
+  });
+
+  test('4. Cumulative refunds above the parent amount are rejected', async () => {
+    seedPurchase();
+    await TransactionRegistry.refundTransaction('txn-parent', { amount: 7000 });
+
+    await expect(
+      TransactionRegistry.refundTransaction('txn-parent', { amount: 3001 })
+    ).rejects.toMatchObject({ code: 'REFUND_EXCEEDS_AMOUNT' });
+
+    expect(mockDb.getAllData('transactions').length).toBe(2);
+    expect(ErrorHandler.hasError('refund exceeds parent amount')).toBe(true);
+  });
+
+  test('5. Failed refund children do not count towards the total', async () => {
+    seedPurchase();
+    mockDb.data.transactions.push({
+      transaction_id: 'txn-failed-refund',
+      parent_transaction_id: 'txn-parent',
+      direction: 'refund',
+      status: 'failed',
+      amount: 10000,
+      is_deleted: false
+    });
+
+    const { parent } = await TransactionRegistry.refundTransaction('txn-parent', { amount: 10000 });
+    expect(parent.status).toBe('refunded');
+  });
+
+  test('5b. A refund created failed or cancelled is rejected without moving the parent', async () => {
+    seedPurchase();
+
+    for (const status of ['failed', 'cancelled']) {
+      const error = await TransactionRegistry.refundTransaction('txn-parent', { amount: 4000, status })
+        .catch((err) => err);
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.field).toBe('status');
+    }
+
+    const parent = mockDb.getAllData('transactions').find((row) => row.transaction_id === 'txn-parent');
+    expect(mockDb.getAllData('transactions').length).toBe(1);
+    expect(parent.status).toBe('completed');
+    expect(parent.refund_amount ?? null).toBeNull();
+
+    const { refund, parent: refunded } = await TransactionRegistry.refundTransaction('txn-parent', {
+      amount: 4000,
+      status: 'pending'
+    });
+    expect(refund.status).toBe('pending');
+    expect(refunded).toMatchObject({ status: 'partially_refunded', refund_amount: 4000 });
+  });
+
+  test('6. Explicit owner_allocations must belong to parent owners', async () => {
+    seedPurchase();
+
+    await expect(
+      TransactionRegistry.refundTransaction('txn-parent', {
+        amount: 1000,
+        owner_allocations: [{ owner_uuid: 'stranger', amount_cents: 1000 }]
+      })
+    ).rejects.toThrow('not an owner of the parent transaction');
+
+    const { refund } = await TransactionRegistry.refundTransaction('txn-parent', {
+      amount: 1000,
+      owner_allocations: [{ owner_uuid: 'owner_b', amount_cents: 1000 }]
+    });
+    expect(refund.owner_allocations).toEqual([{ owner_uuid: 'owner_b', amount_cents: 1000 }]);
+  });
+
+  test('7. Only completed purchases can be refunded', async () => {
+    seedPurchase({ status: 'pending' });
+
+    await expect(
+      TransactionRegistry.refundTransaction('txn-parent', { amount: 1000 })
+    ).rejects.toBeInstanceOf(InvalidTransitionError);
+    expect(mockDb.getAllData('transactions').length).toBe(1);
+  });
+
+  test('8. Refund of a non-purchase or missing parent fails', async () => {
+    seedPurchase({ transaction_id: 'txn-payout', direction: 'payout' });
+
+    await expect(
+      TransactionRegistry.refundTransaction('txn-payout', { amount: 1000 })
+    ).rejects.toThrow('only purchase transactions can be refunded');
+    await expect(
+      TransactionRegistry.refundTransaction('txn-missing', { amount: 1000 })
+    ).rejects.toThrow('Parent transaction not found');
+  });
+
+  test('9. Amount must be positive', async () => {
+    seedPurchase();
+
+    await expect(
+      TransactionRegistry.refundTransaction('txn-parent', { amount: 0 })
+    ).rejects.toThrow('amount must be greater than 0');
+    await expect(
+      TransactionRegistry.refundTransaction('txn-parent', {})
+    ).rejects.toThrow();
+  });
+
+  test('10. Successful refund is written to the audit log', async () => {
+    seedPurchase();
+
+    await TransactionRegistry.refundTransaction('txn-parent', { amount: 500, reason: 'Late' });
+
+    const entry = Logger.getLogs().find((log) => log.action === 'transactionRefund');
+    expect(entry).toBeDefined();
+    expect(entry.data.parent_transaction_id).toBe('txn-parent');
+    expect(entry.data.parent_status).toBe('partially_refunded');
+  });
+
+  test('11. Fractional minor units are rejected', async () => {
+    seedPurchase();
+
+    await expect(
+      TransactionRegistry.refundTransaction('txn-parent', { amount: 12.5 })
+    ).rejects.toThrow('Expected int');
+    expect(mockDb.getAllData('transactions').length).toBe(1);
+  });
+
+  test('12. A refund that fails or is cancelled stops counting towards its purchase', async () => {
+    seedPurchase();
+    const { refund: first } = await TransactionRegistry.refundTransaction('txn-parent', { amount: 4000, status: 'pending' });
+    const { refund: second } = await TransactionRegistry.refundTransaction('txn-parent', { amount: 6000, status: 'pending' });
+    const parentOf = () => mockDb.getAllData('transactions').find((t) => t.transaction_id === 'txn-parent');
+    expect(parentOf()).toMatchObject({ status: 'refunded', refund_amount: 10000 });
+
+    await TransactionRegistry.updateTransaction(second.transaction_id, { status: 'failed' });
+    expect(parentOf()).toMatchObject({ status: 'partially_refunded', refund_amount: 4000 });
+
+    await TransactionRegistry.updateTransaction(first.transaction_id, { status: 'cancelled' });
+    expect(parentOf()).toMatchObject({ status: 'completed', refund_amount: 0 });
+    expect(mockDb.data.transaction_events.filter((e) => e.transaction_id === 'txn-parent')).toHaveLength(4);
+
+    // The released amount can be refunded again
+    const { parent } = await TransactionRegistry.refundTransaction('txn-parent', { amount: 10000 });
+    expect(parent).toMatchObject({ status: 'refunded', refund_amount: 10000 });
+  });
+});
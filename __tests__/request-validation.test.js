@@ -0,0 +1,281 @@
+/**
+ * Jest Tests for RequestValidation - Request schemas and the API error envelope
+ * query-string coercion, per-route schemas, request-scoped ErrorHandler details, the request log and 4xx / 5xx mapping
+ */
+
+jest.mock('../PostgreSQL', () => {
+  return require('../__mocks__/PostgreSQL');
+});
+
+jest.mock('../Logger', () => {
+  return require('../__mocks__/Logger');
+});
+
+jest.mock('../ErrorHandler', () => {
+  return require('../__mocks__/ErrorHandler');
+});
+
+const { EventEmitter } = require('events');
+const RequestValidation = require('../RequestValidation');
+const Schemas = require('../RequestSchemas');
+const TransactionRegistry = require('../PaymentTransactionsRegistryStore');
+const {
+  ConflictError,
+  InvalidTransitionError,
+  NotFoundError,
+  ValidationError,
+  VersionConflictError
+} = require('../TransactionErrors');
+const PostgreSQLMock = require('../__mocks__/PostgreSQL');
+const Logger = require('../Logger');
+const ErrorHandler = require('../ErrorHandler');
+
+describe('RequestValidation - Request Schema and Error Envelope Tests', () => {
+  const responseMock = () => {
+    const res = Object.assign(new EventEmitter(), { statusCode: 200, body: null, headersSent: false, destroyed: false });
+    res.status = (code) => { res.statusCode = code; return res; };
+    res.json = (body) => { res.body = body; return res; };
+    res.destroy = () => { res.destroyed = true; };
+    return res;
+  };
+
+  // Runs a route's validation middleware and reports what it passed to next()
+  const runMiddleware = (schemas, req) => {
+    const next = jest.fn();
+    RequestValidation.middleware(schemas)(req, responseMock(), next);
+    return next.mock.calls[0][0];
+  };
+
+  // Sends the error returned by `raise` through the error handler, inside the request's own ErrorHandler scope
+  const respondWith = (raise) =>
+    ErrorHandler.run(async () => {
+      const req = { method: 'GET', originalUrl: '/api/test', requestId: 'req-1' };
+      const err = await raise();
+      const res = responseMock();
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      RequestValidation.errorMiddleware()(err, req, res, jest.fn());
+      console.error.mockRestore();
+      return res;
+    });
+
+  beforeEach(() => {
+    TransactionRegistry._db = new PostgreSQLMock();
+    Logger.reset();
+    ErrorHandler.reset();
+  });
+
+  test('1. Query strings are coerced to the schema types', () => {
+    const { value, issues } = RequestValidation.validate(
+      {
+        limit: '25',
+        offset: '',
+        includeDeleted: 'true',
+        'ownerIds[]': ['owner_a', 'owner_b'],
+        status: 'pending,completed',
+        'meta.promo_code': 'SAVE20'
+      },
+      Schemas.queryTransactions.query,
+      { coerce: true }
+    );
+
+    expect(issues).toEqual([]);
+    expect(value).toEqual({
+      limit: 25,
+      includeDeleted: true,
+      ownerIds: ['owner_a', 'owner_b'],
+      status: 'pending,completed',
+      'meta.promo_code': 'SAVE20'
+    });
+    expect(RequestValidation.validate({ ownerIds: 'owner_a' }, Schemas.queryTransactions.query, { coerce: true }).value)
+      .toEqual({ ownerIds: ['owner_a'] });
+  });
+
+  test('2. Every problem is reported with its field', () => {
+    const { issues } = RequestValidation.validate(
+      { limit: 'ten', onlyDeleted: 'sometimes', ownerId: ['a', 'b'], bogus: '1' },
+      Schemas.queryTransactions.query,
+      { coerce: true }
+    );
+
+    expect(issues).toEqual([
+      { field: 'limit', message: 'limit must be an integer' },
+      { field: 'onlyDeleted', message: 'onlyDeleted must be a boolean' },
+      { field: 'ownerId', message: 'ownerId must be a string' },
+      { field: 'bogus', message: 'bogus is not an allowed field' }
+    ]);
+
+    const body = RequestValidation.validate(
+      { order_id: 'o1', amount: -5, owner_allocations: [{ owner_uuid: 'a' }, 'b'] },
+      Schemas.createTransaction.body,
+      { label: 'body' }
+    );
+    expect(body.issues.map((issue) => issue.field)).toEqual([
+      'amount', 'owner_allocations[1]', 'order_type', 'customer_uid', 'status', 'payment_method', 'currency', 'platform'
+    ]);
+    expect(body.issues[0].message).toBe('amount must be >= 0');
+  });
+
+  test('3. The middleware stores validated input or passes a VALIDATION_FAILED error on', () => {
+    const req = { params: { id: 'txn_1' }, query: { asOf: '2026-01-01 00:00:00' }, body: undefined };
+    expect(runMiddleware(Schemas.transactionHistory, req)).toBeUndefined();
+    expect(req.validated).toEqual({ params: { id: 'txn_1' }, query: { asOf: '2026-01-01 00:00:00' }, body: undefined });
+
+    const err = runMiddleware(Schemas.setLegalHold, { params: { id: 'txn_1' }, query: {}, body: { hold: 'maybe', why: 1 } });
+    expect(err.code).toBe('VALIDATION_FAILED');
+    expect(err.message).toBe('Request validation failed: hold must be a boolean (and 1 more)');
+    expect(err.issues.map((issue) => [issue.in, issue.field])).toEqual([['body', 'hold'], ['body', 'why']]);
+    expect(ErrorHandler.getErrors().map((e) => e.details)).toEqual([
+      { field: 'hold', in: 'body' },
+      { field: 'why', in: 'body' }
+    ]);
+
+    // A missing JSON body is checked as {} so its required fields are reported
+    const missing = runMiddleware(Schemas.purgeTransactions, { params: {}, query: {}, body: undefined });
+    expect(missing.issues).toEqual([{ field: 'olderThan', message: 'olderThan is required', in: 'body' }]);
+  });
+
+  test('4. Client errors map to 4xx with machine-readable codes', () => {
+    const describe = (err) => {
+      const { status, code } = RequestValidation.describeError(err);
+      return [status, code];
+    };
+
+    expect(describe(RequestValidation.invalid('bad', 'x'))).toEqual([400, 'VALIDATION_FAILED']);
+    expect(describe(new ValidationError('atomic batch failed', { code: 'BATCH_INVALID' }))).toEqual([400, 'BATCH_INVALID']);
+    expect(describe(new NotFoundError('Transaction not found or has been soft-deleted'))).toEqual([404, 'NOT_FOUND']);
+    expect(describe(new ConflictError('key reused', { code: 'IDEMPOTENCY_CONFLICT' }))).toEqual([409, 'IDEMPOTENCY_CONFLICT']);
+    expect(describe(new InvalidTransitionError('no', { from: 'refunded', to: 'pending' })))
+      .toEqual([409, 'INVALID_STATUS_TRANSITION']);
+    expect(describe(new VersionConflictError('stale', { expected: 1, actual: 2 }))).toEqual([412, 'VERSION_CONFLICT']);
+    expect(describe(Object.assign(new SyntaxError('Unexpected token'), { status: 400, expose: true, type: 'entity.parse.failed' })))
+      .toEqual([400, 'MALFORMED_BODY']);
+  });
+
+  test('5. Database and internal failures map to 5xx without leaking their message', () => {
+    const describe = (err) => RequestValidation.describeError(err);
+    const pgError = (code) => Object.assign(new Error(`relation "secret_table" failed (${code})`), { code, severity: 'ERROR' });
+
+    expect(describe(Object.assign(new Error('connect ECONNREFUSED 10.0.0.5:5432'), { code: 'ECONNREFUSED' })))
+      .toMatchObject({ status: 503, code: 'STORAGE_UNAVAILABLE', message: 'Storage temporarily unavailable' });
+    expect(describe(pgError('57P01'))).toMatchObject({ status: 503, code: 'STORAGE_UNAVAILABLE' });
+    expect(describe(new Error('Connection timeout after 5000ms'))).toMatchObject({ status: 503 });
+    expect(describe(pgError('42P01'))).toEqual({ status: 500, code: 'STORAGE_ERROR', message: 'Storage operation failed', extra: {} });
+    expect(describe(pgError('23505'))).toMatchObject({ status: 409, code: 'CONFLICT' });
+    expect(describe(new TypeError("Cannot read properties of undefined (reading 'rows')")))
+      .toMatchObject({ status: 500, code: 'INTERNAL_ERROR', message: 'Internal server error' });
+    expect(describe(new ReferenceError('x is not defined'))).toMatchObject({ status: 500, code: 'INTERNAL_ERROR' });
+    // Untyped errors are internal whatever their text or code says
+    expect(describe(new TypeError('createTransaction(): "order_id" is required')))
+      .toEqual({ status: 500, code: 'INTERNAL_ERROR', message: 'Internal server error', extra: {} });
+    expect(describe(new RangeError('limit must be an integer between 1 and 5000'))).toMatchObject({ status: 500 });
+    expect(describe(Object.assign(new Error('atomic batch failed'), { code: 'BATCH_INVALID' })))
+      .toMatchObject({ status: 500, code: 'INTERNAL_ERROR' });
+    expect(describe(new Error('Transaction not found'))).toMatchObject({ status: 500, message: 'Internal server error' });
+    expect(describe('a thrown string')).toMatchObject({ status: 500, code: 'INTERNAL_ERROR' });
+  });
+
+  test('6. The envelope carries the ErrorHandler entries raised by the request as details', async () => {
+    ErrorHandler.addError('raised by an earlier request', { field: 'other' });
+
+    const sent = await respondWith(() => TransactionRegistry.query({ onlyDeleted: 'sometimes' }).catch((err) => err));
+
+    expect(sent.statusCode).toBe(400);
+    expect(sent.body).toEqual({
+      error: 'onlyDeleted must be a boolean',
+      code: 'VALIDATION_FAILED',
+      details: [{ message: 'query(): Invalid onlyDeleted', field: 'onlyDeleted' }],
+      request_id: 'req-1'
+    });
+  });
+
+  test('7. Conflict details and batch results travel in the envelope', async () => {
+    const version = await respondWith(async () => new VersionConflictError('stale', { expected: 1, actual: 3 }));
+    expect(version.statusCode).toBe(412);
+    expect(version.body).toMatchObject({ code: 'VERSION_CONFLICT', expected: 1, actual: 3, details: [] });
+
+    const transition = await respondWith(
+      async () => new InvalidTransitionError('no', { from: 'refunded', to: 'pending', allowed: [] })
+    );
+    expect(transition.body).toMatchObject({ code: 'INVALID_STATUS_TRANSITION', from: 'refunded', to: 'pending', allowed: [] });
+
+    const batch = Object.assign(new Error('1 of 2 items failed'), { code: 'BATCH_INVALID', results: [{ index: 0 }] });
+    expect((await respondWith(async () => batch)).body.results).toEqual([{ index: 0 }]);
+  });
+
+  test('8. Responses already under way are cut instead of answered', async () => {
+    const req = { method: 'GET', originalUrl: '/api/transactions/export', requestId: 'req-2' };
+    const res = responseMock();
+    res.headersSent = true;
+    res.json = jest.fn();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    RequestValidation.errorMiddleware()(new Error('Export aborted: client disconnected'), req, res, jest.fn());
+    console.error.mockRestore();
+
+    expect(res.destroyed).toBe(true);
+    expect(res.json).not.toHaveBeenCalled();
+  });
+
+  // Runs a request through collectErrors(), a handler and the error handler, then closes its response
+  const serve = (requestId, handler) =>
+    new Promise((resolve) => {
+      const req = { method: 'POST', originalUrl: `/api/${requestId}`, requestId };
+      const res = Object.assign(responseMock(), { writableFinished: true });
+      RequestValidation.collectErrors()(req, res, async () => {
+        const err = await handler().catch((error) => error);
+        RequestValidation.errorMiddleware()(err, req, res, jest.fn());
+        setTimeout(() => {
+          res.emit('close');
+          resolve(res);
+        }, 1);
+      });
+    });
+
+  test('9. Concurrent requests only report the ErrorHandler entries they raised', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const [slow, fast] = await Promise.all([
+      serve('req-slow', async () => {
+        ErrorHandler.addError('slow: first', { field: 'amount' });
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        return TransactionRegistry.query({ onlyDeleted: 'sometimes' });
+      }),
+      serve('req-fast', () => TransactionRegistry.query({ includeDeleted: 'often' }))
+    ]);
+    console.error.mockRestore();
+
+    expect(slow.body.details).toEqual([
+      { message: 'slow: first', field: 'amount' },
+      { message: 'query(): Invalid onlyDeleted', field: 'onlyDeleted' }
+    ]);
+    expect(fast.body.details).toEqual([{ message: 'query(): Invalid includeDeleted', field: 'includeDeleted' }]);
+    expect(ErrorHandler.getAllErrors()).toEqual([]);
+  });
+
+  test('10. Each request writes one structured log entry carrying its errors', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const log = jest.spyOn(console, 'log');
+    Logger.reset();
+
+    await serve('req-3', async () => RequestValidation.invalid('hold must be a boolean', 'hold'));
+    await new Promise((resolve) => setImmediate(resolve));
+    console.error.mockRestore();
+    expect(log).not.toHaveBeenCalled();
+    log.mockRestore();
+
+    const requests = Logger.getLogs().filter((entry) => entry.flag === 'request');
+    expect(requests).toHaveLength(1);
+    expect(requests[0]).toMatchObject({ action: 'requestCompleted', level: 'info', message: 'POST /api/req-3 400' });
+    const entry = requests[0].data;
+    expect(entry).toMatchObject({
+      request_id: 'req-3',
+      method: 'POST',
+      path: '/api/req-3',
+      status: 400,
+      completed: true,
+      errors: [{ message: 'hold must be a boolean', data: { field: 'hold' } }],
+      errors_dropped: 0
+    });
+    expect(entry.duration_ms).toEqual(expect.any(Number));
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * Jest Tests for PaymentTransactionsRegistryStore - Row-level scoping
+ * query() / getTransaction() confined to an owner_uuid or customer_uid scope
+ */
+
+jest.mock('../PostgreSQL', () => {
+  return require('../__mocks__/PostgreSQL');
+});
+
+jest.mock('../Logger', () => {
+  return require('../__mocks__/Logger');
+});
+
+jest.mock('../ErrorHandler', () => {
+  return require('../__mocks__/ErrorHandler');
+});
+
+const crypto = require('crypto');
+const TransactionRegistry = require('../PaymentTransactionsRegistryStore');
+const RequestAuth = require('../RequestAuth');
+const PostgreSQLMock = require('../__mocks__/PostgreSQL');
+const Logger = require('../Logger');
+const ErrorHandler = require('../ErrorHandler');
+
+describe('TransactionRegistry - Row-level Scoping Tests', () => {
+  let mockDb;
+  let mine;
+  let shared;
+  let theirs;
+
+  const createTxn = (orderId, customerUid, owners) =>
+    TransactionRegistry.createTransaction({
+      order_id: orderId,
+      amount: 1000,
+      order_type: 'product',
+      customer_uid: customerUid,
+      status: 'completed',
+      direction: 'purchase',
+      payment_method: 'stripe',
+      currency: 'USD',
+      platform: 'web',
+      owners
+    });
+
+  const idsOf = (result) => result.rows.map((row) => row.transaction_id).sort();
+
+  beforeEach(async () => {
+    mockDb = new PostgreSQLMock();
+    TransactionRegistry._db = mockDb;
+    Logger.reset();
+    ErrorHandler.reset();
+    mine = await createTxn('order_1', 'cust_a', ['owner_a']);
+    shared = await createTxn('order_2', 'cust_b', ['owner_a', 'owner_b']);
+    theirs = await createTxn('order_3', 'cust_b', ['owner_b']);
+  });
+
+  test('1. An owner scope limits query() to rows listing that owner', async () => {
+    const result = await TransactionRegistry.query({}, {}, { scope: { owner_uuid: 'owner_a' } });
+
+    expect(idsOf(result)).toEqual([mine.transaction_id, shared.transaction_id].sort());
+    expect(result.total).toBe(2);
+  });
+
+  test('2. Filters cannot widen the scope', async () => {
+    const scope = { owner_uuid: 'owner_a' };
+
+    const other = await TransactionRegistry.query({ ownerIds: ['owner_b'] }, {}, { scope });
+    expect(idsOf(other)).toEqual([shared.transaction_id]);
+
+    const byId = await TransactionRegistry.query({ transaction_id: theirs.transaction_id }, {}, { scope });
+    expect(byId.rows).toEqual([]);
+  });
+
+  test('3. A customer scope forces customer_uid', async () => {
+    const result = await TransactionRegistry.query(
+      { customer_uid: 'cust_a' },
+      {},
+      { scope: { customer_uid: 'cust_b' } }
+    );
+    expect(result.rows).toEqual([]);
+
+    const own = await TransactionRegistry.query({}, {}, { scope: { customer_uid: 'cust_b' } });
+    expect(idsOf(own)).toEqual([shared.transaction_id, theirs.transaction_id].sort());
+  });
+
+  test('4. getTransaction() treats out-of-scope rows as missing', async () => {
+    const scope = { owner_uuid: 'owner_a' };
+
+    expect(await TransactionRegistry.getTransaction(theirs.transaction_id, { scope })).toBeNull();
+    expect(await TransactionRegistry.getTransaction(shared.transaction_id, { scope })).toMatchObject({
+      transaction_id: shared.transaction_id
+    });
+    expect(await TransactionRegistry.getTransaction(theirs.transaction_id)).not.toBeNull();
+  });
+
+  test('5. Malformed scopes are rejected with their field', async () => {
+    await expect(
+      TransactionRegistry.query({}, {}, { scope: { owner_uuid: 'a', customer_uid: 'b' } })
+    ).rejects.toThrow('query(): scope must be { owner_uuid } or { customer_uid }');
+    await expect(
+      TransactionRegistry.getTransaction(mine.transaction_id, { scope: { owner_uuid: '  ' } })
+    ).rejects.toThrow('getTransaction(): scope must be { owner_uuid } or { customer_uid }');
+
+    expect(ErrorHandler.getErrors().filter((e) => e.details.field === 'scope')).toHaveLength(2);
+  });
+
+  test('5b. Scoped callers cannot ask for soft-deleted rows', async () => {
+    await TransactionRegistry.deleteTransaction(mine.transaction_id);
+    const scope = { owner_uuid: 'owner_a' };
+
+    for (const flag of ['includeDeleted', 'onlyDeleted']) {
+      const error = await TransactionRegistry.query({ [flag]: true }, {}, { scope }).catch((err) => err);
+      expect(error).toMatchObject({ code: 'VALIDATION_FAILED', field: flag });
+    }
+    expect(idsOf(await TransactionRegistry.query({ includeDeleted: false }, {}, { scope })))
+      .toEqual([shared.transaction_id]);
+    expect(idsOf(await TransactionRegistry.query({ onlyDeleted: true }))).toEqual([mine.transaction_id]);
+  });
+
+  test('6. Scope claims in a JWT become the principal scope', () => {
+    const b64 = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const bearer = (claims) => {
+      const unsigned = `${b64({ alg: 'HS256' })}.${b64({ sub: 'portal', role: 'viewer', exp: 2000000000, ...claims })}`;
+      const signature = crypto.createHmac('sha256', 's').update(unsigned).digest('base64url');
+      return { get: (name) => (name === 'Authorization' ? `Bearer ${unsigned}.${signature}` : undefined) };
+    };
+    const authenticate = RequestAuth.jwtAuthenticator({ secret: 's', now: 1900000000 });
+
+    expect(authenticate(bearer({ owner_uuid: 'owner_a' })).scope).toEqual({ owner_uuid: 'owner_a' });
+    expect(authenticate(bearer({ customer_uid: 'cust_b' })).scope).toEqual({ customer_uid: 'cust_b' });
+    expect(() => authenticate(bearer({ owner_uuid: 'owner_a', customer_uid: 'cust_b' }))).toThrow(
+      'Token must scope to one owner_uuid or customer_uid'
+    );
+  });
+
+  test('7. Scoped principals are turned away from unscoped routes', () => {
+    const run = (scope) => {
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn().mockReturnThis() };
+      const next = jest.fn();
+      RequestAuth.requireUnscoped()({ principal: { id: 'p', role: 'admin', scope } }, res, next);
+      return { res, next };
+    };
+
+    expect(run(null).next).toHaveBeenCalled();
+    const scoped = run({ owner_uuid: 'owner_a' });
+    expect(scoped.next).not.toHaveBeenCalled();
+    expect(scoped.res.status).toHaveBeenCalledWith(403);
+  });
+});
@@ -0,0 +1,199 @@
+/**
+ * Jest Tests for PaymentTransactionsRegistryStore - Soft-delete lifecycle
+ * restoreTransaction(), deleted scopes in query(), legal holds and purgeDeletedTransactions()
+ */
+
+jest.mock('../PostgreSQL', () => {
+  return require('../__mocks__/PostgreSQL');
+});
+
+jest.mock('../Logger', () => {
+  return require('../__mocks__/Logger');
+});
+
+jest.mock('../ErrorHandler', () => {
+  return require('../__mocks__/ErrorHandler');
+});
+
+const TransactionRegistry = require('../PaymentTransactionsRegistryStore');
+const PostgreSQLMock = require('../__mocks__/PostgreSQL');
+const Logger = require('../Logger');
+const ErrorHandler = require('../ErrorHandler');
+
+describe('TransactionRegistry - Soft-delete Lifecycle Tests', () => {
+  let mockDb;
+
+  const createTxn = (orderId) =>
+    TransactionRegistry.createTransaction({
+      order_id: orderId,
+      amount: 1000,
+      order_type: 'product',
+      customer_uid: 'cust_1',
+      status: 'completed',
+      direction: 'purchase',
+      payment_method: 'stripe',
+      currency: 'USD',
+      platform: 'web'
+    });
+
+  // Soft-deletes a transaction and backdates the deletion
+  const deleteAt = async (transactionId, deletedAt) => {
+    await TransactionRegistry.deleteTransaction(transactionId, { actor: 'ops@example.com' });
+    mockDb.data.transactions.find((t) => t.transaction_id === transactionId).deleted_at = deletedAt;
+  };
+
+  const eventsOf = (transactionId) =>
+    mockDb.data.transaction_events.filter((e) => e.transaction_id === transactionId).map((e) => e.event_type);
+
+  beforeEach(() => {
+    mockDb = new PostgreSQLMock();
+    TransactionRegistry._db = mockDb;
+    Logger.reset();
+    ErrorHandler.reset();
+  });
+
+  test('1. Deleting records who deleted the row', async () => {
+    const txn = await createTxn('order_1');
+
+    await TransactionRegistry.deleteTransaction(txn.transaction_id, { actor: 'ops@example.com' });
+
+    expect(mockDb.data.transactions[0]).toMatchObject({ is_deleted: true, deleted_by: 'ops@example.com' });
+    expect(mockDb.data.transactions[0].deleted_at).not.toBeNull();
+  });
+
+  test('2. Restoring brings a deleted row back and records a restored event', async () => {
+    const txn = await createTxn('order_1');
+    await TransactionRegistry.deleteTransaction(txn.transaction_id);
+
+    const restored = await TransactionRegistry.restoreTransaction(txn.transaction_id, { actor: 'support' });
+
+    expect(restored).toMatchObject({ transaction_id: txn.transaction_id, is_deleted: false, deleted_at: null, deleted_by: null });
+    expect(await TransactionRegistry.getTransaction(txn.transaction_id)).not.toBeNull();
+    expect(eventsOf(txn.transaction_id)).toEqual(['created', 'deleted', 'restored']);
+    expect(Logger.getLogs().some((log) => log.action === 'restoreTransaction')).toBe(true);
+
+    // Live or unknown rows have nothing to restore
+    expect(await TransactionRegistry.restoreTransaction(txn.transaction_id)).toBeNull();
+    expect(await TransactionRegistry.restoreTransaction('txn_missing')).toBeNull();
+  });
+
+  test('3. query() hides deleted rows unless includeDeleted or onlyDeleted is set', async () => {
+    const live = await createTxn('order_1');
+    const gone = await createTxn('order_2');
+    await TransactionRegistry.deleteTransaction(gone.transaction_id);
+
+    const ids = async (filters) =>
+      (await TransactionRegistry.query(filters)).rows.map((row) => row.transaction_id).sort();
+
+    expect(await ids({})).toEqual([live.transaction_id]);
+    expect(await ids({ includeDeleted: 'true' })).toEqual([live.transaction_id, gone.transaction_id].sort());
+    expect(await ids({ onlyDeleted: true })).toEqual([gone.transaction_id]);
+
+    await expect(TransactionRegistry.query({ onlyDeleted: 'sometimes' })).rejects.toThrow(
+      'onlyDeleted must be a boolean'
+    );
+    expect(ErrorHandler.getErrors().some((e) => e.details.field === 'onlyDeleted')).toBe(true);
+  });
+
+  test('4. Purging removes expired deletions and leaves a tombstone event', async () => {
+    const old = await createTxn('order_1');
+    const recent = await createTxn('order_2');
+    const live = await createTxn('order_3');
+    await deleteAt(old.transaction_id, '2025-01-10 00:00:00');
+    await deleteAt(recent.transaction_id, '2026-06-01 00:00:00');
+
+    const result = await TransactionRegistry.purgeDeletedTransactions({ olderThan: '2026-01-01 00:00:00' });
+
+    expect(result).toEqual({
+      olderThan: '2026-01-01 00:00:00',
+      purged: 1,
+      held: 0,
+      transaction_ids: [old.transaction_id]
+    });
+    expect(mockDb.data.transactions.map((t) => t.transaction_id)).toEqual([recent.transaction_id, live.transaction_id]);
+
+    const tombstone = mockDb.data.transaction_events.find((e) => e.event_type === 'purged');
+    expect(tombstone.actor).toBe(TransactionRegistry.DEFAULT_AUDIT_ACTOR);
+    expect(Object.keys(JSON.parse(tombstone.diff)).sort()).toEqual(
+      ['amount', 'created_at', 'currency', 'deleted_at', 'deleted_by', 'direction', 'order_id']
+    );
+    const history = await TransactionRegistry.getTransactionHistory(old.transaction_id);
+    expect(history.events.map((e) => e.event_type)).toEqual(['created', 'deleted', 'purged']);
+    expect(history.state).toBeNull();
+  });
+
+  test('5. Legal holds keep rows out of the purge until lifted', async () => {
+    const held = await createTxn('order_1');
+    await deleteAt(held.transaction_id, '2025-01-10 00:00:00');
+
+    // Holds can be placed on rows that are already deleted
+    const hold = await TransactionRegistry.setLegalHold(held.transaction_id, true, { actor: 'legal' });
+    expect(hold.legal_hold).toBe(true);
+
+    const first = await TransactionRegistry.purgeDeletedTransactions({ olderThan: '2026-01-01' });
+    expect(first).toMatchObject({ purged: 0, held: 1 });
+    expect(mockDb.data.transactions).toHaveLength(1);
+
+    await TransactionRegistry.setLegalHold(held.transaction_id, 'false');
+    const second = await TransactionRegistry.purgeDeletedTransactions({ olderThan: '2026-01-01' });
+    expect(second).toMatchObject({ purged: 1, held: 0 });
+    expect(eventsOf(held.transaction_id)).toEqual(['created', 'deleted', 'updated', 'updated', 'purged']);
+  });
+
+  test('6. Rows referenced by a dispute are never purged', async () => {
+    const disputed = await createTxn('order_1');
+    await deleteAt(disputed.transaction_id, '2025-01-10 00:00:00');
+    mockDb.data.transaction_disputes.push({ dispute_id: 'dp_1', transaction_id: disputed.transaction_id, status: 'lost' });
+
+    const result = await TransactionRegistry.purgeDeletedTransactions({ olderThan: '2026-01-01' });
+
+    expect(result.purged).toBe(0);
+    expect(mockDb.data.transactions).toHaveLength(1);
+  });
+
+  test('7. limit bounds one purge run, oldest deletions first', async () => {
+    const a = await createTxn('order_1');
+    const b = await createTxn('order_2');
+    await deleteAt(a.transaction_id, '2025-03-01 00:00:00');
+    await deleteAt(b.transaction_id, '2025-02-01 00:00:00');
+
+    const result = await TransactionRegistry.purgeDeletedTransactions({ olderThan: '2026-01-01', limit: 1, actor: 'retention-job' });
+
+    expect(result.transaction_ids).toEqual([b.transaction_id]);
+    const entry = Logger.getLogs().find((log) => log.action === 'transactionsPurged');
+    expect(entry.message).toBe('Deleted transactions purged');
+    expect(entry.data).toMatchObject({ purged: 1, held: 0, transaction_ids: [b.transaction_id], actor: 'retention-job' });
+  });
+
+  test('7b. A parent outlives the purge while its refunds remain, then follows them', async () => {
+    const parent = await createTxn('order_1');
+    const { refund } = await TransactionRegistry.refundTransaction(parent.transaction_id, { amount: 400 });
+    await deleteAt(parent.transaction_id, '2025-01-10 00:00:00');
+
+    const live = await TransactionRegistry.purgeDeletedTransactions({ olderThan: '2026-01-01' });
+    expect(live.purged).toBe(0);
+
+    await deleteAt(refund.transaction_id, '2025-02-10 00:00:00');
+    const first = await TransactionRegistry.purgeDeletedTransactions({ olderThan: '2026-01-01' });
+    expect(first.transaction_ids).toEqual([refund.transaction_id]);
+
+    const second = await TransactionRegistry.purgeDeletedTransactions({ olderThan: '2026-01-01' });
+    expect(second.transaction_ids).toEqual([parent.transaction_id]);
+    expect(mockDb.data.transactions).toHaveLength(0);
+  });
+
+  test('8. Invalid purge and legal hold input is rejected', async () => {
+    await expect(TransactionRegistry.purgeDeletedTransactions({})).rejects.toThrow('olderThan is required');
+    await expect(TransactionRegistry.purgeDeletedTransactions({ olderThan: 'last year' })).rejects.toThrow();
+    await expect(
+      TransactionRegistry.purgeDeletedTransactions({ olderThan: '2026-01-01', limit: 0 })
+    ).rejects.toThrow('limit must be an integer between 1 and 5000');
+    await expect(TransactionRegistry.setLegalHold('txn_1', 'maybe')).rejects.toThrow('hold must be a boolean');
+    expect(await TransactionRegistry.setLegalHold('txn_missing', true)).toBeNull();
+
+    expect(ErrorHandler.getErrors().map((e) => e.details.field)).toEqual(
+      expect.arrayContaining(['olderThan', 'limit', 'hold'])
+    );
+    expect(ErrorHandler.hasError('Failed to purge deleted transactions')).toBe(true);
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Jest Tests for PaymentTransactionsRegistryStore - Query sorting
+ * Allow-listed multi-column sort with a transaction_id tiebreaker
+ */
+
+jest.mock('../PostgreSQL', () => {
+  return require('../__mocks__/PostgreSQL');
+});
+
+jest.mock('../Logger', () => {
+  return require('../__mocks__/Logger');
+});
+
+jest.mock('../ErrorHandler', () => {
+  return require('../__mocks__/ErrorHandler');
+});
+
+const TransactionRegistry = require('../PaymentTransactionsRegistryStore');
+const PostgreSQLMock = require('../__mocks__/PostgreSQL');
+const Logger = require('../Logger');
+const ErrorHandler = require('../ErrorHandler');
+
+describe('TransactionRegistry - Query Sorting Tests', () => {
+  let mockDb;
+
+  const rows = [
+    { transaction_id: 'txn_1', amount: 500, status: 'completed', customer_uid: 'carol', created_at: '2026-05-01 10:00:00', updated_at: '2026-05-03 10:00:00' },
+    { transaction_id: 'txn_2', amount: 900, status: 'pending', customer_uid: 'alice', created_at: '2026-05-02 10:00:00', updated_at: null },
+    { transaction_id: 'txn_3', amount: 500, status: 'completed', customer_uid: 'bob', created_at: '2026-05-03 10:00:00', updated_at: '2026-05-04 10:00:00' },
+    { transaction_id: 'txn_4', amount: 100, status: 'failed', customer_uid: null, created_at: '2026-05-04 10:00:00', updated_at: '2026-05-04 10:00:00' },
+    { transaction_id: 'txn_5', amount: 900, status: 'completed', customer_uid: 'alice', created_at: '2026-05-05 10:00:00', updated_at: null }
+  ];
+
+  const ids = (result) => result.rows.map((row) => row.transaction_id);
+
+  const walk = async (sort, limit) => {
+    const seen = [];
+    let cursor = null;
+    for (let guard = 0; guard < 10; guard += 1) {
+      const page = await TransactionRegistry.query({}, { sort, limit, cursor });
+      seen.push(...ids(page));
+      cursor = page.nextCursor;
+      if (!cursor) break;
+    }
+    return seen;
+  };
+
+  beforeEach(() => {
+    mockDb = new PostgreSQLMock();
+    TransactionRegistry._db = mockDb;
+    Logger.reset();
+    ErrorHandler.reset();
+    mockDb.data.transactions.push(...rows.map((row) => ({ ...row, is_deleted: false })));
+  });
+
+  test('1. Default sort is newest first', async () => {
+    const result = await TransactionRegistry.query();
+    expect(ids(result)).toEqual(['txn_5', 'txn_4', 'txn_3', 'txn_2', 'txn_1']);
+  });
+
+  test('2. Multi-column sort with transaction_id breaking ties', async () => {
+    const result = await TransactionRegistry.query({}, { sort: 'amount:desc,status' });
+    expect(ids(result)).toEqual(['txn_5', 'txn_2', 'txn_3', 'txn_1', 'txn_4']);
+  });
+
+  test('3. Dash prefix and object specs are accepted', async () => {
+    const fromDash = await TransactionRegistry.query({}, { sort: '-amount,created_at' });
+    const fromObjects = await TransactionRegistry.query({}, {
+      sort: [{ column: 'amount', direction: 'desc' }, { column: 'created_at', direction: 'asc' }]
+    });
+
+    expect(ids(fromDash)).toEqual(['txn_2', 'txn_5', 'txn_1', 'txn_3', 'txn_4']);
+    expect(ids(fromObjects)).toEqual(ids(fromDash));
+  });
+
+  test('4. Offset paging follows the requested order', async () => {
+    const result = await TransactionRegistry.query({}, { sort: 'amount', limit: 2, offset: 2 });
+    expect(ids(result)).toEqual(['txn_3', 'txn_2']);
+  });
+
+  test('5. Cursor paging walks mixed directions without gaps or repeats', async () => {
+    const seen = await walk('amount:asc,created_at:desc', 2);
+    expect(seen).toEqual(['txn_4', 'txn_3', 'txn_1', 'txn_5', 'txn_2']);
+  });
+
+  test('6. NULL values sort last and page correctly', async () => {
+    expect(await walk('updated_at:desc', 2)).toEqual(['txn_4', 'txn_3', 'txn_1', 'txn_5', 'txn_2']);
+    expect(await walk('customer_uid', 1)).toEqual(['txn_2', 'txn_5', 'txn_3', 'txn_1', 'txn_4']);
+  });
+
+  test('7. Cursor from another sort is rejected', async () => {
+    const page = await TransactionRegistry.query({}, { sort: 'amount', limit: 1 });
+
+    await expect(
+      TransactionRegistry.query({}, { sort: 'status', cursor: page.nextCursor })
+    ).rejects.toThrow('Invalid cursor');
+    expect(ErrorHandler.getErrors().some((e) => e.details.reason === 'cursor was issued for a different sort')).toBe(true);
+  });
+
+  test('8. Columns outside the allow-list are rejected', async () => {
+    await expect(TransactionRegistry.query({}, { sort: 'meta' })).rejects.toThrow('cannot sort by "meta"');
+    await expect(TransactionRegistry.query({}, { sort: 'amount;drop table' })).rejects.toThrow('cannot sort by');
+    await expect(TransactionRegistry.query({}, { sort: 'amount:sideways' })).rejects.toThrow(
+      'sort direction must be ASC or DESC'
+    );
+    await expect(TransactionRegistry.query({}, { sort: 'amount,amount:desc' })).rejects.toThrow(
+      'more than once'
+    );
+    expect(ErrorHandler.getErrors().every((e) => e.details.field === 'sort')).toBe(true);
+  });
+
+  test('9. ORDER BY is built from the allow-list', async () => {
+    const querySpy = jest.spyOn(mockDb, 'query');
+
+    await TransactionRegistry.query({}, { sort: 'customer_uid:desc,updated_at' });
+
+    expect(querySpy.mock.calls[0][1]).toContain(
+      'ORDER BY customer_uid DESC NULLS LAST, updated_at ASC NULLS LAST, transaction_id DESC'
+    );
+  });
+});
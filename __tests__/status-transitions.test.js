@@ -0,0 +1,200 @@
+/**
+ * Jest Tests for PaymentTransactionsRegistryStore - Status lifecycle
+ * Transitions enforced by createTransaction / updateTransaction
+ */
+
+jest.mock('../PostgreSQL', () => {
+  return require('../__mocks__/PostgreSQL');
+});
+
+jest.mock('../Logger', () => {
+  return require('../__mocks__/Logger');
+});
+
+jest.mock('../ErrorHandler', () => {
+  return require('../__mocks__/ErrorHandler');
+});
+
+const TransactionRegistry = require('../PaymentTransactionsRegistryStore');
+const { InvalidTransitionError } = require('../TransactionErrors');
+const PostgreSQLMock = require('../__mocks__/PostgreSQL');
+const Logger = require('../Logger');
+const ErrorHandler = require('../ErrorHandler');
+
+describe('TransactionRegistry - Status Lifecycle Tests', () => {
+  let mockDb;
+
+  const seed = (transaction_id, direction, status) => {
+    mockDb.data.transactions.push({
+      transaction_id,
+      order_id: `order-${transaction_id}`,
+      amount: 1000,
+      status,
+      direction,
+      owners: [],
+      owner_allocations: [],
+      products: []
+    });
+  };
+
+  beforeEach(() => {
+    mockDb = new PostgreSQLMock();
+    TransactionRegistry._db = mockDb;
+    Logger.reset();
+    ErrorHandler.reset();
+  });
+
+  test('1. Every direction declares a lifecycle', () => {
+    for (const direction of TransactionRegistry.TRANSACTION_DIRECTIONS) {
+      expect(TransactionRegistry.TRANSACTION_STATUS_LIFECYCLES[direction]).toBeDefined();
+    }
+    expect(TransactionRegistry.TRANSACTION_STATUSES).toEqual(
+      expect.arrayContaining(['pending', 'authorized', 'completed', 'refunded', 'disputed'])
+    );
+  });
+
+  test('2. Purchase walks pending -> authorized -> completed', async () => {
+    seed('txn-life-1', 'purchase', 'pending');
+
+    for (const status of ['authorized', 'completed']) {
+      const result = await TransactionRegistry.updateTransaction('txn-life-1', { status });
+      expect(result.status).toBe(status);
+    }
+  });
+
+  test('2b. Refund and dispute statuses are reserved for their own methods', async () => {
+    seed('txn-life-1b', 'purchase', 'completed');
+
+    for (const status of TransactionRegistry.RESERVED_UPDATE_STATUSES) {
+      await expect(
+        TransactionRegistry.updateTransaction('txn-life-1b', { status })
+      ).rejects.toMatchObject({ code: 'VALIDATION_FAILED', field: 'status' });
+    }
+    expect(mockDb.data.transactions[0].status).toBe('completed');
+    expect(ErrorHandler.hasError('Reserved status')).toBe(true);
+  });
+
+  test('3. Refunded purchase cannot go back to pending', async () => {
+    seed('txn-life-2', 'purchase', 'refunded');
+
+    const attempt = TransactionRegistry.updateTransaction('txn-life-2', { status: 'pending' });
+    await expect(attempt).rejects.toBeInstanceOf(InvalidTransitionError);
+    await expect(attempt).rejects.toMatchObject({
+      code: 'INVALID_STATUS_TRANSITION',
+      from: 'refunded',
+      to: 'pending',
+      direction: 'purchase'
+    });
+
+    expect(mockDb.data.transactions[0].status).toBe('refunded');
+    expect(ErrorHandler.hasError('invalid status transition')).toBe(true);
+  });
+
+  test('4. Re-sending the current status is accepted', async () => {
+    seed('txn-life-3', 'purchase', 'completed');
+
+    const result = await TransactionRegistry.updateTransaction('txn-life-3', { status: 'COMPLETED' });
+    expect(result.status).toBe('completed');
+  });
+
+  test('5. Lifecycles differ per direction', async () => {
+    seed('txn-life-4', 'refund', 'completed');
+    seed('txn-life-5', 'payout', 'pending');
+
+    await expect(
+      TransactionRegistry.updateTransaction('txn-life-4', { status: 'failed' })
+    ).rejects.toBeInstanceOf(InvalidTransitionError);
+
+    const payout = await TransactionRegistry.updateTransaction('txn-life-5', { status: 'processing' });
+    expect(payout.status).toBe('processing');
+  });
+
+  test('6. Unknown status is rejected before touching the row', async () => {
+    seed('txn-life-6', 'purchase', 'pending');
+
+    await expect(
+      TransactionRegistry.updateTransaction('txn-life-6', { status: 'teleported' })
+    ).rejects.toThrow('unknown status');
+    expect(mockDb.data.transactions[0].status).toBe('pending');
+  });
+
+  test('7. Status cannot be unset', async () => {
+    seed('txn-life-7', 'purchase', 'pending');
+
+    await expect(
+      TransactionRegistry.updateTransaction('txn-life-7', { status: { unset: true } })
+    ).rejects.toThrow('status cannot be unset');
+  });
+
+  test('8. Row with an unknown direction rejects status changes', async () => {
+    seed('txn-life-8', 'legacy', 'pending');
+
+    await expect(
+      TransactionRegistry.updateTransaction('txn-life-8', { status: 'completed' })
+    ).rejects.toBeInstanceOf(InvalidTransitionError);
+  });
+
+  test('9. Transition is checked against the row locked inside the DB transaction', async () => {
+    seed('txn-life-9', 'purchase', 'pending');
+    const lockedSql = [];
+    const originalTransaction = mockDb.transaction.bind(mockDb);
+    mockDb.transaction = async (schema, callback) =>
+      originalTransaction(schema, async ({ query }) =>
+        callback({
+          query: async (sql, params) => {
+            lockedSql.push(sql);
+            // Another writer refunded the row between the caller's read and this lock
+            if (sql.includes('FOR UPDATE')) {
+              mockDb.data.transactions[0].status = 'refunded';
+            }
+            return query(sql, params);
+          }
+        })
+      );
+
+    await expect(
+      TransactionRegistry.updateTransaction('txn-life-9', { status: 'completed' })
+    ).rejects.toBeInstanceOf(InvalidTransitionError);
+    expect(lockedSql.some((sql) => sql.includes('FOR UPDATE'))).toBe(true);
+    expect(lockedSql.some((sql) => sql.startsWith('UPDATE'))).toBe(false);
+  });
+
+  test('10. Create rejects a status outside the direction lifecycle', async () => {
+    const txn = {
+      order_id: 'order_life_10',
+      amount: 1000,
+      order_type: 'product',
+      customer_uid: 'customer_life',
+      status: 'partially_refunded',
+      direction: 'refund',
+      payment_method: 'stripe',
+      currency: 'USD',
+      platform: 'web'
+    };
+
+    await expect(TransactionRegistry.createTransaction(txn)).rejects.toThrow(
+      'invalid status "partially_refunded" for direction "refund"'
+    );
+    expect(mockDb.getAllData('transactions').length).toBe(0);
+  });
+
+  test('11. Create rejects the statuses reserved for refunds and disputes', async () => {
+    for (const status of TransactionRegistry.RESERVED_UPDATE_STATUSES) {
+      await expect(
+        TransactionRegistry.createTransaction({
+          order_id: `order_life_11_${status}`,
+          amount: 1000,
+          order_type: 'product',
+          customer_uid: 'customer_life',
+          status,
+          direction: 'purchase',
+          payment_method: 'stripe',
+          currency: 'USD',
+          platform: 'web'
+        })
+      ).rejects.toMatchObject({ code: 'VALIDATION_FAILED', field: 'status' });
+    }
+    expect(mockDb.getAllData('transactions').length).toBe(0);
+    expect(ErrorHandler.hasError('Reserved status')).toBe(true);
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Jest Tests for PaymentTransactionsRegistryStore - Owner ranking
+ * topOwners() over owner_allocations with OwnerLedger status rules
+ */
+
+jest.mock('../PostgreSQL', () => {
+  return require('../__mocks__/PostgreSQL');
+});
+
+jest.mock('../Logger', () => {
+  return require('../__mocks__/Logger');
+});
+
+jest.mock('../ErrorHandler', () => {
+  return require('../__mocks__/ErrorHandler');
+});
+
+const TransactionRegistry = require('../PaymentTransactionsRegistryStore');
+const PostgreSQLMock = require('../__mocks__/PostgreSQL');
+const Logger = require('../Logger');
+const ErrorHandler = require('../ErrorHandler');
+
+describe('TransactionRegistry - Top Owners Tests', () => {
+  let mockDb;
+
+  const seed = (transaction_id, direction, status, created_at, allocations, overrides = {}) => {
+    mockDb.data.transactions.push({
+      transaction_id,
+      order_id: `order-${transaction_id}`,
+      amount: allocations.reduce((sum, a) => sum + a.amount_cents, 0),
+      status,
+      direction,
+      currency: 'USD',
+      payment_method: 'stripe',
+      owners: JSON.stringify(allocations.map((a) => a.owner_uuid)),
+      owner_allocations: JSON.stringify(allocations),
+      is_deleted: false,
+      created_at,
+      ...overrides
+    });
+  };
+
+  beforeEach(() => {
+    mockDb = new PostgreSQLMock();
+    TransactionRegistry._db = mockDb;
+    Logger.reset();
+    ErrorHandler.reset();
+
+    seed('t1', 'purchase', 'completed', '2026-01-05 10:00:00', [
+      { owner_uuid: 'owner_a', amount_cents: 7000 },
+      { owner_uuid: 'owner_b', amount_cents: 2000 }
+    ]);
+    seed('t2', 'purchase', 'partially_refunded', '2026-01-10 10:00:00', [
+      { owner_uuid: 'owner_b', amount_cents: 9000 }
+    ]);
+    seed('t3', 'refund', 'completed', '2026-01-12 10:00:00', [
+      { owner_uuid: 'owner_b', amount_cents: 4000 }
+    ], { parent_transaction_id: 't2' });
+    seed('t4', 'chargeback', 'completed', '2026-02-01 10:00:00', [
+      { owner_uuid: 'owner_a', amount_cents: 500 }
+    ]);
+    seed('t5', 'payout', 'completed', '2026-02-15 10:00:00', [
+      { owner_uuid: 'owner_a', amount_cents: 3000 }
+    ]);
+    seed('t6', 'purchase', 'pending', '2026-02-20 10:00:00', [
+      { owner_uuid: 'owner_c', amount_cents: 50000 }
+    ]);
+    seed('t7', 'purchase', 'completed', '2026-02-21 10:00:00', [
+      { owner_uuid: 'owner_a', amount_cents: 1000 }
+    ], { currency: 'EUR', payment_method: 'paypal' });
+  });
+
+  test('1. Owners are ranked by net earnings per currency', async () => {
+    const result = await TransactionRegistry.topOwners();
+
+    expect(result.limit).toBe(10);
+    expect(result.owners).toEqual([
+      { owner_uuid: 'owner_b', currency: 'USD', purchases: 2, earned: 11000, refunded: 4000, charged_back: 0, net: 7000 },
+      { owner_uuid: 'owner_a', currency: 'USD', purchases: 1, earned: 7000, refunded: 0, charged_back: 500, net: 6500 },
+      { owner_uuid: 'owner_a', currency: 'EUR', purchases: 1, earned: 1000, refunded: 0, charged_back: 0, net: 1000 }
+    ]);
+  });
+
+  test('2. Payouts and uncaptured purchases do not count', async () => {
+    const result = await TransactionRegistry.topOwners();
+
+    expect(result.owners.some((owner) => owner.owner_uuid === 'owner_c')).toBe(false);
+    expect(result.owners.find((owner) => owner.owner_uuid === 'owner_a' && owner.currency === 'USD').net).toBe(6500);
+  });
+
+  test('3. query() filters narrow the transactions that count', async () => {
+    const byMethod = await TransactionRegistry.topOwners({ filters: { payment_method: 'paypal' } });
+    expect(byMethod.owners.map((owner) => [owner.owner_uuid, owner.currency])).toEqual([['owner_a', 'EUR']]);
+
+    const january = await TransactionRegistry.topOwners({ filters: { dateEnd: '2026-01-31', currency: 'usd' } });
+    expect(january.owners.map((owner) => [owner.owner_uuid, owner.net])).toEqual([
+      ['owner_a', 7000],
+      ['owner_b', 7000]
+    ]);
+  });
+
+  test('4. limit caps the ranking and is validated', async () => {
+    const top = await TransactionRegistry.topOwners({ limit: '1' });
+    expect(top.owners).toHaveLength(1);
+    expect(top.owners[0].owner_uuid).toBe('owner_b');
+
+    await expect(TransactionRegistry.topOwners({ limit: 0 })).rejects.toThrow(
+      'limit must be an integer between 1 and 100'
+    );
+    await expect(TransactionRegistry.topOwners({ limit: 'ten' })).rejects.toThrow('limit must be an integer');
+    expect(ErrorHandler.getErrors().map((e) => e.details.field)).toContain('limit');
+  });
+
+  test('5. The SQL expands allocations and excludes payouts', async () => {
+    const querySpy = jest.spyOn(mockDb, 'query');
+
+    await TransactionRegistry.topOwners({ filters: { currency: 'USD' } });
+
+    const [, sql, params] = querySpy.mock.calls[0];
+    expect(sql).toContain('jsonb_array_elements(COALESCE(owner_allocations');
+    expect(sql).toContain('direction IN ($2, $3, $4)');
+    expect(params).toEqual(['USD', 'purchase', 'refund', 'chargeback']);
+  });
+
+  test('6. Database failures are recorded and rethrown', async () => {
+    jest.spyOn(mockDb, 'query').mockRejectedValueOnce(new Error('connection reset'));
+
+    await expect(TransactionRegistry.topOwners()).rejects.toThrow('connection reset');
+    expect(ErrorHandler.hasError('Failed to rank owners')).toBe(true);
+    expect(Logger.getLogs().some((entry) => entry.action === 'topOwners')).toBe(true);
+  });
+});
@@ -69,22 +69,22 @@ describe('TransactionRegistry - UPDATE Tests', () => {
     expect(dbData[0].updated_at).toBeDefined();
   });
 
-  // Test 14: Update refund_amount and refund_reason
-  test('14. Update refund_amount and refund_reason', async () => {
+  // Test 14: Update refund_reason; refund_amount belongs to refundTransaction()
+  test('14. Update refund_reason but not refund_amount', async () => {
     const result = await TransactionRegistry.updateTransaction(
       createdTransaction.transaction_id,
-      { 
-        refund_amount: 2500,
-        refund_reason: 'Partial refund requested'
-      }
+      { refund_reason: 'Partial refund requested' }
     );
 
     expect(result).toBeDefined();
-    expect(result.refund_amount).toBe(2500);
     expect(result.refund_reason).toBe('Partial refund requested');
 
+    await expect(
+      TransactionRegistry.updateTransaction(createdTransaction.transaction_id, { refund_amount: 2500 })
+    ).rejects.toMatchObject({ code: 'VALIDATION_FAILED', field: 'refund_amount' });
+
     const dbData = mockDb.getAllData('transactions');
-    expect(dbData[0].refund_amount).toBe(2500);
+    expect(dbData[0].refund_amount ?? null).toBeNull();
     expect(dbData[0].refund_reason).toBe('Partial refund requested');
   });
 
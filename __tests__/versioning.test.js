@@ -0,0 +1,134 @@
+/**
+ * Jest Tests for PaymentTransactionsRegistryStore - Row versions
+ * version bumps on every write and expectedVersion on updateTransaction() / updateTransactions()
+ */
+
+jest.mock('../PostgreSQL', () => {
+  return require('../__mocks__/PostgreSQL');
+});
+
+jest.mock('../Logger', () => {
+  return require('../__mocks__/Logger');
+});
+
+jest.mock('../ErrorHandler', () => {
+  return require('../__mocks__/ErrorHandler');
+});
+
+const TransactionRegistry = require('../PaymentTransactionsRegistryStore');
+const { VersionConflictError } = require('../TransactionErrors');
+const PostgreSQLMock = require('../__mocks__/PostgreSQL');
+const Logger = require('../Logger');
+const ErrorHandler = require('../ErrorHandler');
+
+describe('TransactionRegistry - Versioning Tests', () => {
+  let mockDb;
+
+  const createTxn = (orderId) =>
+    TransactionRegistry.createTransaction({
+      order_id: orderId,
+      amount: 1000,
+      order_type: 'product',
+      customer_uid: 'cust_1',
+      status: 'pending',
+      direction: 'purchase',
+      payment_method: 'stripe',
+      currency: 'USD',
+      platform: 'web'
+    });
+
+  beforeEach(() => {
+    mockDb = new PostgreSQLMock();
+    TransactionRegistry._db = mockDb;
+    Logger.reset();
+    ErrorHandler.reset();
+  });
+
+  test('1. New rows start at version 1 and every write bumps it', async () => {
+    const txn = await createTxn('order_1');
+    expect(txn.version).toBe(1);
+
+    const updated = await TransactionRegistry.updateTransaction(txn.transaction_id, { meta: { note: 'a' } });
+    expect(updated.version).toBe(2);
+
+    await TransactionRegistry.setLegalHold(txn.transaction_id, true);
+    expect((await TransactionRegistry.getTransaction(txn.transaction_id)).version).toBe(3);
+  });
+
+  test('2. An update based on the current version is applied', async () => {
+    const txn = await createTxn('order_1');
+
+    const updated = await TransactionRegistry.updateTransaction(
+      txn.transaction_id,
+      { status: 'completed' },
+      { expectedVersion: 1 }
+    );
+
+    expect(updated).toMatchObject({ status: 'completed', version: 2 });
+  });
+
+  test('3. A stale expectedVersion is rejected without writing', async () => {
+    const txn = await createTxn('order_1');
+    await TransactionRegistry.updateTransaction(txn.transaction_id, { meta: { note: 'first' } });
+
+    const error = await TransactionRegistry.updateTransaction(
+      txn.transaction_id,
+      { status: 'completed' },
+      { expectedVersion: '1' }
+    ).catch((err) => err);
+
+    expect(error).toBeInstanceOf(VersionConflictError);
+    expect(error).toMatchObject({ code: 'VERSION_CONFLICT', expected: 1, actual: 2, transactionId: txn.transaction_id });
+    expect(mockDb.data.transactions[0]).toMatchObject({ status: 'pending', version: 2 });
+    expect(mockDb.data.transaction_events.filter((e) => e.event_type === 'updated')).toHaveLength(1);
+    expect(ErrorHandler.getErrors().some((e) => e.details.field === 'version' && e.details.actual === 2)).toBe(true);
+  });
+
+  test('4. Version bumps stay out of the audit diff', async () => {
+    const txn = await createTxn('order_1');
+    await TransactionRegistry.updateTransaction(txn.transaction_id, { status: 'completed' }, { expectedVersion: 1 });
+
+    const event = mockDb.data.transaction_events.find((e) => e.event_type === 'updated');
+    expect(Object.keys(JSON.parse(event.diff))).toEqual(['status']);
+  });
+
+  test('5. Invalid expectedVersion values are rejected with their field', async () => {
+    const txn = await createTxn('order_1');
+
+    await expect(
+      TransactionRegistry.updateTransaction(txn.transaction_id, { status: 'completed' }, { expectedVersion: 0 })
+    ).rejects.toThrow('updateTransaction(): expectedVersion must be a positive integer');
+    await expect(
+      TransactionRegistry.updateTransaction(txn.transaction_id, { status: 'completed' }, { expectedVersion: 'v1' })
+    ).rejects.toThrow('expectedVersion must be a positive integer');
+
+    expect(ErrorHandler.getErrors().filter((e) => e.details.field === 'expectedVersion')).toHaveLength(2);
+    expect(mockDb.data.transactions[0].version).toBe(1);
+  });
+
+  test('6. Batch updates check each item\'s expectedVersion', async () => {
+    const a = await createTxn('order_1');
+    const b = await createTxn('order_2');
+
+    const result = await TransactionRegistry.updateTransactions(
+      [
+        { id: a.transaction_id, fields: { status: 'completed' }, expectedVersion: 1 },
+        { id: b.transaction_id, fields: { status: 'completed' }, expectedVersion: 4 },
+        { id: a.transaction_id, fields: { meta: { note: 'x' } }, expectedVersion: 2 }
+      ],
+      { mode: 'best_effort' }
+    );
+
+    expect(result.results.map((r) => r.status)).toEqual(['updated', 'failed', 'updated']);
+    expect(result.results[1].errors[0].field).toBe('version');
+    expect(mockDb.data.transactions.map((t) => t.version)).toEqual([3, 1]);
+
+    const error = await TransactionRegistry.updateTransactions([
+      { id: b.transaction_id, fields: { status: 'completed' }, expectedVersion: 1 },
+      { id: a.transaction_id, fields: { meta: { note: 'stale' } }, expectedVersion: 1 }
+    ]).catch((err) => err);
+    expect(error).toBeInstanceOf(VersionConflictError);
+    expect(error.results.map((r) => r.status)).toEqual(['not_applied', 'failed']);
+    expect(mockDb.data.transactions[1].status).toBe('pending');
+  });
+});
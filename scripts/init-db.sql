@@ -4,7 +4,7 @@
 CREATE TABLE IF NOT EXISTS transactions (
     transaction_id SERIAL PRIMARY KEY,
     order_id VARCHAR(255),
-    amount DECIMAL(20, 2),
+    amount BIGINT,
     order_type VARCHAR(100),
     customer_uid VARCHAR(255),
     status VARCHAR(50),
@@ -16,14 +16,18 @@ CREATE TABLE IF NOT EXISTS transactions (
     parent_transaction_id INTEGER,
     meta JSONB,
     user_agent TEXT,
-    refund_amount DECIMAL(20, 2),
+    refund_amount BIGINT,
     refund_reason TEXT,
     dispute_id VARCHAR(255),
     write_status VARCHAR(50),
     owners JSONB,
     owner_allocations JSONB,
+    platform_fee_amount BIGINT,
     products JSONB,
+    idempotency_key VARCHAR(255),
+    idempotency_fingerprint VARCHAR(64),
     is_deleted BOOLEAN DEFAULT FALSE,
+    deleted_at TIMESTAMP,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -35,6 +39,108 @@ CREATE INDEX IF NOT EXISTS idx_transactions_status ON transactions(status);
 CREATE INDEX IF NOT EXISTS idx_transactions_direction ON transactions(direction);
 CREATE INDEX IF NOT EXISTS idx_transactions_created_at ON transactions(created_at);
 CREATE INDEX IF NOT EXISTS idx_transactions_is_deleted ON transactions(is_deleted);
+CREATE INDEX IF NOT EXISTS idx_transactions_currency ON transactions(currency);
+CREATE INDEX IF NOT EXISTS idx_transactions_payment_method ON transactions(payment_method);
+CREATE INDEX IF NOT EXISTS idx_transactions_platform ON transactions(platform);
+CREATE INDEX IF NOT EXISTS idx_transactions_amount ON transactions(amount);
+CREATE INDEX IF NOT EXISTS idx_transactions_parent_transaction_id ON transactions(parent_transaction_id);
+-- Status lists and direction are usually combined with a created_at window
+CREATE INDEX IF NOT EXISTS idx_transactions_status_created_at ON transactions(status, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_transactions_direction_created_at ON transactions(direction, created_at DESC);
+-- Keyset pagination in query(): default ORDER BY created_at DESC NULLS LAST, transaction_id DESC
+CREATE INDEX IF NOT EXISTS idx_transactions_created_at_id
+    ON transactions(created_at DESC NULLS LAST, transaction_id DESC);
+
+-- Idempotency keys are optional, but a key may only ever map to one transaction
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS idempotency_key VARCHAR(255);
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS idempotency_fingerprint VARCHAR(64);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_transactions_idempotency_key
+    ON transactions(idempotency_key)
+    WHERE idempotency_key IS NOT NULL;
+
+-- Amounts are integer minor units of `currency` (exponent per CurrencyRegistry:
+-- USD 1050 = 10.50, JPY 1050 = 1050, KWD 1050 = 1.050). Tables created before
+-- this held DECIMAL(20, 2) major units; they are scaled by the currency exponent
+-- once, while the columns are still DECIMAL, so re-running this script is safe.
+-- Keep the exponent lists in sync with CurrencyRegistry.CURRENCIES (default 2).
+DO $$
+BEGIN
+    IF (SELECT data_type FROM information_schema.columns
+        WHERE table_name = 'transactions' AND column_name = 'amount') = 'numeric' THEN
+        ALTER TABLE transactions
+            ALTER COLUMN amount TYPE BIGINT USING ROUND(amount * 10 ^ (
+                CASE
+                    WHEN UPPER(currency) IN ('CLP', 'ISK', 'JPY', 'KRW', 'UGX', 'VND', 'XAF', 'XOF') THEN 0
+                    WHEN UPPER(currency) IN ('BHD', 'JOD', 'KWD', 'OMR', 'TND') THEN 3
+                    ELSE 2
+                END
+            ))::BIGINT,
+            ALTER COLUMN refund_amount TYPE BIGINT USING ROUND(refund_amount * 10 ^ (
+                CASE
+                    WHEN UPPER(currency) IN ('CLP', 'ISK', 'JPY', 'KRW', 'UGX', 'VND', 'XAF', 'XOF') THEN 0
+                    WHEN UPPER(currency) IN ('BHD', 'JOD', 'KWD', 'OMR', 'TND') THEN 3
+                    ELSE 2
+                END
+            ))::BIGINT;
+    END IF;
+END $$;
+
+-- Disputes / chargebacks raised against purchases
+CREATE TABLE IF NOT EXISTS transaction_disputes (
+    dispute_id VARCHAR(255) PRIMARY KEY,
+    transaction_id INTEGER NOT NULL REFERENCES transactions(transaction_id),
+    status VARCHAR(50) NOT NULL DEFAULT 'open',
+    reason TEXT,
+    amount BIGINT,
+    currency VARCHAR(10),
+    previous_status VARCHAR(50),
+    evidence JSONB,
+    evidence_due_at TIMESTAMP,
+    opened_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    resolved_at TIMESTAMP,
+    resolution_note TEXT,
+    chargeback_transaction_id INTEGER REFERENCES transactions(transaction_id),
+    meta JSONB,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_transaction_disputes_status ON transaction_disputes(status);
+CREATE INDEX IF NOT EXISTS idx_transaction_disputes_transaction_id ON transaction_disputes(transaction_id);
+CREATE INDEX IF NOT EXISTS idx_transaction_disputes_evidence_due_at ON transaction_disputes(evidence_due_at);
+-- At most one unresolved dispute per transaction
+CREATE UNIQUE INDEX IF NOT EXISTS idx_transaction_disputes_one_open
+    ON transaction_disputes(transaction_id)
+    WHERE status IN ('open', 'under_review');
+CREATE INDEX IF NOT EXISTS idx_transactions_dispute_id ON transactions(dispute_id);
+
+-- Append-only audit history: one row per create / update / soft delete,
+-- written in the same DB transaction as the mutation it describes
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+CREATE TABLE IF NOT EXISTS transaction_events (
+    event_id BIGSERIAL PRIMARY KEY,
+    transaction_id INTEGER NOT NULL,
+    event_type VARCHAR(20) NOT NULL,
+    actor VARCHAR(255) NOT NULL,
+    request_id VARCHAR(255),
+    diff JSONB NOT NULL DEFAULT '{}'::jsonb,
+    occurred_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_transaction_events_transaction_id
+    ON transaction_events(transaction_id, occurred_at, event_id);
+CREATE INDEX IF NOT EXISTS idx_transaction_events_request_id ON transaction_events(request_id);
+
+CREATE OR REPLACE FUNCTION prevent_transaction_events_mutation()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'transaction_events is append-only';
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS transaction_events_append_only ON transaction_events;
+CREATE TRIGGER transaction_events_append_only BEFORE UPDATE OR DELETE ON transaction_events
+FOR EACH ROW EXECUTE FUNCTION prevent_transaction_events_mutation();
 
 -- Create a function to automatically update the updated_at timestamp
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -48,3 +154,47 @@ $$ language 'plpgsql';
 -- Create a trigger to call the function on update
 CREATE TRIGGER update_transactions_updated_at BEFORE UPDATE ON transactions
 FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_transaction_disputes_updated_at ON transaction_disputes;
+CREATE TRIGGER update_transaction_disputes_updated_at BEFORE UPDATE ON transaction_disputes
+FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Portion of the amount not allocated to any owner (see owner_allocations)
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS platform_fee_amount BIGINT;
+
+-- Owner ledger: balances are computed from rows whose owner_allocations
+-- contain {"owner_uuid": ...}
+CREATE INDEX IF NOT EXISTS idx_transactions_owner_allocations
+    ON transactions USING GIN (owner_allocations jsonb_path_ops);
+
+-- JSONB search in query(): meta @> {"promo_code": ...}, products @> [{"sku": ...}]
+CREATE INDEX IF NOT EXISTS idx_transactions_meta
+    ON transactions USING GIN (meta jsonb_path_ops);
+CREATE INDEX IF NOT EXISTS idx_transactions_products
+    ON transactions USING GIN (products jsonb_path_ops);
+
+-- Soft-delete lifecycle: who deleted a row, legal holds that block purging,
+-- and the purge scan over expired deletions (restore clears deleted_*;
+-- purged rows leave a "purged" tombstone in transaction_events)
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS deleted_by VARCHAR(255);
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS legal_hold BOOLEAN NOT NULL DEFAULT FALSE;
+CREATE INDEX IF NOT EXISTS idx_transactions_deleted_at
+    ON transactions(deleted_at, transaction_id)
+    WHERE is_deleted = true;
+
+-- Optimistic concurrency: every UPDATE bumps version, and
+-- updateTransaction() rejects writes whose expectedVersion is stale
+-- (server.js exposes it as the ETag / If-Match of a transaction)
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+
+CREATE OR REPLACE FUNCTION increment_transaction_version()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.version = OLD.version + 1;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS increment_transactions_version ON transactions;
+CREATE TRIGGER increment_transactions_version BEFORE UPDATE ON transactions
+FOR EACH ROW EXECUTE FUNCTION increment_transaction_version();
@@ -3,34 +3,102 @@
  * Serves the HTML frontend and provides API endpoints for testing
  */
 
+const crypto = require('crypto');
 const express = require('express');
 const path = require('path');
 const TransactionRegistry = require('./PaymentTransactionsRegistryStore');
+const OwnerLedger = require('./OwnerLedger');
+const RequestAuth = require('./RequestAuth');
+const RequestValidation = require('./RequestValidation');
+const Schemas = require('./RequestSchemas');
+const { VersionConflictError } = require('./TransactionErrors');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Each request collects its own ErrorHandler entries: they become the error
+// envelope's details and go into the request's structured log entry
+app.use(RequestValidation.collectErrors());
+
+// Request id: honour a well-formed X-Request-Id or mint one, and echo it back
+// (audit columns cap it at 255 characters, so anything else is replaced)
+const REQUEST_ID_PATTERN = /^[\w.-]{1,128}$/;
+app.use((req, res, next) => {
+  const requested = req.get('X-Request-Id');
+  req.requestId = requested && REQUEST_ID_PATTERN.test(requested) ? requested : crypto.randomUUID();
+  res.set('X-Request-Id', req.requestId);
+  next();
+});
+
 // Middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Request logging
-app.use((req, res, next) => {
-  console.log(`[${new Date().toISOString()}] ${req.method} ${req.path}`);
-  next();
+// Authenticated principal and request id recorded on transaction_events and writeLog entries
+const auditContext = (req) => ({
+  actor: req.principal.id,
+  requestId: req.requestId
 });
 
-// CORS for development
+// A transaction's ETag is its row version
+const etagOf = (row) => `"${row.version}"`;
+
+// If-Match -> expectedVersion: undefined when absent or "*", null when the
+// tag is not one of our ETags (weak tags never pass If-Match), so it cannot match
+const ifMatchVersion = (req) => {
+  const header = (req.get('If-Match') || '').trim();
+  if (header === '' || header === '*') return { expectedVersion: undefined };
+  const tags = header.split(',').map((tag) => tag.trim());
+  if (tags.length > 1) return { error: 'If-Match must name a single ETag' };
+  const match = tags[0].match(/^"([1-9]\d*)"$/);
+  return { expectedVersion: match ? Number(match[1]) : null };
+};
+
+// Request schemas live in RequestSchemas.js; handlers read the checked and
+// coerced input from req.validated and throw, leaving status codes and the
+// { error, code, details, request_id } envelope to RequestValidation.errorMiddleware()
+const validate = (schemas) => RequestValidation.middleware(schemas);
+const sendNotFound = (req, res, message) =>
+  RequestValidation.sendError(req, res, null, { status: 404, code: 'NOT_FOUND', message });
+
+// CORS: only the origins listed in CORS_ORIGINS (comma separated) may call the API from a browser
+const corsOrigins = new Set(
+  String(process.env.CORS_ORIGINS || '').split(',').map((origin) => origin.trim()).filter(Boolean)
+);
 app.use((req, res, next) => {
-  res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  const origin = req.get('Origin');
+  res.vary('Origin');
+  if (origin && corsOrigins.has(origin)) {
+    res.header('Access-Control-Allow-Origin', origin);
+    res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+    res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Api-Key, Idempotency-Key, If-Match, X-Request-Id, X-Actor-Id');
+    res.header('Access-Control-Expose-Headers', 'ETag, Idempotent-Replayed, X-Next-Cursor, X-Request-Id');
+  }
   if (req.method === 'OPTIONS') {
     return res.sendStatus(200);
   }
   next();
 });
 
+// Authentication: API keys (API_KEYS) and HMAC-signed JWTs (JWT_SECRET); see RequestAuth.fromEnv()
+const authenticators = RequestAuth.fromEnv();
+if (authenticators.length === 0) {
+  console.warn('[AUTH] No API_KEYS or JWT_SECRET configured: every /api request will be rejected');
+}
+app.use('/api', RequestAuth.middleware(authenticators));
+// Callers scoped to their own rows (owner_uuid / customer_uid tokens) only reach
+// the routes declared with allowScoped, which pass req.principal.scope on
+const allow = (...permissions) => [RequestAuth.requireUnscoped(), RequestAuth.requirePermission(...permissions)];
+const allowScoped = (...permissions) => RequestAuth.requirePermission(...permissions);
+const scopeOf = (req) => ({ scope: req.principal.scope });
+// includeDeleted / onlyDeleted reach soft-deleted rows, which only callers
+// allowed to manage retention may see
+const deletedRowsNeedRetention = (req, res, next) => {
+  const { includeDeleted, onlyDeleted } = req.validated.query;
+  if (!includeDeleted && !onlyDeleted) return next();
+  return RequestAuth.requirePermission('retention')(req, res, next);
+};
+
 // Serve static files (Admin-Code-master HTML)
 app.use('/Admin-Code-master', express.static(path.join(__dirname, 'Admin-Code-master')));
 
@@ -44,108 +112,376 @@ app.get('/', (req, res) => {
 // ============================================
 
 // CREATE Transaction
-app.post('/api/transactions', async (req, res) => {
-  try {
-    console.log('[CREATE] Request Headers:', req.headers['content-type']);
-    console.log('[CREATE] Request Body:', req.body);
-    console.log('[CREATE] Request Body Keys:', Object.keys(req.body));
-    console.log('[CREATE] Body order_id:', req.body.order_id);
-    
-    const result = await TransactionRegistry.createTransaction(req.body);
-    res.status(201).json(result);
-  } catch (error) {
-    console.error('[CREATE] Error:', error.message);
-    res.status(400).json({ 
-      error: error.message,
-      details: error.errors || []
-    });
+app.post('/api/transactions', allow('create'), validate(Schemas.createTransaction), async (req, res) => {
+  const { body } = req.validated;
+  console.log('[CREATE] Request Headers:', req.headers['content-type']);
+  console.log('[CREATE] Request Body:', body);
+  console.log('[CREATE] Request Body Keys:', Object.keys(body));
+  console.log('[CREATE] Body order_id:', body.order_id);
+
+  const idempotencyKey = req.get('Idempotency-Key');
+  const result = await TransactionRegistry.createTransaction(body, {
+    idempotencyKey,
+    ...auditContext(req),
+  });
+
+  // Replays return the original row with 200 instead of 201
+  const replayed = result.idempotency_replayed === true;
+  if (idempotencyKey) {
+    res.set('Idempotent-Replayed', String(replayed));
   }
+  res.status(replayed ? 200 : 201).json(result);
 });
 
 // QUERY Transactions (MUST come before /:id route)
-app.get('/api/transactions/query', async (req, res) => {
-  try {
-    console.log('[QUERY] Request query params:', req.query);
-    
-    // Extract pagination parameters
-    const { limit, offset, ...filters } = req.query;
-    const pagination = {};
-    if (limit !== undefined) pagination.limit = parseInt(limit, 10);
-    if (offset !== undefined) pagination.offset = parseInt(offset, 10);
-    
-    console.log('[QUERY] Filters:', filters);
-    console.log('[QUERY] Pagination:', pagination);
-    
-    const result = await TransactionRegistry.query(filters, pagination);
-    console.log('[QUERY] Result:', { 
-      rows: result.rows?.length || 0, 
-      total: result.total 
-    });
-    
-    res.json(result);
-  } catch (error) {
-    console.error('[QUERY] Error:', error.message);
-    res.status(400).json({ 
-      error: error.message,
-      rows: [],
-      total: 0
-    });
-  }
+app.get('/api/transactions/query', allowScoped('query'), validate(Schemas.queryTransactions), deletedRowsNeedRetention, async (req, res) => {
+  console.log('[QUERY] Request query params:', req.query);
+
+  // Extract pagination parameters (already coerced to numbers / booleans)
+  const { limit, offset, cursor, includeTotal, sort, ...filters } = req.validated.query;
+  const pagination = {};
+  if (limit !== undefined) pagination.limit = limit;
+  if (offset !== undefined) pagination.offset = offset;
+  if (cursor !== undefined) pagination.cursor = cursor;
+  if (includeTotal !== undefined) pagination.includeTotal = includeTotal;
+  if (sort !== undefined) pagination.sort = sort;
+
+  console.log('[QUERY] Filters:', filters);
+  console.log('[QUERY] Pagination:', pagination);
+
+  // strict: a database failure is answered as such, not as an empty page
+  const result = await TransactionRegistry.query(filters, pagination, { ...scopeOf(req), strict: true });
+  console.log('[QUERY] Result:', {
+    rows: result.rows?.length || 0,
+    total: result.total,
+    nextCursor: result.nextCursor
+  });
+
+  res.json(result);
 });
 
 // GET Total Count (MUST come before /:id route)
-app.get('/api/transactions/count', async (req, res) => {
-  try {
-    const result = await TransactionRegistry.getAllCount();
-    console.log('[COUNT] Raw result:', result);
-    // getAllCount returns a number, not an object with total property
-    res.json({ total: result });
-  } catch (error) {
-    console.error('[COUNT] Error:', error.message);
-    res.status(500).json({ error: error.message });
-  }
+app.get('/api/transactions/count', allow('query'), validate(Schemas.countTransactions), async (req, res) => {
+  const result = await TransactionRegistry.getAllCount({ strict: true });
+  console.log('[COUNT] Raw result:', result);
+  // getAllCount returns a number, not an object with total property
+  res.json({ total: result });
 });
 
 // GET Count by Status (MUST come before /:id route)
-app.get('/api/transactions/count/by-status', async (req, res) => {
-  try {
-    const { status } = req.query;
-    if (!status) {
-      return res.status(400).json({ error: 'Status parameter is required' });
+app.get('/api/transactions/count/by-status', allow('query'), validate(Schemas.countByStatus), async (req, res) => {
+  const { status } = req.validated.query;
+  const result = await TransactionRegistry.getAllCountByStatus(status, { strict: true });
+  console.log('[COUNT BY STATUS] Raw result:', result);
+  // getAllCountByStatus returns a number, not an object with total property
+  res.json({ status, total: result });
+});
+
+// GET Aggregates (MUST come before /:id route)
+// ?groupBy=status,currency&metrics=count,sum&bucket=day&timezone=UTC plus any query() filter
+app.get('/api/transactions/stats', allow('query'), validate(Schemas.aggregate), deletedRowsNeedRetention, async (req, res) => {
+  const { groupBy, metrics, bucket, timezone, ...filters } = req.validated.query;
+  const result = await TransactionRegistry.aggregate({
+    groupBy,
+    metrics,
+    bucket,
+    timezone,
+    filters
+  });
+  console.log('[STATS] Result:', { groups: result.groups.length, bucket: result.bucket });
+  res.json(result);
+});
+
+// GET owners ranked by net allocation (MUST come before /:id route)
+// ?limit=10 plus any query() filter
+app.get('/api/transactions/stats/owners', allow('query'), validate(Schemas.topOwners), deletedRowsNeedRetention, async (req, res) => {
+  const { limit, ...filters } = req.validated.query;
+  const result = await TransactionRegistry.topOwners({ limit, filters });
+  console.log('[STATS OWNERS] Result:', { owners: result.owners.length, limit: result.limit });
+  res.json(result);
+});
+
+// GET streaming export of every matching transaction (MUST come before /:id route)
+// ?format=csv|ndjson&columns=transaction_id,amount,meta.promo_code&batchSize=500 plus any query() filter
+// Failures after the first chunk cut the response (see RequestValidation.errorMiddleware())
+// so the download fails visibly
+app.get('/api/transactions/export', allow('export'), validate(Schemas.exportTransactions), deletedRowsNeedRetention, async (req, res) => {
+  const { format, columns, batchSize, ...filters } = req.validated.query;
+  const exportFormat = String(format || 'csv').toLowerCase();
+  const sendHeaders = () => {
+    if (res.headersSent) return;
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    res.set('Content-Type', exportFormat === 'ndjson' ? 'application/x-ndjson; charset=utf-8' : 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="transactions-${stamp}.${exportFormat === 'ndjson' ? 'ndjson' : 'csv'}"`);
+  };
+  // Resolves once the chunk is flushed so the cursor never runs ahead of the client
+  const write = (chunk) => new Promise((resolve, reject) => {
+    if (res.destroyed) {
+      reject(new Error('Export aborted: client disconnected'));
+      return;
+    }
+    sendHeaders();
+    if (res.write(chunk)) {
+      resolve();
+      return;
     }
-    const result = await TransactionRegistry.getAllCountByStatus(status);
-    console.log('[COUNT BY STATUS] Raw result:', result);
-    // getAllCountByStatus returns a number, not an object with total property
-    res.json({ status, total: result });
+    const onDrain = () => {
+      res.off('close', onClose);
+      resolve();
+    };
+    const onClose = () => {
+      res.off('drain', onDrain);
+      reject(new Error('Export aborted: client disconnected'));
+    };
+    res.once('drain', onDrain);
+    res.once('close', onClose);
+  });
+
+  const result = await TransactionRegistry.exportTransactions(filters, {
+    format: exportFormat,
+    columns,
+    batchSize,
+    write,
+    ...auditContext(req)
+  });
+  sendHeaders();
+  res.end();
+  console.log('[EXPORT] Done:', { format: result.format, rows: result.rowCount });
+});
+
+// IMPORT Transactions from a CSV / NDJSON upload (MUST come before /:id route)
+// The body is streamed, so send it as text/csv or application/x-ndjson
+// (not application/json, which express.json() would consume)
+app.post('/api/transactions/import', allow('import'), validate(Schemas.importTransactions), async (req, res) => {
+  const { format, dryRun, batchSize, onConflict } = req.validated.query;
+  const contentType = String(req.get('Content-Type') || '').toLowerCase();
+  const result = await TransactionRegistry.importTransactions(req, {
+    format: format || (/ndjson/.test(contentType) ? 'ndjson' : 'csv'),
+    dryRun,
+    batchSize,
+    onConflict,
+    ...auditContext(req),
+  });
+  console.log('[IMPORT] Done:', {
+    format: result.format,
+    dryRun: result.dryRun,
+    accepted: result.accepted,
+    skipped: result.skipped,
+    failed: result.failed
+  });
+  res.json(result);
+});
+
+// BATCH create or update: { mode: "atomic" | "best_effort", create: [...] } or
+// { mode, update: [{ id, fields }] } — each batch runs in one DB transaction
+app.post('/api/transactions/batch', allow('create', 'update'), validate(Schemas.batchTransactions), async (req, res) => {
+  const { mode, create, update } = req.validated.body;
+  if ((create === undefined) === (update === undefined)) {
+    throw RequestValidation.invalid('Send either a create or an update array', 'create');
+  }
+  const options = { mode, ...auditContext(req) };
+  let result;
+  try {
+    result = create !== undefined
+      ? await TransactionRegistry.createTransactions(create, options)
+      : await TransactionRegistry.updateTransactions(update, options);
   } catch (error) {
-    console.error('[COUNT BY STATUS] Error:', error.message);
-    res.status(400).json({ error: error.message });
+    // A stale item fails the batch as a conflict, not a failed If-Match precondition
+    if (error instanceof VersionConflictError) {
+      console.error('[BATCH] Error:', error.message);
+      return RequestValidation.sendError(req, res, error, { status: 409 });
+    }
+    throw error;
   }
+  console.log('[BATCH] Done:', {
+    mode: result.mode,
+    created: result.created,
+    replayed: result.replayed,
+    updated: result.updated,
+    failed: result.failed
+  });
+  res.status(create !== undefined && result.created > 0 ? 201 : 200).json(result);
+});
+
+// PURGE soft-deleted transactions past retention: { olderThan, limit } (MUST come before /:id route)
+app.post('/api/transactions/purge', allow('retention'), validate(Schemas.purgeTransactions), async (req, res) => {
+  const { olderThan, limit } = req.validated.body;
+  const result = await TransactionRegistry.purgeDeletedTransactions({
+    olderThan,
+    limit,
+    ...auditContext(req),
+  });
+  console.log('[PURGE] Done:', { purged: result.purged, held: result.held });
+  res.json(result);
+});
+
+// GET audit history of a transaction (?asOf=yyyy-MM-dd HH:mm:ss rebuilds state at that time)
+app.get('/api/transactions/:id/history', allow('read'), validate(Schemas.transactionHistory), async (req, res) => {
+  const result = await TransactionRegistry.getTransactionHistory(req.validated.params.id, {
+    asOf: req.validated.query.asOf
+  });
+  if (result.events.length === 0) {
+    return sendNotFound(req, res, 'No history for transaction');
+  }
+  res.json(result);
 });
 
 // GET Transaction by ID (MUST come after specific routes)
-app.get('/api/transactions/:id', async (req, res) => {
-  try {
-    const result = await TransactionRegistry.getTransaction(req.params.id);
-    if (!result) {
-      return res.status(404).json({ error: 'Transaction not found' });
-    }
-    res.json(result);
-  } catch (error) {
-    console.error('[READ] Error:', error.message);
-    res.status(400).json({ error: error.message });
+app.get('/api/transactions/:id', allowScoped('read'), validate(Schemas.getTransaction), async (req, res) => {
+  // Out-of-scope transactions are indistinguishable from missing ones
+  const result = await TransactionRegistry.getTransaction(req.validated.params.id, scopeOf(req));
+  if (!result) {
+    return sendNotFound(req, res, 'Transaction not found');
+  }
+  res.set('ETag', etagOf(result));
+  res.json(result);
+});
+
+// UPDATE Transaction by ID (If-Match with the ETag from GET rejects stale writes with 412)
+const updateWithIfMatch = async (req, res, fields) => {
+  const { expectedVersion, error: ifMatchError } = ifMatchVersion(req);
+  if (ifMatchError) {
+    throw RequestValidation.invalid(ifMatchError, 'If-Match');
+  }
+  if (expectedVersion === null) {
+    return RequestValidation.sendError(req, res, null, {
+      status: 412,
+      code: 'VERSION_CONFLICT',
+      message: 'If-Match does not match the transaction version'
+    });
+  }
+  const result = await TransactionRegistry.updateTransaction(req.validated.params.id, fields, {
+    ...auditContext(req),
+    expectedVersion,
+  });
+  res.set('ETag', etagOf(result));
+  res.json(result);
+};
+
+app.put('/api/transactions/:id', allow('update'), validate(Schemas.updateTransaction), async (req, res) => {
+  await updateWithIfMatch(req, res, req.validated.body);
+});
+
+// CHANGE only the status of a Transaction by ID: { status } (operators)
+app.put('/api/transactions/:id/status', allow('status'), validate(Schemas.updateTransactionStatus), async (req, res) => {
+  await updateWithIfMatch(req, res, { status: req.validated.body.status });
+});
+
+// DELETE (soft) Transaction by ID
+app.delete('/api/transactions/:id', allow('delete'), validate(Schemas.deleteTransaction), async (req, res) => {
+  await TransactionRegistry.deleteTransaction(req.validated.params.id, auditContext(req));
+  res.status(204).end();
+});
+
+// RESTORE a soft-deleted Transaction by ID
+app.post('/api/transactions/:id/restore', allow('retention'), validate(Schemas.restoreTransaction), async (req, res) => {
+  const result = await TransactionRegistry.restoreTransaction(req.validated.params.id, auditContext(req));
+  if (!result) {
+    return sendNotFound(req, res, 'Deleted transaction not found');
   }
+  res.json(result);
+});
+
+// PLACE / LIFT a legal hold: { hold: true | false }
+app.put('/api/transactions/:id/legal-hold', allow('retention'), validate(Schemas.setLegalHold), async (req, res) => {
+  const result = await TransactionRegistry.setLegalHold(
+    req.validated.params.id,
+    req.validated.body.hold,
+    auditContext(req)
+  );
+  if (!result) {
+    return sendNotFound(req, res, 'Transaction not found');
+  }
+  res.json(result);
+});
+
+// REFUND Transaction by ID (creates a linked refund child)
+app.post('/api/transactions/:id/refunds', allow('update'), validate(Schemas.refundTransaction), async (req, res) => {
+  const result = await TransactionRegistry.refundTransaction(req.validated.params.id, req.validated.body, auditContext(req));
+  res.status(201).json(result);
 });
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error('Unhandled error:', err);
-  res.status(500).json({ 
-    error: 'Internal server error',
-    message: err.message 
+// OPEN a dispute against a purchase
+app.post('/api/transactions/:id/disputes', allow('update'), validate(Schemas.openDispute), async (req, res) => {
+  const result = await TransactionRegistry.openDispute(req.validated.params.id, req.validated.body, auditContext(req));
+  res.status(201).json(result);
+});
+
+// QUERY the dispute queue (MUST come before /api/disputes/:disputeId)
+app.get('/api/disputes', allow('read'), validate(Schemas.queryDisputes), async (req, res) => {
+  const { status, transactionId, dueBefore, overdue, limit, offset } = req.validated.query;
+  const pagination = { limit, offset };
+  const result = await TransactionRegistry.queryDisputes({ status, transactionId, dueBefore, overdue }, pagination);
+  res.json({
+    disputes: result.rows,
+    total: result.total,
+    limit: pagination.limit || 20,
+    offset: pagination.offset || 0
   });
 });
 
+// GET Dispute by ID
+app.get('/api/disputes/:disputeId', allow('read'), validate(Schemas.getDispute), async (req, res) => {
+  const result = await TransactionRegistry.getDispute(req.validated.params.disputeId);
+  if (!result) {
+    return sendNotFound(req, res, 'Dispute not found');
+  }
+  res.json(result);
+});
+
+// SUBMIT evidence for an open dispute
+app.post('/api/disputes/:disputeId/evidence', allow('update'), validate(Schemas.submitDisputeEvidence), async (req, res) => {
+  const result = await TransactionRegistry.submitDisputeEvidence(
+    req.validated.params.disputeId,
+    req.validated.body,
+    auditContext(req)
+  );
+  res.json(result);
+});
+
+// RESOLVE a dispute (won / lost / accepted)
+app.post('/api/disputes/:disputeId/resolve', allow('update'), validate(Schemas.resolveDispute), async (req, res) => {
+  const result = await TransactionRegistry.resolveDispute(
+    req.validated.params.disputeId,
+    req.validated.body,
+    auditContext(req)
+  );
+  res.json(result);
+});
+
+// GET owner ledger balance per currency (?asOf=yyyy-MM-dd HH:mm:ss)
+app.get('/api/owners/:uuid/balance', allow('read'), validate(Schemas.ownerBalance), async (req, res) => {
+  const result = await TransactionRegistry.getOwnerBalance(req.validated.params.uuid, {
+    asOf: req.validated.query.asOf
+  });
+  res.json(result);
+});
+
+// GET owner line-item statement (?from=&to=&limit=&cursor=&format=json|csv)
+app.get('/api/owners/:uuid/statement', allow('read'), validate(Schemas.ownerStatement), async (req, res) => {
+  const { format, ...options } = req.validated.query;
+  const statement = await TransactionRegistry.getOwnerStatement(req.validated.params.uuid, options);
+  if (format === 'csv') {
+    // CSV carries one page of entries; the cursor for the next one rides in a header
+    if (statement.next_cursor) res.set('X-Next-Cursor', statement.next_cursor);
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="statement-${statement.owner_uuid}.csv"`);
+    return res.send(OwnerLedger.toCsv(statement.entries));
+  }
+  res.json(statement);
+});
+
+// POST payout settling an owner's balance ({ currency, amount? })
+app.post('/api/owners/:uuid/payouts', allow('payout'), validate(Schemas.createPayout), async (req, res) => {
+  const result = await TransactionRegistry.createPayout(req.validated.params.uuid, req.validated.body, auditContext(req));
+  res.status(201).json(result);
+});
+
+// Unknown API routes and every error raised above answer with the error envelope:
+// 400 validation, 404 missing, 409 / 412 conflicts, 500 / 503 storage and internal failures
+app.use('/api', RequestValidation.notFound());
+app.use(RequestValidation.errorMiddleware());
+
 // Start server
 const server = app.listen(PORT, () => {
   console.log('='.repeat(60));
@@ -154,14 +490,35 @@ const server = app.listen(PORT, () => {
   console.log(`📡 API Server: http://localhost:${PORT}`);
   console.log(`🌐 Edge Tests: http://localhost:${PORT}/Admin-Code-master/page/developer/edge-tests-transactions/index.html`);
   console.log('='.repeat(60));
+  console.log('🔐 Auth: X-Api-Key: <key> | Authorization: ApiKey <key> | Authorization: Bearer <jwt>');
   console.log('📋 API Endpoints:');
-  console.log('  POST   /api/transactions');
-  console.log('  GET    /api/transactions/:id');
-  console.log('  PUT    /api/transactions/:id');
+  console.log('  POST   /api/transactions  (Idempotency-Key header optional)');
+  console.log('  GET    /api/transactions/:id  (ETag)');
+  console.log('  PUT    /api/transactions/:id  (If-Match header optional)');
   console.log('  DELETE /api/transactions/:id');
-  console.log('  GET    /api/transactions/query');
+  console.log('  POST   /api/transactions/:id/restore');
+  console.log('  PUT    /api/transactions/:id/legal-hold  { hold }');
+  console.log('  POST   /api/transactions/purge  { olderThan, limit }');
+  console.log('  GET    /api/transactions/:id/history?asOf=...');
+  console.log('  POST   /api/transactions/:id/refunds');
+  console.log('  POST   /api/transactions/:id/disputes');
+  console.log('  GET    /api/disputes?status=&transactionId=&dueBefore=&overdue=');
+  console.log('  GET    /api/disputes/:disputeId');
+  console.log('  POST   /api/disputes/:disputeId/evidence');
+  console.log('  POST   /api/disputes/:disputeId/resolve');
+  console.log('  GET    /api/owners/:uuid/balance');
+  console.log('  GET    /api/owners/:uuid/statement?format=csv');
+  console.log('  POST   /api/owners/:uuid/payouts');
+  console.log('  GET    /api/transactions/query?sort=amount:desc,created_at&cursor=...');
+  console.log('  GET    /api/transactions/query?meta.promo_code=SAVE20&products.sku=SKU-1');
   console.log('  GET    /api/transactions/count');
   console.log('  GET    /api/transactions/count/by-status?status=...');
+  console.log('  GET    /api/transactions/stats?groupBy=status&metrics=count,sum&bucket=day');
+  console.log('  GET    /api/transactions/stats?metrics=refund_rate,chargeback_rate&bucket=week');
+  console.log('  GET    /api/transactions/stats/owners?limit=10');
+  console.log('  GET    /api/transactions/export?format=csv|ndjson&columns=...');
+  console.log('  POST   /api/transactions/import?format=csv|ndjson&dryRun=&onConflict=skip|error');
+  console.log('  POST   /api/transactions/batch  { mode, create: [...] } | { mode, update: [{ id, fields }] }');
   console.log('='.repeat(60));
 });
 